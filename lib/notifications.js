@@ -0,0 +1,104 @@
+/* Outbound side of the notification channels: the webhook POST, the SMS gateway request and the retry policy of the
+   delivery log (notification_deliveries). Nothing here touches the database, so it can be run against the local
+   stand-ins in scripts/ (see test/). server.js owns the delivery rows and reads the configuration from the env.
+*/
+const crypto = require('crypto');
+const fetch = require('node-fetch'); // v2
+
+// sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+function signWebhookBody(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// A 4xx will not get better by retrying, except 408 (timeout) and 429 (rate limited)
+function isPermanentHttpStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function httpFailure(message, status, body) {
+  const err = new Error(message);
+  err.responseStatus = status;
+  err.responseBody = body;
+  err.permanent = isPermanentHttpStatus(status);
+  return err;
+}
+
+/* POST one delivery to a webhook ({ url, secret }). Throws on a non-2xx answer (err.permanent, err.responseStatus,
+   err.responseBody) or a network error / timeout; returns { responseStatus } otherwise. */
+async function postWebhook(hook, delivery, { timeoutMs = 10000 } = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ delivery_id: delivery.id, event: delivery.event, sent_at: new Date().toISOString(), ...delivery.payload });
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'tank-monitor-webhook/1',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(delivery.id),
+    'X-Webhook-Timestamp': String(timestamp)
+  };
+  if (hook.secret) headers['X-Webhook-Signature'] = signWebhookBody(hook.secret, timestamp, body);
+
+  const response = await fetch(hook.url, { method: 'POST', headers, body, timeout: timeoutMs });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw httpFailure(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`, response.status, text);
+  }
+  return { responseStatus: response.status };
+}
+
+// Fill {to}, {from} and {message} in a gateway URL or body template, each value passed through encode
+function fillSmsTemplate(template, values, encode) {
+  return String(template).replace(/\{(to|from|message)\}/g, (m, key) => encode(values[key] == null ? '' : String(values[key])));
+}
+
+/* The HTTP request for one text. gateway = { url, method, contentType, body, headers, timeoutMs } (the SMS_GATEWAY_*
+   settings), values = { to, from, message }. The URL is always URL-encoded; the body is JSON-string-escaped for a
+   JSON content type and URL-encoded otherwise. GET sends no body. */
+function buildSmsRequest(gateway, values) {
+  const method = String(gateway.method || 'POST').toUpperCase();
+  const contentType = gateway.contentType || 'application/json';
+  const url = fillSmsTemplate(gateway.url, values, encodeURIComponent);
+  const opts = { method, headers: { ...(gateway.headers || {}) }, timeout: gateway.timeoutMs || 10000 };
+  if (method !== 'GET') {
+    const json = /json/i.test(contentType);
+    opts.headers['Content-Type'] = contentType;
+    opts.body = fillSmsTemplate(gateway.body, values, json ? v => JSON.stringify(v).slice(1, -1) : encodeURIComponent);
+  }
+  return { url, opts };
+}
+
+/* Send one text through the gateway. Throws like postWebhook on a non-2xx answer, and also when gateway.successRe is
+   set and the (2xx) response body does not match it; returns { responseStatus, responseBody } otherwise. */
+async function sendSms(gateway, values) {
+  const { url, opts } = buildSmsRequest(gateway, values);
+  const response = await fetch(url, opts);
+  const text = await response.text().catch(() => '');
+  if (!response.ok) throw httpFailure(`HTTP ${response.status}`, response.status, text);
+  if (gateway.successRe && !gateway.successRe.test(text)) {
+    throw httpFailure('gateway response did not match SMS_GATEWAY_SUCCESS_MATCH', response.status, text);
+  }
+  return { responseStatus: response.status, responseBody: text };
+}
+
+// Why a text to a number that already got sentLastHour texts in the last hour must be skipped, or null to send it
+function smsRateLimitReason(sentLastHour, limitPerHour) {
+  return sentLastHour >= limitPerHour ? `rate limit: ${sentLastHour} texts to this number in the last hour` : null;
+}
+
+/* What happens to a delivery after its attempt number `attempts` failed with `err`:
+   { status: 'failed' } once the error is permanent or maxAttempts is reached, else { status: 'pending', delayMs }
+   with the delay doubling from baseMs (baseMs after the 1st attempt, 2 x baseMs after the 2nd, ...). */
+function retryAfterFailure(attempts, err, { maxAttempts, baseMs }) {
+  if ((err && err.permanent) || attempts >= maxAttempts) return { status: 'failed', delayMs: null };
+  return { status: 'pending', delayMs: baseMs * Math.pow(2, Math.max(0, attempts - 1)) };
+}
+
+module.exports = {
+  signWebhookBody,
+  isPermanentHttpStatus,
+  postWebhook,
+  fillSmsTemplate,
+  buildSmsRequest,
+  sendSms,
+  smsRateLimitReason,
+  retryAfterFailure
+};
@@ -0,0 +1,17 @@
+/* Which alarm notifications maintenance windows and quiet hours may hold back. No database access (see test/);
+   server.js resolves the terminal's windows and its recipients' quiet_hours.
+*/
+
+// Gas (LEL) alarms are never suppressed by a maintenance window nor held for quiet hours, whatever their severity
+const NEVER_SUPPRESSED_TYPES = ['lel_warning', 'lel_danger'];
+
+// True when a notice about an alarm of this type and severity may wait for the end of a recipient's quiet hours
+function quietHoursMayHold(severity, alarmType) {
+  if (!severity || severity === 'critical') return false;
+  return !NEVER_SUPPRESSED_TYPES.includes(alarmType);
+}
+
+module.exports = {
+  NEVER_SUPPRESSED_TYPES,
+  quietHoursMayHold
+};
@@ -15,6 +15,8 @@
   const mapMsg = document.getElementById('map-msg');
   const alertsListEl = document.getElementById('alerts-list');
   const alertsCountEl = document.getElementById('alerts-count');
+  const alarmsTabOpenBtn = document.getElementById('alarms-tab-open');
+  const alarmsTabHistoryBtn = document.getElementById('alarms-tab-history');
   const sumTotalEl = document.getElementById('sum-total');
   const sumNormalEl = document.getElementById('sum-normal');
   const sumAboveEl = document.getElementById('sum-above');
@@ -53,6 +55,20 @@
   let leafletMap = null;
   let leafletMarkers = [];
 
+  // Alarms panel state: 'open' (active + acknowledged) or 'history' (everything, newest first)
+  let alarmsView = 'open';
+  let canManageAlarms = false;
+  const ALARM_TYPE_LABELS = {
+    level_low: 'Low Level Alarm',
+    level_high: 'High Level Alarm',
+    lel_warning: 'Gas Warning (LEL)',
+    lel_danger: 'Gas Danger (LEL)',
+    battery_low: 'Low Battery',
+    signal_weak: 'Weak Signal',
+    data_stale: 'No New Data',
+    leak_suspected: 'Possible Leak'
+  };
+
   // Load Leaflet safely (no-op if already present)
   function ensureLeaflet() {
     return new Promise((resolve) => {
@@ -74,12 +90,23 @@
     }
     return resp.json();
   }
+  async function postJson(url, body) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    const j = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(j.error || resp.statusText || `HTTP ${resp.status}`);
+    return j;
+  }
 
   // Build unified catalog from sites + titles + tank_info
   async function loadCatalog() {
     const sites = await fetchJson('/api/sites').catch(() => ({ rows: [] }));
     const titles = await fetchJson('/api/titles').catch(() => ([]));
     const infos = await fetchJson('/api/tank-info').catch(() => ({ rows: [] }));
+    const terminals = await fetchJson('/api/terminals').catch(() => ({ rows: [] }));
 
     const titleMap = new Map((titles || []).map(r => [String(r.terminal_id), r]));
     const infoMap = new Map((infos.rows || []).map(r => [String(r.terminal_id), r]));
@@ -133,6 +160,34 @@
       });
     });
 
+    // Terminal registry: add enabled terminals missing above, drop disabled ones
+    (terminals.rows || []).forEach(r => {
+      const tid = String(r.terminal_id);
+      if (!r.enabled) {
+        devices.delete(tid);
+        return;
+      }
+      if (devices.has(tid)) return;
+      const t = titleMap.get(tid);
+      devices.set(tid, {
+        terminal_id: tid,
+        title: (t && t.tank_title) || r.name || '',
+        sn: (t && t.sn) || '',
+        site: '',
+        locationLink: '',
+        lat: null, lng: null,
+        emirate: '',
+        project_code: '',
+        building_name: '',
+        address: '',
+        lpg_min_level: null,
+        lpg_max_level: null,
+        lpg_tank_capacity: '',
+        _lastValueNumeric: null,
+        _lastTimestamp: null
+      });
+    });
+
     // Titles only fallback
     if (devices.size === 0 && (titles || []).length) {
       titles.forEach(t => {
@@ -445,15 +500,13 @@
     } catch {}
   }
 
-  // Render alerts panel and summary panel
-  function renderAlertsAndSummary() {
+  // Render summary panel (alarm list is rendered from /api/alarms, see refreshAlarms)
+  function renderSummary() {
     let normal = 0;
     let above = 0;
     let under = 0;
     let offline = 0;
 
-    const alertItems = [];
-
     devices.forEach(d => {
       const val = d._lastValueNumeric;
       const isOffline = (val == null || isNaN(val));
@@ -463,29 +516,11 @@
       }
 
       const st = thresholdStatusForDevice(d);
-      if (st === 'normal') {
-        normal++;
-      } else if (st === 'max') {
-        above++;
-        alertItems.push(buildAlertItem(d, 'High Level Alarm'));
-      } else if (st === 'min') {
-        under++;
-        alertItems.push(buildAlertItem(d, 'Low Level Alarm'));
-      }
-      // unknown with numeric value is ignored for alerts
+      if (st === 'normal') normal++;
+      else if (st === 'max') above++;
+      else if (st === 'min') under++;
     });
 
-    // Alerts list (use text-only color classes to avoid background highlight)
-    alertsListEl.innerHTML = alertItems.length === 0
-      ? `<div class="panel-subtitle" style="padding:8px;">✅ No alerts</div>`
-      : alertItems.join('');
-
-    // Alerts count indicator (uppercase + color)
-    const totalAlerts = above + under;
-    alertsCountEl.textContent = `${totalAlerts} ALERTS`.toUpperCase();
-    alertsCountEl.classList.remove('status-red','status-green','status-muted');
-    alertsCountEl.classList.add(totalAlerts > 0 ? 'status-red' : 'status-green');
-
     // Summary table counts
     const online = Math.max(0, devices.size - offline);
     sumTotalEl.textContent = String(devices.size);
@@ -499,26 +534,130 @@
     adjustLocationPanelHeight();
   }
 
-  function buildAlertItem(d, label) {
-    const valStr = (d._lastValueNumeric == null || isNaN(d._lastValueNumeric)) ? 'N/A' : `${Math.round(d._lastValueNumeric)}%`;
-    const minStr = (d.lpg_min_level == null || isNaN(d.lpg_min_level)) ? '—' : `${d.lpg_min_level}%`;
-    const maxStr = (d.lpg_max_level == null || isNaN(d.lpg_max_level)) ? '—' : `${d.lpg_max_level}%`;
-    const title = d.title || d.site || d.terminal_id;
+  /* ---------------------------
+     ALARMS: open alarms / history from the alarm event log
+     --------------------------- */
+
+  async function loadAlarmPermissions() {
+    try {
+      const j = await fetchJson('/api/me');
+      const role = j && j.user && j.user.role;
+      canManageAlarms = role === 'admin' || role === 'editor';
+    } catch {
+      canManageAlarms = false;
+    }
+  }
+
+  function formatAlarmTime(iso) {
+    if (!iso) return '—';
+    const d = new Date(iso);
+    return isNaN(d.getTime()) ? '—' : d.toLocaleString();
+  }
+
+  function alarmDeviceTitle(a) {
+    const d = devices.get(String(a.terminal_id));
+    return (d && (d.title || d.site)) || a.building_name || a.terminal_name || a.terminal_id;
+  }
+
+  async function refreshAlarms() {
+    const url = alarmsView === 'open' ? '/api/alarms?status=open' : '/api/alarms?status=all&limit=200';
+    let rows = [];
+    let openCount = 0;
+    try {
+      const j = await fetchJson(url);
+      rows = (j && j.rows) || [];
+      // Count indicator always reflects open alarms
+      const open = alarmsView === 'open' ? j : await fetchJson('/api/alarms?status=open&limit=1');
+      openCount = (open && open.total) || 0;
+    } catch (err) {
+      alertsListEl.innerHTML = `<div class="panel-subtitle" style="padding:8px;">Failed to load alarms: ${escapeHtml(err && err.message || 'Unknown error')}</div>`;
+      return;
+    }
+
+    if (rows.length === 0) {
+      alertsListEl.innerHTML = alarmsView === 'open'
+        ? `<div class="panel-subtitle" style="padding:8px;">✅ No open alarms</div>`
+        : `<div class="panel-subtitle" style="padding:8px;">No alarm history</div>`;
+    } else {
+      alertsListEl.innerHTML = rows.map(buildAlarmItem).join('');
+    }
+
+    alertsCountEl.textContent = `${openCount} OPEN`;
+    alertsCountEl.classList.remove('status-red','status-green','status-muted');
+    alertsCountEl.classList.add(openCount > 0 ? 'status-red' : 'status-green');
+  }
+
+  function buildAlarmItem(a) {
+    const label = ALARM_TYPE_LABELS[a.alarm_type] || a.alarm_type;
+    const valStr = a.last_value == null ? '—' : `${Math.round(a.last_value)}${a.alarm_type === 'data_stale' ? 'h silent' : a.alarm_type === 'leak_suspected' ? '%/h' : '%'}`;
+    const statusClass = a.status === 'cleared' ? 'status-green' : (a.status === 'acknowledged' ? 'status-muted' : 'status-red');
+    const statusText = a.status === 'cleared' ? 'Cleared' : (a.status === 'acknowledged' ? 'Acknowledged' : 'Active');
+
+    const meta = [`Raised: ${formatAlarmTime(a.raised_at)}`];
+    if (a.acknowledged_at) {
+      meta.push(`Ack: ${a.acknowledged_by || '—'} · ${formatAlarmTime(a.acknowledged_at)}${a.ack_comment ? ` — ${a.ack_comment}` : ''}`);
+    }
+    if (a.cleared_at) {
+      meta.push(`Cleared: ${a.cleared_by ? a.cleared_by : 'automatically'} · ${formatAlarmTime(a.cleared_at)}${a.clear_comment ? ` — ${a.clear_comment}` : ''}`);
+    }
+
+    let actions = '';
+    if (canManageAlarms && a.status !== 'cleared') {
+      actions = `
+        <div class="alert-actions">
+          ${a.status === 'active' ? `<button class="btn alarm-ack-btn" data-alarm="${escapeAttr(a.id)}">Ack</button>` : ''}
+          <button class="btn alarm-clear-btn" data-alarm="${escapeAttr(a.id)}">Resolve</button>
+        </div>`;
+    }
+
     return `
-      <div class="alert-row" data-terminal="${escapeAttr(d.terminal_id)}">
+      <div class="alert-row" data-terminal="${escapeAttr(a.terminal_id)}" data-alarm="${escapeAttr(a.id)}">
         <div class="alert-left">
-          <div class="name">${escapeHtml(title)}</div>
-          <div class="meta">SN: ${escapeHtml(d.sn || '—')}</div>
+          <div class="name">${escapeHtml(alarmDeviceTitle(a))}</div>
+          <div class="meta">${escapeHtml(a.message || label)}</div>
+          ${meta.map(m => `<div class="meta">${escapeHtml(m)}</div>`).join('')}
         </div>
         <div class="alert-right">
-          <div class="status status-red">${escapeHtml(label)}</div>
-          <div class="meta">Level: ${escapeHtml(valStr)}</div>
-          <div class="meta">Min/Max: ${escapeHtml(minStr)} / ${escapeHtml(maxStr)}</div>
+          <div class="status ${statusClass}">${escapeHtml(label)}</div>
+          <div class="meta">${escapeHtml(statusText)}</div>
+          <div class="meta">Value: ${escapeHtml(valStr)}</div>
+          ${actions}
         </div>
       </div>
     `;
   }
 
+  async function handleAlarmAction(id, action) {
+    const comment = prompt(action === 'ack' ? 'Acknowledge alarm — comment (optional):' : 'Resolve alarm — comment (optional):', '');
+    if (comment === null) return; // cancelled
+    try {
+      await postJson(`/api/alarms/${encodeURIComponent(id)}/${action}`, { comment });
+    } catch (err) {
+      alert(`Failed: ${err && err.message || 'Unknown error'}`);
+    }
+    await refreshAlarms();
+  }
+
+  function setAlarmsView(view) {
+    alarmsView = view;
+    if (alarmsTabOpenBtn) alarmsTabOpenBtn.classList.toggle('active', view === 'open');
+    if (alarmsTabHistoryBtn) alarmsTabHistoryBtn.classList.toggle('active', view === 'history');
+    refreshAlarms().catch(() => {});
+  }
+
+  if (alertsListEl) {
+    alertsListEl.addEventListener('click', (e) => {
+      const ackBtn = e.target.closest('.alarm-ack-btn');
+      const clearBtn = e.target.closest('.alarm-clear-btn');
+      if (!ackBtn && !clearBtn) return;
+      e.stopPropagation();
+      const btn = ackBtn || clearBtn;
+      handleAlarmAction(btn.getAttribute('data-alarm'), ackBtn ? 'ack' : 'clear');
+    });
+  }
+  if (alarmsTabOpenBtn) alarmsTabOpenBtn.addEventListener('click', (e) => { e.stopPropagation(); setAlarmsView('open'); });
+  if (alarmsTabHistoryBtn) alarmsTabHistoryBtn.addEventListener('click', (e) => { e.stopPropagation(); setAlarmsView('history'); });
+
   // Render devices table
   function renderTable() {
     const tbody = document.getElementById('devices-tbody');
@@ -599,7 +738,8 @@
     // Update total gas after live levels are refreshed
     updateTotalGasPanel();
 
-    renderAlertsAndSummary();
+    renderSummary();
+    await refreshAlarms();
     renderTable();
     renderMap();
     // Ensure summary-height cap applied (in case DOM sizes change after map)
@@ -692,6 +832,7 @@
   (async function initDashboard() {
     try {
       await loadCatalog();
+      await loadAlarmPermissions();
       setDefaultLocationIfAvailable();
 
       // Initial state for Total Gas panel (pre-levels)
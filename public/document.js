@@ -29,6 +29,10 @@
 //    - "DOE TPI Expiry Date" -> tpi_expiry_date
 // - New persisted fields (DB/API/UI):
 //    - gas_type, gas_contractor, plot, sector
+//
+// NEW: Expiry reminders in the Documents modal.
+// - Reminder contacts per site (building code) and per gas contractor: /api/document-reminder-contacts.
+// - Reminders already sent for the site: GET /api/tank-documents/:id/reminders.
 (function(){
   const API = {
     list: async (q = '') => {
@@ -83,6 +87,36 @@
       }
       return r.json();
     },
+    reminderContacts: async (scope, value) => {
+      const r = await fetch(`/api/document-reminder-contacts?scope=${encodeURIComponent(scope)}&value=${encodeURIComponent(value)}`, { cache: 'no-store' });
+      if (!r.ok) throw new Error('Failed to load reminder contacts');
+      return r.json();
+    },
+    saveReminderContact: async (payload) => {
+      const r = await fetch('/api/document-reminder-contacts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!r.ok) {
+        const j = await r.json().catch(() => ({}));
+        throw new Error(j.error || 'Save failed');
+      }
+      return r.json();
+    },
+    removeReminderContact: async (id) => {
+      const r = await fetch(`/api/document-reminder-contacts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      if (!r.ok) {
+        const j = await r.json().catch(() => ({}));
+        throw new Error(j.error || 'Delete failed');
+      }
+      return r.json();
+    },
+    remindersSent: async (id) => {
+      const r = await fetch(`/api/tank-documents/${encodeURIComponent(id)}/reminders`, { cache: 'no-store' });
+      if (!r.ok) throw new Error('Failed to load reminders');
+      return r.json();
+    },
     uploadFile: async (id, type, file) => {
       const fd = new FormData();
       fd.append('file', file);
@@ -759,6 +793,101 @@
     });
   }
 
+  // Reminder contacts of the site (building code) and its gas contractor, plus the reminders already sent
+  let remindersRow = null;
+
+  async function loadDocsReminders(row) {
+    remindersRow = row || null;
+    const infoEl = document.getElementById('docs-reminders-info');
+    const contactsEl = document.getElementById('docs-reminders-contacts');
+    const sentEl = document.getElementById('docs-reminders-sent');
+    if (!infoEl || !contactsEl || !sentEl) return;
+    contactsEl.innerHTML = '';
+    sentEl.innerHTML = '';
+    const scopeSelect = document.getElementById('docs-reminder-scope');
+    if (scopeSelect) {
+      scopeSelect.querySelector('option[value="site"]').disabled = !(row && row.building_code);
+      scopeSelect.querySelector('option[value="contractor"]').disabled = !(row && row.gas_contractor);
+      scopeSelect.value = row && row.building_code ? 'site' : 'contractor';
+    }
+    if (!row || !row.id) {
+      infoEl.textContent = 'Save the site first to set up reminders.';
+      return;
+    }
+    const scopes = [];
+    if (row.building_code) scopes.push({ scope: 'site', value: row.building_code, label: `Site ${row.building_code}` });
+    if (row.gas_contractor) scopes.push({ scope: 'contractor', value: row.gas_contractor, label: `Contractor ${row.gas_contractor}` });
+    if (!scopes.length) {
+      infoEl.textContent = 'Set a building code or gas contractor to add reminder contacts.';
+      return;
+    }
+    try {
+      const lists = await Promise.all(scopes.map(s => API.reminderContacts(s.scope, s.value)));
+      const days = (lists[0] && lists[0].days) || [];
+      const before = days.filter(d => d > 0).join(', ');
+      infoEl.textContent = `Reminders are e-mailed ${before ? `${before} days before` : ''}${before && days.includes(0) ? ' and ' : ''}${days.includes(0) ? 'on the day' : ''} each document expires.`;
+      contactsEl.innerHTML = scopes.map((s, i) => {
+        const rows = (lists[i] && lists[i].rows) || [];
+        return `
+          <div style="margin-bottom:6px;">
+            <strong style="font-size:11px;color:var(--muted);">${escapeHtml(s.label)}</strong>
+            ${rows.length ? rows.map(c => `
+              <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;padding:2px 0;">
+                <span>${escapeHtml(c.name ? `${c.name} <${c.email}>` : c.email)}</span>
+                <button type="button" class="btn-secondary docs-reminder-remove" data-contact-id="${escapeHtml(c.id)}" style="width:auto;margin:0;padding:2px 8px;font-size:11px;">Remove</button>
+              </div>`).join('') : '<div style="font-size:11px;color:var(--muted);">No contacts.</div>'}
+          </div>`;
+      }).join('');
+      contactsEl.querySelectorAll('.docs-reminder-remove').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.preventDefault();
+          if (!confirm('Remove this reminder contact?')) return;
+          try {
+            await API.removeReminderContact(btn.getAttribute('data-contact-id'));
+            await loadDocsReminders(remindersRow);
+          } catch (err) {
+            alert('Remove failed: ' + (err && err.message));
+          }
+        });
+      });
+
+      const sent = await API.remindersSent(row.id);
+      const sentRows = (sent && sent.rows) || [];
+      sentEl.innerHTML = sentRows.length
+        ? `<strong>Sent reminders</strong>${sentRows.slice(0, 20).map(r => `
+            <div>${escapeHtml(fmtDate(r.sent_at))} · ${escapeHtml(r.doc_label)} (${r.days_before === 0 ? 'expiry day' : `${escapeHtml(r.days_before)} days`}) → ${escapeHtml(r.email)}${r.file_name ? ` · ${escapeHtml(r.file_name)}` : ''}</div>`).join('')}`
+        : 'No reminders sent yet.';
+    } catch (err) {
+      infoEl.textContent = 'Failed to load reminders: ' + (err && err.message);
+    }
+  }
+
+  async function addDocsReminderContact(event) {
+    if (event && typeof event.preventDefault === 'function') event.preventDefault();
+    const row = remindersRow;
+    if (!row || !row.id) return;
+    const scope = document.getElementById('docs-reminder-scope')?.value || 'site';
+    const email = String(document.getElementById('docs-reminder-email')?.value || '').trim();
+    const name = String(document.getElementById('docs-reminder-name')?.value || '').trim();
+    const scopeValue = scope === 'site' ? row.building_code : row.gas_contractor;
+    if (!scopeValue) {
+      alert(scope === 'site' ? 'This site has no building code.' : 'This site has no gas contractor.');
+      return;
+    }
+    if (!email) {
+      alert('E-mail is required.');
+      return;
+    }
+    try {
+      await API.saveReminderContact({ scope, scope_value: scopeValue, email, name });
+      document.getElementById('docs-reminder-email').value = '';
+      document.getElementById('docs-reminder-name').value = '';
+      await loadDocsReminders(row);
+    } catch (err) {
+      alert('Save failed: ' + (err && err.message));
+    }
+  }
+
   function openDocsModal(row) {
     const modal = document.getElementById('docsModal');
     if (!modal) return;
@@ -766,6 +895,7 @@
     if (idInput) idInput.value = row && row.id ? row.id : '';
     fillDocsInfoHeader(row || {});
     fillDocsAttachmentInfo(row || {});
+    loadDocsReminders(row || {});
     modal.style.display = 'block';
 
     // Show/hide delete buttons based on whether a file exists
@@ -1348,6 +1478,8 @@
   window.deleteDocFile = deleteDocFile;
 
   window.addEventListener('load', () => {
+    const reminderAddBtn = document.getElementById('docs-reminder-add');
+    if (reminderAddBtn) reminderAddBtn.addEventListener('click', addDocsReminderContact);
     reloadAll().catch(e => {
       console.error(e);
       alert('Failed to load document tracker.');
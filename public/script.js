@@ -1,12 +1,5 @@
-// Devices to display — edit friendly names or IDs here
-let devices = [
-  { id: "230347", name: "Transmitter A" },
-  { id: "230344", name: "Transmitter B" },
-  { id: "230348", name: "Transmitter C" },
-  { id: "230345", name: "Transmitter D" },
-  { id: "230346", name: "Transmitter E" },
-  { id: "231927", name: "Transmitter F" }
-];
+// Devices to display — loaded from the terminal registry (/api/terminals) during init()
+let devices = [];
 
 // Poll interval in milliseconds
 const POLL_INTERVAL_MS = 20000;
@@ -219,6 +212,22 @@ function extractSnFromName(name) {
   return m ? m[0] : undefined;
 }
 
+// Load the enabled terminals from the registry and (re)build devices[]
+async function loadTerminals() {
+  try {
+    const resp = await fetch('/api/terminals?enabled=1', { cache: 'no-store' });
+    if (!resp.ok) throw new Error('Failed to fetch terminals');
+    const json = await resp.json();
+    const rows = Array.isArray(json.rows) ? json.rows : [];
+    devices = rows.map(t => ({
+      id: String(t.terminal_id),
+      name: t.name || `Terminal ${t.terminal_id}`
+    }));
+  } catch (err) {
+    console.warn('Failed to load terminals:', err && err.message);
+  }
+}
+
 // Load titles from the backend and update devices
 async function loadTitles() {
   try {
@@ -597,8 +606,11 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
     gsmValueEl.textContent = device._lastGsm != null ? (String(device._lastGsm) + ( /^\d+$/.test(String(device._lastGsm)) ? '%' : '' )) : '—';
   }
 
+  // One request returns every SOAP variable (LIVELLO, BATT, RSSI, ...) for this terminal
+  let variables = null;
+  let variablesError = null;
   try {
-    const url = `/api/tank?terminalId=${encodeURIComponent(device.id)}`;
+    const url = `/api/tank-variables?terminalId=${encodeURIComponent(device.id)}`;
     const resp = await fetch(url, { cache: 'no-store' });
 
     if (!resp.ok) {
@@ -606,7 +618,16 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
       throw new Error(err.error || err.message || resp.statusText || `HTTP ${resp.status}`);
     }
 
-    const data = await resp.json();
+    const json = await resp.json();
+    variables = (json && json.variables) ? json.variables : {};
+  } catch (err) {
+    variablesError = err;
+  }
+
+  try {
+    if (variablesError) throw variablesError;
+    const data = variables.LIVELLO;
+    if (!data) throw new Error('Device Offline');
     const rawValue = data.value;
     const timestamp = data.timestamp;
 
@@ -677,15 +698,13 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
     device._initialLoaded = true;
   }
 
-  // Fetch battery (BATT variable) and update battery UI — non-fatal if it fails
+  // Battery (BATT variable) from the same response — non-fatal if it is missing
   try {
-    const battUrl = `/api/tank?terminalId=${encodeURIComponent(device.id)}&variable=BATT`;
-    const respB = await fetch(battUrl, { cache: 'no-store' });
-    if (!respB.ok) {
+    const jb = variables ? variables.BATT : null;
+    if (!jb) {
       // keep previous displayed battery, mark muted
       throw new Error('Battery read failed');
     }
-    const jb = await respB.json();
     // server may include a computed percent
     let battPct = (jb && (jb.percent !== undefined && jb.percent !== null)) ? Number(jb.percent) : null;
     const rawBatt = jb && jb.value ? jb.value : null;
@@ -729,14 +748,12 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
     device._lastBatteryPct = device._lastBattery && /^\d+$/.test(String(device._lastBattery)) ? Number(device._lastBattery) : null;
   }
 
-  // NEW: Fetch RSSI (GSM signal) and update GSM UI — non-fatal if it fails
+  // RSSI (GSM signal) from the same response — non-fatal if it is missing
   try {
-    const rssiUrl = `/api/tank?terminalId=${encodeURIComponent(device.id)}&variable=RSSI`;
-    const respR = await fetch(rssiUrl, { cache: 'no-store' });
-    if (!respR.ok) {
+    const jr = variables ? variables.RSSI : null;
+    if (!jr) {
       throw new Error('RSSI read failed');
     }
-    const jr = await respR.json();
     const rawRssi = jr && (jr.value !== undefined && jr.value !== null) ? jr.value : null;
 
     const gsmPct = computeRssiPercent(rawRssi); // null if unknown/invalid
@@ -777,6 +794,202 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
   } catch (e) { /* ignore */ }
 }
 
+/* ---------------------------
+   Gas leak (LEL) alarm banner
+   - Driven by the server's 'lel_alarm' socket events (and the active LEL alarms on (re)connect)
+   - Blocks the page until every alarm is acknowledged (admin/editor) or dismissed (viewer)
+   - Beeps through WebAudio while shown; "Silence" stops the sound but keeps the banner
+   --------------------------- */
+// terminalId -> { level, lel, unit, threshold, alarmId, at }
+const lelAlarmBanners = new Map();
+let lelAlarmSound = null; // { ctx, timer }
+
+function lelAlarmTerminalName(tid) {
+  const dev = devices.find(d => String(d.id) === String(tid));
+  return (dev && (dev.title || dev.name)) || `Terminal ${tid}`;
+}
+
+function startLelAlarmSound() {
+  if (lelAlarmSound) return;
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    const ctx = new Ctx();
+    const beep = () => {
+      try {
+        if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+        const danger = Array.from(lelAlarmBanners.values()).some(b => b.level === 'danger');
+        [0, 0.25].forEach((offset, i) => {
+          const osc = ctx.createOscillator();
+          const gain = ctx.createGain();
+          osc.type = 'square';
+          osc.frequency.value = danger ? (i ? 660 : 990) : 880;
+          gain.gain.value = 0.08;
+          osc.connect(gain);
+          gain.connect(ctx.destination);
+          osc.start(ctx.currentTime + offset);
+          osc.stop(ctx.currentTime + offset + 0.18);
+        });
+      } catch (e) { /* ignore */ }
+    };
+    beep();
+    lelAlarmSound = { ctx, timer: setInterval(beep, 1200) };
+  } catch (e) {
+    lelAlarmSound = null;
+  }
+}
+
+function stopLelAlarmSound() {
+  if (!lelAlarmSound) return;
+  clearInterval(lelAlarmSound.timer);
+  try { lelAlarmSound.ctx.close(); } catch (e) { /* ignore */ }
+  lelAlarmSound = null;
+}
+
+function renderLelAlarmBanner() {
+  let overlay = document.querySelector('.lel-alarm-overlay');
+  if (lelAlarmBanners.size === 0) {
+    if (overlay) overlay.remove();
+    stopLelAlarmSound();
+    return;
+  }
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'lel-alarm-overlay';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Gas alarm');
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', onLelAlarmBannerClick);
+  }
+  const canAck = isAdmin() || isEditor();
+  const entries = Array.from(lelAlarmBanners.entries()).sort((a, b) => (a[1].level === 'danger' ? -1 : 0) - (b[1].level === 'danger' ? -1 : 0));
+  const anyDanger = entries.some(([, b]) => b.level === 'danger');
+  overlay.classList.toggle('danger', anyDanger);
+  overlay.innerHTML = `
+    <div class="lel-alarm-box">
+      <div class="lel-alarm-title">${anyDanger ? '⚠ GAS LEAK — DANGER' : '⚠ GAS DETECTED — WARNING'}</div>
+      ${entries.map(([tid, b]) => `
+        <div class="lel-alarm-item ${b.level === 'danger' ? 'danger' : 'warning'}">
+          <div>
+            <div class="lel-alarm-name">${escapeHtml(lelAlarmTerminalName(tid))}</div>
+            <div class="lel-alarm-meta">${escapeHtml(b.level.toUpperCase())} · ${escapeHtml(String(b.lel))} ${escapeHtml(b.unit || '%LEL')}${b.threshold != null ? ` (threshold ${escapeHtml(String(b.threshold))})` : ''}</div>
+            <div class="lel-alarm-meta">${escapeHtml(b.at ? formatDateTimeIso(b.at) : '')}${b.alarmId ? ` · Alarm #${escapeHtml(String(b.alarmId))}` : ''}</div>
+          </div>
+          <div>
+            ${canAck && b.alarmId
+              ? `<button class="btn lel-alarm-ack" type="button" data-terminal="${escapeHtml(tid)}">Acknowledge</button>`
+              : `<button class="btn lel-alarm-dismiss" type="button" data-terminal="${escapeHtml(tid)}">Dismiss</button>`}
+          </div>
+        </div>`).join('')}
+      <div class="lel-alarm-actions">
+        <button class="btn lel-alarm-silence" type="button"${lelAlarmSound ? '' : ' disabled'}>Silence</button>
+        <span class="lel-alarm-msg"></span>
+      </div>
+    </div>
+  `;
+}
+
+async function onLelAlarmBannerClick(e) {
+  const overlay = e.currentTarget;
+  const msg = overlay.querySelector('.lel-alarm-msg');
+  if (e.target.closest('.lel-alarm-silence')) {
+    stopLelAlarmSound();
+    e.target.closest('.lel-alarm-silence').disabled = true;
+    return;
+  }
+  const dismissBtn = e.target.closest('.lel-alarm-dismiss');
+  if (dismissBtn) {
+    lelAlarmBanners.delete(dismissBtn.getAttribute('data-terminal'));
+    renderLelAlarmBanner();
+    return;
+  }
+  const ackBtn = e.target.closest('.lel-alarm-ack');
+  if (ackBtn) {
+    const tid = ackBtn.getAttribute('data-terminal');
+    const b = lelAlarmBanners.get(tid);
+    if (!b) return;
+    const comment = prompt('Acknowledge gas alarm — comment (optional):', '');
+    if (comment === null) return;
+    try {
+      ackBtn.disabled = true;
+      await terminalsApi('POST', `/api/alarms/${encodeURIComponent(b.alarmId)}/ack`, { comment });
+      lelAlarmBanners.delete(tid);
+      renderLelAlarmBanner();
+    } catch (err) {
+      ackBtn.disabled = false;
+      // someone else may have acknowledged it already
+      if (/already/i.test(err && err.message)) {
+        lelAlarmBanners.delete(tid);
+        renderLelAlarmBanner();
+      } else if (msg) {
+        msg.textContent = 'Acknowledge failed: ' + (err && err.message);
+      }
+    }
+  }
+}
+
+function handleLelAlarmEvent(evt) {
+  if (!evt || evt.terminalId == null) return;
+  const tid = String(evt.terminalId);
+  if (evt.level === 'warning' || evt.level === 'danger') {
+    lelAlarmBanners.set(tid, {
+      level: evt.level,
+      lel: evt.lel,
+      unit: evt.unit,
+      threshold: evt.threshold,
+      alarmId: evt.alarm && evt.alarm.id,
+      at: evt.at
+    });
+    renderLelAlarmBanner();
+    startLelAlarmSound();
+  } else if (lelAlarmBanners.has(tid)) {
+    lelAlarmBanners.delete(tid);
+    renderLelAlarmBanner();
+  }
+}
+
+// Show gas alarms that are still unacknowledged (page load / socket reconnect)
+async function loadActiveLelAlarms() {
+  try {
+    const j = await terminalsApi('GET', '/api/alarms?status=active');
+    const rows = (j && j.rows) || [];
+    let added = false;
+    rows.filter(a => a.alarm_type === 'lel_warning' || a.alarm_type === 'lel_danger').forEach(a => {
+      const tid = String(a.terminal_id);
+      const existing = lelAlarmBanners.get(tid);
+      if (existing && existing.alarmId === a.id) return;
+      lelAlarmBanners.set(tid, {
+        level: a.alarm_type === 'lel_danger' ? 'danger' : 'warning',
+        lel: a.last_value,
+        unit: '%LEL',
+        threshold: a.threshold,
+        alarmId: a.id,
+        at: a.raised_at
+      });
+      added = true;
+    });
+    if (added) {
+      renderLelAlarmBanner();
+      startLelAlarmSound();
+    }
+  } catch (e) {
+    // ignore (e.g. not logged in yet)
+  }
+}
+
+// Drop banners for alarms acknowledged or cleared elsewhere
+function handleAlarmEventForBanner(evt) {
+  const a = evt && evt.alarm;
+  if (!a || (evt.action !== 'acknowledged' && evt.action !== 'cleared')) return;
+  const tid = String(a.terminal_id);
+  const b = lelAlarmBanners.get(tid);
+  if (b && b.alarmId === a.id) {
+    lelAlarmBanners.delete(tid);
+    renderLelAlarmBanner();
+  }
+}
+
 /* ---------------------------
    Realtime via socket.io (replacement for the old ws-based IIFE)
    --------------------------- */
@@ -899,6 +1112,15 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
 
     socket.on('connect', () => {
       // console.log('Realtime socket.io connected');
+      loadActiveLelAlarms();
+    });
+
+    // Gas (LEL) safety alarms -> blocking banner with sound
+    socket.on('lel_alarm', (evt) => {
+      try { handleLelAlarmEvent(evt); } catch (e) { console.warn('lel_alarm handler error', e && e.message); }
+    });
+    socket.on('alarm_event', (evt) => {
+      try { handleAlarmEventForBanner(evt); } catch (e) { /* ignore */ }
     });
 
     // Snapshot init (object of terminalId -> status)
@@ -1072,8 +1294,9 @@ async function fetchAndUpdate(device, cardEl, showSpinner = false) {
           if (!isNaN(n)) lelVal = n;
         }
 
-        // If not found, use robust extractor
-        if (lelVal === null) {
+        // The server already parsed the payload with the topic's schema: a `lel` key (even null) is authoritative.
+        // Only payloads without one (older servers) go through the extractor.
+        if (lelVal === null && !Object.prototype.hasOwnProperty.call(normalized, 'lel')) {
           lelVal = extractLelFromPayload(normalized);
         }
 
@@ -1300,6 +1523,69 @@ async function fetchAndFilterRows(terminalId, { limit = 2000, startMs = null, en
   return filtered;
 }
 
+// Gas detector (LEL) readings stored from MQTT; empty when the terminal has no gas detector feed
+async function fetchLelHistory(terminalId, { startMs = null, endMs = null } = {}) {
+  const params = new URLSearchParams({ terminalId: String(terminalId) });
+  if (startMs != null) params.set('since', new Date(startMs).toISOString());
+  if (endMs != null) params.set('until', new Date(endMs).toISOString());
+  const resp = await fetch(`/api/lel-history?${params.toString()}`, { cache: 'no-store' });
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({}));
+    throw new Error(err.error || resp.statusText || 'Failed to load LEL history');
+  }
+  const data = await resp.json();
+  return (data && data.rows) ? data.rows : [];
+}
+
+// Gas panel connectivity summary (uptime %, outages, ping latency) for a time range
+async function fetchPanelUptime(terminalId, { startMs = null, endMs = null } = {}) {
+  const params = new URLSearchParams({ terminalId: String(terminalId) });
+  if (startMs != null) params.set('since', new Date(startMs).toISOString());
+  if (endMs != null) params.set('until', new Date(endMs).toISOString());
+  const resp = await fetch(`/api/panel-uptime?${params.toString()}`, { cache: 'no-store' });
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({}));
+    throw new Error(err.error || resp.statusText || 'Failed to load panel uptime');
+  }
+  return resp.json();
+}
+
+// 3725000 -> "1h 2m"
+function formatDurationMs(ms) {
+  if (ms == null || isNaN(ms)) return '—';
+  const totalMin = Math.round(ms / 60000);
+  if (totalMin < 1) return '<1m';
+  const d = Math.floor(totalMin / 1440);
+  const h = Math.floor((totalMin % 1440) / 60);
+  const m = totalMin % 60;
+  return [d ? `${d}d` : '', h ? `${h}h` : '', m ? `${m}m` : ''].filter(Boolean).join(' ');
+}
+
+function downloadOutagesCSV(filename, uptime, title) {
+  const lines = [];
+  if (title) {
+    lines.push(`"${String(title).replace(/"/g, '""')}"`);
+    lines.push('');
+  }
+  lines.push(`"Uptime %",${uptime.uptime_percent == null ? '' : uptime.uptime_percent}`);
+  lines.push('');
+  lines.push('outage_start_local,outage_end_local,duration_minutes');
+  for (const o of (uptime.outages || [])) {
+    const start = new Date(o.start).toLocaleString();
+    const end = o.end ? new Date(o.end).toLocaleString() : 'ongoing';
+    lines.push([`"${start.replace(/"/g, '""')}"`, `"${end.replace(/"/g, '""')}"`, Math.round(o.duration_ms / 60000)].join(','));
+  }
+  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 /* Utility: format ms -> datetime-local value "YYYY-MM-DDTHH:MM" (local time) */
 function toDatetimeLocalValue(ms) {
   const d = new Date(ms);
@@ -1342,6 +1628,14 @@ function showHistoryModal(terminalId, terminalName) {
         <canvas id="history-chart" width="1200" height="480" style="width:100%;height:100%;cursor:grab;"></canvas>
       </div>
       <div id="history-msg" class="history-msg"></div>
+      <div class="panel-uptime" style="display:none;padding:6px 8px;">
+        <div style="display:flex;align-items:center;gap:12px;flex-wrap:wrap;">
+          <span class="panel-uptime-summary"></span>
+          <button class="btn panel-outages-toggle" type="button">Show Outages</button>
+          <button class="btn panel-outages-export" type="button">Export Outages</button>
+        </div>
+        <div class="panel-outages" style="display:none;max-height:180px;overflow:auto;margin-top:6px;"></div>
+      </div>
     </div>
   `;
   document.body.appendChild(modal);
@@ -1361,6 +1655,64 @@ function showHistoryModal(terminalId, terminalName) {
   const applyBtn = modal.querySelector('.apply-range');
 
   let currentRows = []; // keep loaded rows for exports/stats
+  let currentLelRows = []; // gas detector readings shown alongside the tank level
+  let currentUptime = null; // gas panel connectivity for the loaded range
+
+  const uptimeEl = modal.querySelector('.panel-uptime');
+  const uptimeSummaryEl = modal.querySelector('.panel-uptime-summary');
+  const outagesEl = modal.querySelector('.panel-outages');
+  const outagesToggle = modal.querySelector('.panel-outages-toggle');
+
+  function renderPanelUptime(u) {
+    currentUptime = u;
+    // Nothing recorded for this terminal (no panel, or no pings yet) -> keep the section hidden
+    if (!u || (u.uptime_percent == null && !(u.outages || []).length)) {
+      uptimeEl.style.display = 'none';
+      return;
+    }
+    const outages = u.outages || [];
+    const down = outages.reduce((sum, o) => sum + (o.duration_ms || 0), 0);
+    const parts = [
+      `Gas panel uptime: <strong>${u.uptime_percent == null ? '—' : u.uptime_percent + '%'}</strong>`,
+      `${outages.length} outage${outages.length === 1 ? '' : 's'}${outages.length ? ` (${escapeHtml(formatDurationMs(down))} total)` : ''}`
+    ];
+    if (u.latency && u.latency.avg_ms != null) parts.push(`avg ping ${escapeHtml(String(u.latency.avg_ms))} ms`);
+    if (u.latency && u.latency.loss_percent != null) parts.push(`loss ${escapeHtml(String(u.latency.loss_percent))}%`);
+    uptimeSummaryEl.innerHTML = parts.join(' · ');
+    outagesEl.innerHTML = outages.length ? `
+      <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+        <thead><tr>
+          <th style="text-align:left;padding:6px;">Offline From</th>
+          <th style="text-align:left;padding:6px;">Back Online</th>
+          <th style="text-align:left;padding:6px;">Duration</th>
+        </tr></thead>
+        <tbody>${outages.map(o => `
+          <tr>
+            <td style="padding:6px;">${escapeHtml(formatDateTimeIso(o.start))}</td>
+            <td style="padding:6px;">${o.ongoing ? '<span style="color:#ff6b6b;">Still offline</span>' : escapeHtml(formatDateTimeIso(o.end))}</td>
+            <td style="padding:6px;">${escapeHtml(formatDurationMs(o.duration_ms))}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '<div style="color:var(--muted);">No outages in this range.</div>';
+    uptimeEl.style.display = '';
+  }
+
+  outagesToggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const show = outagesEl.style.display === 'none';
+    outagesEl.style.display = show ? '' : 'none';
+    outagesToggle.textContent = show ? 'Hide Outages' : 'Show Outages';
+  });
+
+  modal.querySelector('.panel-outages-export').addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (!currentUptime) return;
+    const title = (titleInput && titleInput.value) ? String(titleInput.value).trim() : '';
+    // Do NOT use terminalId in fallback filename to avoid leaking IDs via downloads.
+    const safe = sanitizeFilename(title) || sanitizeFilename(terminalName) || 'panel';
+    const rangeLabel = `${formatDateTimeIso(currentUptime.since)} - ${formatDateTimeIso(currentUptime.until)}`;
+    downloadOutagesCSV(`${safe}_panel_outages.csv`, currentUptime, `${title || terminalName || ''} gas panel outages ${rangeLabel}`.trim());
+  });
   let statsDropdown = null;
   let exportDropdown = null;
 
@@ -1388,13 +1740,7 @@ function showHistoryModal(terminalId, terminalName) {
       // If start/end provided, request large limit so client filtering is reliable
       const fetchLimit = (startMs != null || endMs != null) ? 50000 : limit;
       const rows = await fetchAndFilterRows(terminalId, { limit: fetchLimit, startMs, endMs });
-      currentRows = rows;
-      if (!rows || rows.length === 0) {
-        msgEl.textContent = 'No history data available for that range.';
-        if (_activeChart) { _activeChart.destroy(); _activeChart = null; }
-        return;
-      }
-      msgEl.textContent = '';
+      currentRows = rows || [];
 
       // Build numeric-millisecond points (x: ms, y: value)
       const points = currentRows.map(r => {
@@ -1402,8 +1748,38 @@ function showHistoryModal(terminalId, terminalName) {
         return { x: isNaN(ms) ? null : ms, y: (r.tank_level === null ? NaN : Number(r.tank_level)) };
       }).filter(pt => pt.x !== null && !isNaN(pt.x));
 
+      // Gas detector readings for the same span (the tank range when no explicit range was picked)
+      let lelRows = [];
+      try {
+        lelRows = await fetchLelHistory(terminalId, {
+          startMs: startMs != null ? startMs : (points.length ? points[0].x : null),
+          endMs
+        });
+      } catch (e) {
+        console.warn('LEL history unavailable', e && e.message);
+      }
+      currentLelRows = lelRows;
+
+      // Gas panel connectivity over the same span (defaults to the last 7 days server-side)
+      fetchPanelUptime(terminalId, {
+        startMs: startMs != null ? startMs : (points.length ? points[0].x : null),
+        endMs
+      }).then(renderPanelUptime).catch(e => {
+        console.warn('Panel uptime unavailable', e && e.message);
+        renderPanelUptime(null);
+      });
+      const lelPoints = lelRows.map(r => ({ x: Date.parse(r.timestamp), y: (r.lel === null ? NaN : Number(r.lel)) }))
+        .filter(pt => !isNaN(pt.x));
+
+      if (points.length === 0 && lelPoints.length === 0) {
+        msgEl.textContent = 'No history data available for that range.';
+        if (_activeChart) { _activeChart.destroy(); _activeChart = null; }
+        return;
+      }
+      msgEl.textContent = '';
+
       // Create chart from numeric points
-      createChart(points, chartCanvas, titleInput ? String(titleInput.value || '') : '');
+      createChart(points, chartCanvas, titleInput ? String(titleInput.value || '') : '', lelPoints);
 
       // auto-populate start/end inputs with actual range (optional)
       const firstTs = points.length ? points[0].x : null;
@@ -1461,11 +1837,17 @@ function showHistoryModal(terminalId, terminalName) {
     const stats = computeStats(currentRows.map(r => (r.tank_level === null ? NaN : Number(r.tank_level))));
     const fmt = v => (v == null ? '—' : (Math.round(v * 100) / 100).toString());
 
+    const lelStats = computeStats(currentLelRows.map(r => (r.lel === null ? NaN : Number(r.lel))));
+
     statsDropdown.innerHTML = `
       <div class="dropdown-row"><div>Count</div><div>${stats.count}</div></div>
       <div class="dropdown-row"><div>Min</div><div>${fmt(stats.min)}</div></div>
       <div class="dropdown-row"><div>Max</div><div>${fmt(stats.max)}</div></div>
       <div class="dropdown-row"><div>Avg</div><div>${fmt(stats.avg)}</div></div>
+      ${lelStats.count ? `
+      <div class="dropdown-row"><div>LEL Max</div><div>${fmt(lelStats.max)}</div></div>
+      <div class="dropdown-row"><div>LEL Avg</div><div>${fmt(lelStats.avg)}</div></div>
+      ` : ''}
     `;
     document.body.appendChild(statsDropdown);
 
@@ -1579,8 +1961,9 @@ function showHistoryModal(terminalId, terminalName) {
      --------------------------- */
 
   // NOTE: createChart accepts a points array of {x: msNumber, y: numeric} and the chartCanvas element.
+  // Optional lelPoints (same shape) are drawn as a second series on their own axis.
   // It will set _activeChart.
-  function createChart(points, canvasEl, title = '') {
+  function createChart(points, canvasEl, title = '', lelPoints = []) {
     try {
       if (_activeChart) {
         try { _activeChart.destroy(); } catch(e) { /* ignore */ }
@@ -1591,6 +1974,8 @@ function showHistoryModal(terminalId, terminalName) {
 
       // Defensive: ensure points sorted ascending by x
       points.sort((a,b) => (a.x || 0) - (b.x || 0));
+      lelPoints.sort((a,b) => (a.x || 0) - (b.x || 0));
+      const hasLel = lelPoints.length > 0;
 
       // Use the numeric ms timestamps directly as x values
       const cfg = {
@@ -1610,7 +1995,20 @@ function showHistoryModal(terminalId, terminalName) {
             pointHoverRadius: 6,
             spanGaps: false,
             cubicInterpolationMode: 'monotone'
-          }]
+          }].concat(hasLel ? [{
+            label: 'Gas detector LEL (%)',
+            data: lelPoints.map(p => ({ x: p.x, y: (p.y === null ? NaN : p.y) })),
+            parsing: false,
+            yAxisID: 'yLel',
+            fill: false,
+            borderColor: 'rgba(239,68,68,0.95)',
+            backgroundColor: 'rgba(239,68,68,0.12)',
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            borderWidth: 1.5,
+            stepped: true,
+            spanGaps: true
+          }] : [])
         },
         options: {
           responsive: true,
@@ -1638,11 +2036,19 @@ function showHistoryModal(terminalId, terminalName) {
               beginAtZero: true,
               suggestedMax: 100,
               title: { display: true, text: '%' }
+            },
+            yLel: {
+              display: hasLel,
+              position: 'right',
+              beginAtZero: true,
+              suggestedMax: 10,
+              grid: { drawOnChartArea: false },
+              title: { display: true, text: 'LEL %' }
             }
           },
           interaction: { mode: 'index', intersect: false },
           plugins: {
-            legend: { display: false },
+            legend: { display: hasLel },
             tooltip: {
               mode: 'index',
               callbacks: {
@@ -1686,10 +2092,11 @@ function showHistoryModal(terminalId, terminalName) {
 
       _activeChart = new Chart(ctx, cfg);
 
-      // Set initial visible range to full dataset
-      const firstTs = points.length ? points[0].x : null;
-      const lastTs = points.length ? points[points.length - 1].x : null;
-      if (!isNaN(firstTs) && !isNaN(lastTs)) {
+      // Set initial visible range to full dataset (tank level, or LEL when there is no tank data)
+      const rangePoints = points.length ? points : lelPoints;
+      const firstTs = rangePoints.length ? rangePoints[0].x : null;
+      const lastTs = rangePoints.length ? rangePoints[rangePoints.length - 1].x : null;
+      if (firstTs != null && lastTs != null && !isNaN(firstTs) && !isNaN(lastTs)) {
         _activeChart.options.scales.x.min = firstTs;
         _activeChart.options.scales.x.max = lastTs;
         _activeChart.update('none');
@@ -1958,12 +2365,79 @@ function buildDeviceInfoModalHtml(uniqueId) {
           <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">LPG Maximum Level (%)</label>
           <input id="device-info-max-${uniqueId}" class="graph-title-input" placeholder="Max % (0-100)" />
 
+          <!-- Alarm tuning: leave empty to use the server defaults -->
+          <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">Alarm Deadband (%)</label>
+          <input id="device-info-deadband-${uniqueId}" class="graph-title-input" placeholder="e.g. 2 (empty = default)" />
+
+          <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">Alarm Minimum Duration (minutes)</label>
+          <input id="device-info-duration-${uniqueId}" class="graph-title-input" placeholder="e.g. 30 (empty = default)" />
+
+          <!-- Gas detector (LEL) safety thresholds -->
+          <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">Gas LEL Warning Level</label>
+          <input id="device-info-lel-warning-${uniqueId}" class="graph-title-input" placeholder="e.g. 10 (empty = default)" />
+
+          <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">Gas LEL Danger Level</label>
+          <input id="device-info-lel-danger-${uniqueId}" class="graph-title-input" placeholder="e.g. 20 (empty = default)" />
+
           <!-- NEW: Alarm E-mail (supports multiple, comma or semicolon separated) -->
           <label style="display:block;margin-top:10px;margin-bottom:6px;color:var(--muted);font-size:13px;">Alarm E-mail(s)</label>
           <input id="device-info-email-${uniqueId}" class="graph-title-input" placeholder="e.g. alarm@example.com, other@example.com" />
         </div>
       </div>
 
+      <!-- Alarm recipients (per terminal / project / emirate, with escalation tiers) -->
+      <div style="margin-top:14px;">
+        <strong>Alarm Recipients</strong>
+        <div style="margin-top:4px;color:var(--muted);font-size:12px;">Tier 1 (and the Alarm E-mail(s) above) is notified when an alarm is raised; higher tiers are notified while it stays unacknowledged.</div>
+        <div id="device-info-recipients-${uniqueId}" style="margin-top:8px;overflow:auto;max-height:220px;color:var(--muted);font-size:13px;">Select a device to manage its recipients.</div>
+        <div class="device-info-recipient-form" style="display:flex;gap:6px;flex-wrap:wrap;align-items:center;margin-top:8px;">
+          <select id="device-info-rcp-scope-${uniqueId}" class="graph-title-input" style="width:auto;">
+            <option value="terminal">This terminal</option>
+            <option value="project">This project</option>
+            <option value="emirate">This emirate</option>
+          </select>
+          <input id="device-info-rcp-email-${uniqueId}" class="graph-title-input" placeholder="E-mail" style="flex:1 1 180px;width:auto;" />
+          <input id="device-info-rcp-phone-${uniqueId}" class="graph-title-input" placeholder="Mobile for SMS (+971…)" style="flex:1 1 140px;width:auto;" />
+          <input id="device-info-rcp-name-${uniqueId}" class="graph-title-input" placeholder="Name (optional)" style="flex:1 1 140px;width:auto;" />
+          <select id="device-info-rcp-role-${uniqueId}" class="graph-title-input" style="width:auto;">
+            <option value="site_contact">Site contact</option>
+            <option value="operations">Alfanar operations</option>
+            <option value="supplier">Supplier</option>
+          </select>
+          <input id="device-info-rcp-tier-${uniqueId}" class="graph-title-input" type="number" min="1" max="10" value="1" title="Escalation tier" style="width:70px;" />
+          <input id="device-info-rcp-quiet-${uniqueId}" class="graph-title-input" placeholder="Quiet hours (22:00-06:00)" title="Non-critical alarms are held until the quiet hours end" style="width:170px;" />
+          <select id="device-info-rcp-lang-${uniqueId}" class="graph-title-input" title="E-mail language" style="width:auto;">
+            <option value="en">English</option>
+            <option value="ar">العربية</option>
+          </select>
+          <button class="btn device-info-rcp-add" type="button">Add</button>
+        </div>
+      </div>
+
+      <!-- Maintenance windows (per terminal / site / project; optionally weekly) -->
+      <div style="margin-top:14px;">
+        <strong>Maintenance Windows</strong>
+        <div style="margin-top:4px;color:var(--muted);font-size:12px;">While a window is active, alarms are still logged but nobody is notified. Gas (LEL) alarms are always sent.</div>
+        <div id="device-info-maint-${uniqueId}" style="margin-top:8px;overflow:auto;max-height:180px;color:var(--muted);font-size:13px;">Select a device to manage its maintenance windows.</div>
+        <div class="device-info-maint-form" style="display:flex;gap:6px;flex-wrap:wrap;align-items:center;margin-top:8px;">
+          <select id="device-info-mw-scope-${uniqueId}" class="graph-title-input" style="width:auto;">
+            <option value="terminal">This terminal</option>
+            <option value="site">This site</option>
+            <option value="project">This project</option>
+          </select>
+          <input id="device-info-mw-start-${uniqueId}" class="graph-title-input" type="datetime-local" title="From" style="width:auto;" />
+          <input id="device-info-mw-end-${uniqueId}" class="graph-title-input" type="datetime-local" title="Until (optional for weekly windows)" style="width:auto;" />
+          <select id="device-info-mw-recurrence-${uniqueId}" class="graph-title-input" style="width:auto;">
+            <option value="none">One-off</option>
+            <option value="weekly">Weekly</option>
+          </select>
+          <input id="device-info-mw-weekdays-${uniqueId}" class="graph-title-input" placeholder="Days (mon,wed)" title="Weekly windows: days, empty = every day" style="width:120px;" />
+          <input id="device-info-mw-daily-${uniqueId}" class="graph-title-input" placeholder="Hours (08:00-12:00)" title="Weekly windows: time of day" style="width:140px;" />
+          <input id="device-info-mw-reason-${uniqueId}" class="graph-title-input" placeholder="Reason (optional)" style="flex:1 1 140px;width:auto;" />
+          <button class="btn device-info-mw-add" type="button">Add</button>
+        </div>
+      </div>
+
       <div id="device-info-msg-${uniqueId}" class="history-msg" style="margin-top:10px;"></div>
     </div>
   `;
@@ -1995,6 +2469,10 @@ function showDeviceInfoModal(initialSerial) {
   // NEW threshold inputs
   const minInput = modal.querySelector(`#device-info-min-${unique}`);
   const maxInput = modal.querySelector(`#device-info-max-${unique}`);
+  const deadbandInput = modal.querySelector(`#device-info-deadband-${unique}`);
+  const durationInput = modal.querySelector(`#device-info-duration-${unique}`);
+  const lelWarningInput = modal.querySelector(`#device-info-lel-warning-${unique}`);
+  const lelDangerInput = modal.querySelector(`#device-info-lel-danger-${unique}`);
 
   // NEW alarm email input
   const emailInput = modal.querySelector(`#device-info-email-${unique}`);
@@ -2006,6 +2484,241 @@ function showDeviceInfoModal(initialSerial) {
   // NEW Tank Title input
   const titleInput = modal.querySelector(`#device-info-title-${unique}`);
 
+  // Alarm recipients section
+  const recipientsEl = modal.querySelector(`#device-info-recipients-${unique}`);
+  const rcpScopeSelect = modal.querySelector(`#device-info-rcp-scope-${unique}`);
+  const rcpEmailInput = modal.querySelector(`#device-info-rcp-email-${unique}`);
+  const rcpPhoneInput = modal.querySelector(`#device-info-rcp-phone-${unique}`);
+  const rcpNameInput = modal.querySelector(`#device-info-rcp-name-${unique}`);
+  const rcpRoleSelect = modal.querySelector(`#device-info-rcp-role-${unique}`);
+  const rcpTierInput = modal.querySelector(`#device-info-rcp-tier-${unique}`);
+  const rcpQuietInput = modal.querySelector(`#device-info-rcp-quiet-${unique}`);
+  const rcpLangSelect = modal.querySelector(`#device-info-rcp-lang-${unique}`);
+  const rcpAddBtn = modal.querySelector('.device-info-rcp-add');
+  const rcpForm = modal.querySelector('.device-info-recipient-form');
+  const canEditRecipients = isAdmin() || isEditor();
+  if (!canEditRecipients && rcpForm) rcpForm.style.display = 'none';
+  // terminal / project / emirate values the recipient scopes resolve to for the loaded device
+  let recipientScopes = null;
+
+  const RECIPIENT_ROLE_LABELS = { site_contact: 'Site contact', operations: 'Alfanar operations', supplier: 'Supplier' };
+
+  function setRecipientsMsg(text, color) {
+    msgEl.style.color = color || 'var(--muted)';
+    msgEl.textContent = text;
+  }
+
+  async function loadRecipients(tid) {
+    recipientScopes = null;
+    if (!tid) {
+      recipientsEl.textContent = 'Select a device to manage its recipients.';
+      return;
+    }
+    recipientsEl.textContent = 'Loading recipients…';
+    try {
+      const j = await terminalsApi('GET', `/api/alarm-recipients?terminalId=${encodeURIComponent(tid)}`);
+      recipientScopes = { terminal: String(tid), project: j.project_code || null, emirate: j.emirate || null };
+      const rows = j.rows || [];
+      if (rows.length === 0) {
+        recipientsEl.textContent = 'No recipients yet.';
+        return;
+      }
+      const scopeLabel = (r) => r.scope === 'terminal' ? 'Terminal' : (r.scope === 'project' ? `Project ${r.scope_value}` : `Emirate ${r.scope_value}`);
+      recipientsEl.innerHTML = `
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;font-size:13px;">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:4px 6px;">Tier</th>
+              <th style="text-align:left;padding:4px 6px;">Applies to</th>
+              <th style="text-align:left;padding:4px 6px;">Role</th>
+              <th style="text-align:left;padding:4px 6px;">Name</th>
+              <th style="text-align:left;padding:4px 6px;">E-mail</th>
+              <th style="text-align:left;padding:4px 6px;">SMS</th>
+              <th style="text-align:left;padding:4px 6px;">Quiet hours</th>
+              <th style="text-align:left;padding:4px 6px;">Language</th>
+              <th style="padding:4px 6px;"></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(r => `
+              <tr>
+                <td style="padding:4px 6px;">${escapeHtml(String(r.tier))}</td>
+                <td style="padding:4px 6px;">${escapeHtml(scopeLabel(r))}</td>
+                <td style="padding:4px 6px;">${escapeHtml(RECIPIENT_ROLE_LABELS[r.role] || r.role)}</td>
+                <td style="padding:4px 6px;">${escapeHtml(r.name || '—')}</td>
+                <td style="padding:4px 6px;">${escapeHtml(r.email || '—')}</td>
+                <td style="padding:4px 6px;">${escapeHtml(r.phone || '—')}</td>
+                <td style="padding:4px 6px;">${escapeHtml(r.quiet_hours || '—')}</td>
+                <td style="padding:4px 6px;">${r.language === 'ar' ? 'العربية' : (r.language === 'en' ? 'English' : '—')}</td>
+                <td style="padding:4px 6px;text-align:right;">${canEditRecipients ? `<button class="btn device-info-rcp-remove" type="button" data-id="${escapeHtml(String(r.id))}">Remove</button>` : ''}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (err) {
+      recipientsEl.textContent = 'Failed to load recipients: ' + (err && err.message);
+    }
+  }
+
+  rcpAddBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    if (!recipientScopes) {
+      setRecipientsMsg('Select a device first.', '#ffdede');
+      return;
+    }
+    const scope = rcpScopeSelect.value;
+    const scopeValue = recipientScopes[scope];
+    if (!scopeValue) {
+      setRecipientsMsg(`This device has no saved ${scope === 'project' ? 'project code' : 'emirate'} yet. Save it first.`, '#ffdede');
+      return;
+    }
+    try {
+      setRecipientsMsg('Saving recipient…');
+      await terminalsApi('POST', '/api/alarm-recipients', {
+        scope,
+        scope_value: scopeValue,
+        email: rcpEmailInput.value.trim(),
+        phone: rcpPhoneInput.value.trim(),
+        name: rcpNameInput.value.trim(),
+        role: rcpRoleSelect.value,
+        tier: rcpTierInput.value,
+        quiet_hours: rcpQuietInput.value.trim(),
+        language: rcpLangSelect.value
+      });
+      rcpEmailInput.value = '';
+      rcpPhoneInput.value = '';
+      rcpNameInput.value = '';
+      rcpQuietInput.value = '';
+      setRecipientsMsg('Recipient saved.', '#22c55e');
+      await loadRecipients(recipientScopes.terminal);
+    } catch (err) {
+      setRecipientsMsg('Failed to save recipient: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  recipientsEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.device-info-rcp-remove');
+    if (!btn || !recipientScopes) return;
+    e.stopPropagation();
+    if (!confirm('Remove this alarm recipient?')) return;
+    try {
+      await terminalsApi('DELETE', `/api/alarm-recipients/${encodeURIComponent(btn.getAttribute('data-id'))}`);
+      await loadRecipients(recipientScopes.terminal);
+    } catch (err) {
+      setRecipientsMsg('Failed to remove recipient: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  // Maintenance windows section
+  const maintEl = modal.querySelector(`#device-info-maint-${unique}`);
+  const mwScopeSelect = modal.querySelector(`#device-info-mw-scope-${unique}`);
+  const mwStartInput = modal.querySelector(`#device-info-mw-start-${unique}`);
+  const mwEndInput = modal.querySelector(`#device-info-mw-end-${unique}`);
+  const mwRecurrenceSelect = modal.querySelector(`#device-info-mw-recurrence-${unique}`);
+  const mwWeekdaysInput = modal.querySelector(`#device-info-mw-weekdays-${unique}`);
+  const mwDailyInput = modal.querySelector(`#device-info-mw-daily-${unique}`);
+  const mwReasonInput = modal.querySelector(`#device-info-mw-reason-${unique}`);
+  const mwAddBtn = modal.querySelector('.device-info-mw-add');
+  const mwForm = modal.querySelector('.device-info-maint-form');
+  if (!canEditRecipients && mwForm) mwForm.style.display = 'none';
+  // terminal / site / project values the window scopes resolve to for the loaded device
+  let maintScopes = null;
+
+  function describeMaintenanceWindow(w) {
+    const range = `${w.starts_at ? formatDateTimeIso(w.starts_at) : '—'} → ${w.ends_at ? formatDateTimeIso(w.ends_at) : 'open ended'}`;
+    if (w.recurrence !== 'weekly') return range;
+    return `${w.weekdays ? w.weekdays : 'every day'} ${w.daily_window || ''} (${range})`;
+  }
+
+  async function loadMaintenance(tid) {
+    maintScopes = null;
+    if (!tid) {
+      maintEl.textContent = 'Select a device to manage its maintenance windows.';
+      return;
+    }
+    maintEl.textContent = 'Loading maintenance windows…';
+    try {
+      const j = await terminalsApi('GET', `/api/maintenance-windows?terminalId=${encodeURIComponent(tid)}`);
+      maintScopes = { terminal: String(tid), site: j.site || null, project: j.project_code || null };
+      const rows = j.rows || [];
+      if (rows.length === 0) {
+        maintEl.textContent = 'No maintenance windows.';
+        return;
+      }
+      const scopeLabel = (w) => w.scope === 'terminal' ? 'Terminal' : (w.scope === 'site' ? `Site ${w.scope_value}` : `Project ${w.scope_value}`);
+      maintEl.innerHTML = `
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;font-size:13px;">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:4px 6px;">Applies to</th>
+              <th style="text-align:left;padding:4px 6px;">When</th>
+              <th style="text-align:left;padding:4px 6px;">Reason</th>
+              <th style="text-align:left;padding:4px 6px;">Status</th>
+              <th style="padding:4px 6px;"></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(w => `
+              <tr>
+                <td style="padding:4px 6px;">${escapeHtml(scopeLabel(w))}</td>
+                <td style="padding:4px 6px;">${escapeHtml(describeMaintenanceWindow(w))}</td>
+                <td style="padding:4px 6px;">${escapeHtml(w.reason || '—')}</td>
+                <td style="padding:4px 6px;">${w.active_now ? '<span style="color:#f59e0b;">Active</span>' : 'Inactive'}</td>
+                <td style="padding:4px 6px;text-align:right;">${canEditRecipients ? `<button class="btn device-info-mw-remove" type="button" data-id="${escapeHtml(String(w.id))}">Remove</button>` : ''}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (err) {
+      maintEl.textContent = 'Failed to load maintenance windows: ' + (err && err.message);
+    }
+  }
+
+  mwAddBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    if (!maintScopes) {
+      setRecipientsMsg('Select a device first.', '#ffdede');
+      return;
+    }
+    const scope = mwScopeSelect.value;
+    const scopeValue = maintScopes[scope];
+    if (!scopeValue) {
+      setRecipientsMsg(`This device has no saved ${scope === 'site' ? 'site' : 'project code'} yet. Save it first.`, '#ffdede');
+      return;
+    }
+    try {
+      setRecipientsMsg('Saving maintenance window…');
+      await terminalsApi('POST', '/api/maintenance-windows', {
+        scope,
+        scope_value: scopeValue,
+        starts_at: mwStartInput.value ? new Date(mwStartInput.value).toISOString() : null,
+        ends_at: mwEndInput.value ? new Date(mwEndInput.value).toISOString() : null,
+        recurrence: mwRecurrenceSelect.value,
+        weekdays: mwWeekdaysInput.value.trim(),
+        daily_window: mwDailyInput.value.trim(),
+        reason: mwReasonInput.value.trim()
+      });
+      mwReasonInput.value = '';
+      setRecipientsMsg('Maintenance window saved.', '#22c55e');
+      await loadMaintenance(maintScopes.terminal);
+    } catch (err) {
+      setRecipientsMsg('Failed to save maintenance window: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  maintEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.device-info-mw-remove');
+    if (!btn || !maintScopes) return;
+    e.stopPropagation();
+    if (!confirm('Remove this maintenance window?')) return;
+    try {
+      await terminalsApi('DELETE', `/api/maintenance-windows/${encodeURIComponent(btn.getAttribute('data-id'))}`);
+      await loadMaintenance(maintScopes.terminal);
+    } catch (err) {
+      setRecipientsMsg('Failed to remove maintenance window: ' + (err && err.message), '#ffdede');
+    }
+  });
+
   // Helper: resolve a serial number to the current/most-recent terminal id via server API
   async function resolveTerminalIdFromSn(sn) {
     if (!sn) return null;
@@ -2111,6 +2824,10 @@ function showDeviceInfoModal(initialSerial) {
         emailInput.value = '';
         minInput.value = '';
         maxInput.value = '';
+        deadbandInput.value = '';
+        durationInput.value = '';
+        lelWarningInput.value = '';
+        lelDangerInput.value = '';
         projectCodeInput.value = '';
         emirateSelect.value = '';
         titleInput.value = '';
@@ -2139,6 +2856,10 @@ function showDeviceInfoModal(initialSerial) {
       // Populate new threshold inputs
       minInput.value = (info.lpg_min_level !== null && info.lpg_min_level !== undefined) ? String(info.lpg_min_level) : '';
       maxInput.value = (info.lpg_max_level !== null && info.lpg_max_level !== undefined) ? String(info.lpg_max_level) : '';
+      deadbandInput.value = (info.alarm_deadband !== null && info.alarm_deadband !== undefined) ? String(info.alarm_deadband) : '';
+      durationInput.value = (info.alarm_min_duration_minutes !== null && info.alarm_min_duration_minutes !== undefined) ? String(info.alarm_min_duration_minutes) : '';
+      lelWarningInput.value = (info.lel_warning_level !== null && info.lel_warning_level !== undefined) ? String(info.lel_warning_level) : '';
+      lelDangerInput.value = (info.lel_danger_level !== null && info.lel_danger_level !== undefined) ? String(info.lel_danger_level) : '';
 
       // populate project code and emirate
       projectCodeInput.value = info.project_code || '';
@@ -2162,6 +2883,9 @@ function showDeviceInfoModal(initialSerial) {
         dev.lpg_installation_type = info.lpg_tank_installation || info.lpg_installation_type || null;
       }
 
+      await loadRecipients(tid);
+      await loadMaintenance(tid);
+
       msgEl.textContent = 'Loaded existing info.';
       setTimeout(() => { msgEl.textContent = ''; }, 1600);
     } catch (err) {
@@ -2178,6 +2902,10 @@ function showDeviceInfoModal(initialSerial) {
       emailInput.value = '';
       minInput.value = '';
       maxInput.value = '';
+      deadbandInput.value = '';
+      durationInput.value = '';
+      lelWarningInput.value = '';
+      lelDangerInput.value = '';
       projectCodeInput.value = '';
       emirateSelect.value = '';
       titleInput.value = '';
@@ -2187,6 +2915,9 @@ function showDeviceInfoModal(initialSerial) {
         msgEl.textContent = 'Failed to load info: ' + (err && err.message);
       }
       setTimeout(() => { msgEl.textContent = ''; }, 2200);
+      // terminal-scoped recipients and windows can be managed before any info is saved
+      await loadRecipients(tid);
+      await loadMaintenance(tid);
     }
   }
 
@@ -2214,6 +2945,19 @@ function showDeviceInfoModal(initialSerial) {
     if (minVal !== null && isNaN(minVal)) minVal = null;
     let maxVal = maxInput && maxInput.value !== undefined && maxInput.value !== null && String(maxInput.value).trim() !== '' ? Number(maxInput.value) : null;
     if (maxVal !== null && isNaN(maxVal)) maxVal = null;
+    let deadbandVal = deadbandInput && String(deadbandInput.value || '').trim() !== '' ? Number(deadbandInput.value) : null;
+    if (deadbandVal !== null && (isNaN(deadbandVal) || deadbandVal < 0)) deadbandVal = null;
+    let durationVal = durationInput && String(durationInput.value || '').trim() !== '' ? parseInt(durationInput.value, 10) : null;
+    if (durationVal !== null && (isNaN(durationVal) || durationVal < 0)) durationVal = null;
+    let lelWarningVal = lelWarningInput && String(lelWarningInput.value || '').trim() !== '' ? Number(lelWarningInput.value) : null;
+    if (lelWarningVal !== null && (isNaN(lelWarningVal) || lelWarningVal < 0)) lelWarningVal = null;
+    let lelDangerVal = lelDangerInput && String(lelDangerInput.value || '').trim() !== '' ? Number(lelDangerInput.value) : null;
+    if (lelDangerVal !== null && (isNaN(lelDangerVal) || lelDangerVal < 0)) lelDangerVal = null;
+    if (lelWarningVal !== null && lelDangerVal !== null && lelWarningVal >= lelDangerVal) {
+      msgEl.style.color = '#ffdede';
+      msgEl.textContent = 'Gas LEL warning level must be below the danger level.';
+      return;
+    }
 
     // Normalize alarm emails: accept comma or semicolon separated; validate basic structure client-side
     let rawEmails = emailInput && emailInput.value ? String(emailInput.value).trim() : '';
@@ -2239,6 +2983,10 @@ function showDeviceInfoModal(initialSerial) {
       notes: notesInput.value || '',
       lpg_min_level: minVal,
       lpg_max_level: maxVal,
+      alarm_deadband: deadbandVal,
+      alarm_min_duration_minutes: durationVal,
+      lel_warning_level: lelWarningVal,
+      lel_danger_level: lelDangerVal,
       alarm_email: normalizedEmails || '',
       // NEW fields
       project_code: projectCodeInput.value ? String(projectCodeInput.value).trim() : '',
@@ -2278,6 +3026,9 @@ function showDeviceInfoModal(initialSerial) {
         // update list row so Project Name reflects new title
         updateListRow(dev);
       }
+      // project code / emirate may have changed which recipients and maintenance windows apply
+      await loadRecipients(saved.terminal_id);
+      await loadMaintenance(saved.terminal_id);
       msgEl.style.color = '#22c55e';
       msgEl.textContent = 'Saved.';
       setTimeout(() => { msgEl.textContent = ''; }, 1800);
@@ -2674,25 +3425,1224 @@ function showVisitorTrackingModal() {
 }
 
 /* ---------------------------
-   MAP (Leaflet) integration (lightweight, lazy-loaded)
-   (unchanged from the original script; keep behavior)
-*/
+   Manage Terminals (Admin)
+   - CRUD over the terminal registry (/api/terminals)
+   - Changes apply to the poller and the MQTT/ping mapping immediately, and to the cards on next page load
+   --------------------------- */
 
-function loadLeafletOnce() {
-  // returns a promise that resolves when L is available
-  if (window._leafletLoadingPromise) return window._leafletLoadingPromise;
+async function terminalsApi(method, url, body) {
+  const opts = { method, headers: { 'Content-Type': 'application/json' } };
+  if (body !== undefined) opts.body = JSON.stringify(body);
+  const resp = await fetch(url, opts);
+  if (!resp.ok) {
+    const j = await resp.json().catch(() => ({}));
+    throw new Error(j.error || resp.statusText || `HTTP ${resp.status}`);
+  }
+  return resp.json();
+}
 
-  window._leafletLoadingPromise = new Promise((resolve, reject) => {
-    // If Leaflet already present
-    if (window.L) return resolve(window.L);
+function showManageTerminalsModal() {
+  const modal = document.createElement('div');
+  modal.className = 'history-modal';
+  modal.innerHTML = `
+    <div class="history-panel" role="dialog" aria-modal="true" aria-label="Manage Terminals">
+      <div class="history-actions">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <strong>Manage Terminals</strong>
+          <div class="history-range">
+            <input type="text" class="mt-id graph-title-input" placeholder="Terminal ID" />
+            <input type="text" class="mt-name graph-title-input" placeholder="Device name (e.g. Transmitter G)" />
+            <input type="text" class="mt-topic graph-title-input" placeholder="MQTT topic (optional)" />
+            <input type="text" class="mt-ip graph-title-input" placeholder="Panel IP (optional)" />
+            <button class="btn mt-add" type="button">Add</button>
+          </div>
+        </div>
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div class="history-controls">
+            <button class="btn mt-refresh" type="button">Refresh</button>
+            <button class="history-close" type="button">Close</button>
+          </div>
+        </div>
+      </div>
 
-    // Inject CSS
-    const cssHref = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
-    if (!document.querySelector(`link[href="${cssHref}"]`)) {
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = cssHref;
-      link.crossOrigin = '';
+      <div style="max-height:520px; overflow:auto; padding:6px;">
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">Terminal ID</th>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">Name</th>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">MQTT Topic</th>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">Panel IP</th>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">Enabled</th>
+              <th style="text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);">Actions</th>
+            </tr>
+          </thead>
+          <tbody class="mt-body">
+            <tr><td colspan="6" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div class="history-msg mt-msg"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.body.classList.add('modal-open');
+
+  const closeBtn = modal.querySelector('.history-close');
+  const refreshBtn = modal.querySelector('.mt-refresh');
+  const addBtn = modal.querySelector('.mt-add');
+  const idInput = modal.querySelector('.mt-id');
+  const nameInput = modal.querySelector('.mt-name');
+  const topicInput = modal.querySelector('.mt-topic');
+  const ipInput = modal.querySelector('.mt-ip');
+  const tbody = modal.querySelector('.mt-body');
+  const msgEl = modal.querySelector('.mt-msg');
+
+  function removeModal() {
+    modal.remove();
+    document.body.classList.remove('modal-open');
+  }
+  closeBtn.addEventListener('click', () => removeModal());
+  modal.addEventListener('click', (e) => { if (e.target === modal) removeModal(); });
+
+  function setMsg(text, color) {
+    msgEl.textContent = text || '';
+    msgEl.style.color = color || 'var(--muted)';
+  }
+
+  async function loadList() {
+    try {
+      tbody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">Loading...</td></tr>`;
+      const json = await terminalsApi('GET', '/api/terminals');
+      const rows = (json && json.rows) ? json.rows : [];
+      if (!rows.length) {
+        tbody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">No terminals registered.</td></tr>`;
+        return;
+      }
+      tbody.innerHTML = '';
+      for (const r of rows) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);">${escapeHtml(r.terminal_id)}</td>
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);"><input class="graph-title-input mt-row-name" value="${escapeHtml(r.name || '')}" /></td>
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);"><input class="graph-title-input mt-row-topic" value="${escapeHtml(r.mqtt_topic || '')}" /></td>
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);"><input class="graph-title-input mt-row-ip" value="${escapeHtml(r.panel_ip || '')}" /></td>
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);"><input type="checkbox" class="mt-row-enabled" ${r.enabled ? 'checked' : ''} /></td>
+          <td style="padding:8px;border-top:1px solid rgba(255,255,255,0.02);">
+            <button class="btn mt-row-save" type="button">Save</button>
+            <button class="btn mt-row-delete" type="button">Delete</button>
+          </td>
+        `;
+        const tid = r.terminal_id;
+        tr.querySelector('.mt-row-save').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            setMsg('Saving…');
+            await terminalsApi('PUT', `/api/terminals/${encodeURIComponent(tid)}`, {
+              name: tr.querySelector('.mt-row-name').value,
+              mqtt_topic: tr.querySelector('.mt-row-topic').value,
+              panel_ip: tr.querySelector('.mt-row-ip').value,
+              enabled: tr.querySelector('.mt-row-enabled').checked
+            });
+            setMsg('Saved. Reload the page to update the cards.', '#22c55e');
+          } catch (err) {
+            setMsg('Save failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        tr.querySelector('.mt-row-delete').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (!confirm(`Remove terminal ${tid} from the registry?`)) return;
+          try {
+            await terminalsApi('DELETE', `/api/terminals/${encodeURIComponent(tid)}`);
+            setMsg('Deleted.', '#22c55e');
+            await loadList();
+          } catch (err) {
+            setMsg('Delete failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        tbody.appendChild(tr);
+      }
+    } catch (err) {
+      setMsg('Failed to load terminals: ' + (err && err.message), '#ffdede');
+      tbody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">Error loading terminals.</td></tr>`;
+    }
+  }
+
+  addBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const terminalId = idInput.value.trim();
+    if (!terminalId) {
+      setMsg('Terminal ID is required.', '#ffdede');
+      return;
+    }
+    try {
+      setMsg('Adding…');
+      await terminalsApi('POST', '/api/terminals', {
+        terminalId,
+        name: nameInput.value.trim(),
+        mqtt_topic: topicInput.value.trim(),
+        panel_ip: ipInput.value.trim()
+      });
+      idInput.value = '';
+      nameInput.value = '';
+      topicInput.value = '';
+      ipInput.value = '';
+      setMsg('Added. Reload the page to show the new card.', '#22c55e');
+      await loadList();
+    } catch (err) {
+      setMsg('Add failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  refreshBtn.addEventListener('click', (e) => { e.stopPropagation(); loadList(); });
+
+  loadList();
+}
+
+/* ---------------------------
+   Poll Runs (Admin)
+   - Per-terminal status from the poll journal (/api/poll-runs/terminals): last outcome and last successful poll
+   - Recent runs (/api/poll-runs); click a run to see each terminal's outcome
+   - "Poll Now" triggers an immediate poll via POST /api/poll
+   --------------------------- */
+
+function describePollOutcome(o) {
+  if (!o) return 'Never polled';
+  if (o.success) return 'OK';
+  if (o.soap_status === 404) return 'Device offline';
+  return o.error || 'Failed';
+}
+
+function showPollRunsModal() {
+  const cellStyle = 'padding:8px;border-top:1px solid rgba(255,255,255,0.02);';
+  const headStyle = 'text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);';
+  const modal = document.createElement('div');
+  modal.className = 'history-modal';
+  modal.innerHTML = `
+    <div class="history-panel" role="dialog" aria-modal="true" aria-label="Poll Runs">
+      <div class="history-actions">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <strong>Poll Runs</strong>
+        </div>
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div class="history-controls">
+            <button class="btn pr-poll-all" type="button" title="Poll every enabled terminal now">Poll All Now</button>
+            <button class="btn pr-refresh" type="button">Refresh</button>
+            <button class="history-close" type="button">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <div style="max-height:560px; overflow:auto; padding:6px;">
+        <h3 style="margin:6px 0;">Terminals</h3>
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Terminal</th>
+              <th style="${headStyle}">Last Result</th>
+              <th style="${headStyle}">SOAP Status</th>
+              <th style="${headStyle}">Attempts</th>
+              <th style="${headStyle}">Last Polled</th>
+              <th style="${headStyle}">Last Success</th>
+              <th style="${headStyle}">Device Timestamp</th>
+              <th style="${headStyle}">Actions</th>
+            </tr>
+          </thead>
+          <tbody class="pr-terminals">
+            <tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+
+        <h3 style="margin:16px 0 6px;">Recent Runs</h3>
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Run</th>
+              <th style="${headStyle}">Trigger</th>
+              <th style="${headStyle}">Started</th>
+              <th style="${headStyle}">Finished</th>
+              <th style="${headStyle}">Saved</th>
+              <th style="${headStyle}">Failed</th>
+            </tr>
+          </thead>
+          <tbody class="pr-runs">
+            <tr><td colspan="6" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+
+        <div class="pr-detail"></div>
+      </div>
+
+      <div class="history-msg pr-msg"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.body.classList.add('modal-open');
+
+  const closeBtn = modal.querySelector('.history-close');
+  const refreshBtn = modal.querySelector('.pr-refresh');
+  const pollAllBtn = modal.querySelector('.pr-poll-all');
+  const terminalsBody = modal.querySelector('.pr-terminals');
+  const runsBody = modal.querySelector('.pr-runs');
+  const detailEl = modal.querySelector('.pr-detail');
+  const msgEl = modal.querySelector('.pr-msg');
+
+  function removeModal() {
+    modal.remove();
+    document.body.classList.remove('modal-open');
+  }
+  closeBtn.addEventListener('click', () => removeModal());
+  modal.addEventListener('click', (e) => { if (e.target === modal) removeModal(); });
+
+  function setMsg(text, color) {
+    msgEl.textContent = text || '';
+    msgEl.style.color = color || 'var(--muted)';
+  }
+
+  function terminalLabel(terminalId, name) {
+    return name ? `${escapeHtml(name)} <span style="color:var(--muted);">(${escapeHtml(terminalId)})</span>` : escapeHtml(terminalId);
+  }
+
+  async function loadTerminals() {
+    terminalsBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>`;
+    const json = await terminalsApi('GET', '/api/poll-runs/terminals');
+    const rows = (json && json.rows) ? json.rows : [];
+    if (!rows.length) {
+      terminalsBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">No terminals registered.</td></tr>`;
+      return;
+    }
+    terminalsBody.innerHTML = '';
+    for (const r of rows) {
+      const o = r.last_outcome;
+      const color = !o ? 'var(--muted)' : (o.success ? '#22c55e' : '#ff6b6b');
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td style="${cellStyle}">${terminalLabel(r.terminal_id, r.name)}${r.enabled ? '' : ' <span style="color:var(--muted);">[disabled]</span>'}</td>
+        <td style="${cellStyle}color:${color};">${escapeHtml(describePollOutcome(o))}</td>
+        <td style="${cellStyle}">${o && o.soap_status != null ? escapeHtml(String(o.soap_status)) : '—'}</td>
+        <td style="${cellStyle}">${o ? escapeHtml(String(o.attempts)) : '—'}</td>
+        <td style="${cellStyle}">${o ? escapeHtml(formatDateTimeIso(o.finished_at)) : '—'}</td>
+        <td style="${cellStyle}">${r.last_success_at ? escapeHtml(formatDateTimeIso(r.last_success_at)) : 'Never'}</td>
+        <td style="${cellStyle}">${r.last_device_timestamp ? escapeHtml(formatDateTimeIso(r.last_device_timestamp)) : '—'}</td>
+        <td style="${cellStyle}">${r.enabled ? '<button class="btn pr-poll-one" type="button">Poll Now</button>' : ''}</td>
+      `;
+      const pollOneBtn = tr.querySelector('.pr-poll-one');
+      if (pollOneBtn) {
+        pollOneBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          pollNow(r.terminal_id);
+        });
+      }
+      terminalsBody.appendChild(tr);
+    }
+  }
+
+  async function showRunDetail(runId) {
+    detailEl.innerHTML = `<div style="padding:12px;color:var(--muted);">Loading run ${escapeHtml(String(runId))}...</div>`;
+    try {
+      const json = await terminalsApi('GET', `/api/poll-runs/${encodeURIComponent(runId)}`);
+      const outcomes = (json && json.terminals) ? json.terminals : [];
+      const rowsHtml = outcomes.map(o => `
+        <tr>
+          <td style="${cellStyle}">${escapeHtml(o.terminal_id)}</td>
+          <td style="${cellStyle}color:${o.success ? '#22c55e' : '#ff6b6b'};">${escapeHtml(describePollOutcome(o))}</td>
+          <td style="${cellStyle}">${o.soap_status != null ? escapeHtml(String(o.soap_status)) : '—'}</td>
+          <td style="${cellStyle}">${escapeHtml(String(o.attempts))}</td>
+          <td style="${cellStyle}">${escapeHtml(formatDateTimeIso(o.started_at))}</td>
+          <td style="${cellStyle}">${escapeHtml(formatDateTimeIso(o.finished_at))}</td>
+          <td style="${cellStyle}">${o.device_timestamp ? escapeHtml(formatDateTimeIso(o.device_timestamp)) : '—'}</td>
+        </tr>
+      `).join('');
+      detailEl.innerHTML = `
+        <h3 style="margin:16px 0 6px;">Run ${escapeHtml(String(runId))}${json.run && json.run.timed_out ? ' (timed out)' : ''}</h3>
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Terminal</th>
+              <th style="${headStyle}">Result</th>
+              <th style="${headStyle}">SOAP Status</th>
+              <th style="${headStyle}">Attempts</th>
+              <th style="${headStyle}">Started</th>
+              <th style="${headStyle}">Finished</th>
+              <th style="${headStyle}">Device Timestamp</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml || `<tr><td colspan="7" style="padding:18px;color:var(--muted);">No terminal outcomes recorded.</td></tr>`}</tbody>
+        </table>
+      `;
+    } catch (err) {
+      detailEl.innerHTML = '';
+      setMsg('Failed to load run: ' + (err && err.message), '#ffdede');
+    }
+  }
+
+  async function loadRuns() {
+    runsBody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">Loading...</td></tr>`;
+    const json = await terminalsApi('GET', '/api/poll-runs?limit=50');
+    const rows = (json && json.rows) ? json.rows : [];
+    if (!rows.length) {
+      runsBody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">No poll runs recorded yet.</td></tr>`;
+      return;
+    }
+    runsBody.innerHTML = '';
+    for (const r of rows) {
+      const tr = document.createElement('tr');
+      tr.style.cursor = 'pointer';
+      tr.title = 'Show terminal outcomes for this run';
+      const finished = r.finished_at ? formatDateTimeIso(r.finished_at) : 'Running…';
+      tr.innerHTML = `
+        <td style="${cellStyle}">${escapeHtml(String(r.id))}</td>
+        <td style="${cellStyle}">${escapeHtml(r.trigger || '')}</td>
+        <td style="${cellStyle}">${escapeHtml(formatDateTimeIso(r.started_at))}</td>
+        <td style="${cellStyle}">${escapeHtml(finished)}${r.timed_out ? ' <span style="color:#ff6b6b;">(timed out)</span>' : ''}</td>
+        <td style="${cellStyle}">${escapeHtml(String(r.ok_count))}/${escapeHtml(String(r.terminal_count))}</td>
+        <td style="${cellStyle}${r.fail_count ? 'color:#ff6b6b;' : ''}">${escapeHtml(String(r.fail_count))}</td>
+      `;
+      tr.addEventListener('click', (e) => { e.stopPropagation(); showRunDetail(r.id); });
+      runsBody.appendChild(tr);
+    }
+  }
+
+  async function loadAll() {
+    setMsg('');
+    detailEl.innerHTML = '';
+    try {
+      await loadTerminals();
+      await loadRuns();
+    } catch (err) {
+      setMsg('Failed to load poll journal: ' + (err && err.message), '#ffdede');
+    }
+  }
+
+  // Trigger an immediate poll (all enabled terminals, or one) and show the outcome
+  async function pollNow(terminalId) {
+    const buttons = modal.querySelectorAll('.pr-poll-all, .pr-poll-one');
+    buttons.forEach(b => { b.disabled = true; });
+    setMsg(terminalId ? `Polling terminal ${terminalId}…` : 'Polling all terminals…');
+    try {
+      const json = await terminalsApi('POST', '/api/poll', terminalId ? { terminalId } : {});
+      const failed = (json.results || []).filter(r => !r.ok);
+      await loadAll();
+      if (failed.length) {
+        setMsg(`Saved ${json.ok_count}/${json.count}. Failed: ` + failed.map(r => `${r.terminal_id} (${r.error || 'error'})`).join(', '), '#ffdede');
+      } else {
+        setMsg(`Saved ${json.ok_count}/${json.count} reading(s).`, '#22c55e');
+      }
+    } catch (err) {
+      setMsg('Poll failed: ' + (err && err.message), '#ffdede');
+    } finally {
+      buttons.forEach(b => { b.disabled = false; });
+    }
+  }
+
+  pollAllBtn.addEventListener('click', (e) => { e.stopPropagation(); pollNow(null); });
+  refreshBtn.addEventListener('click', (e) => { e.stopPropagation(); loadAll(); });
+
+  loadAll();
+}
+
+/* ---------------------------
+   MQTT Payloads (Admin)
+   - Per-topic payload schema: JSON path of the gas reading, unit, scale and accepted range (/api/mqtt/schemas)
+   - Accepted/rejected message counters per topic
+   - Test box runs a sample payload through the server-side parser
+   --------------------------- */
+
+function showMqttPayloadsModal() {
+  const cellStyle = 'padding:8px;border-top:1px solid rgba(255,255,255,0.02);';
+  const headStyle = 'text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);';
+  const modal = document.createElement('div');
+  modal.className = 'history-modal';
+  modal.innerHTML = `
+    <div class="history-panel" role="dialog" aria-modal="true" aria-label="MQTT Payloads">
+      <div class="history-actions">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <strong>MQTT Payloads</strong>
+        </div>
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div class="history-controls">
+            <button class="btn mp-refresh" type="button">Refresh</button>
+            <button class="history-close" type="button">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <div style="max-height:560px; overflow:auto; padding:6px;">
+        <div class="history-range" style="flex-wrap:wrap;gap:8px;">
+          <input type="text" class="mp-topic graph-title-input" placeholder="Topic" />
+          <input type="text" class="mp-path graph-title-input" placeholder="JSON path (e.g. $.data.lel)" />
+          <input type="text" class="mp-unit graph-title-input" placeholder="Unit (%LEL)" style="width:90px;" />
+          <input type="number" step="any" class="mp-scale graph-title-input" placeholder="Scale (1)" style="width:90px;" />
+          <input type="number" step="any" class="mp-min graph-title-input" placeholder="Min" style="width:80px;" />
+          <input type="number" step="any" class="mp-max graph-title-input" placeholder="Max" style="width:80px;" />
+          <button class="btn mp-save" type="button">Save</button>
+          <button class="btn mp-delete" type="button">Delete</button>
+        </div>
+        <div style="display:flex;gap:8px;align-items:flex-start;margin-top:8px;">
+          <textarea class="mp-sample graph-title-input" rows="3" style="flex:1;font-family:monospace;" placeholder='Sample payload, e.g. {"LEL": 4}'></textarea>
+          <button class="btn mp-test" type="button">Test</button>
+        </div>
+        <pre class="mp-test-result" style="white-space:pre-wrap;margin:6px 0;color:var(--muted);"></pre>
+
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Topic</th>
+              <th style="${headStyle}">Terminal</th>
+              <th style="${headStyle}">JSON Path</th>
+              <th style="${headStyle}">Scale / Unit</th>
+              <th style="${headStyle}">Range</th>
+              <th style="${headStyle}">Accepted</th>
+              <th style="${headStyle}">Rejected</th>
+              <th style="${headStyle}">Last Rejection</th>
+            </tr>
+          </thead>
+          <tbody class="mp-body">
+            <tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div class="history-msg mp-msg"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.body.classList.add('modal-open');
+
+  const q = sel => modal.querySelector(sel);
+  const tbody = q('.mp-body');
+  const msgEl = q('.mp-msg');
+  const testResultEl = q('.mp-test-result');
+
+  function removeModal() {
+    modal.remove();
+    document.body.classList.remove('modal-open');
+  }
+  q('.history-close').addEventListener('click', () => removeModal());
+  modal.addEventListener('click', (e) => { if (e.target === modal) removeModal(); });
+
+  function setMsg(text, color) {
+    msgEl.textContent = text || '';
+    msgEl.style.color = color || 'var(--muted)';
+  }
+
+  function readForm() {
+    return {
+      topic: q('.mp-topic').value.trim(),
+      json_path: q('.mp-path').value.trim(),
+      unit: q('.mp-unit').value.trim(),
+      scale: q('.mp-scale').value,
+      min_value: q('.mp-min').value,
+      max_value: q('.mp-max').value
+    };
+  }
+
+  function fillForm(topic, schema) {
+    q('.mp-topic').value = topic || '';
+    q('.mp-path').value = schema.json_path || '';
+    q('.mp-unit').value = schema.unit || '';
+    q('.mp-scale').value = schema.scale == null ? '' : schema.scale;
+    q('.mp-min').value = schema.min_value == null ? '' : schema.min_value;
+    q('.mp-max').value = schema.max_value == null ? '' : schema.max_value;
+  }
+
+  async function loadList() {
+    try {
+      tbody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>`;
+      const json = await terminalsApi('GET', '/api/mqtt/schemas');
+      const rows = (json && json.rows) ? json.rows : [];
+      if (!rows.length) {
+        tbody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">No MQTT topics mapped.</td></tr>`;
+        return;
+      }
+      tbody.innerHTML = '';
+      for (const r of rows) {
+        const sc = r.schema || {};
+        const st = r.stats || {};
+        const reasons = Object.entries(st.reasons || {}).map(([k, n]) => `${k}: ${n}`).join(', ');
+        const range = `${sc.min_value == null ? '—' : sc.min_value} .. ${sc.max_value == null ? '—' : sc.max_value}`;
+        const lastReject = st.last_reject
+          ? `${escapeHtml(formatDateTimeIso(st.last_reject.at))} — ${escapeHtml(st.last_reject.error || st.last_reject.reason)}`
+          : '—';
+        const tr = document.createElement('tr');
+        tr.style.cursor = 'pointer';
+        tr.title = 'Edit this topic';
+        tr.innerHTML = `
+          <td style="${cellStyle}">${escapeHtml(r.topic)}${r.configured ? '' : ' <span style="color:var(--muted);">(default)</span>'}</td>
+          <td style="${cellStyle}">${escapeHtml(r.terminal_id || '—')}</td>
+          <td style="${cellStyle}font-family:monospace;">${escapeHtml(sc.json_path || '')}</td>
+          <td style="${cellStyle}">${escapeHtml(String(sc.scale))} ${escapeHtml(sc.unit || '')}</td>
+          <td style="${cellStyle}">${escapeHtml(range)}</td>
+          <td style="${cellStyle}">${escapeHtml(String(st.accepted || 0))}</td>
+          <td style="${cellStyle}${st.rejected ? 'color:#ff6b6b;' : ''}" title="${escapeHtml(reasons)}">${escapeHtml(String(st.rejected || 0))}</td>
+          <td style="${cellStyle}" title="${escapeHtml(st.last_reject ? st.last_reject.sample || '' : '')}">${lastReject}</td>
+        `;
+        tr.addEventListener('click', (e) => {
+          e.stopPropagation();
+          fillForm(r.topic, sc);
+          if (st.last_reject && st.last_reject.sample) q('.mp-sample').value = st.last_reject.sample;
+        });
+        tbody.appendChild(tr);
+      }
+    } catch (err) {
+      setMsg('Failed to load payload schemas: ' + (err && err.message), '#ffdede');
+      tbody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">Error loading payload schemas.</td></tr>`;
+    }
+  }
+
+  q('.mp-save').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const form = readForm();
+    if (!form.topic || !form.json_path) {
+      setMsg('Topic and JSON path are required.', '#ffdede');
+      return;
+    }
+    try {
+      setMsg('Saving…');
+      await terminalsApi('PUT', '/api/mqtt/schemas', form);
+      setMsg('Saved. New messages on this topic use the updated schema.', '#22c55e');
+      await loadList();
+    } catch (err) {
+      setMsg('Save failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  q('.mp-delete').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const topic = q('.mp-topic').value.trim();
+    if (!topic) return;
+    if (!confirm(`Remove the payload schema for ${topic}? The default schema will be used.`)) return;
+    try {
+      await terminalsApi('DELETE', `/api/mqtt/schemas?topic=${encodeURIComponent(topic)}`);
+      setMsg('Deleted.', '#22c55e');
+      await loadList();
+    } catch (err) {
+      setMsg('Delete failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  q('.mp-test').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const form = readForm();
+    const payload = q('.mp-sample').value;
+    if (!payload.trim()) {
+      testResultEl.textContent = 'Enter a sample payload first.';
+      return;
+    }
+    try {
+      const body = { payload, topic: form.topic || null };
+      if (form.json_path) body.schema = form;
+      const json = await terminalsApi('POST', '/api/mqtt/schemas/test', body);
+      const r = json.result || {};
+      testResultEl.style.color = r.ok ? '#22c55e' : '#ff6b6b';
+      testResultEl.textContent = r.ok
+        ? `Accepted: ${r.value} ${r.unit} (raw ${JSON.stringify(r.raw_value)})`
+        : `Rejected (${r.reason}): ${r.error}`;
+    } catch (err) {
+      testResultEl.style.color = '#ff6b6b';
+      testResultEl.textContent = 'Test failed: ' + (err && err.message);
+    }
+  });
+
+  q('.mp-refresh').addEventListener('click', (e) => { e.stopPropagation(); loadList(); });
+
+  loadList();
+}
+
+/* ---------------------------
+   Notification Channels (Admin)
+   - Webhook endpoints that receive alarm events as signed JSON (/api/notification-webhooks)
+   - SMS gateway status and a test text (/api/sms/test); numbers are set per alarm recipient
+   - Preview of the English/Arabic alarm, recovery, escalation and digest e-mail templates
+   - Delivery log with status, attempts and last error; failed deliveries can be retried
+   --------------------------- */
+
+function showNotificationChannelsModal() {
+  const cellStyle = 'padding:8px;border-top:1px solid rgba(255,255,255,0.02);';
+  const headStyle = 'text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);';
+  const modal = document.createElement('div');
+  modal.className = 'history-modal';
+  modal.innerHTML = `
+    <div class="history-panel" role="dialog" aria-modal="true" aria-label="Notification Channels">
+      <div class="history-actions">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <strong>Notification Channels</strong>
+        </div>
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div class="history-controls">
+            <button class="btn nc-refresh" type="button">Refresh</button>
+            <button class="history-close" type="button">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <div style="max-height:560px; overflow:auto; padding:6px;">
+        <strong style="display:block;margin:4px 0 8px;color:var(--muted)">Webhooks</strong>
+        <div class="history-range" style="flex-wrap:wrap;gap:8px;">
+          <input type="hidden" class="nc-id" />
+          <input type="text" class="nc-name graph-title-input" placeholder="Name" style="width:140px;" />
+          <input type="text" class="nc-url graph-title-input" placeholder="https://example.com/hooks/alarms" style="flex:1;min-width:220px;" />
+          <input type="password" class="nc-secret graph-title-input" placeholder="Signing secret" autocomplete="new-password" style="width:150px;" />
+          <input type="text" class="nc-events graph-title-input" placeholder="Events (* = all)" style="width:170px;" />
+          <label style="display:flex;align-items:center;gap:4px;color:var(--muted);"><input type="checkbox" class="nc-enabled" checked /> Enabled</label>
+          <button class="btn nc-save" type="button">Save</button>
+          <button class="btn nc-new" type="button">New</button>
+        </div>
+        <div class="nc-events-help" style="color:var(--muted);font-size:12px;margin:4px 0 8px;"></div>
+
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Name</th>
+              <th style="${headStyle}">URL</th>
+              <th style="${headStyle}">Events</th>
+              <th style="${headStyle}">Signed</th>
+              <th style="${headStyle}">Enabled</th>
+              <th style="${headStyle}"></th>
+            </tr>
+          </thead>
+          <tbody class="nc-hooks">
+            <tr><td colspan="6" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+
+        <strong style="display:block;margin:16px 0 8px;color:var(--muted)">SMS Gateway</strong>
+        <div class="history-range" style="flex-wrap:wrap;gap:8px;">
+          <span class="nc-sms-status" style="color:var(--muted);"></span>
+          <input type="text" class="nc-sms-phone graph-title-input" placeholder="+971501234567" style="width:160px;" />
+          <button class="btn nc-sms-test" type="button">Send Test SMS</button>
+        </div>
+
+        <strong style="display:block;margin:16px 0 8px;color:var(--muted)">E-mail Templates</strong>
+        <div class="history-range" style="flex-wrap:wrap;gap:8px;">
+          <select class="nc-tpl-kind graph-title-input" style="width:auto;">
+            <option value="alarm">Alarm</option>
+            <option value="recovery">Recovery</option>
+            <option value="escalation">Escalation</option>
+            <option value="digest">Daily digest</option>
+          </select>
+          <select class="nc-tpl-type graph-title-input" style="width:auto;">
+            <option value="level_low">Low level</option>
+            <option value="level_high">High level</option>
+            <option value="lel_warning">Gas warning</option>
+            <option value="lel_danger">Gas danger</option>
+            <option value="battery_low">Low battery</option>
+            <option value="signal_weak">Weak signal</option>
+            <option value="data_stale">No new data</option>
+            <option value="leak_suspected">Possible leak</option>
+          </select>
+          <select class="nc-tpl-lang graph-title-input" style="width:auto;">
+            <option value="en">English</option>
+            <option value="ar">العربية</option>
+          </select>
+          <select class="nc-tpl-terminal graph-title-input" style="width:auto;">
+            <option value="">Sample tank</option>
+          </select>
+          <button class="btn nc-tpl-preview" type="button">Preview</button>
+        </div>
+        <div class="nc-tpl-subject" style="color:var(--muted);margin:6px 0;"></div>
+        <iframe class="nc-tpl-frame" title="E-mail preview" sandbox="" style="display:none;width:100%;height:420px;border:1px solid rgba(255,255,255,0.08);border-radius:6px;background:#fff;"></iframe>
+
+        <div style="display:flex;align-items:center;gap:8px;margin:16px 0 8px;">
+          <strong style="color:var(--muted)">Delivery Log</strong>
+          <select class="nc-channel graph-title-input" style="width:140px;">
+            <option value="">All channels</option>
+            <option value="webhook">Webhook</option>
+            <option value="sms">SMS</option>
+          </select>
+          <select class="nc-status graph-title-input" style="width:140px;">
+            <option value="">All statuses</option>
+            <option value="pending">Pending</option>
+            <option value="delivered">Delivered</option>
+            <option value="failed">Failed</option>
+            <option value="skipped">Skipped</option>
+          </select>
+        </div>
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr>
+              <th style="${headStyle}">Time</th>
+              <th style="${headStyle}">Channel</th>
+              <th style="${headStyle}">Target</th>
+              <th style="${headStyle}">Event</th>
+              <th style="${headStyle}">Status</th>
+              <th style="${headStyle}">Attempts</th>
+              <th style="${headStyle}">Result</th>
+              <th style="${headStyle}"></th>
+            </tr>
+          </thead>
+          <tbody class="nc-deliveries">
+            <tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div class="history-msg nc-msg"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.body.classList.add('modal-open');
+
+  const q = sel => modal.querySelector(sel);
+  const hooksBody = q('.nc-hooks');
+  const deliveriesBody = q('.nc-deliveries');
+  const msgEl = q('.nc-msg');
+  const hookNames = new Map();
+
+  function removeModal() {
+    modal.remove();
+    document.body.classList.remove('modal-open');
+  }
+  q('.history-close').addEventListener('click', () => removeModal());
+  modal.addEventListener('click', (e) => { if (e.target === modal) removeModal(); });
+
+  function setMsg(text, color) {
+    msgEl.textContent = text || '';
+    msgEl.style.color = color || 'var(--muted)';
+  }
+
+  function fillForm(hook) {
+    q('.nc-id').value = hook ? hook.id : '';
+    q('.nc-name').value = hook ? hook.name : '';
+    q('.nc-url').value = hook ? hook.url : '';
+    q('.nc-secret').value = '';
+    q('.nc-secret').placeholder = hook && hook.has_secret ? 'Secret set (leave blank to keep)' : 'Signing secret';
+    q('.nc-events').value = hook ? hook.events : '*';
+    q('.nc-enabled').checked = hook ? hook.enabled : true;
+  }
+
+  async function loadHooks() {
+    try {
+      const json = await terminalsApi('GET', '/api/notification-webhooks');
+      const rows = (json && json.rows) ? json.rows : [];
+      q('.nc-events-help').textContent = `Comma separated events: ${(json.events || []).join(', ')} — or * for all.`;
+      hookNames.clear();
+      if (!rows.length) {
+        hooksBody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">No webhooks configured.</td></tr>`;
+        return;
+      }
+      hooksBody.innerHTML = '';
+      for (const h of rows) {
+        hookNames.set(String(h.id), h.name);
+        const tr = document.createElement('tr');
+        tr.style.cursor = 'pointer';
+        tr.title = 'Edit this webhook';
+        tr.innerHTML = `
+          <td style="${cellStyle}">${escapeHtml(h.name)}</td>
+          <td style="${cellStyle}font-family:monospace;word-break:break-all;">${escapeHtml(h.url)}</td>
+          <td style="${cellStyle}">${escapeHtml(h.events)}</td>
+          <td style="${cellStyle}">${h.has_secret ? 'Yes' : '<span style="color:#ff6b6b;">No</span>'}</td>
+          <td style="${cellStyle}">${h.enabled ? 'Yes' : 'No'}</td>
+          <td style="${cellStyle}white-space:nowrap;">
+            <button class="btn nc-test" type="button">Test</button>
+            <button class="btn nc-delete" type="button">Delete</button>
+          </td>
+        `;
+        tr.addEventListener('click', (e) => { e.stopPropagation(); fillForm(h); });
+        tr.querySelector('.nc-test').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            setMsg(`Sending test to ${h.name}…`);
+            const d = await terminalsApi('POST', `/api/notification-webhooks/${encodeURIComponent(h.id)}/test`);
+            if (d && d.status === 'delivered') setMsg(`Test delivered (HTTP ${d.response_status}).`, '#22c55e');
+            else setMsg(`Test not delivered: ${(d && d.last_error) || 'unknown error'}`, '#ffdede');
+            await loadDeliveries();
+          } catch (err) {
+            setMsg('Test failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        tr.querySelector('.nc-delete').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (!confirm(`Delete the webhook "${h.name}"?`)) return;
+          try {
+            await terminalsApi('DELETE', `/api/notification-webhooks/${encodeURIComponent(h.id)}`);
+            setMsg('Deleted.', '#22c55e');
+            fillForm(null);
+            await loadHooks();
+          } catch (err) {
+            setMsg('Delete failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        hooksBody.appendChild(tr);
+      }
+    } catch (err) {
+      setMsg('Failed to load webhooks: ' + (err && err.message), '#ffdede');
+      hooksBody.innerHTML = `<tr><td colspan="6" style="padding:18px;color:var(--muted);">Error loading webhooks.</td></tr>`;
+    }
+  }
+
+  async function loadDeliveries() {
+    try {
+      const params = new URLSearchParams({ limit: '50' });
+      if (q('.nc-channel').value) params.set('channel', q('.nc-channel').value);
+      if (q('.nc-status').value) params.set('status', q('.nc-status').value);
+      const json = await terminalsApi('GET', `/api/notification-deliveries?${params.toString()}`);
+      const rows = (json && json.rows) ? json.rows : [];
+      if (!rows.length) {
+        deliveriesBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">No deliveries yet.</td></tr>`;
+        return;
+      }
+      deliveriesBody.innerHTML = '';
+      for (const d of rows) {
+        const target = d.channel === 'webhook' && hookNames.has(d.target) ? hookNames.get(d.target) : d.target;
+        const statusColor = d.status === 'delivered' ? '#22c55e' : d.status === 'failed' ? '#ff6b6b' : d.status === 'skipped' ? '#f59e0b' : 'var(--muted)';
+        const result = d.last_error
+          ? escapeHtml(d.last_error)
+          : (d.response_status ? `HTTP ${escapeHtml(String(d.response_status))}` : '—');
+        const tr = document.createElement('tr');
+        if (d.payload && d.payload.message) tr.title = d.payload.message;
+        tr.innerHTML = `
+          <td style="${cellStyle}">${escapeHtml(formatDateTimeIso(d.created_at))}</td>
+          <td style="${cellStyle}">${escapeHtml(d.channel)}</td>
+          <td style="${cellStyle}">${escapeHtml(target)}</td>
+          <td style="${cellStyle}">${escapeHtml(d.event)}${d.alarm_id ? ` <span style="color:var(--muted);">#${escapeHtml(String(d.alarm_id))}</span>` : ''}</td>
+          <td style="${cellStyle}color:${statusColor};">${escapeHtml(d.status)}</td>
+          <td style="${cellStyle}">${escapeHtml(String(d.attempts))}</td>
+          <td style="${cellStyle}">${result}</td>
+          <td style="${cellStyle}">${d.status === 'failed' ? '<button class="btn nc-retry" type="button">Retry</button>' : ''}</td>
+        `;
+        const retryBtn = tr.querySelector('.nc-retry');
+        if (retryBtn) {
+          retryBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            try {
+              const res = await terminalsApi('POST', `/api/notification-deliveries/${encodeURIComponent(d.id)}/retry`);
+              setMsg(res && res.status === 'delivered' ? 'Delivered.' : `Retry queued: ${(res && res.last_error) || 'pending'}`, res && res.status === 'delivered' ? '#22c55e' : 'var(--muted)');
+              await loadDeliveries();
+            } catch (err) {
+              setMsg('Retry failed: ' + (err && err.message), '#ffdede');
+            }
+          });
+        }
+        deliveriesBody.appendChild(tr);
+      }
+    } catch (err) {
+      setMsg('Failed to load deliveries: ' + (err && err.message), '#ffdede');
+      deliveriesBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">Error loading deliveries.</td></tr>`;
+    }
+  }
+
+  q('.nc-save').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const body = {
+      id: q('.nc-id').value || null,
+      name: q('.nc-name').value.trim(),
+      url: q('.nc-url').value.trim(),
+      events: q('.nc-events').value.trim() || '*',
+      enabled: q('.nc-enabled').checked
+    };
+    const secret = q('.nc-secret').value;
+    if (secret) body.secret = secret;
+    if (!body.name || !body.url) {
+      setMsg('Name and URL are required.', '#ffdede');
+      return;
+    }
+    try {
+      setMsg('Saving…');
+      const saved = await terminalsApi('POST', '/api/notification-webhooks', body);
+      setMsg('Saved.', '#22c55e');
+      fillForm(saved);
+      await loadHooks();
+    } catch (err) {
+      setMsg('Save failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  async function loadChannels() {
+    try {
+      const json = await terminalsApi('GET', '/api/notification-channels');
+      const sms = (json.channels || []).find(c => c.name === 'sms') || {};
+      q('.nc-sms-status').textContent = sms.configured
+        ? `Configured — max ${sms.rate_limit_per_hour} texts per number per hour, ${sms.max_length} characters.`
+        : 'Not configured (set SMS_GATEWAY_URL on the server).';
+      q('.nc-sms-test').disabled = !sms.configured;
+    } catch (err) {
+      q('.nc-sms-status').textContent = 'Failed to load channel status: ' + (err && err.message);
+    }
+  }
+
+  q('.nc-sms-test').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const phone = q('.nc-sms-phone').value.trim();
+    if (!phone) {
+      setMsg('Enter a phone number first.', '#ffdede');
+      return;
+    }
+    try {
+      setMsg(`Sending test SMS to ${phone}…`);
+      const d = await terminalsApi('POST', '/api/sms/test', { phone });
+      if (d && d.status === 'delivered') setMsg(`Test SMS accepted by the gateway (HTTP ${d.response_status}).`, '#22c55e');
+      else setMsg(`Test SMS ${d ? d.status : 'not sent'}: ${(d && d.last_error) || 'unknown error'}`, '#ffdede');
+      await loadDeliveries();
+    } catch (err) {
+      setMsg('Test SMS failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  const tplTerminalSelect = q('.nc-tpl-terminal');
+  devices.forEach(d => {
+    const opt = document.createElement('option');
+    opt.value = d.id;
+    opt.textContent = d.title || d.name || d.id;
+    tplTerminalSelect.appendChild(opt);
+  });
+
+  q('.nc-tpl-preview').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const params = new URLSearchParams({ kind: q('.nc-tpl-kind').value, lang: q('.nc-tpl-lang').value, type: q('.nc-tpl-type').value });
+    if (tplTerminalSelect.value) params.set('terminalId', tplTerminalSelect.value);
+    try {
+      const json = await terminalsApi('GET', `/api/email-templates/preview?${params.toString()}`);
+      q('.nc-tpl-subject').textContent = `Subject: ${json.subject || ''}`;
+      const frame = q('.nc-tpl-frame');
+      frame.style.display = '';
+      frame.srcdoc = json.html || '';
+    } catch (err) {
+      setMsg('Preview failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  q('.nc-new').addEventListener('click', (e) => { e.stopPropagation(); fillForm(null); });
+  q('.nc-channel').addEventListener('change', () => loadDeliveries());
+  q('.nc-status').addEventListener('change', () => loadDeliveries());
+  q('.nc-refresh').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await loadChannels();
+    await loadHooks();
+    await loadDeliveries();
+  });
+
+  loadChannels();
+  loadHooks().then(loadDeliveries);
+}
+
+/* ---------------------------
+   Daily Digest (every signed-in user)
+   - The user's own morning fleet-status e-mails (/api/digest-subscriptions); admins can list everyone's
+   - Scope: whole fleet, one emirate or one project; language and send time per subscription
+   - "Send now" mails today's digest immediately (throttled per user by the server)
+   --------------------------- */
+function showDigestSubscriptionsModal() {
+  const cellStyle = 'padding:8px;border-top:1px solid rgba(255,255,255,0.02);';
+  const headStyle = 'text-align:left;padding:8px;border-bottom:1px solid rgba(255,255,255,0.04);';
+  const modal = document.createElement('div');
+  modal.className = 'history-modal';
+  modal.innerHTML = `
+    <div class="history-panel" role="dialog" aria-modal="true" aria-label="Daily Digest">
+      <div class="history-actions">
+        <div style="display:flex;align-items:center;gap:12px;">
+          <strong>Daily Digest</strong>
+          <span class="dg-info" style="color:var(--muted);font-size:13px;"></span>
+        </div>
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div class="history-controls">
+            ${isAdmin() ? '<label style="display:flex;align-items:center;gap:4px;color:var(--muted);"><input type="checkbox" class="dg-all" /> All users</label>' : ''}
+            <button class="btn dg-refresh" type="button">Refresh</button>
+            <button class="history-close" type="button">Close</button>
+          </div>
+        </div>
+      </div>
+
+      <div style="max-height:560px; overflow:auto; padding:6px;">
+        <div class="history-range" style="flex-wrap:wrap;gap:8px;">
+          <input type="hidden" class="dg-id" />
+          <input type="email" class="dg-email graph-title-input" placeholder="E-mail" style="flex:1;min-width:200px;" />
+          <select class="dg-scope graph-title-input" style="width:auto;">
+            <option value="all">Whole fleet</option>
+            <option value="emirate">Emirate</option>
+            <option value="project">Project</option>
+          </select>
+          <input type="text" class="dg-scope-value graph-title-input" placeholder="Emirate / project code" style="width:170px;" disabled />
+          <select class="dg-lang graph-title-input" style="width:auto;">
+            <option value="en">English</option>
+            <option value="ar">العربية</option>
+          </select>
+          <input type="text" class="dg-time graph-title-input" placeholder="Send time (HH:MM)" style="width:130px;" />
+          <label style="display:flex;align-items:center;gap:4px;color:var(--muted);"><input type="checkbox" class="dg-enabled" checked /> Enabled</label>
+          <button class="btn dg-save" type="button">Save</button>
+          <button class="btn dg-new" type="button">New</button>
+        </div>
+
+        <table class="tracking-table" style="width:100%;border-collapse:collapse;margin-top:8px;">
+          <thead>
+            <tr>
+              ${isAdmin() ? `<th style="${headStyle}">User</th>` : ''}
+              <th style="${headStyle}">E-mail</th>
+              <th style="${headStyle}">Scope</th>
+              <th style="${headStyle}">Language</th>
+              <th style="${headStyle}">Send time</th>
+              <th style="${headStyle}">Enabled</th>
+              <th style="${headStyle}">Last sent</th>
+              <th style="${headStyle}"></th>
+            </tr>
+          </thead>
+          <tbody class="dg-rows">
+            <tr><td colspan="8" style="padding:18px;color:var(--muted);">Loading...</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div class="history-msg dg-msg"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.body.classList.add('modal-open');
+
+  const q = sel => modal.querySelector(sel);
+  const rowsBody = q('.dg-rows');
+  const msgEl = q('.dg-msg');
+  let defaultSendTime = '07:00';
+
+  function removeModal() {
+    modal.remove();
+    document.body.classList.remove('modal-open');
+  }
+  q('.history-close').addEventListener('click', () => removeModal());
+  modal.addEventListener('click', (e) => { if (e.target === modal) removeModal(); });
+
+  function setMsg(text, color) {
+    msgEl.textContent = text || '';
+    msgEl.style.color = color || 'var(--muted)';
+  }
+
+  function syncScopeInput() {
+    const all = q('.dg-scope').value === 'all';
+    q('.dg-scope-value').disabled = all;
+    if (all) q('.dg-scope-value').value = '';
+  }
+
+  function fillForm(sub) {
+    q('.dg-id').value = sub ? sub.id : '';
+    q('.dg-email').value = sub ? sub.email : '';
+    q('.dg-scope').value = sub ? sub.scope : 'all';
+    q('.dg-scope-value').value = sub && sub.scope_value ? sub.scope_value : '';
+    q('.dg-lang').value = sub ? sub.language : 'en';
+    q('.dg-time').value = sub && sub.send_time ? sub.send_time : '';
+    q('.dg-enabled').checked = sub ? sub.enabled : true;
+    syncScopeInput();
+  }
+
+  async function loadList() {
+    try {
+      const all = q('.dg-all') && q('.dg-all').checked;
+      const json = await terminalsApi('GET', `/api/digest-subscriptions${all ? '?all=1' : ''}`);
+      const rows = (json && json.rows) ? json.rows : [];
+      defaultSendTime = json.default_send_time || defaultSendTime;
+      q('.dg-info').textContent = `Sent daily at ${defaultSendTime} (${json.timezone || 'server time'}) unless a send time is set.`;
+      q('.dg-time').placeholder = `Send time (${defaultSendTime})`;
+      if (!rows.length) {
+        rowsBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">No digest subscriptions yet.</td></tr>`;
+        return;
+      }
+      rowsBody.innerHTML = '';
+      for (const s of rows) {
+        const scopeText = s.scope === 'all' ? 'Whole fleet' : `${s.scope === 'emirate' ? 'Emirate' : 'Project'}: ${s.scope_value}`;
+        const tr = document.createElement('tr');
+        tr.style.cursor = 'pointer';
+        tr.title = 'Edit this subscription';
+        tr.innerHTML = `
+          ${isAdmin() ? `<td style="${cellStyle}">${escapeHtml(s.username)}</td>` : ''}
+          <td style="${cellStyle}">${escapeHtml(s.email)}</td>
+          <td style="${cellStyle}">${escapeHtml(scopeText)}</td>
+          <td style="${cellStyle}">${s.language === 'ar' ? 'العربية' : 'English'}</td>
+          <td style="${cellStyle}">${escapeHtml(s.send_time || defaultSendTime)}</td>
+          <td style="${cellStyle}">${s.enabled ? 'Yes' : 'No'}</td>
+          <td style="${cellStyle}">${escapeHtml(s.last_sent_on || '—')}</td>
+          <td style="${cellStyle}white-space:nowrap;">
+            <button class="btn dg-send" type="button">Send now</button>
+            <button class="btn dg-delete" type="button">Delete</button>
+          </td>
+        `;
+        tr.addEventListener('click', (e) => { e.stopPropagation(); fillForm(s); });
+        tr.querySelector('.dg-send').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            setMsg(`Sending digest to ${s.email}…`);
+            await terminalsApi('POST', `/api/digest-subscriptions/${encodeURIComponent(s.id)}/send`);
+            setMsg(`Digest sent to ${s.email}.`, '#22c55e');
+          } catch (err) {
+            setMsg('Send failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        tr.querySelector('.dg-delete').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (!confirm(`Stop the daily digest to ${s.email}?`)) return;
+          try {
+            await terminalsApi('DELETE', `/api/digest-subscriptions/${encodeURIComponent(s.id)}`);
+            setMsg('Deleted.', '#22c55e');
+            fillForm(null);
+            await loadList();
+          } catch (err) {
+            setMsg('Delete failed: ' + (err && err.message), '#ffdede');
+          }
+        });
+        rowsBody.appendChild(tr);
+      }
+    } catch (err) {
+      setMsg('Failed to load digest subscriptions: ' + (err && err.message), '#ffdede');
+      rowsBody.innerHTML = `<tr><td colspan="8" style="padding:18px;color:var(--muted);">Error loading subscriptions.</td></tr>`;
+    }
+  }
+
+  q('.dg-save').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const body = {
+      id: q('.dg-id').value || null,
+      email: q('.dg-email').value.trim(),
+      scope: q('.dg-scope').value,
+      scope_value: q('.dg-scope-value').value.trim(),
+      language: q('.dg-lang').value,
+      send_time: q('.dg-time').value.trim(),
+      enabled: q('.dg-enabled').checked
+    };
+    if (!body.email) {
+      setMsg('E-mail is required.', '#ffdede');
+      return;
+    }
+    if (body.scope !== 'all' && !body.scope_value) {
+      setMsg('Enter the emirate or project code.', '#ffdede');
+      return;
+    }
+    try {
+      setMsg('Saving…');
+      const saved = await terminalsApi('POST', '/api/digest-subscriptions', body);
+      setMsg('Saved.', '#22c55e');
+      fillForm(saved);
+      await loadList();
+    } catch (err) {
+      setMsg('Save failed: ' + (err && err.message), '#ffdede');
+    }
+  });
+
+  q('.dg-scope').addEventListener('change', () => syncScopeInput());
+  q('.dg-new').addEventListener('click', (e) => { e.stopPropagation(); fillForm(null); });
+  q('.dg-refresh').addEventListener('click', (e) => { e.stopPropagation(); loadList(); });
+  if (q('.dg-all')) q('.dg-all').addEventListener('change', () => loadList());
+
+  loadList();
+}
+
+/* ---------------------------
+   MAP (Leaflet) integration (lightweight, lazy-loaded)
+   (unchanged from the original script; keep behavior)
+*/
+
+function loadLeafletOnce() {
+  // returns a promise that resolves when L is available
+  if (window._leafletLoadingPromise) return window._leafletLoadingPromise;
+
+  window._leafletLoadingPromise = new Promise((resolve, reject) => {
+    // If Leaflet already present
+    if (window.L) return resolve(window.L);
+
+    // Inject CSS
+    const cssHref = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+    if (!document.querySelector(`link[href="${cssHref}"]`)) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = cssHref;
+      link.crossOrigin = '';
       document.head.appendChild(link);
     }
 
@@ -3982,6 +5932,9 @@ async function init() {
   // mark started so subsequent callers don't re-run init
   window._app_started = true;
 
+  // Load the fleet from the terminal registry before anything reads devices[]
+  await loadTerminals();
+
   try {
     // Load titles and sites from backend first so inputs show correct values on initial render
     await loadTitles();
@@ -4066,6 +6019,51 @@ async function init() {
         });
       }
 
+      // Attach "Manage Terminals" handler
+      const manageTerminalsBtn = document.getElementById('manage-terminals-btn');
+      if (manageTerminalsBtn) {
+        manageTerminalsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showManageTerminalsModal();
+        });
+      }
+
+      // Attach "Poll Runs" handler
+      const pollRunsBtn = document.getElementById('poll-runs-btn');
+      if (pollRunsBtn) {
+        pollRunsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showPollRunsModal();
+        });
+      }
+
+      // Attach "MQTT Payloads" handler
+      const mqttPayloadsBtn = document.getElementById('mqtt-payloads-btn');
+      if (mqttPayloadsBtn) {
+        mqttPayloadsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showMqttPayloadsModal();
+        });
+      }
+
+      // Attach "Notification Channels" handler
+      const notificationChannelsBtn = document.getElementById('notification-channels-btn');
+      if (notificationChannelsBtn) {
+        notificationChannelsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showNotificationChannelsModal();
+        });
+      }
+
+      // Attach "Daily Digest" handler
+      const digestBtn = document.getElementById('digest-btn');
+      if (digestBtn) {
+        digestBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showDigestSubscriptionsModal();
+        });
+      }
+
       // Attach "Show All Devices Map" handler
       const allMapBtn = document.getElementById('open-all-map');
       if (allMapBtn) {
@@ -4210,6 +6208,13 @@ async function init() {
           userMapBtn.addEventListener('click', userMapBtn._boundHandler);
         }
 
+        const userDigestBtn = document.getElementById('user-digest-btn');
+        if (userDigestBtn) {
+          userDigestBtn.removeEventListener('click', userDigestBtn._boundHandler);
+          userDigestBtn._boundHandler = (e) => { e.stopPropagation(); showDigestSubscriptionsModal(); };
+          userDigestBtn.addEventListener('click', userDigestBtn._boundHandler);
+        }
+
         // user device info button - show only for Sonic or Alfanar_Admin1
         const userDevInfoBtn = document.getElementById('user-device-info-btn');
         if (userDevInfoBtn) {
@@ -4254,10 +6259,32 @@ async function init() {
     if (saved === 'list') renderListView();
   } catch (e) { /* ignore */ }
 
+  // Links in alarm e-mails open a specific tank: /?tank=<terminalId>
+  openTankFromUrl();
+
   // Polling: subsequent refreshes will NOT show the spinner (silent updates)
   setInterval(refreshAll, POLL_INTERVAL_MS);
 }
 
+// Scroll to the tank named in ?tank= and open its history
+function openTankFromUrl() {
+  try {
+    const tid = new URLSearchParams(window.location.search).get('tank');
+    if (!tid) return;
+    const dev = devices.find(d => String(d.id) === String(tid));
+    if (!dev) return;
+    const cardEl = document.querySelector(`.tank-card[data-terminal="${dev.id}"]`);
+    if (cardEl) {
+      cardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      cardEl.classList.add('tank-card-highlight');
+      setTimeout(() => cardEl.classList.remove('tank-card-highlight'), 4000);
+    }
+    showHistoryModal(dev.id, dev.name);
+  } catch (e) {
+    console.warn('Failed to open tank from URL', e && e.message);
+  }
+}
+
 // Start immediately after DOM is ready (server handles redirect if unauthenticated)
 (async function startApp() {
   try {
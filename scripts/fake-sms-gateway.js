@@ -0,0 +1,68 @@
+/* Fake SMS gateway for trying out the SMS channel without sending real texts. Accepts any method and path, records
+   the request and answers like a typical HTTP gateway:
+
+     PORT=9000 node scripts/fake-sms-gateway.js
+     SMS_GATEWAY_URL=http://127.0.0.1:9000/send node server.js
+
+   RESPOND_STATUS / RESPOND_BODY force the answer (e.g. 200 with {"status":"error"} to try SMS_GATEWAY_SUCCESS_MATCH).
+   test/sms.test.js drives it through startFakeSmsGateway().
+*/
+const http = require('http');
+const { URL } = require('url');
+
+/* Start a gateway. `responses` is consumed one entry per request ({ status, body }), falling back to `status` / `body`
+   (default 200 {"status":"ok"}). Resolves to { url, received, close }, where received lists every request as
+   { method, path, query, headers, body, fields } (fields: the parsed JSON or form body). */
+function startFakeSmsGateway({ port = 0, status = 200, body = '{"status":"ok"}', responses = [] } = {}) {
+  const queue = responses.slice();
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const parsed = new URL(req.url, 'http://localhost');
+      let fields = null;
+      if (/json/i.test(req.headers['content-type'] || '')) {
+        try { fields = JSON.parse(raw); } catch (e) { /* left null */ }
+      } else if (raw) {
+        fields = Object.fromEntries(new URLSearchParams(raw));
+      }
+      received.push({ method: req.method, path: parsed.pathname, query: Object.fromEntries(parsed.searchParams), headers: req.headers, body: raw, fields });
+      const answer = queue.length ? queue.shift() : {};
+      res.writeHead(answer.status || status, { 'Content-Type': 'application/json' });
+      res.end(answer.body != null ? answer.body : body);
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT || '9000', 10);
+  const status = parseInt(process.env.RESPOND_STATUS || '200', 10);
+  startFakeSmsGateway({ port, status, body: process.env.RESPOND_BODY || '{"status":"ok"}' }).then(gateway => {
+    console.log(`Fake SMS gateway listening on ${gateway.url}`);
+    let seen = 0;
+    setInterval(() => {
+      while (seen < gateway.received.length) {
+        const r = gateway.received[seen++];
+        const text = { ...r.query, ...(r.fields || {}) };
+        console.log(`${r.method} ${r.path} to=${text.to || '-'} from=${text.from || '-'}: ${text.text || text.message || r.body}`);
+      }
+    }, 200);
+  }).catch(err => {
+    console.error('Fake SMS gateway failed to start:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startFakeSmsGateway };
@@ -0,0 +1,75 @@
+/* Local webhook receiver for trying out the webhook channel (notification_webhooks).
+   Checks X-Webhook-Signature the way a real receiver should: HMAC-SHA256 over "<X-Webhook-Timestamp>.<raw body>"
+   keyed with the webhook secret, compared in constant time, and rejects timestamps older than 5 minutes.
+
+     WEBHOOK_SECRET=... PORT=9100 node scripts/webhook-receiver.js
+
+   then add http://localhost:9100/ as a webhook with the same secret and press its Test button. RESPOND_STATUS forces the
+   status code answered to valid deliveries (e.g. 503 to watch the retries). test/webhook.test.js drives it through
+   startWebhookReceiver().
+*/
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_SKEW_SECONDS = 300;
+
+function signatureValid(secret, timestamp, rawBody, signature) {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > MAX_SKEW_SECONDS) return false;
+  const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex'));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* Start a receiver. `statuses` is consumed one entry per valid delivery (falling back to `status`, default 200);
+   a missing or bad signature is answered 401 when a secret is set. Resolves to { url, received, close }, where
+   received lists every request as { headers, body, json, valid, status }. */
+function startWebhookReceiver({ port = 0, secret = '', status = 200, statuses = [] } = {}) {
+  const queue = statuses.slice();
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const valid = !secret || signatureValid(secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature']);
+      const answer = !valid ? 401 : (queue.length ? queue.shift() : status);
+      let json = null;
+      try { json = JSON.parse(body); } catch (e) { /* not JSON */ }
+      received.push({ headers: req.headers, body, json, valid, status: answer });
+      res.writeHead(answer, { 'Content-Type': 'text/plain' });
+      res.end(valid ? `status ${answer}` : 'bad signature');
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT || '9100', 10);
+  const status = parseInt(process.env.RESPOND_STATUS || '200', 10);
+  startWebhookReceiver({ port, secret: process.env.WEBHOOK_SECRET || '', status }).then(receiver => {
+    console.log(`Webhook receiver listening on ${receiver.url}${process.env.WEBHOOK_SECRET ? '' : ' (no secret: signatures not checked)'}`);
+    let seen = 0;
+    setInterval(() => {
+      while (seen < receiver.received.length) {
+        const r = receiver.received[seen++];
+        console.log(`${r.status} ${r.headers['x-webhook-event'] || '-'} #${r.headers['x-webhook-delivery'] || '-'} signature ${r.valid ? 'ok' : 'BAD'}`);
+        if (r.json) console.log(JSON.stringify(r.json, null, 2));
+      }
+    }, 200);
+  }).catch(err => {
+    console.error('Webhook receiver failed to start:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startWebhookReceiver, signatureValid };
@@ -5,6 +5,8 @@ const fetch = require('node-fetch'); // v2
 const { parseStringPromise } = require('xml2js');
 const { Pool } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
 const nodemailer = require('nodemailer');
 
 // New deps for MQTT, ping and socket.io
@@ -22,6 +24,11 @@ const multer = require('multer');
 // NEW: sessions (server-side auth persistence)
 const session = require('express-session');
 
+// Outbound webhook / SMS gateway HTTP and the delivery retry policy (no DB access, see test/)
+const { postWebhook, sendSms, smsRateLimitReason, retryAfterFailure } = require('./lib/notifications');
+// Which alarm notices maintenance windows and quiet hours may hold back
+const { NEVER_SUPPRESSED_TYPES, quietHoursMayHold } = require('./lib/quiet-hours');
+
 const app = express();
 const PORT = process.env.PORT || 3007;
 
@@ -29,6 +36,7 @@ const SOAP_URL = process.env.SOAP_URL || 'https://webvision.digimatic.it/api/2/s
 const SOAP_ACTION = process.env.SOAP_ACTION || 'https://webvision.digimatic.it/api/2/TerminalGetInfo';
 const SOAP_USERNAME = process.env.SOAP_USERNAME || '';
 const SOAP_PASSWORD = process.env.SOAP_PASSWORD || '';
+const SOAP_TIMEOUT_MS = Math.max(1000, parseInt(process.env.SOAP_TIMEOUT_MS || '20000', 10));
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL || undefined,
@@ -110,6 +118,20 @@ function requireAuth(req, res, next) {
   }
 }
 
+// Helper middleware: only admin sessions may proceed (use after requireAuth)
+function requireAdmin(req, res, next) {
+  const user = req.session && req.session.user;
+  if (user && user.role === 'admin') return next();
+  return res.status(403).json({ error: 'forbidden' });
+}
+
+// Admins and editors (viewers are read-only), e.g. for acknowledging alarms
+function requireEditor(req, res, next) {
+  const user = req.session && req.session.user;
+  if (user && (user.role === 'admin' || user.role === 'editor')) return next();
+  return res.status(403).json({ error: 'forbidden' });
+}
+
 // Serve static assets, but do NOT allow direct access to protected HTML pages via /index.html etc.
 app.use(
   express.static(path.join(__dirname, 'public'), {
@@ -266,6 +288,10 @@ async function createTitlesTableIfNeeded() {
      - last_max_alarm_sent_at (TIMESTAMPTZ)     <-- NEW
      - project_code (TEXT)                      <-- NEW
      - emirate (TEXT)                           <-- NEW
+     - alarm_deadband (DOUBLE PRECISION)        <-- per-terminal override of ALARM_DEADBAND (NULL = default)
+     - alarm_min_duration_minutes (INTEGER)     <-- per-terminal override of ALARM_MIN_DURATION_MINUTES
+     - lel_warning_level (DOUBLE PRECISION)     <-- gas (LEL) warning threshold, NULL = LEL_WARNING_LEVEL
+     - lel_danger_level (DOUBLE PRECISION)      <-- gas (LEL) danger threshold, NULL = LEL_DANGER_LEVEL
 */
 async function createTankInfoTableIfNeeded() {
   const createSql = `
@@ -288,6 +314,10 @@ async function createTankInfoTableIfNeeded() {
       last_max_alarm_sent_at TIMESTAMPTZ,
       project_code TEXT,
       emirate TEXT,
+      alarm_deadband DOUBLE PRECISION,
+      alarm_min_duration_minutes INTEGER,
+      lel_warning_level DOUBLE PRECISION,
+      lel_danger_level DOUBLE PRECISION,
       created_at TIMESTAMPTZ NOT NULL DEFAULT now()
     );
     CREATE INDEX IF NOT EXISTS tank_info_terminal_idx ON tank_info (terminal_id);
@@ -413,6 +443,602 @@ async function seedDefaultCredentialsIfMissing() {
   }
 }
 
+/* NEW: Ensure terminals table exists (fleet registry used by the poller and the UI)
+   Columns:
+     - terminal_id: Digimatic terminal id (unique)
+     - name: friendly device name shown on the cards (e.g. "Transmitter A")
+     - enabled: disabled terminals are neither polled nor shown
+     - mqtt_topic: MQTT topic carrying this terminal's live LEL readings (unique; NULL = no live feed)
+     - panel_ip: VPN IP of the panel, pinged for panel online/offline status
+*/
+async function createTerminalsTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS terminals (
+      id SERIAL PRIMARY KEY,
+      terminal_id TEXT UNIQUE NOT NULL,
+      name TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS terminals_enabled_idx ON terminals (enabled);
+    ALTER TABLE terminals ADD COLUMN IF NOT EXISTS mqtt_topic TEXT;
+    ALTER TABLE terminals ADD COLUMN IF NOT EXISTS panel_ip TEXT;
+    CREATE UNIQUE INDEX IF NOT EXISTS terminals_mqtt_topic_uidx ON terminals (mqtt_topic) WHERE mqtt_topic IS NOT NULL;
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured terminals table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create terminals table:', err && err.message);
+  }
+}
+
+/* Seed the terminals table once (only when it is empty).
+   Sources, in order:
+   - the fleet previously hardcoded in public/script.js
+   - any extra ids from the legacy TERMINAL_IDS env var
+*/
+async function seedTerminalsIfEmpty() {
+  const defaults = [
+    { terminal_id: '230347', name: 'Transmitter A' },
+    { terminal_id: '230344', name: 'Transmitter B' },
+    { terminal_id: '230348', name: 'Transmitter C' },
+    { terminal_id: '230345', name: 'Transmitter D' },
+    { terminal_id: '230346', name: 'Transmitter E' },
+    { terminal_id: '231927', name: 'Transmitter F' },
+  ];
+  const envIds = (process.env.TERMINAL_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const tid of envIds) {
+    if (!defaults.some(d => d.terminal_id === tid)) defaults.push({ terminal_id: tid, name: `Terminal ${tid}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const r = await client.query(`SELECT COUNT(*)::int AS n FROM terminals`);
+    if (r.rows && r.rows[0] && r.rows[0].n > 0) return;
+    for (const t of defaults) {
+      try {
+        await client.query(
+          `INSERT INTO terminals (terminal_id, name) VALUES ($1, $2) ON CONFLICT (terminal_id) DO NOTHING`,
+          [t.terminal_id, t.name]
+        );
+      } catch (err) {
+        console.warn('Seed terminal error', t.terminal_id, err && err.message);
+      }
+    }
+    console.log(`Seeded terminals table with ${defaults.length} terminal(s)`);
+  } finally {
+    client.release();
+  }
+}
+
+/* NEW: Add battery/signal columns to tank_level (the table itself is provisioned outside this app).
+   Columns:
+     - batt_voltage: raw BATT value (V)
+     - batt_percent: BATT mapped to 0..100 (see computeBatteryPercent)
+     - rssi: raw RSSI value (0..31)
+   Also keys readings on (id, timestamp) so insertReading can upsert by device timestamp.
+   Existing duplicates are removed first, keeping the first-stored row of each (terminal, device timestamp).
+*/
+async function ensureTankLevelColumns() {
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(`ALTER TABLE IF EXISTS tank_level ADD COLUMN IF NOT EXISTS batt_voltage DOUBLE PRECISION;`);
+      await client.query(`ALTER TABLE IF EXISTS tank_level ADD COLUMN IF NOT EXISTS batt_percent DOUBLE PRECISION;`);
+      await client.query(`ALTER TABLE IF EXISTS tank_level ADD COLUMN IF NOT EXISTS rssi DOUBLE PRECISION;`);
+      console.log('Ensured tank_level battery/signal columns exist');
+
+      const idx = await client.query(`SELECT to_regclass('tank_level_id_timestamp_uidx') AS idx, to_regclass('tank_level') AS tbl`);
+      if (idx.rows[0] && idx.rows[0].tbl && !idx.rows[0].idx) {
+        await client.query('BEGIN');
+        try {
+          const del = await client.query(`
+            DELETE FROM tank_level a
+             USING tank_level b
+             WHERE a.id = b.id
+               AND a.timestamp = b.timestamp
+               AND (COALESCE(a."current_timestamp", 'infinity'::timestamptz), a.ctid)
+                 > (COALESCE(b."current_timestamp", 'infinity'::timestamptz), b.ctid)
+          `);
+          await client.query(`CREATE UNIQUE INDEX tank_level_id_timestamp_uidx ON tank_level (id, timestamp)`);
+          await client.query('COMMIT');
+          console.log(`Keyed tank_level on (id, timestamp); removed ${del.rowCount || 0} duplicate reading(s)`);
+        } catch (err) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw err;
+        }
+      }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to alter tank_level table:', err && err.message);
+  }
+}
+
+/* NEW: Poll run journal (one row per poll run + one row per terminal polled in that run)
+   poll_runs:
+     - trigger: what started the run ('startup', 'scheduled', ...)
+     - terminal_count / ok_count / fail_count: summary filled in when the run finishes
+     - timed_out: true when POLL_RUN_TIMEOUT_MS cut the run short
+   poll_run_terminals:
+     - success / attempts / error: outcome of pollOneTerminal for that terminal
+     - soap_status: HTTP status of the last SOAP answer (404 = device offline, NULL = no answer/network error)
+     - device_timestamp: timestamp reported by the device for the saved reading
+   Rows older than POLL_RUN_RETENTION_DAYS (default 90) are pruned after each run.
+*/
+async function createPollRunTablesIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS poll_runs (
+      id SERIAL PRIMARY KEY,
+      trigger TEXT NOT NULL DEFAULT 'scheduled',
+      started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      finished_at TIMESTAMPTZ,
+      terminal_count INTEGER NOT NULL DEFAULT 0,
+      ok_count INTEGER NOT NULL DEFAULT 0,
+      fail_count INTEGER NOT NULL DEFAULT 0,
+      timed_out BOOLEAN NOT NULL DEFAULT FALSE,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS poll_runs_started_idx ON poll_runs (started_at DESC);
+    CREATE TABLE IF NOT EXISTS poll_run_terminals (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES poll_runs(id) ON DELETE CASCADE,
+      terminal_id TEXT NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      finished_at TIMESTAMPTZ NOT NULL,
+      success BOOLEAN NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      soap_status INTEGER,
+      device_timestamp TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS poll_run_terminals_run_idx ON poll_run_terminals (run_id);
+    CREATE INDEX IF NOT EXISTS poll_run_terminals_terminal_idx ON poll_run_terminals (terminal_id, started_at DESC);
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured poll_runs / poll_run_terminals tables exist');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create poll run tables:', err && err.message);
+  }
+}
+
+/* NEW: Ensure lel_readings table exists (gas detector LEL values received over MQTT)
+   Rows are downsampled before insert (see recordLelSample) and pruned after LEL_RETENTION_DAYS (default 180).
+*/
+async function createLelReadingsTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS lel_readings (
+      id BIGSERIAL PRIMARY KEY,
+      terminal_id TEXT NOT NULL,
+      lel DOUBLE PRECISION NOT NULL,
+      topic TEXT,
+      recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS lel_readings_terminal_time_idx ON lel_readings (terminal_id, recorded_at);
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured lel_readings table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create lel_readings table:', err && err.message);
+  }
+}
+
+/* NEW: Ensure mqtt_payload_schemas table exists (how to read the gas reading out of each topic's messages)
+   Columns:
+     - topic: MQTT topic the definition applies to
+     - json_path: path to the gas reading inside the JSON payload, e.g. "LEL" or "$.data.sensors[0].lel"
+       (key lookups are case-insensitive)
+     - unit: unit label reported with the value (default "%LEL")
+     - scale: multiplier applied to the raw value (e.g. 0.1 for a sensor reporting tenths)
+     - min_value / max_value: accepted range after scaling; anything outside is rejected (NULL = no bound)
+   Topics without a row use the default definition (json_path "LEL", scale 1, range 0..100).
+*/
+async function createMqttPayloadSchemasTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS mqtt_payload_schemas (
+      topic TEXT PRIMARY KEY,
+      json_path TEXT NOT NULL,
+      unit TEXT NOT NULL DEFAULT '%LEL',
+      scale DOUBLE PRECISION NOT NULL DEFAULT 1,
+      min_value DOUBLE PRECISION,
+      max_value DOUBLE PRECISION,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured mqtt_payload_schemas table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create mqtt_payload_schemas table:', err && err.message);
+  }
+}
+
+/* NEW: Panel connectivity tables (fed by the ping loop)
+   panel_connectivity_events: one row per online/offline transition of a terminal's panel
+   panel_latency_samples: ping results aggregated per terminal over PANEL_LATENCY_SAMPLE_MS windows
+     - samples / alive_count: pings sent / answered in the window
+     - avg_ms / min_ms / max_ms: round-trip time of the answered pings (NULL when none answered)
+*/
+async function createPanelConnectivityTablesIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS panel_connectivity_events (
+      id BIGSERIAL PRIMARY KEY,
+      terminal_id TEXT NOT NULL,
+      online BOOLEAN NOT NULL,
+      occurred_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS panel_connectivity_events_terminal_time_idx ON panel_connectivity_events (terminal_id, occurred_at);
+    CREATE TABLE IF NOT EXISTS panel_latency_samples (
+      id BIGSERIAL PRIMARY KEY,
+      terminal_id TEXT NOT NULL,
+      sampled_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      samples INTEGER NOT NULL,
+      alive_count INTEGER NOT NULL,
+      avg_ms DOUBLE PRECISION,
+      min_ms DOUBLE PRECISION,
+      max_ms DOUBLE PRECISION
+    );
+    CREATE INDEX IF NOT EXISTS panel_latency_samples_terminal_time_idx ON panel_latency_samples (terminal_id, sampled_at);
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured panel connectivity tables exist');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create panel connectivity tables:', err && err.message);
+  }
+}
+
+/* NEW: Ensure alarm_events table exists (alarm history + acknowledge/resolve workflow)
+   Lifecycle: raised (status 'active') -> optionally acknowledged (user + comment) -> cleared
+   (automatically when the condition ends, or manually with user + comment).
+   Columns:
+     - alarm_type: what tripped, e.g. 'level_low' / 'level_high'
+     - severity: 'warning' | 'critical'
+     - value / threshold: reading and limit when raised; last_value / last_seen_at: latest reading while open
+     - cleared_by: NULL when cleared automatically
+     - notified_tier: highest escalation tier notified so far (tier 1 is notified when the alarm is raised)
+   At most one open (not cleared) alarm exists per terminal and alarm_type.
+*/
+async function createAlarmEventsTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS alarm_events (
+      id SERIAL PRIMARY KEY,
+      terminal_id TEXT NOT NULL,
+      alarm_type TEXT NOT NULL,
+      severity TEXT NOT NULL DEFAULT 'warning',
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','acknowledged','cleared')),
+      message TEXT,
+      value DOUBLE PRECISION,
+      threshold DOUBLE PRECISION,
+      last_value DOUBLE PRECISION,
+      last_seen_at TIMESTAMPTZ,
+      raised_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      acknowledged_at TIMESTAMPTZ,
+      acknowledged_by TEXT,
+      ack_comment TEXT,
+      cleared_at TIMESTAMPTZ,
+      cleared_by TEXT,
+      clear_comment TEXT,
+      clear_value DOUBLE PRECISION
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS alarm_events_open_uidx ON alarm_events (terminal_id, alarm_type) WHERE cleared_at IS NULL;
+    CREATE INDEX IF NOT EXISTS alarm_events_raised_idx ON alarm_events (raised_at DESC);
+    ALTER TABLE alarm_events ADD COLUMN IF NOT EXISTS notified_tier INTEGER NOT NULL DEFAULT 1;
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured alarm_events table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create alarm_events table:', err && err.message);
+  }
+}
+
+/* NEW: Ensure terminal_alarm_state table exists (per-terminal alarm state machine, see advanceAlarmState)
+   One row per (terminal_id, kind): kind 'level' with state 'normal' | 'low' | 'high',
+   kind 'lel' with state 'normal' | 'warning' | 'danger'.
+   pending_state / pending_since hold a state change that has not yet lasted the minimum duration.
+   Also adds the per-terminal alarm tuning columns to tank_info on existing databases.
+*/
+async function createAlarmStateTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS terminal_alarm_state (
+      terminal_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'normal',
+      state_since TIMESTAMPTZ NOT NULL DEFAULT now(),
+      pending_state TEXT,
+      pending_since TIMESTAMPTZ,
+      last_value DOUBLE PRECISION,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (terminal_id, kind)
+    );
+    ALTER TABLE IF EXISTS tank_info ADD COLUMN IF NOT EXISTS alarm_deadband DOUBLE PRECISION;
+    ALTER TABLE IF EXISTS tank_info ADD COLUMN IF NOT EXISTS alarm_min_duration_minutes INTEGER;
+    ALTER TABLE IF EXISTS tank_info ADD COLUMN IF NOT EXISTS lel_warning_level DOUBLE PRECISION;
+    ALTER TABLE IF EXISTS tank_info ADD COLUMN IF NOT EXISTS lel_danger_level DOUBLE PRECISION;
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured terminal_alarm_state table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create terminal_alarm_state table:', err && err.message);
+  }
+}
+
+/* NEW: Ensure alarm_recipients table exists (who gets alarm notifications, see resolveAlarmRecipients)
+   A recipient applies to one terminal, every terminal of a project (tank_info.project_code) or every terminal of
+   an emirate (tank_info.emirate):
+     - scope: 'terminal' | 'project' | 'emirate'; scope_value: terminal id / project code / emirate
+     - role: 'site_contact' | 'operations' (Alfanar operations) | 'supplier'
+     - tier: escalation tier; tier 1 is notified immediately, higher tiers only while the alarm stays unacknowledged
+*/
+async function createAlarmRecipientsTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS alarm_recipients (
+      id SERIAL PRIMARY KEY,
+      scope TEXT NOT NULL CHECK (scope IN ('terminal','project','emirate')),
+      scope_value TEXT NOT NULL,
+      email TEXT,
+      phone TEXT,
+      language TEXT,
+      name TEXT,
+      role TEXT NOT NULL DEFAULT 'site_contact' CHECK (role IN ('site_contact','operations','supplier')),
+      tier INTEGER NOT NULL DEFAULT 1 CHECK (tier >= 1),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    ALTER TABLE alarm_recipients ADD COLUMN IF NOT EXISTS phone TEXT;
+    ALTER TABLE alarm_recipients ADD COLUMN IF NOT EXISTS language TEXT;
+    ALTER TABLE alarm_recipients ALTER COLUMN email DROP NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS alarm_recipients_scope_email_uidx ON alarm_recipients (scope, scope_value, lower(email));
+    CREATE UNIQUE INDEX IF NOT EXISTS alarm_recipients_scope_phone_uidx ON alarm_recipients (scope, scope_value, phone) WHERE email IS NULL;
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured alarm_recipients table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create alarm_recipients table:', err && err.message);
+  }
+}
+
+/* Outbound notification channels: webhook endpoints and the shared delivery log (one row per message per target). */
+async function createNotificationTablesIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS notification_webhooks (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT,
+      events TEXT NOT NULL DEFAULT '*',
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      channel TEXT NOT NULL,
+      target TEXT NOT NULL,
+      event TEXT NOT NULL,
+      alarm_id INTEGER,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','delivered','failed','skipped')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      next_attempt_at TIMESTAMPTZ DEFAULT now(),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      delivered_at TIMESTAMPTZ
+    );
+    ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS response_body TEXT;
+    CREATE INDEX IF NOT EXISTS notification_deliveries_target_idx ON notification_deliveries (channel, target, created_at DESC);
+    CREATE INDEX IF NOT EXISTS notification_deliveries_pending_idx ON notification_deliveries (next_attempt_at) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS notification_deliveries_created_idx ON notification_deliveries (created_at DESC);
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      // tables created before the SMS channel only allow pending/delivered/failed: widen the check once
+      const check = await client.query(
+        `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+          WHERE conrelid = 'notification_deliveries'::regclass AND conname = 'notification_deliveries_status_check'`
+      );
+      if (check.rows.length && !check.rows[0].def.includes('skipped')) {
+        await client.query(`
+          ALTER TABLE notification_deliveries DROP CONSTRAINT notification_deliveries_status_check;
+          ALTER TABLE notification_deliveries ADD CONSTRAINT notification_deliveries_status_check
+            CHECK (status IN ('pending','delivered','failed','skipped'));
+        `);
+        console.log("Added 'skipped' to notification_deliveries status check");
+      }
+      console.log('Ensured notification_webhooks/notification_deliveries tables exist');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create notification tables:', err && err.message);
+  }
+}
+
+/* Maintenance windows (alarm notifications are suppressed, events still logged) and the quiet-hours hold queue
+   (non-critical alarm emails held for a recipient until their quiet hours end). */
+async function createMaintenanceTablesIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+      id SERIAL PRIMARY KEY,
+      scope TEXT NOT NULL CHECK (scope IN ('terminal','site','project')),
+      scope_value TEXT NOT NULL,
+      reason TEXT,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ,
+      recurrence TEXT NOT NULL DEFAULT 'none' CHECK (recurrence IN ('none','weekly')),
+      weekdays TEXT,
+      daily_window TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS maintenance_windows_scope_idx ON maintenance_windows (scope, scope_value);
+    CREATE TABLE IF NOT EXISTS quiet_hours_queue (
+      id BIGSERIAL PRIMARY KEY,
+      email TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      severity TEXT,
+      template JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      release_at TIMESTAMPTZ NOT NULL,
+      sent_at TIMESTAMPTZ
+    );
+    ALTER TABLE quiet_hours_queue ADD COLUMN IF NOT EXISTS template JSONB;
+    CREATE INDEX IF NOT EXISTS quiet_hours_queue_due_idx ON quiet_hours_queue (release_at) WHERE sent_at IS NULL;
+    ALTER TABLE alarm_recipients ADD COLUMN IF NOT EXISTS quiet_hours TEXT;
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured maintenance_windows/quiet_hours_queue tables exist');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create maintenance tables:', err && err.message);
+  }
+}
+
+/* Daily fleet digest subscriptions
+   Columns:
+     - username: dashboard user (tank_credentials.username) who owns the subscription
+     - email: where the digest goes
+     - scope / scope_value: 'all' (whole fleet), 'emirate' (tank_info.emirate) or 'project' (tank_info.project_code)
+     - language: 'en' | 'ar'
+     - send_time: "HH:MM" in ALARM_TIMEZONE (NULL = DIGEST_SEND_TIME)
+     - last_sent_on: local date of the last digest sent, so each subscription gets one per day
+*/
+async function createDigestSubscriptionsTableIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS digest_subscriptions (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      email TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'all' CHECK (scope IN ('all','emirate','project')),
+      scope_value TEXT,
+      language TEXT NOT NULL DEFAULT 'en',
+      send_time TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      last_sent_on DATE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS digest_subscriptions_uidx
+      ON digest_subscriptions (lower(email), scope, COALESCE(scope_value, ''));
+    CREATE INDEX IF NOT EXISTS digest_subscriptions_username_idx ON digest_subscriptions (username);
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured digest_subscriptions table exists');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create digest_subscriptions table:', err && err.message);
+  }
+}
+
+/* Document expiry reminders
+   document_reminder_contacts: who is reminded about a Document Tracker site
+     - scope 'site' (scope_value = tank_documents.building_code) or 'contractor' (scope_value = tank_documents.gas_contractor)
+   document_reminders_sent: one row per reminder mailed (document, type, expiry date, interval, email), so a reminder
+     is never sent twice to the same person; a renewed document (new expiry date) starts over.
+*/
+async function createDocumentReminderTablesIfNeeded() {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS document_reminder_contacts (
+      id SERIAL PRIMARY KEY,
+      scope TEXT NOT NULL CHECK (scope IN ('site','contractor')),
+      scope_value TEXT NOT NULL,
+      email TEXT NOT NULL,
+      name TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS document_reminder_contacts_uidx
+      ON document_reminder_contacts (scope, lower(scope_value), lower(email));
+    CREATE TABLE IF NOT EXISTS document_reminders_sent (
+      id BIGSERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL,
+      doc_type TEXT NOT NULL,
+      expiry_date DATE NOT NULL,
+      days_before INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      file_name TEXT,
+      sent_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS document_reminders_sent_uidx
+      ON document_reminders_sent (document_id, doc_type, expiry_date, days_before, lower(email));
+  `;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(createSql);
+      console.log('Ensured document_reminder_contacts/document_reminders_sent tables exist');
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to create document reminder tables:', err && err.message);
+  }
+}
+
 // attempt to create the table on startup (non-blocking)
 createLoginAttemptsTableIfNeeded().catch(e => console.warn('Create table error', e && e.message));
 createSitesTableIfNeeded().catch(e => console.warn('Create sites table error', e && e.message));
@@ -420,6 +1046,22 @@ createTitlesTableIfNeeded().catch(e => console.warn('Create tank_titles table er
 createTankInfoTableIfNeeded().catch(e => console.warn('Create tank_info table error', e && e.message));
 createTankDocumentsTableIfNeeded().catch(e => console.warn('Create tank_documents table error', e && e.message));
 createTankCredentialsTableIfNeeded().then(seedDefaultCredentialsIfMissing).catch(e => console.warn('Create/seed tank_credentials error', e && e.message));
+createLelReadingsTableIfNeeded().catch(e => console.warn('Create lel_readings table error', e && e.message));
+// The startup poll and the realtime mapping wait on these so the tables they read/write exist first
+const pollSchemaReady = Promise.all([
+  createTerminalsTableIfNeeded().then(seedTerminalsIfEmpty).catch(e => console.warn('Create/seed terminals error', e && e.message)),
+  ensureTankLevelColumns().catch(e => console.warn('Alter tank_level error', e && e.message)),
+  createPollRunTablesIfNeeded().catch(e => console.warn('Create poll run tables error', e && e.message)),
+  createMqttPayloadSchemasTableIfNeeded().catch(e => console.warn('Create mqtt_payload_schemas table error', e && e.message)),
+  createPanelConnectivityTablesIfNeeded().catch(e => console.warn('Create panel connectivity tables error', e && e.message)),
+  createAlarmEventsTableIfNeeded().catch(e => console.warn('Create alarm_events table error', e && e.message)),
+  createAlarmStateTableIfNeeded().catch(e => console.warn('Create terminal_alarm_state table error', e && e.message)),
+  createAlarmRecipientsTableIfNeeded().catch(e => console.warn('Create alarm_recipients table error', e && e.message)),
+  createNotificationTablesIfNeeded().catch(e => console.warn('Create notification tables error', e && e.message)),
+  createMaintenanceTablesIfNeeded().catch(e => console.warn('Create maintenance tables error', e && e.message)),
+  createDigestSubscriptionsTableIfNeeded().catch(e => console.warn('Create digest_subscriptions table error', e && e.message)),
+  createDocumentReminderTablesIfNeeded().catch(e => console.warn('Create document reminder tables error', e && e.message)),
+]);
 
 /* XML helpers */
 function nodeText(v) {
@@ -545,20 +1187,35 @@ function normalizeSn(sn) {
   return 'ZN' + raw;
 }
 
-/* New: perform a SOAP fetch and return a normalized reading object.
-   Accepts optional variableName (default 'LIVELLO').
+/* Map a BATT voltage to a rounded percent using a linear map BATT_MIN_V->0, BATT_MAX_V->100 (defaults 3.35/3.55).
+   Returns null when the voltage or the configured range is unusable.
+*/
+function computeBatteryPercent(voltage) {
+  if (voltage == null || isNaN(voltage)) return null;
+  const vMin = parseFloat(process.env.BATT_MIN_V || '3.35');
+  const vMax = parseFloat(process.env.BATT_MAX_V || '3.55');
+  if (isNaN(vMin) || isNaN(vMax) || vMax <= vMin) return null;
+  if (voltage <= vMin) return 0;
+  if (voltage >= vMax) return 100;
+  return Math.round(((voltage - vMin) / (vMax - vMin)) * 100.0); // rounding per preference
+}
+
+/* New: perform a single SOAP TerminalGetInfo fetch and return every InfoVariable it contains.
    Returns:
    {
-     idVal, snVal, numericLevelVal, timestampVal, rawValue, timestampRaw, percent (for BATT if computed)
+     idVal, snVal,
+     variables: { LIVELLO: { rawValue, numericValue, timestampRaw, timestampVal, percent }, BATT: {...}, RSSI: {...}, ... }
    }
+   `percent` is only computed for BATT. Variable names are upper-cased.
+   Throws (status 404) when the response carries no InfoVariable at all (device offline).
 */
-async function getTankReading(terminalId, variableName = 'LIVELLO') {
+async function fetchTerminalInfo(terminalId) {
   const soapBody = buildSoapBody(terminalId);
   const headers = { 'Content-Type': 'text/xml; charset=utf-8' };
   if (SOAP_ACTION) headers['SOAPAction'] = SOAP_ACTION;
   if (SOAP_USERNAME) headers['Authorization'] = 'Basic ' + Buffer.from(`${SOAP_USERNAME}:${SOAP_PASSWORD}`).toString('base64');
 
-  const response = await fetch(SOAP_URL, { method: 'POST', headers, body: soapBody });
+  const response = await fetch(SOAP_URL, { method: 'POST', headers, body: soapBody, timeout: SOAP_TIMEOUT_MS });
   const respText = await response.text().catch(() => '');
 
   if (!response.ok) {
@@ -580,84 +1237,231 @@ async function getTankReading(terminalId, variableName = 'LIVELLO') {
 
   const items = collectItems(parsed);
 
-  const desiredName = (variableName || 'LIVELLO').toString().trim().toUpperCase();
+  const valueKeys = ['Value','value'];
+  const timeKeys = ['Timestamp','timestamp'];
 
-  const target = items.find(item => {
+  const variables = {};
+  let firstVariable = null;
+  for (const item of items) {
     const type = item && item['$'] && item['$']['xsi:type'];
-    const name = item && (item['Name'] || item['name']);
-    const nameText = nodeText(name) || '';
-    return type === 'ns1:InfoVariable' && nameText.trim().toUpperCase() === desiredName;
-  });
+    if (type !== 'ns1:InfoVariable') continue;
+    const nameText = (nodeText(item['Name'] || item['name']) || '').trim().toUpperCase();
+    if (!nameText || variables[nameText]) continue;
+
+    const rawValue = extractField(item, valueKeys);
+    const timestampRaw = extractField(item, timeKeys);
+    const numericValue = parseNumericValue(rawValue);
+    variables[nameText] = {
+      rawValue,
+      numericValue,
+      timestampRaw,
+      timestampVal: validateTimestamp(timestampRaw),
+      percent: nameText === 'BATT' ? computeBatteryPercent(numericValue) : null
+    };
+    if (!firstVariable) firstVariable = item;
+  }
 
-  if (!target) {
-    const err = new Error(`Device Offline or ${desiredName} not found`);
+  if (!firstVariable) {
+    const err = new Error('Device Offline or no variables found');
     err.status = 404;
     throw err;
   }
 
   const infoTerminal = findInfoTerminal(parsed);
   const terminalTopId = infoTerminal ? nodeText(infoTerminal.Id || infoTerminal.id) : null;
-  const terminalTopName = infoTerminal ? nodeText(infoTerminal.Name || infoTerminal.name) : null;
 
-  const valueKeys = ['Value','value'];
-  const timeKeys = ['Timestamp','timestamp'];
+  const idField = terminalTopId || terminalId;
+  const snField = infoTerminal ? nodeText(infoTerminal.Name || infoTerminal.name) : extractField(firstVariable, ['SerialNumber','Serial','Name','NAME']);
 
-  const rawValue = extractField(target, valueKeys);
-  const timestampRaw = extractField(target, timeKeys);
-  const timestampIso = validateTimestamp(timestampRaw);
+  return {
+    idVal: idField,
+    snVal: normalizeSn(snField), // Normalize SN to always include "ZN" prefix (uppercase)
+    variables
+  };
+}
 
-  const idField = terminalTopId || terminalId;
-  const snField = infoTerminal ? nodeText(infoTerminal.Name || infoTerminal.name) : extractField(target, ['SerialNumber','Serial','Name','NAME']);
+/* Pick one variable out of a fetchTerminalInfo() result and shape it as a normalized reading object.
+   Returns:
+   {
+     idVal, snVal, numericLevelVal, timestampVal, rawValue, timestampRaw, percent (for BATT if computed)
+   }
+*/
+function readingFromInfo(info, variableName = 'LIVELLO') {
+  const desiredName = (variableName || 'LIVELLO').toString().trim().toUpperCase();
+  const v = info && info.variables ? info.variables[desiredName] : null;
+  if (!v) {
+    const err = new Error(`Device Offline or ${desiredName} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return {
+    idVal: info.idVal,
+    snVal: info.snVal,
+    numericLevelVal: v.numericValue,
+    timestampVal: v.timestampVal,
+    rawValue: v.rawValue,
+    timestampRaw: v.timestampRaw,
+    percent: v.percent
+  };
+}
 
-  // Normalize SN to always include "ZN" prefix (uppercase)
-  const snNormalized = normalizeSn(snField);
+/* -------------------------
+   Live reading cache with request coalescing
+   - One TerminalGetInfo response holds every variable, so one entry per terminal serves all per-variable lookups.
+   - Concurrent callers for the same terminal share a single in-flight upstream fetch.
+   - "Device Offline" (404) answers are cached too, so offline terminals don't hit the SOAP service on every request.
+   - If the upstream call fails, the last good entry is served (flagged stale) for up to LIVE_CACHE_MAX_STALE_MS.
+   - The cache holds at most LIVE_CACHE_MAX_ENTRIES terminals (expired entries go first, then the least recently
+     fetched), so lookups of arbitrary terminal ids cannot grow it without bound.
+   Config:
+     LIVE_CACHE_TTL_MS (default 15000)
+     LIVE_CACHE_MAX_STALE_MS (default 300000)
+     LIVE_CACHE_MAX_ENTRIES (default 500)
+   ------------------------- */
+const LIVE_CACHE_TTL_MS = Math.max(0, parseInt(process.env.LIVE_CACHE_TTL_MS || '15000', 10));
+const LIVE_CACHE_MAX_STALE_MS = Math.max(0, parseInt(process.env.LIVE_CACHE_MAX_STALE_MS || '300000', 10));
+const LIVE_CACHE_MAX_ENTRIES = Math.max(10, parseInt(process.env.LIVE_CACHE_MAX_ENTRIES || '500', 10));
+const liveCache = new Map(); // terminalId -> { fetchedAt, info } | { fetchedAt, error: { status, message } }
+const liveInflight = new Map(); // terminalId -> Promise<entry>
+
+function liveCacheMeta(entry, hit, stale) {
+  return {
+    hit: !!hit,
+    stale: !!stale,
+    age_ms: Math.max(0, Date.now() - entry.fetchedAt),
+    fetched_at: new Date(entry.fetchedAt).toISOString(),
+    ttl_ms: LIVE_CACHE_TTL_MS
+  };
+}
 
-  const numericValue = parseNumericValue(rawValue);
+function liveErrorFromEntry(entry) {
+  const err = new Error(entry.error.message);
+  err.status = entry.error.status;
+  err.cache = liveCacheMeta(entry, true, false);
+  return err;
+}
 
-  // If variable is BATT and numericValue present, compute a rounded percent using linear map 3.35->0, 3.55->100
-  let computedPercent = null;
-  try {
-    if (desiredName === 'BATT' && numericValue != null && !isNaN(numericValue)) {
-      const vMin = parseFloat(process.env.BATT_MIN_V || '3.35');
-      const vMax = parseFloat(process.env.BATT_MAX_V || '3.55');
-      if (!isNaN(vMin) && !isNaN(vMax) && vMax > vMin) {
-        if (numericValue <= vMin) computedPercent = 0;
-        else if (numericValue >= vMax) computedPercent = 100;
-        else {
-          const pct = ((numericValue - vMin) / (vMax - vMin)) * 100.0;
-          computedPercent = Math.round(pct); // rounding per preference
+// (Re)insert an entry at the end, so the Map's insertion order runs from least to most recently fetched
+function storeLiveEntry(key, entry) {
+  liveCache.delete(key);
+  liveCache.set(key, entry);
+  return entry;
+}
+
+function pruneLiveCache() {
+  if (liveCache.size <= LIVE_CACHE_MAX_ENTRIES) return;
+  const cutoff = Date.now() - Math.max(LIVE_CACHE_TTL_MS, LIVE_CACHE_MAX_STALE_MS);
+  for (const [key, entry] of liveCache.entries()) {
+    if (entry.fetchedAt < cutoff) liveCache.delete(key);
+  }
+  for (const key of liveCache.keys()) {
+    if (liveCache.size <= LIVE_CACHE_MAX_ENTRIES) break;
+    liveCache.delete(key);
+  }
+}
+
+/* Return { info, cache } for a terminal, where info is a fetchTerminalInfo() result.
+   Options:
+     - forceRefresh: skip a fresh cache entry (still joins an in-flight fetch and refreshes the cache)
+     - allowStale: serve the last good entry when the upstream call fails (default true)
+*/
+async function getLiveTerminalInfo(terminalId, { forceRefresh = false, allowStale = true } = {}) {
+  const key = String(terminalId);
+  const cached = liveCache.get(key);
+  if (!forceRefresh && cached && (Date.now() - cached.fetchedAt) < LIVE_CACHE_TTL_MS) {
+    if (cached.error) throw liveErrorFromEntry(cached);
+    return { info: cached.info, cache: liveCacheMeta(cached, true, false) };
+  }
+
+  let pending = liveInflight.get(key);
+  const coalesced = !!pending;
+  if (!pending) {
+    pending = fetchTerminalInfo(key)
+      .then(info => storeLiveEntry(key, { fetchedAt: Date.now(), info }))
+      .catch(err => {
+        if (err && err.status === 404) {
+          return storeLiveEntry(key, { fetchedAt: Date.now(), error: { status: 404, message: err.message } });
         }
-      }
+        throw err;
+      })
+      .finally(() => {
+        liveInflight.delete(key);
+        pruneLiveCache();
+      });
+    liveInflight.set(key, pending);
+  }
+
+  try {
+    const entry = await pending;
+    if (entry.error) throw liveErrorFromEntry(entry);
+    return { info: entry.info, cache: liveCacheMeta(entry, coalesced, false) };
+  } catch (err) {
+    if (err && err.status === 404) throw err;
+    const prev = liveCache.get(key);
+    if (allowStale && prev && prev.info && (Date.now() - prev.fetchedAt) <= LIVE_CACHE_MAX_STALE_MS) {
+      return { info: prev.info, cache: liveCacheMeta(prev, true, true) };
     }
-  } catch (e) {
-    computedPercent = null;
+    throw err;
   }
+}
 
-  return {
-    idVal: idField,
-    snVal: snNormalized, // normalized SN
-    numericLevelVal: numericValue,
-    timestampVal: timestampIso,
-    rawValue,
-    timestampRaw,
-    percent: computedPercent
-  };
+/* Fetch a terminal once and return the LIVELLO reading enriched with battery and signal values
+   (battVoltage, battPercent, rssi; null when the device did not report them). Used by the poller.
+   Always goes upstream (never stale) but shares/refreshes the live cache.
+*/
+async function getTerminalReadings(terminalId) {
+  const { info } = await getLiveTerminalInfo(terminalId, { forceRefresh: true, allowStale: false });
+  const reading = readingFromInfo(info, 'LIVELLO');
+  const batt = info.variables.BATT || null;
+  const rssi = info.variables.RSSI || null;
+  reading.battVoltage = batt ? batt.numericValue : null;
+  reading.battPercent = batt ? batt.percent : null;
+  reading.rssi = rssi ? rssi.numericValue : null;
+  return reading;
 }
 
-/* Insert a single reading into the DB using the same column layout as before.
+/* Save a single reading, keyed on (terminal, device timestamp).
+   - A reading whose device timestamp is already stored (offline device repeating its last value)
+     updates that row instead of adding a duplicate; "current_timestamp" keeps the first-seen time.
+   - Readings without a parsable device timestamp can't be keyed and are inserted as before.
+   Returns true when a new row was inserted, false when an existing reading was updated.
    This is safe from SQL injection because parameterized queries are used.
 */
 async function insertReading(client, reading) {
-  const query = `
-    INSERT INTO tank_level (id, sn, tank_level, timestamp, "current_timestamp")
-    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP);
-  `;
-  await client.query(query, [
+  const params = [
     reading.idVal,
     reading.snVal, // already normalized to include "ZN"
     reading.numericLevelVal,
     reading.timestampVal,
-  ]);
+    reading.battVoltage == null ? null : reading.battVoltage,
+    reading.battPercent == null ? null : reading.battPercent,
+    reading.rssi == null ? null : reading.rssi,
+  ];
+  const plainInsert = `
+    INSERT INTO tank_level (id, sn, tank_level, timestamp, "current_timestamp", batt_voltage, batt_percent, rssi)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6, $7);
+  `;
+  if (!reading.timestampVal) {
+    await client.query(plainInsert, params);
+    return true;
+  }
+  const r = await client.query(`
+    INSERT INTO tank_level (id, sn, tank_level, timestamp, "current_timestamp", batt_voltage, batt_percent, rssi)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6, $7)
+    ON CONFLICT (id, timestamp) DO UPDATE
+      SET sn = EXCLUDED.sn,
+          tank_level = EXCLUDED.tank_level,
+          batt_voltage = EXCLUDED.batt_voltage,
+          batt_percent = EXCLUDED.batt_percent,
+          rssi = EXCLUDED.rssi
+    RETURNING (xmax = 0) AS inserted;
+  `, params).catch(async err => {
+    // 42P10: the (id, timestamp) unique index is missing (ensureTankLevelColumns couldn't create it)
+    if (!err || err.code !== '42P10') throw err;
+    await client.query(plainInsert, params);
+    return { rows: [{ inserted: true }] };
+  });
+  return !!(r.rows && r.rows[0] && r.rows[0].inserted);
 }
 
 /* Email helper (nodemailer) */
@@ -683,6 +1487,16 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
   console.log('SMTP not configured; email alarms will be disabled until SMTP_* env vars are provided.');
 }
 
+// Escape text for the HTML part of notification emails
+function escapeHtmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 async function sendAlarmEmail(to, subject, text, html) {
   if (!transporter) throw new Error('SMTP transporter not configured');
   if (!to) throw new Error('no recipient');
@@ -698,626 +1512,3689 @@ async function sendAlarmEmail(to, subject, text, html) {
   return transporter.sendMail(mail);
 }
 
-/* maybeSendAlarms: check tank_info for this terminal and send alarm emails if needed.
-   Uses same client passed to pollTerminalsAndSave to avoid extra connections.
+/* Send a notification to a comma separated recipient list: plain (text + escaped HTML), or the branded template
+   when `template` ({ kind, terminalId, alarm }) is given (see renderAlarmEmail).
+   With a non-critical severity, recipients of the template's terminal in their quiet hours get it later (see
+   holdForQuietHours); gas alarms never wait (see quietHoursMayHold). */
+async function sendAlarmNotice(to, subject, lines, { severity = null, template = null } = {}) {
+  const text = lines.join('\n');
+  if (template && quietHoursMayHold(severity, template.alarm && template.alarm.alarm_type)) {
+    to = await holdForQuietHours(to, subject, text, severity, template);
+    if (!to) return;
+  }
+  if (template) {
+    await sendTemplatedNotice(to, subject, lines, template);
+    return;
+  }
+  await sendAlarmEmail(to, subject, text, `<p>${escapeHtmlText(text).replace(/\n/g,'<br>')}</p>`);
+}
+
+/* Branded HTML email templates (alarm / recovery / escalation / digest) in English and Arabic
+   Each recipient gets the language set on their alarm_recipients row (EMAIL_DEFAULT_LANGUAGE, default 'en', for the
+   legacy Alarm E-mail list). Alarm mails show the tank title, building, emirate, a level gauge with the thresholds,
+   a map link (tank_sites.location, else latitude/longitude) and a link to the tank on the dashboard:
+     APP_BASE_URL          e.g. https://tanks.example.com (no dashboard links while unset)
+     EMAIL_BRAND_NAME      header text (default "LPG Tank Monitoring")
+     EMAIL_BRAND_COLOR     header color (default #0f4c81)
+   The sentences passed by the caller are kept as a "Details" block.
 */
-async function maybeSendAlarms(client, reading) {
-  try {
-    if (!reading || !reading.idVal) return;
-    const tid = String(reading.idVal);
+const EMAIL_LANGUAGES = ['en', 'ar'];
+const EMAIL_DEFAULT_LANGUAGE = EMAIL_LANGUAGES.includes(process.env.EMAIL_DEFAULT_LANGUAGE) ? process.env.EMAIL_DEFAULT_LANGUAGE : 'en';
+const APP_BASE_URL = String(process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+const EMAIL_BRAND_NAME = process.env.EMAIL_BRAND_NAME || 'LPG Tank Monitoring';
+const EMAIL_BRAND_COLOR = /^#[0-9a-f]{3,6}$/i.test(process.env.EMAIL_BRAND_COLOR || '') ? process.env.EMAIL_BRAND_COLOR : '#0f4c81';
+const EMAIL_TEMPLATE_KINDS = ['alarm', 'recovery', 'escalation', 'digest'];
+
+const EMAIL_STRINGS = {
+  en: {
+    dir: 'ltr',
+    types: {
+      level_low: 'Low level', level_high: 'High level', lel_warning: 'Gas warning', lel_danger: 'Gas danger',
+      battery_low: 'Low battery', signal_weak: 'Weak signal', data_stale: 'No new data', leak_suspected: 'Possible leak'
+    },
+    headline: {
+      alarm: type => `Alarm: ${type}`,
+      recovery: type => `Back to normal: ${type}`,
+      escalation: type => `Not acknowledged: ${type}`
+    },
+    labels: {
+      tank: 'Tank', building: 'Building', emirate: 'Emirate', value: 'Value', threshold: 'Alarm limit',
+      level: 'Current level', min: 'Minimum', max: 'Maximum', alarm: 'Alarm', time: 'Time', details: 'Details',
+      project: 'Project'
+    },
+    map: 'Open location on map',
+    dashboard: 'Open tank on dashboard',
+    open_dashboard: 'Open dashboard',
+    footer: 'This is an automated message from the tank monitoring system.',
+    held: {
+      subject: count => `Held alarms (${count}) from your quiet hours`,
+      heading: count => `${count} alarm notification(s) from your quiet hours`,
+      intro: 'These arrived while your quiet hours were on.'
+    },
+    digest: {
+      subject: date => `Daily tank status — ${date}`,
+      heading: 'Daily fleet status',
+      none: 'Nothing to report.',
+      sections: {
+        below_min: 'Tanks below minimum', empty_soon: 'Tanks expected to run empty soon', offline: 'Offline devices',
+        consumption: 'Average consumption', documents: 'Documents expiring soon'
+      },
+      rows: {
+        below_min: (level, min) => `${level}% (minimum ${min}%)`,
+        empty_soon: (days, rate) => `about ${days} day(s) left at ${rate}%/day`,
+        offline: hours => `no new data for ${hours} h`,
+        fleet: (rate, liters, count) => `Fleet average ${rate}%/day${liters != null ? ` (${liters} L/day)` : ''} over ${count} tank(s)`,
+        consumer: (rate, liters) => `${rate}%/day${liters != null ? ` (${liters} L/day)` : ''}`,
+        document: (doc, date, days) => (days < 0 ? `${doc} expired on ${date}` : `${doc} expires on ${date} (${days} day(s))`)
+      }
+    }
+  },
+  ar: {
+    dir: 'rtl',
+    types: {
+      level_low: 'مستوى منخفض', level_high: 'مستوى مرتفع', lel_warning: 'تحذير غاز', lel_danger: 'خطر غاز',
+      battery_low: 'بطارية منخفضة', signal_weak: 'إشارة ضعيفة', data_stale: 'انقطاع البيانات', leak_suspected: 'اشتباه تسرب'
+    },
+    headline: {
+      alarm: type => `إنذار: ${type}`,
+      recovery: type => `عودة إلى الوضع الطبيعي: ${type}`,
+      escalation: type => `إنذار لم يتم الإقرار به: ${type}`
+    },
+    labels: {
+      tank: 'الخزان', building: 'المبنى', emirate: 'الإمارة', value: 'القيمة', threshold: 'حد الإنذار',
+      level: 'المستوى الحالي', min: 'الحد الأدنى', max: 'الحد الأقصى', alarm: 'رقم الإنذار', time: 'الوقت', details: 'التفاصيل',
+      project: 'المشروع'
+    },
+    map: 'عرض الموقع على الخريطة',
+    dashboard: 'فتح الخزان في لوحة التحكم',
+    open_dashboard: 'فتح لوحة التحكم',
+    footer: 'هذه رسالة آلية من نظام مراقبة الخزانات.',
+    // Details block per alarm type (English mails show the caller's sentences instead); v = { value, threshold, raw }
+    details: {
+      alarm: {
+        level_low: v => `انخفض مستوى الخزان إلى ${v.value}${v.threshold ? `، وهو أقل من الحد الأدنى ${v.threshold}` : ''}.`,
+        level_high: v => `ارتفع مستوى الخزان إلى ${v.value}${v.threshold ? `، وهو أعلى من الحد الأقصى ${v.threshold}` : ''}.`,
+        lel_warning: v => `تم رصد تركيز غاز ${v.value}${v.threshold ? `، وهو أعلى من حد التحذير ${v.threshold}` : ''}.`,
+        lel_danger: v => `تم رصد تركيز غاز خطير ${v.value}${v.threshold ? `، وهو أعلى من حد الخطر ${v.threshold}` : ''}.`,
+        battery_low: v => `بطارية جهاز الإرسال عند ${v.value}${v.threshold ? `، وهي أقل من ${v.threshold}` : ''}.`,
+        signal_weak: v => `قوة إشارة GSM عند ${v.value}${v.threshold ? `، وهي أقل من ${v.threshold}` : ''}.`,
+        data_stale: v => `لم تصل بيانات جديدة من الجهاز منذ ${v.raw != null ? `${v.raw} ساعة` : 'مدة'}.`,
+        leak_suspected: v => `ينخفض مستوى الخزان بمعدل ${v.value}${v.threshold ? `، وهو أعلى من الحد ${v.threshold}` : ''}، ما قد يشير إلى تسرب أو استهلاك غير طبيعي.`,
+        default: v => `تم تسجيل إنذار بقيمة ${v.value}.`
+      },
+      recovery: {
+        level_low: v => `عاد مستوى الخزان إلى ${v.value} ضمن الحدود المسموح بها.`,
+        level_high: v => `عاد مستوى الخزان إلى ${v.value} ضمن الحدود المسموح بها.`,
+        lel_warning: v => `انخفض تركيز الغاز إلى ${v.value}.`,
+        lel_danger: v => `انخفض تركيز الغاز إلى ${v.value}.`,
+        battery_low: v => `بطارية جهاز الإرسال الآن عند ${v.value}.`,
+        signal_weak: v => `قوة إشارة GSM الآن عند ${v.value}.`,
+        data_stale: () => 'عاد الجهاز إلى إرسال البيانات.',
+        leak_suspected: v => `عاد معدل الانخفاض (${v.value}) إلى الحدود الطبيعية.`,
+        default: v => `عادت القيمة ${v.value} إلى الوضع الطبيعي.`
+      },
+      advice: {
+        level_low: 'يرجى ترتيب إعادة تعبئة الخزان.',
+        level_high: 'يرجى التحقق من عملية التعبئة.',
+        lel_warning: 'يرجى فحص الموقع بحثاً عن تسرب الغاز.',
+        lel_danger: 'أخلوا المنطقة فوراً واتصلوا بخدمات الطوارئ.',
+        battery_low: 'يرجى استبدال بطارية جهاز الإرسال قبل أن يتوقف الجهاز عن العمل.',
+        signal_weak: 'يرجى فحص الهوائي وموضعه؛ قد تتوقف القراءات عن الوصول.',
+        data_stale: 'يرجى التحقق من تغذية الجهاز واتصاله.',
+        leak_suspected: 'يرجى فحص التركيبات بحثاً عن تسرب أو استهلاك غير متوقع.'
+      },
+      escalation: 'لم يتم الإقرار بهذا الإنذار بعد، لذلك يتم إبلاغك به.'
+    },
+    held: {
+      subject: count => `إنذارات مؤجلة (${count}) من ساعات الهدوء`,
+      heading: count => `${count} إشعار إنذار خلال ساعات الهدوء`,
+      intro: 'وصلت هذه الإشعارات أثناء ساعات الهدوء الخاصة بك.'
+    },
+    digest: {
+      subject: date => `الحالة اليومية للخزانات — ${date}`,
+      heading: 'الحالة اليومية للأسطول',
+      none: 'لا يوجد ما يستدعي الإبلاغ.',
+      sections: {
+        below_min: 'خزانات أقل من الحد الأدنى', empty_soon: 'خزانات يتوقع نفادها قريباً', offline: 'أجهزة غير متصلة',
+        consumption: 'متوسط الاستهلاك', documents: 'مستندات تنتهي صلاحيتها قريباً'
+      },
+      rows: {
+        below_min: (level, min) => `${level}% (الحد الأدنى ${min}%)`,
+        empty_soon: (days, rate) => `يتبقى حوالي ${days} يوم بمعدل ${rate}% يومياً`,
+        offline: hours => `لا توجد بيانات جديدة منذ ${hours} ساعة`,
+        fleet: (rate, liters, count) => `متوسط الأسطول ${rate}% يومياً${liters != null ? ` (${liters} لتر يومياً)` : ''} لعدد ${count} خزان`,
+        consumer: (rate, liters) => `${rate}% يومياً${liters != null ? ` (${liters} لتر يومياً)` : ''}`,
+        document: (doc, date, days) => (days < 0 ? `انتهت صلاحية ${doc} في ${date}` : `تنتهي صلاحية ${doc} في ${date} (${days} يوم)`)
+      }
+    }
+  }
+};
 
-    // fetch tank_info for this terminal
-    const q = `
-      SELECT terminal_id, lpg_min_level, lpg_max_level, alarm_email, last_min_alarm_sent_at, last_max_alarm_sent_at
-      FROM tank_info WHERE terminal_id = $1 LIMIT 1
-    `;
-    const r = await client.query(q, [tid]);
-    if (!r.rows || r.rows.length === 0) return;
-    const info = r.rows[0];
-    const email = info.alarm_email ? String(info.alarm_email).trim() : null;
-    if (!email) return; // nothing to do
+const ALARM_VALUE_UNITS = {
+  level_low: '%', level_high: '%', lel_warning: '%LEL', lel_danger: '%LEL', battery_low: '%', signal_weak: '%',
+  data_stale: 'h', leak_suspected: '%/h'
+};
 
-    const val = (reading.numericLevelVal === null || reading.numericLevelVal === undefined) ? null : Number(reading.numericLevelVal);
-    if (val == null || isNaN(val)) return;
+// Tank details shown in templated emails
+async function loadEmailTankContext(client, tid) {
+  const r = await client.query(
+    `SELECT x.id AS terminal_id, tt.tank_title, t.name AS terminal_name, ti.building_name, ti.emirate, ti.project_code,
+            ti.lpg_min_level, ti.lpg_max_level, ts.site, ts.location, ts.latitude, ts.longitude,
+            (SELECT tank_level FROM tank_level WHERE id = x.id
+              ORDER BY COALESCE(timestamp, "current_timestamp") DESC NULLS LAST LIMIT 1) AS level
+       FROM (SELECT $1::text AS id) x
+       LEFT JOIN tank_titles tt ON tt.terminal_id = x.id
+       LEFT JOIN terminals t ON t.terminal_id = x.id
+       LEFT JOIN tank_info ti ON ti.terminal_id = x.id
+       LEFT JOIN tank_sites ts ON ts.terminal_id = x.id`,
+    [String(tid)]
+  );
+  const row = r.rows[0] || { terminal_id: String(tid) };
+  const num = v => (v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v));
+  let mapUrl = null;
+  if (row.location && /^https?:\/\//i.test(String(row.location).trim())) mapUrl = String(row.location).trim();
+  else if (num(row.latitude) != null && num(row.longitude) != null) mapUrl = `https://www.google.com/maps?q=${num(row.latitude)},${num(row.longitude)}`;
+  return {
+    terminal_id: String(tid),
+    title: row.tank_title || row.terminal_name || `Terminal ${tid}`,
+    building: row.building_name || null,
+    emirate: row.emirate || null,
+    site: row.site || null,
+    min: num(row.lpg_min_level),
+    max: num(row.lpg_max_level),
+    level: num(row.level),
+    map_url: mapUrl,
+    tank_url: APP_BASE_URL ? `${APP_BASE_URL}/?tank=${encodeURIComponent(String(tid))}` : null
+  };
+}
 
-    const now = new Date();
-    const throttleMinutes = Math.max(0, parseInt(process.env.ALARM_THROTTLE_MINUTES || '60', 10));
+// Language of each address (lower-cased) that has one set on its recipient rows
+async function recipientLanguages(client, addresses) {
+  if (!addresses.length) return new Map();
+  const r = await client.query(
+    `SELECT DISTINCT ON (lower(email)) lower(email) AS email, language FROM alarm_recipients
+      WHERE lower(email) = ANY($1) AND language IS NOT NULL
+      ORDER BY lower(email), id`,
+    [addresses.map(a => a.toLowerCase())]
+  );
+  return new Map(r.rows.map(row => [row.email, row.language]));
+}
 
-    function shouldSend(lastSent) {
-      if (!lastSent) return true;
-      const last = new Date(lastSent);
-      if (isNaN(last.getTime())) return true;
-      return (now.getTime() - last.getTime()) >= (throttleMinutes * 60 * 1000);
-    }
+// Table-based bar (renders in mail clients without CSS support): fill = level, markers listed below
+function renderLevelGaugeHtml(tank, strings) {
+  if (tank.level == null) return '';
+  const pct = Math.max(0, Math.min(100, Math.round(tank.level)));
+  const outside = (tank.min != null && tank.level < tank.min) || (tank.max != null && tank.level > tank.max);
+  const fill = outside ? '#dc2626' : '#16a34a';
+  const limits = [
+    tank.min != null ? `${strings.labels.min}: ${tank.min}%` : null,
+    tank.max != null ? `${strings.labels.max}: ${tank.max}%` : null
+  ].filter(Boolean).join(' &nbsp;·&nbsp; ');
+  return `
+    <div style="margin:16px 0 4px;font-weight:bold;">${escapeHtmlText(strings.labels.level)}: ${escapeHtmlText(String(round2(tank.level)))}%</div>
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;border:1px solid #cbd5e1;height:18px;">
+      <tr>
+        ${pct > 0 ? `<td width="${pct}%" style="background:${fill};height:18px;font-size:0;">&nbsp;</td>` : ''}
+        ${pct < 100 ? `<td width="${100 - pct}%" style="background:#e2e8f0;height:18px;font-size:0;">&nbsp;</td>` : ''}
+      </tr>
+    </table>
+    ${limits ? `<div style="margin-top:4px;color:#475569;font-size:12px;">${limits}</div>` : ''}`;
+}
 
-    const min = (info.lpg_min_level === null || info.lpg_min_level === undefined) ? null : Number(info.lpg_min_level);
-    const max = (info.lpg_max_level === null || info.lpg_max_level === undefined) ? null : Number(info.lpg_max_level);
+// Shared frame: brand header, heading, body, links, footer
+function renderEmailLayout(lang, { heading, accent, bodyHtml, links = [] }) {
+  const strings = EMAIL_STRINGS[lang] || EMAIL_STRINGS.en;
+  const align = strings.dir === 'rtl' ? 'right' : 'left';
+  const buttons = links.filter(l => l && l.url).map(l =>
+    `<a href="${escapeHtmlText(l.url)}" style="display:inline-block;margin:4px;padding:8px 14px;background:${EMAIL_BRAND_COLOR};color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtmlText(l.label)}</a>`
+  ).join('');
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${strings.dir}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f1f5f9;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f1f5f9;padding:16px 0;">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" dir="${strings.dir}" style="max-width:600px;width:100%;background:#ffffff;border-radius:6px;overflow:hidden;font-family:Tahoma,Arial,sans-serif;font-size:14px;color:#0f172a;text-align:${align};">
+        <tr><td style="background:${EMAIL_BRAND_COLOR};color:#ffffff;padding:14px 20px;font-size:16px;font-weight:bold;">${escapeHtmlText(EMAIL_BRAND_NAME)}</td></tr>
+        <tr><td style="padding:18px 20px 0;border-${align}:6px solid ${accent || EMAIL_BRAND_COLOR};"><div style="font-size:20px;font-weight:bold;">${escapeHtmlText(heading)}</div></td></tr>
+        <tr><td style="padding:8px 20px 16px;">${bodyHtml}${buttons ? `<div style="margin-top:16px;">${buttons}</div>` : ''}</td></tr>
+        <tr><td style="padding:12px 20px;background:#f8fafc;color:#64748b;font-size:12px;">${escapeHtmlText(strings.footer)}</td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
 
-    // BELOW MIN
-    if (min !== null && !isNaN(min) && val < min) {
-      // send only if throttling allows
-      if (shouldSend(info.last_min_alarm_sent_at)) {
-        if (transporter) {
-          try {
-            const subject = `ALARM: Terminal ${tid} below minimum (${val}% < ${min}%)`;
-            const text = `Terminal ${tid} reported a level of ${val}%, which is below the configured minimum of ${min}%.\n\nTime: ${now.toISOString()}\n\nThis is an automated alarm.`;
-            await sendAlarmEmail(email, subject, text, `<p>${text.replace(/\n/g,'<br>')}</p>`);
-            // update last_min_alarm_sent_at
-            await client.query(`UPDATE tank_info SET last_min_alarm_sent_at = now() WHERE terminal_id = $1`, [tid]).catch(()=>{});
-          } catch (err) {
-            console.warn('Failed to send min alarm', err && err.message);
-          }
-        } else {
-          console.warn('Cannot send min alarm: SMTP not configured.');
-        }
-      }
+// Placeholder tank context when a terminal's details cannot be loaded
+function emailTankFallback(tid) {
+  return { terminal_id: String(tid), title: `Terminal ${tid}`, building: null, emirate: null, site: null, min: null, max: null, level: null, map_url: null, tank_url: null };
+}
+
+// The details sentences of a language that has its own (EMAIL_STRINGS.<lang>.details)
+function localizedAlarmDetails(strings, kind, type, value, threshold) {
+  const unit = ALARM_VALUE_UNITS[type] || '';
+  const fmt = v => (v == null || v === '' || isNaN(Number(v)) ? null : `${round2(Number(v))}${unit}`);
+  const v = { value: fmt(value) || '?', threshold: fmt(threshold), raw: value == null || isNaN(Number(value)) ? null : round2(Number(value)) };
+  const d = strings.details;
+  if (kind === 'recovery') return [(d.recovery[type] || d.recovery.default)(v)];
+  const out = [(d.alarm[type] || d.alarm.default)(v)];
+  if (d.advice[type]) out.push(d.advice[type]);
+  if (kind === 'escalation') out.push(d.escalation);
+  return out;
+}
+
+/* The parts of an alarm / recovery / escalation email shared by the single email and the quiet hours batch:
+   { headline, accent, links, bodyHtml, textParts } (textParts without the headline and links). `at` is the time shown. */
+function alarmEmailParts(lang, { kind, alarm, tank, lines, at = new Date() }) {
+  const strings = EMAIL_STRINGS[lang] || EMAIL_STRINGS.en;
+  const type = (alarm && alarm.alarm_type) || null;
+  const typeLabel = (type && strings.types[type]) || type || '';
+  const headline = (strings.headline[kind] || strings.headline.alarm)(typeLabel);
+  const unit = ALARM_VALUE_UNITS[type] || '';
+  const rawValue = alarm ? (kind === 'recovery' ? (alarm.clear_value != null ? alarm.clear_value : alarm.last_value) : (alarm.last_value != null ? alarm.last_value : alarm.value)) : null;
+  const fields = [
+    [strings.labels.tank, tank.title],
+    [strings.labels.building, tank.building],
+    [strings.labels.emirate, tank.emirate],
+    [strings.labels.value, rawValue != null ? `${round2(rawValue)}${unit}` : null],
+    [strings.labels.threshold, alarm && alarm.threshold != null ? `${round2(alarm.threshold)}${unit}` : null],
+    [strings.labels.alarm, alarm && alarm.id ? `#${alarm.id}` : null],
+    [strings.labels.time, at.toISOString().replace('T', ' ').slice(0, 16) + ' UTC']
+  ].filter(f => f[1] != null && f[1] !== '');
+  const accent = kind === 'recovery' ? '#16a34a' : (type === 'lel_danger' || (alarm && alarm.severity === 'critical') ? '#dc2626' : '#f59e0b');
+  const links = [{ url: tank.tank_url, label: strings.dashboard }, { url: tank.map_url, label: strings.map }];
+  const localized = strings.details && type ? localizedAlarmDetails(strings, kind, type, rawValue, alarm.threshold) : null;
+  const details = localized || lines;
+
+  const bodyHtml = `
+    <table role="presentation" cellpadding="0" cellspacing="0" style="border-collapse:collapse;margin-top:8px;">
+      ${fields.map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#475569;white-space:nowrap;">${escapeHtmlText(label)}</td><td style="padding:4px 0;font-weight:bold;">${escapeHtmlText(value)}</td></tr>`).join('')}
+    </table>
+    ${kind === 'recovery' || String(type || '').startsWith('level_') || type === 'leak_suspected' ? renderLevelGaugeHtml(tank, strings) : ''}
+    ${renderEmailDetailsHtml(strings, details, localized ? strings.dir : 'ltr')}`;
+
+  const textParts = lang === 'en'
+    ? [...(lines || [])]
+    : [...fields.map(([label, value]) => `${label}: ${value}`), '', `${strings.labels.details}:`, ...(details || [])];
+  return { headline, accent, links, bodyHtml, textParts };
+}
+
+// The "Details" block: the caller's English sentences, or the language's own (dir 'rtl' for Arabic)
+function renderEmailDetailsHtml(strings, lines, dir = 'ltr') {
+  if (!lines || !lines.length) return '';
+  return `
+    <div style="margin-top:16px;font-weight:bold;">${escapeHtmlText(strings.labels.details)}</div>
+    <div dir="${dir}" style="margin-top:4px;padding:10px;background:#f8fafc;border:1px solid #e2e8f0;color:#334155;font-size:13px;text-align:${dir === 'rtl' ? 'right' : 'left'};">${escapeHtmlText(lines.join('\n')).replace(/\n/g, '<br>')}</div>`;
+}
+
+/* Render an alarm / recovery / escalation email. `subject` and `lines` are the caller's English subject and sentences
+   (used as-is for English; Arabic gets its own details sentences for the alarm type). Returns { subject, text, html }. */
+function renderAlarmEmail(lang, { kind, alarm, tank, subject, lines }) {
+  const parts = alarmEmailParts(lang, { kind, alarm, tank, lines });
+  const textParts = lang === 'en' ? parts.textParts.slice() : [parts.headline, '', ...parts.textParts];
+  for (const l of parts.links) if (l.url) textParts.push('', `${l.label}: ${l.url}`);
+  return {
+    subject: lang === 'en' && subject ? subject : `${parts.headline} — ${tank.title}`,
+    text: textParts.join('\n'),
+    html: renderEmailLayout(lang, { heading: parts.headline, accent: parts.accent, bodyHtml: parts.bodyHtml, links: parts.links })
+  };
+}
+
+/* Render the alarm emails held during a recipient's quiet hours as one email, one block per held notice.
+   items: [{ kind, alarm, tank, subject, lines, at }]; an item without a tank (queued without a template) only shows
+   its subject and sentences. Returns { subject, text, html }. */
+function renderHeldAlarmsEmail(lang, items) {
+  const strings = EMAIL_STRINGS[lang] || EMAIL_STRINGS.en;
+  const heading = strings.held.heading(items.length);
+  const textParts = [heading, '', strings.held.intro];
+  const htmlParts = [`<p style="margin:8px 0;">${escapeHtmlText(strings.held.intro)}</p>`];
+  for (const item of items) {
+    if (!item.tank) {
+      textParts.push('', `=== ${item.subject}`, ...(item.lines || []));
+      htmlParts.push(`<div style="margin-top:20px;padding-top:10px;border-top:3px solid #cbd5e1;font-size:16px;font-weight:bold;">${escapeHtmlText(item.subject)}</div>${renderEmailDetailsHtml(strings, item.lines)}`);
+      continue;
     }
+    const parts = alarmEmailParts(lang, item);
+    const title = `${parts.headline} — ${item.tank.title}`;
+    const links = parts.links.filter(l => l.url);
+    textParts.push('', `=== ${title}`, ...parts.textParts);
+    for (const l of links) textParts.push(`${l.label}: ${l.url}`);
+    htmlParts.push(`<div style="margin-top:20px;padding-top:10px;border-top:3px solid ${parts.accent};font-size:16px;font-weight:bold;">${escapeHtmlText(title)}</div>`
+      + parts.bodyHtml
+      + (links.length ? `<div style="margin-top:8px;">${links.map(l => `<a href="${escapeHtmlText(l.url)}" style="color:${EMAIL_BRAND_COLOR};margin-${strings.dir === 'rtl' ? 'left' : 'right'}:12px;">${escapeHtmlText(l.label)}</a>`).join('')}</div>` : ''));
+  }
+  textParts.push('', strings.footer);
+  return {
+    subject: strings.held.subject(items.length),
+    text: textParts.join('\n'),
+    html: renderEmailLayout(lang, { heading, bodyHtml: htmlParts.join('\n') })
+  };
+}
 
-    // ABOVE MAX
-    if (max !== null && !isNaN(max) && val > max) {
-      if (shouldSend(info.last_max_alarm_sent_at)) {
-        if (transporter) {
-          try {
-            const subject = `ALARM: Terminal ${tid} above maximum (${val}% > ${max}%)`;
-            const text = `Terminal ${tid} reported a level of ${val}%, which is above the configured maximum of ${max}%).\n\nTime: ${now.toISOString()}\n\nThis is an automated alarm.`;
-            await sendAlarmEmail(email, subject, text, `<p>${text.replace(/\n/g,'<br>')}</p>`);
-            // update last_max_alarm_sent_at
-            await client.query(`UPDATE tank_info SET last_max_alarm_sent_at = now() WHERE terminal_id = $1`, [tid]).catch(()=>{});
-          } catch (err) {
-            console.warn('Failed to send max alarm', err && err.message);
-          }
-        } else {
-          console.warn('Cannot send max alarm: SMTP not configured.');
-        }
-      }
+/* Render the daily digest. sections: [{ key, rows: [{ text, url? }] }] in display order; keys are the
+   EMAIL_STRINGS digest section names. Returns { subject, text, html }. */
+function renderDigestEmail(lang, { date, intro = null, sections }) {
+  const strings = EMAIL_STRINGS[lang] || EMAIL_STRINGS.en;
+  const heading = `${strings.digest.heading} — ${date}`;
+  const textParts = [heading];
+  const htmlParts = [];
+  if (intro) {
+    textParts.push('', intro);
+    htmlParts.push(`<p style="margin:8px 0;">${escapeHtmlText(intro)}</p>`);
+  }
+  for (const section of sections) {
+    const title = strings.digest.sections[section.key] || section.key;
+    const rows = section.rows || [];
+    textParts.push('', `${title} (${rows.length})`);
+    htmlParts.push(`<div style="margin-top:16px;font-size:15px;font-weight:bold;">${escapeHtmlText(title)} <span style="color:#64748b;font-weight:normal;">(${rows.length})</span></div>`);
+    if (!rows.length) {
+      textParts.push(`  ${strings.digest.none}`);
+      htmlParts.push(`<div style="color:#64748b;margin-top:4px;">${escapeHtmlText(strings.digest.none)}</div>`);
+      continue;
     }
+    htmlParts.push(`<ul style="margin:6px 0;padding-${strings.dir === 'rtl' ? 'right' : 'left'}:20px;">${rows.map(row =>
+      `<li style="margin:3px 0;">${row.url ? `<a href="${escapeHtmlText(row.url)}" style="color:${EMAIL_BRAND_COLOR};">${escapeHtmlText(row.text)}</a>` : escapeHtmlText(row.text)}</li>`
+    ).join('')}</ul>`);
+    for (const row of rows) textParts.push(`  - ${row.text}${row.url ? ` (${row.url})` : ''}`);
+  }
+  textParts.push('', strings.footer);
+  return {
+    subject: strings.digest.subject(date),
+    text: textParts.join('\n'),
+    html: renderEmailLayout(lang, { heading, bodyHtml: htmlParts.join('\n'), links: APP_BASE_URL ? [{ url: `${APP_BASE_URL}/`, label: strings.open_dashboard }] : [] })
+  };
+}
 
-    // If the value is back in range, optionally clear last_* timestamps so future crossings trigger immediately.
-    // We'll clear only when value is strictly between min and max (if both defined). If only min or max defined,
-    // clear the opposite timestamp when inside bounds.
+// Send a templated alarm notice, one rendering per recipient language
+async function sendTemplatedNotice(to, subject, lines, template) {
+  const addresses = splitEmailList(to);
+  let tank = null;
+  let languages = new Map();
+  try {
+    const client = await pool.connect();
     try {
-      let clearMin = false;
-      let clearMax = false;
-      if ((min !== null && !isNaN(min)) && (max !== null && !isNaN(max))) {
-        if (val >= min && val <= max) {
-          clearMin = true; clearMax = true;
-        }
-      } else if (min !== null && !isNaN(min) && (max === null || isNaN(max))) {
-        if (val >= min) clearMin = true;
-      } else if (max !== null && !isNaN(max) && (min === null || isNaN(min))) {
-        if (val <= max) clearMax = true;
-      }
-      if (clearMin) {
-        await client.query(`UPDATE tank_info SET last_min_alarm_sent_at = NULL WHERE terminal_id = $1`, [tid]).catch(()=>{});
-      }
-      if (clearMax) {
-        await client.query(`UPDATE tank_info SET last_max_alarm_sent_at = NULL`).catch(()=>{});
-      }
-    } catch (err) {
-      // non-fatal
+      tank = await loadEmailTankContext(client, template.terminalId);
+      languages = await recipientLanguages(client, addresses);
+    } finally {
+      client.release();
     }
   } catch (err) {
-    console.warn('maybeSendAlarms error', err && err.message);
+    console.warn('Failed to load tank details for the alarm email', err && err.message);
+  }
+  if (!tank) tank = emailTankFallback(template.terminalId);
+  const groups = new Map();
+  for (const address of addresses) {
+    const lang = languages.get(address.toLowerCase()) || EMAIL_DEFAULT_LANGUAGE;
+    if (!groups.has(lang)) groups.set(lang, []);
+    groups.get(lang).push(address);
+  }
+  for (const [lang, list] of groups) {
+    const msg = renderAlarmEmail(lang, { kind: template.kind, alarm: template.alarm, tank, subject, lines });
+    await sendAlarmEmail(list.join(', '), msg.subject, msg.text, msg.html);
   }
 }
 
-/* Poll a list of terminal IDs (from TERMINAL_IDS env var) and save their readings.
-   Behavior:
-   - TERMINAL_IDS should be a comma-separated list of terminal IDs (strings).
-   - The job will attempt to read each terminal and write an INSERT for each successful read.
-   - Errors for individual terminals are logged and do not stop the loop; the job will attempt all terminals each run.
+/* Alarm event helpers (alarm_events)
+   raiseAlarm: open an alarm unless one of the same type is already open for the terminal (then just refresh
+               last_value/last_seen_at). Returns { alarm, raised } where raised=true only for a new alarm.
+   clearAlarm: close the open alarm of that type, if any. Returns the cleared alarm or null.
+   New and cleared alarms are pushed to socket clients as 'alarm_event'.
 */
-async function pollTerminalsAndSave() {
-  const terminalsEnv = process.env.TERMINAL_IDS || '';
-  const terminalIds = terminalsEnv.split(',').map(s => s.trim()).filter(Boolean);
+const ALARM_COLUMNS = `id, terminal_id, alarm_type, severity, status, message, value, threshold, last_value, last_seen_at,
+  raised_at, acknowledged_at, acknowledged_by, ack_comment, cleared_at, cleared_by, clear_comment, clear_value, notified_tier`;
 
-  if (terminalIds.length === 0) {
-    console.warn('No TERMINAL_IDS configured; skipping scheduled poll. Set TERMINAL_IDS env var to a comma-separated list of IDs.');
-    return;
-  }
+function alarmRowToJson(row) {
+  const num = v => (v === null || v === undefined ? null : Number(v));
+  return {
+    id: row.id,
+    terminal_id: row.terminal_id,
+    alarm_type: row.alarm_type,
+    severity: row.severity,
+    status: row.status,
+    message: row.message || null,
+    value: num(row.value),
+    threshold: num(row.threshold),
+    last_value: num(row.last_value),
+    last_seen_at: normalizeDbTimestampToIso(row.last_seen_at),
+    raised_at: normalizeDbTimestampToIso(row.raised_at),
+    acknowledged_at: normalizeDbTimestampToIso(row.acknowledged_at),
+    acknowledged_by: row.acknowledged_by || null,
+    ack_comment: row.ack_comment || null,
+    cleared_at: normalizeDbTimestampToIso(row.cleared_at),
+    cleared_by: row.cleared_by || null,
+    clear_comment: row.clear_comment || null,
+    clear_value: num(row.clear_value),
+    notified_tier: row.notified_tier == null ? 1 : Number(row.notified_tier)
+  };
+}
 
-  const client = await pool.connect();
-  try {
-    for (const tid of terminalIds) {
-      try {
-        const reading = await getTankReading(tid);
-        // Insert reading
-        await insertReading(client, reading);
-        console.log(`Inserted reading for terminal ${reading.idVal} (sn=${reading.snVal})`);
-        // Possibly send alarms (uses same client)
-        await maybeSendAlarms(client, reading).catch(e => console.warn('Alarm check failed', e && e.message));
-      } catch (err) {
-        // Individual terminal failure should not stop others
-        console.warn(`Failed to fetch/insert reading for terminal ${tid}:`, err && (err.message || err.status), err && err.detail ? `detail=${err.detail}` : '');
-      }
-    }
-  } catch (outerErr) {
-    console.warn('Error during pollTerminalsAndSave:', outerErr && outerErr.message);
-  } finally {
-    client.release();
-  }
+function broadcastAlarmEvent(action, alarm) {
+  broadcastStatusUpdate({ type: 'alarm_event', action, alarm });
+  dispatchAlarmNotification(`alarm.${action}`, alarm);
 }
 
-// Schedule polling every hour (3600000 ms)
-const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '3600000', 10);
-setInterval(() => {
-  pollTerminalsAndSave().catch(e => console.warn('Scheduled poll error', e && e.message));
-}, POLL_INTERVAL_MS);
+async function raiseAlarm(client, { terminalId, type, severity = 'warning', message = null, value = null, threshold = null }) {
+  const r = await client.query(
+    `INSERT INTO alarm_events (terminal_id, alarm_type, severity, message, value, threshold, last_value, last_seen_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $5, now())
+     ON CONFLICT (terminal_id, alarm_type) WHERE cleared_at IS NULL DO NOTHING
+     RETURNING ${ALARM_COLUMNS}`,
+    [String(terminalId), type, severity, message, value, threshold]
+  );
+  if (r.rows && r.rows.length) {
+    const alarm = alarmRowToJson(r.rows[0]);
+    console.log(`Alarm raised: #${alarm.id} ${type} for terminal ${terminalId}${message ? ` (${message})` : ''}`);
+    broadcastAlarmEvent('raised', alarm);
+    return { alarm, raised: true };
+  }
+  const u = await client.query(
+    `UPDATE alarm_events SET last_value = $3, last_seen_at = now()
+      WHERE terminal_id = $1 AND alarm_type = $2 AND cleared_at IS NULL
+      RETURNING ${ALARM_COLUMNS}`,
+    [String(terminalId), type, value]
+  );
+  return { alarm: u.rows && u.rows[0] ? alarmRowToJson(u.rows[0]) : null, raised: false };
+}
 
-// Optionally run once on startup (default true). Set POLL_ON_STARTUP=false to disable.
-const pollOnStartup = (process.env.POLL_ON_STARTUP || 'true').toLowerCase() !== 'false';
-if (pollOnStartup) {
-  pollTerminalsAndSave().catch(e => console.warn('Initial poll error', e && e.message));
+async function clearAlarm(client, terminalId, type, { value = null, by = null, comment = null } = {}) {
+  const r = await client.query(
+    `UPDATE alarm_events
+        SET status = 'cleared', cleared_at = now(), cleared_by = $3, clear_comment = $4, clear_value = $5
+      WHERE terminal_id = $1 AND alarm_type = $2 AND cleared_at IS NULL
+      RETURNING ${ALARM_COLUMNS}`,
+    [String(terminalId), type, by, comment, value]
+  );
+  if (!r.rows || r.rows.length === 0) return null;
+  const alarm = alarmRowToJson(r.rows[0]);
+  console.log(`Alarm cleared: #${alarm.id} ${type} for terminal ${terminalId}${by ? ` by ${by}` : ''}`);
+  broadcastAlarmEvent('cleared', alarm);
+  return alarm;
 }
 
-/* -------------------------
-   NEW: Login (DB-backed) endpoint (now session-backed)
-   ------------------------- */
+/* Alarm recipients (alarm_recipients + the legacy tank_info.alarm_email list, which counts as tier 1 site contacts).
+   resolveAlarmRecipients returns [{ email, name, role, tier, scope }] for a terminal, lowest tier first, one entry
+   per address (an address listed in several scopes keeps its lowest tier).
+*/
+const ALARM_RECIPIENT_SCOPES = ['terminal', 'project', 'emirate'];
+const ALARM_RECIPIENT_ROLES = ['site_contact', 'operations', 'supplier'];
 
-// Helper to get client IP (respect x-forwarded-for if behind proxy)
-function getRequestIp(req) {
-  const xf = req.headers['x-forwarded-for'];
-  if (xf && typeof xf === 'string') {
-    return xf.split(',')[0].trim();
+function splitEmailList(value) {
+  return String(value || '').split(/[;,]+/).map(e => e.trim()).filter(Boolean);
+}
+
+async function resolveAlarmRecipients(client, tid, info) {
+  const r = await client.query(
+    `SELECT email, phone, name, role, tier, scope, quiet_hours FROM alarm_recipients
+      WHERE (scope = 'terminal' AND scope_value = $1)
+         OR (scope = 'project' AND scope_value = $2)
+         OR (scope = 'emirate' AND scope_value = $3)
+      ORDER BY tier ASC, id ASC`,
+    [String(tid), (info && info.project_code) || null, (info && info.emirate) || null]
+  );
+  const legacy = splitEmailList(info && info.alarm_email).map(email => ({ email, phone: null, name: null, role: 'site_contact', tier: 1, scope: 'alarm_email', quiet_hours: null }));
+  const seen = new Set();
+  const out = [];
+  for (const rec of legacy.concat(r.rows || []).sort((a, b) => a.tier - b.tier)) {
+    const key = rec.email ? String(rec.email).toLowerCase() : `tel:${rec.phone}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ email: rec.email || null, phone: rec.phone || null, name: rec.name || null, role: rec.role, tier: Number(rec.tier), scope: rec.scope, quiet_hours: rec.quiet_hours || null });
   }
-  if (req.ip) return req.ip;
-  if (req.connection && req.connection.remoteAddress) return req.connection.remoteAddress;
-  return null;
+  return out;
 }
 
-// POST /api/login
-// Body: { username, password }
-// Returns: { ok: true, username, role }
-app.post('/api/login', async (req, res) => {
-  try {
-    const { username, password } = req.body || {};
-    const u = (username || '').trim();
-    const p = String(password || '');
+// Recipients of a terminal, looking up its tank_info (project, emirate, legacy alarm_email) first
+async function alarmRecipientsFor(client, tid) {
+  const ti = await client.query(`SELECT alarm_email, project_code, emirate FROM tank_info WHERE terminal_id = $1 LIMIT 1`, [String(tid)]);
+  return resolveAlarmRecipients(client, tid, ti.rows[0] || {});
+}
 
-    if (!u || !p) {
-      return res.status(400).json({ error: 'username and password are required' });
-    }
+// Comma separated addresses of the recipients in tiers fromTier..toTier (null when there are none)
+function recipientEmails(recipients, fromTier, toTier) {
+  const emails = recipients.filter(r => r.email && r.tier >= fromTier && r.tier <= toTier).map(r => r.email);
+  return emails.length ? emails.join(', ') : null;
+}
+
+// Recipients with a phone number in tiers fromTier..toTier, one per number
+function recipientPhones(recipients, fromTier, toTier) {
+  const seen = new Set();
+  return recipients.filter(r => r.phone && r.tier >= fromTier && r.tier <= toTier && !seen.has(r.phone) && seen.add(r.phone));
+}
+
+/* Escalation: while an alarm stays active (not acknowledged, not cleared), tier N+1 is notified once the alarm is
+   N * ALARM_ESCALATION_MINUTES old (default 30). Checked every ALARM_ESCALATION_CHECK_MS (default 60000).
+*/
+const ALARM_ESCALATION_MINUTES = Math.max(1, parseInt(process.env.ALARM_ESCALATION_MINUTES || '30', 10));
+const ALARM_ESCALATION_CHECK_MS = Math.max(10000, parseInt(process.env.ALARM_ESCALATION_CHECK_MS || '60000', 10));
+let escalationInProgress = false;
 
+async function runAlarmEscalations() {
+  if (escalationInProgress || !transporter) return;
+  escalationInProgress = true;
+  try {
     const client = await pool.connect();
     try {
       const r = await client.query(
-        `SELECT id, username, password_hash, role, disabled FROM tank_credentials WHERE username = $1 LIMIT 1`,
-        [u]
+        `SELECT ${ALARM_COLUMNS.split(',').map(c => 'a.' + c.trim()).join(', ')},
+                ti.alarm_email, ti.project_code, ti.emirate
+           FROM alarm_events a
+           LEFT JOIN tank_info ti ON ti.terminal_id = a.terminal_id
+          WHERE a.status = 'active'`
       );
-      if (!r.rows || r.rows.length === 0) {
-        // log failure
-        try {
-          const ip = getRequestIp(req) || null;
-          const userAgent = req.get('user-agent') || null;
-          await client.query(
-            `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
-            [u, false, false, userAgent, ip, 'invalid username/password']
-          );
-        } catch (e) { /* ignore logging errors */ }
-        return res.status(401).json({ error: 'Invalid username or password' });
-      }
-      const row = r.rows[0];
-      if (row.disabled) {
-        try {
-          const ip = getRequestIp(req) || null;
-          const userAgent = req.get('user-agent') || null;
-          await client.query(
-            `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
-            [u, row.role === 'admin', false, userAgent, ip, 'account disabled']
-          );
-        } catch (e) { /* ignore */ }
-        return res.status(403).json({ error: 'Account disabled' });
+      const nowMs = Date.now();
+      for (const row of r.rows || []) {
+        const alarm = alarmRowToJson(row);
+        const ageMs = nowMs - new Date(alarm.raised_at).getTime();
+        const dueTier = 1 + Math.floor(ageMs / (ALARM_ESCALATION_MINUTES * 60 * 1000));
+        if (dueTier <= alarm.notified_tier) continue;
+
+        const recipients = await resolveAlarmRecipients(client, alarm.terminal_id, row);
+        const maxTier = recipients.reduce((m, rec) => Math.max(m, rec.tier), 0);
+        const targetTier = Math.min(dueTier, maxTier);
+        if (targetTier <= alarm.notified_tier) continue;
+
+        // escalation waits for the maintenance window to end
+        if (await suppressedByMaintenance(client, alarm.terminal_id, alarm.alarm_type)) continue;
+
+        const to = recipientEmails(recipients, alarm.notified_tier + 1, targetTier);
+        if (to) {
+          try {
+            await sendEscalationEmail(to, alarm, targetTier, ageMs);
+          } catch (err) {
+            console.warn(`Failed to send escalation for alarm #${alarm.id}`, err && err.message);
+            continue; // retry on the next check
+          }
+        }
+        await client.query(`UPDATE alarm_events SET notified_tier = $2 WHERE id = $1 AND notified_tier < $2`, [alarm.id, targetTier]);
+        console.log(`Alarm #${alarm.id} escalated to tier ${targetTier}`);
+        dispatchAlarmNotification('alarm.escalated', { ...alarm, notified_tier: targetTier, previous_tier: alarm.notified_tier });
       }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Alarm escalation check failed', err && err.message);
+  } finally {
+    escalationInProgress = false;
+  }
+}
 
-      const ok = await bcrypt.compare(p, row.password_hash);
-      const isAdminRole = row.role === 'admin';
+async function sendEscalationEmail(to, alarm, tier, ageMs) {
+  const subject = `ESCALATION (tier ${tier}): Terminal ${alarm.terminal_id} alarm not acknowledged`;
+  const lines = [
+    `Alarm #${alarm.id} on terminal ${alarm.terminal_id} has not been acknowledged for ${formatAlarmDuration(ageMs)}.`,
+    '',
+    `Alarm: ${alarm.message || alarm.alarm_type}`,
+    `Raised at: ${alarm.raised_at}`,
+    `Latest value: ${alarm.last_value == null ? 'unknown' : `${alarm.last_value}%`}`,
+    '',
+    'Please acknowledge the alarm on the dashboard once it is being handled. This is an automated message.'
+  ];
+  await sendAlarmNotice(to, subject, lines, { severity: alarm.severity, template: { kind: 'escalation', terminalId: alarm.terminal_id, alarm } });
+}
 
-      // log attempt
-      try {
-        const ip = getRequestIp(req) || null;
-        const userAgent = req.get('user-agent') || null;
-        await client.query(
-          `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
-          [u, isAdminRole, !!ok, userAgent, ip, ok ? 'user login success' : 'invalid username/password']
-        );
-      } catch (e) { /* ignore logging errors */ }
+pollSchemaReady.then(() => {
+  setInterval(() => { runAlarmEscalations().catch(() => {}); }, ALARM_ESCALATION_CHECK_MS);
+});
 
-      if (!ok) {
-        return res.status(401).json({ error: 'Invalid username or password' });
+/* Notification channels
+   Alarm lifecycle events (alarm.raised / alarm.acknowledged / alarm.cleared / alarm.escalated) are handed to every
+   registered channel; email keeps its recipient-based path above. A channel is { notify(event, alarm) }.
+   Channels that queue messages in notification_deliveries register a sender in deliverySenders; a sender gets the
+   delivery (no pool client: it takes its own for any lookup), throws on failure and returns { responseStatus } on
+   success. Failed attempts are retried with exponential backoff:
+     NOTIFICATION_MAX_ATTEMPTS (default 5)          -> attempts before a delivery is marked failed
+     NOTIFICATION_RETRY_BASE_MS (default 30000)     -> delay before the 2nd attempt, doubled for each further one
+     NOTIFICATION_RETRY_CHECK_MS (default 30000)    -> how often due retries are picked up
+*/
+const NOTIFICATION_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10));
+const NOTIFICATION_RETRY_BASE_MS = Math.max(1000, parseInt(process.env.NOTIFICATION_RETRY_BASE_MS || '30000', 10));
+const NOTIFICATION_RETRY_CHECK_MS = Math.max(5000, parseInt(process.env.NOTIFICATION_RETRY_CHECK_MS || '30000', 10));
+const NOTIFICATION_EVENTS = ['alarm.raised', 'alarm.acknowledged', 'alarm.cleared', 'alarm.escalated'];
+
+const notificationChannels = new Map();
+const deliverySenders = new Map();
+
+function registerNotificationChannel(name, channel) {
+  notificationChannels.set(name, channel);
+}
+
+async function alarmInMaintenance(alarm) {
+  if (!alarm) return null;
+  const client = await pool.connect();
+  try {
+    return await suppressedByMaintenance(client, alarm.terminal_id, alarm.alarm_type);
+  } finally {
+    client.release();
+  }
+}
+
+function dispatchAlarmNotification(event, alarm) {
+  alarmInMaintenance(alarm)
+    .catch(err => {
+      console.warn('Maintenance window check failed', err && err.message);
+      return null;
+    })
+    .then(win => {
+      if (win) return;
+      for (const [name, channel] of notificationChannels) {
+        Promise.resolve()
+          .then(() => channel.notify(event, alarm))
+          .catch(err => console.warn(`Notification channel ${name} failed for ${event}`, err && err.message));
       }
+    });
+}
 
-      // update last_login_at
-      try {
-        await client.query(`UPDATE tank_credentials SET last_login_at = now() WHERE id = $1`, [row.id]);
-      } catch (e) { /* ignore */ }
+const DELIVERY_COLUMNS = `id, channel, target, event, alarm_id, payload, status, attempts, response_status, response_body, last_error,
+  next_attempt_at, created_at, updated_at, delivered_at`;
 
-      // NEW: set session state (real auth persistence)
-      try {
-        req.session.user = { username: row.username, role: row.role };
-      } catch (e) {
-        return res.status(500).json({ error: 'Failed to establish session' });
+function deliveryRowToJson(row) {
+  return {
+    id: Number(row.id),
+    channel: row.channel,
+    target: row.target,
+    event: row.event,
+    alarm_id: row.alarm_id == null ? null : Number(row.alarm_id),
+    payload: row.payload || null,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    response_status: row.response_status == null ? null : Number(row.response_status),
+    response_body: row.response_body || null,
+    last_error: row.last_error || null,
+    next_attempt_at: normalizeDbTimestampToIso(row.next_attempt_at),
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at),
+    delivered_at: normalizeDbTimestampToIso(row.delivered_at)
+  };
+}
+
+// Log a delivery; with status 'skipped' it is only recorded (lastError says why) and never attempted.
+// A pending delivery is first attempted at notBefore (default now).
+async function queueDelivery(client, { channel, target, event, alarmId = null, payload, status = 'pending', lastError = null, notBefore = null }) {
+  const r = await client.query(
+    `INSERT INTO notification_deliveries (channel, target, event, alarm_id, payload, status, last_error, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $6 = 'pending' THEN COALESCE($8::timestamptz, now()) ELSE NULL END) RETURNING id`,
+    [channel, String(target), event, alarmId, JSON.stringify(payload), status, lastError, notBefore ? notBefore.toISOString() : null]
+  );
+  return Number(r.rows[0].id);
+}
+
+/* Make one attempt at a pending delivery. The row is claimed by bumping attempts and pushing next_attempt_at past
+   the attempt, so the retry loop never sends the same delivery twice at once. No pool client is held while the
+   sender talks to the outside world (a slow receiver must not starve the poller); the outcome is recorded with a
+   fresh one. Returns the updated delivery. */
+async function attemptDelivery(id) {
+  let delivery;
+  let client = await pool.connect();
+  try {
+    const claim = await client.query(
+      `UPDATE notification_deliveries
+          SET attempts = attempts + 1, updated_at = now(), next_attempt_at = now() + interval '5 minutes'
+        WHERE id = $1 AND status = 'pending' AND next_attempt_at <= now()
+        RETURNING ${DELIVERY_COLUMNS}`,
+      [id]
+    );
+    if (!claim.rows.length) return null;
+    delivery = deliveryRowToJson(claim.rows[0]);
+  } finally {
+    client.release();
+  }
+
+  const sender = deliverySenders.get(delivery.channel);
+  let outcome = null;
+  let failure = null;
+  try {
+    if (!sender) {
+      const err = new Error(`no sender for channel ${delivery.channel}`);
+      err.permanent = true;
+      throw err;
+    }
+    outcome = (await sender(delivery)) || {};
+  } catch (err) {
+    failure = err || new Error('unknown error');
+  }
+
+  client = await pool.connect();
+  try {
+    let update;
+    if (!failure) {
+      update = await client.query(
+        `UPDATE notification_deliveries
+            SET status = 'delivered', delivered_at = now(), updated_at = now(), next_attempt_at = NULL,
+                response_status = $2, response_body = $3, last_error = NULL
+          WHERE id = $1 RETURNING ${DELIVERY_COLUMNS}`,
+        [id, outcome.responseStatus == null ? null : outcome.responseStatus, outcome.responseBody ? String(outcome.responseBody).slice(0, 1000) : null]
+      );
+    } else {
+      const retry = retryAfterFailure(delivery.attempts, failure, { maxAttempts: NOTIFICATION_MAX_ATTEMPTS, baseMs: NOTIFICATION_RETRY_BASE_MS });
+      const exhausted = retry.status === 'failed';
+      update = await client.query(
+        `UPDATE notification_deliveries
+            SET status = $2, updated_at = now(), response_status = $3, last_error = $4, response_body = $6,
+                next_attempt_at = CASE WHEN $2 = 'pending' THEN now() + $5::bigint * interval '1 millisecond' ELSE NULL END
+          WHERE id = $1 RETURNING ${DELIVERY_COLUMNS}`,
+        [id, retry.status, failure.responseStatus == null ? null : failure.responseStatus,
+          String(failure.message || failure).slice(0, 1000), retry.delayMs, failure.responseBody ? String(failure.responseBody).slice(0, 1000) : null]
+      );
+      console.warn(`Delivery #${id} (${delivery.channel} -> ${delivery.target}) attempt ${delivery.attempts} failed${exhausted ? ', giving up' : ''}:`, failure.message);
+    }
+    return deliveryRowToJson(update.rows[0]);
+  } finally {
+    client.release();
+  }
+}
+
+let deliveryRetryInProgress = false;
+
+async function runDueDeliveries() {
+  if (deliveryRetryInProgress) return;
+  deliveryRetryInProgress = true;
+  try {
+    const client = await pool.connect();
+    let ids;
+    try {
+      const r = await client.query(
+        `SELECT id FROM notification_deliveries WHERE status = 'pending' AND next_attempt_at <= now()
+          ORDER BY next_attempt_at LIMIT 50`
+      );
+      ids = r.rows.map(row => Number(row.id));
+    } finally {
+      client.release();
+    }
+    for (const id of ids) await attemptDelivery(id);
+  } catch (err) {
+    console.warn('Notification retry check failed', err && err.message);
+  } finally {
+    deliveryRetryInProgress = false;
+  }
+}
+
+pollSchemaReady.then(() => {
+  setInterval(() => { runDueDeliveries().catch(() => {}); }, NOTIFICATION_RETRY_CHECK_MS);
+});
+
+/* Webhook channel (notification_webhooks)
+   Each enabled webhook whose events list matches ('*' or a comma separated list of event names) gets a JSON POST:
+     { "delivery_id", "event", "sent_at", "alarm": { ...alarm_events row } }
+   Headers: X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp (unix seconds) and, when the webhook has a
+   secret, X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>.
+   Receivers should recompute the signature over the raw body and reject stale timestamps.
+   Any non-2xx response (or WEBHOOK_TIMEOUT_MS, default 10000) counts as a failed attempt; 4xx other than 408/429
+   are not retried.
+*/
+const WEBHOOK_TIMEOUT_MS = Math.max(1000, parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10));
+
+function webhookRowToJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    has_secret: !!row.secret,
+    events: row.events || '*',
+    enabled: row.enabled !== false,
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at)
+  };
+}
+
+function webhookWantsEvent(events, event) {
+  const list = String(events || '*').split(',').map(e => e.trim()).filter(Boolean);
+  return list.includes('*') || list.includes(event);
+}
+
+async function sendWebhookDelivery(delivery) {
+  let hook;
+  const client = await pool.connect();
+  try {
+    const r = await client.query(`SELECT id, url, secret, enabled FROM notification_webhooks WHERE id = $1`, [delivery.target]);
+    hook = r.rows[0];
+  } finally {
+    client.release();
+  }
+  if (!hook || hook.enabled === false) {
+    const err = new Error('webhook removed or disabled');
+    err.permanent = true;
+    throw err;
+  }
+  return postWebhook(hook, delivery, { timeoutMs: WEBHOOK_TIMEOUT_MS });
+}
+
+async function queueWebhookDeliveries(event, alarm) {
+  const ids = [];
+  const client = await pool.connect();
+  try {
+    const r = await client.query(`SELECT id, events FROM notification_webhooks WHERE enabled ORDER BY id`);
+    for (const hook of r.rows.filter(h => webhookWantsEvent(h.events, event))) {
+      ids.push(await queueDelivery(client, { channel: 'webhook', target: hook.id, event, alarmId: alarm ? alarm.id : null, payload: { alarm } }));
+    }
+  } finally {
+    client.release();
+  }
+  for (const id of ids) await attemptDelivery(id);
+}
+
+deliverySenders.set('webhook', sendWebhookDelivery);
+registerNotificationChannel('webhook', { notify: queueWebhookDeliveries });
+
+/* SMS channel (HTTP SMS gateway)
+   Alarm texts go to the phone numbers of the alarm recipients (alarm_recipients.phone): raised -> tier 1 (every tier
+   for a gas danger alarm), escalated -> the newly reached tiers, cleared -> everyone who was notified.
+   The gateway request is built from templates; {to}, {from} and {message} are substituted (URL-encoded in the URL,
+   JSON-escaped in a JSON body, URL-encoded in a form body):
+     SMS_GATEWAY_URL            e.g. http://127.0.0.1:9000/send (SMS is disabled while unset)
+     SMS_GATEWAY_METHOD         default POST (GET sends no body)
+     SMS_GATEWAY_CONTENT_TYPE   default application/json
+     SMS_GATEWAY_BODY           default {"to":"{to}","from":"{from}","text":"{message}"}
+     SMS_GATEWAY_HEADERS        JSON object of extra headers, e.g. {"Authorization":"Bearer ..."}
+     SMS_GATEWAY_SUCCESS_MATCH  optional regex the response body must match (for gateways that answer 200 on errors)
+     SMS_SENDER_ID              the {from} value
+     SMS_GATEWAY_TIMEOUT_MS     default 10000
+     SMS_RATE_LIMIT_PER_HOUR    default 5 texts per number per hour; further texts are logged as skipped
+                                (gas danger alarms are never rate limited)
+     SMS_MAX_LENGTH             default 160 characters
+*/
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL || '';
+const SMS_GATEWAY_METHOD = String(process.env.SMS_GATEWAY_METHOD || 'POST').toUpperCase();
+const SMS_GATEWAY_CONTENT_TYPE = process.env.SMS_GATEWAY_CONTENT_TYPE || 'application/json';
+const SMS_GATEWAY_BODY = process.env.SMS_GATEWAY_BODY || '{"to":"{to}","from":"{from}","text":"{message}"}';
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID || '';
+const SMS_GATEWAY_TIMEOUT_MS = Math.max(1000, parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS || '10000', 10));
+const SMS_RATE_LIMIT_PER_HOUR = Math.max(1, parseInt(process.env.SMS_RATE_LIMIT_PER_HOUR || '5', 10));
+const SMS_MAX_LENGTH = Math.max(70, parseInt(process.env.SMS_MAX_LENGTH || '160', 10));
+const SMS_UNLIMITED_TYPES = ['lel_danger'];
+
+let SMS_GATEWAY_HEADERS = {};
+try {
+  if (process.env.SMS_GATEWAY_HEADERS) SMS_GATEWAY_HEADERS = JSON.parse(process.env.SMS_GATEWAY_HEADERS);
+} catch (e) {
+  console.warn('SMS_GATEWAY_HEADERS is not valid JSON; ignoring it');
+}
+
+let SMS_GATEWAY_SUCCESS_RE = null;
+try {
+  if (process.env.SMS_GATEWAY_SUCCESS_MATCH) SMS_GATEWAY_SUCCESS_RE = new RegExp(process.env.SMS_GATEWAY_SUCCESS_MATCH);
+} catch (e) {
+  console.warn('SMS_GATEWAY_SUCCESS_MATCH is not a valid regex; ignoring it');
+}
+
+// Short label + unit per alarm type for SMS texts
+const SMS_ALARM_TEXT = {
+  level_low: { label: 'Low level', unit: '%' },
+  level_high: { label: 'High level', unit: '%' },
+  lel_warning: { label: 'Gas warning', unit: '%LEL' },
+  lel_danger: { label: 'GAS DANGER', unit: '%LEL' },
+  battery_low: { label: 'Low battery', unit: '%' },
+  signal_weak: { label: 'Weak signal', unit: '%' },
+  data_stale: { label: 'No data', unit: 'h' },
+  leak_suspected: { label: 'Possible leak', unit: '%/h' }
+};
+
+// Normalize a phone number to +<digits> (00 prefix -> +); null when it does not look like one
+function normalizePhone(value) {
+  let p = String(value == null ? '' : value).trim().replace(/[\s\-().]/g, '');
+  if (p.startsWith('00')) p = '+' + p.slice(2);
+  return /^\+?\d{7,15}$/.test(p) ? p : null;
+}
+
+async function tankTitleFor(client, tid) {
+  const r = await client.query(
+    `SELECT COALESCE(NULLIF(tt.tank_title, ''), NULLIF(t.name, '')) AS title
+       FROM (SELECT $1::text AS id) x
+       LEFT JOIN tank_titles tt ON tt.terminal_id = x.id
+       LEFT JOIN terminals t ON t.terminal_id = x.id`,
+    [String(tid)]
+  );
+  return (r.rows[0] && r.rows[0].title) || `Terminal ${tid}`;
+}
+
+function formatAlarmSms(event, alarm, title) {
+  const t = SMS_ALARM_TEXT[alarm.alarm_type] || { label: alarm.alarm_type, unit: '' };
+  const fmt = v => (v == null ? '?' : `${round2(v)}${t.unit}`);
+  let text;
+  if (event === 'alarm.cleared') {
+    text = `OK ${title}: ${t.label} cleared, now ${fmt(alarm.clear_value != null ? alarm.clear_value : alarm.last_value)}`;
+  } else {
+    const prefix = event === 'alarm.escalated' ? 'ESCALATED' : 'ALARM';
+    text = `${prefix} ${title}: ${t.label} ${fmt(alarm.last_value != null ? alarm.last_value : alarm.value)}`
+      + (alarm.threshold != null ? ` (limit ${fmt(alarm.threshold)})` : '')
+      + (event === 'alarm.escalated' ? ', not acknowledged' : '');
+  }
+  return text.length > SMS_MAX_LENGTH ? text.slice(0, SMS_MAX_LENGTH - 1) + '…' : text;
+}
+
+async function sendSmsDelivery(delivery) {
+  if (!SMS_GATEWAY_URL) {
+    const err = new Error('SMS gateway not configured');
+    err.permanent = true;
+    throw err;
+  }
+  const gateway = {
+    url: SMS_GATEWAY_URL,
+    method: SMS_GATEWAY_METHOD,
+    contentType: SMS_GATEWAY_CONTENT_TYPE,
+    body: SMS_GATEWAY_BODY,
+    headers: SMS_GATEWAY_HEADERS,
+    successRe: SMS_GATEWAY_SUCCESS_RE,
+    timeoutMs: SMS_GATEWAY_TIMEOUT_MS
+  };
+  return sendSms(gateway, { to: delivery.target, from: SMS_SENDER_ID, message: delivery.payload && delivery.payload.message });
+}
+
+// Texts logged for a number in the last hour (pending or delivered), for the per-number rate limit
+async function recentSmsCount(client, phone) {
+  const r = await client.query(
+    `SELECT count(*)::int AS n FROM notification_deliveries
+      WHERE channel = 'sms' AND target = $1 AND status IN ('pending','delivered') AND created_at > now() - interval '1 hour'`,
+    [phone]
+  );
+  return r.rows[0].n;
+}
+
+// Queue one text (held until notBefore when given), or log it as skipped when the number is over its hourly limit.
+// Returns the delivery id.
+async function queueSms(client, { phone, event, alarm = null, message, notBefore = null }) {
+  const unlimited = alarm && SMS_UNLIMITED_TYPES.includes(alarm.alarm_type);
+  const skipReason = unlimited ? null : smsRateLimitReason(await recentSmsCount(client, phone), SMS_RATE_LIMIT_PER_HOUR);
+  return queueDelivery(client, {
+    channel: 'sms',
+    target: phone,
+    event,
+    alarmId: alarm ? alarm.id : null,
+    payload: { message },
+    status: skipReason ? 'skipped' : 'pending',
+    lastError: skipReason,
+    notBefore
+  });
+}
+
+async function queueAlarmSms(event, alarm) {
+  if (!SMS_GATEWAY_URL || !alarm) return;
+  let fromTier;
+  let toTier;
+  if (event === 'alarm.raised') {
+    fromTier = 1;
+    toTier = SMS_UNLIMITED_TYPES.includes(alarm.alarm_type) ? Infinity : 1;
+  } else if (event === 'alarm.escalated') {
+    fromTier = (alarm.previous_tier || 1) + 1;
+    toTier = alarm.notified_tier;
+  } else if (event === 'alarm.cleared') {
+    fromTier = 1;
+    toTier = SMS_UNLIMITED_TYPES.includes(alarm.alarm_type) ? Infinity : alarm.notified_tier;
+  } else {
+    return;
+  }
+
+  const ids = [];
+  const client = await pool.connect();
+  try {
+    const recipients = recipientPhones(await alarmRecipientsFor(client, alarm.terminal_id), fromTier, toTier);
+    if (!recipients.length) return;
+    const message = formatAlarmSms(event, alarm, await tankTitleFor(client, alarm.terminal_id));
+    const holdable = quietHoursMayHold(alarm.severity, alarm.alarm_type);
+    const now = new Date();
+    for (const rec of recipients) {
+      // non-critical texts wait for the end of the recipient's quiet hours
+      const notBefore = holdable && rec.quiet_hours ? quietHoursRelease(rec.quiet_hours, now) : null;
+      ids.push(await queueSms(client, { phone: rec.phone, event, alarm, message, notBefore }));
+    }
+  } finally {
+    client.release();
+  }
+  for (const id of ids) await attemptDelivery(id);
+}
+
+deliverySenders.set('sms', sendSmsDelivery);
+registerNotificationChannel('sms', { notify: queueAlarmSms });
+
+/* Per-terminal alarm state machine (terminal_alarm_state)
+   A reading proposes a target state; the state only changes once the target has been seen continuously for the
+   minimum duration (a reading back in the current state cancels the pending change). With a zero duration the
+   change is immediate.
+   Level thresholds use a deadband so a level hovering around a limit does not flap:
+     - normal -> low when level < min, normal -> high when level > max
+     - low -> normal only once level >= min + deadband, high -> normal only once level <= max - deadband
+   Defaults: ALARM_DEADBAND (percentage points, default 2) and ALARM_MIN_DURATION_MINUTES (default 0);
+   tank_info.alarm_deadband / alarm_min_duration_minutes override them per terminal.
+*/
+const ALARM_DEADBAND = Math.max(0, Number(process.env.ALARM_DEADBAND || '2') || 0);
+const ALARM_MIN_DURATION_MINUTES = Math.max(0, parseInt(process.env.ALARM_MIN_DURATION_MINUTES || '0', 10) || 0);
+
+const LEVEL_ALARM_TYPES = { low: 'level_low', high: 'level_high' };
+
+function levelAlarmSettings(info) {
+  const num = v => (v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v));
+  const deadband = num(info.alarm_deadband);
+  const minutes = num(info.alarm_min_duration_minutes);
+  return {
+    min: num(info.lpg_min_level),
+    max: num(info.lpg_max_level),
+    deadband: deadband === null ? ALARM_DEADBAND : Math.max(0, deadband),
+    minDurationMs: (minutes === null ? ALARM_MIN_DURATION_MINUTES : Math.max(0, minutes)) * 60 * 1000
+  };
+}
+
+// Target level state for a reading, given the current state (deadband applies only when leaving low/high)
+function targetLevelState(current, val, { min, max, deadband }) {
+  if (min !== null && val < min) return 'low';
+  if (max !== null && val > max) return 'high';
+  if (current === 'low' && min !== null && val < min + deadband) return 'low';
+  if (current === 'high' && max !== null && val > max - deadband) return 'high';
+  return 'normal';
+}
+
+/* Advance the persisted state for (terminalId, kind). targetFor(currentState) returns the state the latest reading
+   points to; initialState is used when no row exists yet. Returns { state, previous, changed, pendingState }.
+*/
+async function advanceAlarmState(client, terminalId, kind, targetFor, { value = null, minDurationMs = 0, initialState = 'normal' } = {}) {
+  const tid = String(terminalId);
+  const r = await client.query(
+    `SELECT state, pending_state, pending_since FROM terminal_alarm_state WHERE terminal_id = $1 AND kind = $2`,
+    [tid, kind]
+  );
+  const row = r.rows && r.rows[0];
+  const previous = row ? row.state : initialState;
+  const target = targetFor(previous);
+  const nowMs = Date.now();
+
+  let state = previous;
+  let pendingState = null;
+  let pendingSince = null;
+  if (target !== previous) {
+    const since = row && row.pending_state === target && row.pending_since ? new Date(row.pending_since).getTime() : nowMs;
+    if (nowMs - since >= minDurationMs) {
+      state = target;
+    } else {
+      pendingState = target;
+      pendingSince = new Date(since).toISOString();
+    }
+  }
+  const changed = state !== previous;
+
+  await client.query(
+    `INSERT INTO terminal_alarm_state (terminal_id, kind, state, state_since, pending_state, pending_since, last_value, updated_at)
+     VALUES ($1, $2, $3, now(), $4, $5, $6, now())
+     ON CONFLICT (terminal_id, kind) DO UPDATE SET
+       state = EXCLUDED.state,
+       state_since = CASE WHEN terminal_alarm_state.state = EXCLUDED.state THEN terminal_alarm_state.state_since ELSE now() END,
+       pending_state = EXCLUDED.pending_state,
+       pending_since = EXCLUDED.pending_since,
+       last_value = EXCLUDED.last_value,
+       updated_at = now()`,
+    [tid, kind, state, pendingState, pendingSince, value]
+  );
+  if (changed) console.log(`Alarm state: terminal ${tid} ${kind} ${previous} -> ${state}`);
+  return { state, previous, changed, pendingState };
+}
+
+/* Keep the alarm event log in line with the level state.
+   Returns the alarm that ended when the terminal left low/high (the open one, or the latest of that type when it
+   had already been resolved by hand), or null.
+*/
+async function recordLevelAlarmEvents(client, tid, val, transition, settings) {
+  let ended = null;
+  if (transition.changed && LEVEL_ALARM_TYPES[transition.previous]) {
+    const type = LEVEL_ALARM_TYPES[transition.previous];
+    ended = await clearAlarm(client, tid, type, { value: val });
+    if (!ended) {
+      const r = await client.query(
+        `SELECT ${ALARM_COLUMNS} FROM alarm_events WHERE terminal_id = $1 AND alarm_type = $2 ORDER BY raised_at DESC, id DESC LIMIT 1`,
+        [String(tid), type]
+      );
+      ended = r.rows && r.rows[0] ? alarmRowToJson(r.rows[0]) : null;
+    }
+  }
+  if (transition.state === 'low') {
+    await raiseAlarm(client, { terminalId: tid, type: 'level_low', severity: 'warning', value: val, threshold: settings.min, message: `Level ${val}% below minimum ${settings.min}%` });
+  } else if (transition.state === 'high') {
+    await raiseAlarm(client, { terminalId: tid, type: 'level_high', severity: 'warning', value: val, threshold: settings.max, message: `Level ${val}% above maximum ${settings.max}%` });
+  }
+  return ended;
+}
+
+// Human readable duration, e.g. "2d 3h 5m"
+function formatAlarmDuration(ms) {
+  if (ms == null || !isFinite(ms) || ms < 0) return 'unknown';
+  const totalMinutes = Math.round(ms / 60000);
+  const d = Math.floor(totalMinutes / 1440);
+  const h = Math.floor((totalMinutes % 1440) / 60);
+  const m = totalMinutes % 60;
+  const parts = [];
+  if (d) parts.push(`${d}d`);
+  if (h) parts.push(`${h}h`);
+  parts.push(`${m}m`);
+  return parts.join(' ');
+}
+
+/* Recovery ("back to normal") email for a terminal that left low/high.
+   References the original alarm (id, raise time and level) and reports how long it lasted and the level now.
+*/
+async function sendRecoveryEmail(email, tid, previousState, val, alarm, settings) {
+  const label = previousState === 'low' ? 'low level' : 'high level';
+  const bound = previousState === 'low' ? settings.min : settings.max;
+  const limit = bound === null
+    ? 'configured limits'
+    : `${previousState === 'low' ? 'minimum' : 'maximum'} of ${bound}% (${settings.deadband}% deadband)`;
+  const now = new Date();
+  const raisedAt = alarm && alarm.raised_at ? new Date(alarm.raised_at) : null;
+  const duration = raisedAt ? formatAlarmDuration(now.getTime() - raisedAt.getTime()) : 'unknown';
+  const ref = alarm ? `Alarm #${alarm.id}` : 'the earlier alarm';
+
+  const subject = `RECOVERED: Terminal ${tid} ${label} alarm cleared (level ${val}%)`;
+  const lines = [
+    `Terminal ${tid} is back to normal: the level is ${val}%, back inside the ${limit}.`,
+    '',
+    `Original alarm: ${alarm ? `#${alarm.id} (${alarm.message || label})` : 'not found in the alarm log'}`,
+    `Raised at: ${raisedAt ? raisedAt.toISOString() : 'unknown'}${alarm && alarm.value != null ? ` (level ${alarm.value}%)` : ''}`,
+    `Recovered at: ${now.toISOString()}`,
+    `Alarm duration: ${duration}`
+  ];
+  if (alarm && alarm.acknowledged_by) {
+    lines.push(`Acknowledged by: ${alarm.acknowledged_by}${alarm.ack_comment ? ` — ${alarm.ack_comment}` : ''}`);
+  }
+  lines.push('', `This notification closes ${ref}. This is an automated message.`);
+  await sendAlarmNotice(email, subject, lines, {
+    severity: alarm ? alarm.severity : 'warning',
+    template: { kind: 'recovery', terminalId: tid, alarm: { ...(alarm || { alarm_type: LEVEL_ALARM_TYPES[previousState] }), clear_value: val } }
+  });
+}
+
+/* maybeSendAlarms: advance the terminal's level alarm state and send alarm emails if needed.
+   An email goes out when the terminal enters low/high and is repeated every ALARM_THROTTLE_MINUTES while it stays there;
+   a recovery email follows when it returns to normal.
+   Uses same client passed to pollOneTerminal to avoid extra connections.
+*/
+async function maybeSendAlarms(client, reading) {
+  try {
+    if (!reading || !reading.idVal) return;
+    const tid = String(reading.idVal);
+
+    // fetch tank_info for this terminal
+    const q = `
+      SELECT terminal_id, lpg_min_level, lpg_max_level, alarm_email, last_min_alarm_sent_at, last_max_alarm_sent_at,
+             alarm_deadband, alarm_min_duration_minutes, project_code, emirate
+      FROM tank_info WHERE terminal_id = $1 LIMIT 1
+    `;
+    const r = await client.query(q, [tid]);
+    if (!r.rows || r.rows.length === 0) return;
+    const info = r.rows[0];
+
+    const val = (reading.numericLevelVal === null || reading.numericLevelVal === undefined) ? null : Number(reading.numericLevelVal);
+    if (val == null || isNaN(val)) return;
+
+    // Terminals without a state row yet start from whatever alarm was last emailed
+    const settings = levelAlarmSettings(info);
+    const initialState = info.last_min_alarm_sent_at ? 'low' : (info.last_max_alarm_sent_at ? 'high' : 'normal');
+    const transition = await advanceAlarmState(client, tid, 'level', cur => targetLevelState(cur, val, settings), {
+      value: val,
+      minDurationMs: settings.minDurationMs,
+      initialState
+    });
+
+    // Alarm event log (independent of whether an alarm email is configured)
+    const endedAlarm = await recordLevelAlarmEvents(client, tid, val, transition, settings).catch(e => {
+      console.warn('Alarm event log failed', e && e.message);
+      return null;
+    });
+
+    // Back to normal: forget the reminder timestamps so the next crossing alerts immediately
+    if (transition.changed && transition.previous === 'low') {
+      await client.query(`UPDATE tank_info SET last_min_alarm_sent_at = NULL WHERE terminal_id = $1`, [tid]).catch(()=>{});
+    }
+    if (transition.changed && transition.previous === 'high') {
+      await client.query(`UPDATE tank_info SET last_max_alarm_sent_at = NULL WHERE terminal_id = $1`, [tid]).catch(()=>{});
+    }
+
+    const recipients = await resolveAlarmRecipients(client, tid, info);
+
+    // RECOVERY: low/high -> normal (every tier that was told about the alarm hears it ended)
+    if (transition.state === 'normal') {
+      const recoveryTo = recipientEmails(recipients, 1, endedAlarm ? endedAlarm.notified_tier : 1);
+      if (recoveryTo && transition.changed && LEVEL_ALARM_TYPES[transition.previous]) {
+        if (await suppressedByMaintenance(client, tid, LEVEL_ALARM_TYPES[transition.previous])) return;
+        if (transporter) {
+          try {
+            await sendRecoveryEmail(recoveryTo, tid, transition.previous, val, endedAlarm, settings);
+          } catch (err) {
+            console.warn('Failed to send recovery notification', err && err.message);
+          }
+        } else {
+          console.warn('Cannot send recovery notification: SMTP not configured.');
+        }
       }
+      return;
+    }
 
-      return res.json({ ok: true, username: row.username, role: row.role });
+    // Raise + reminders go to tier 1; higher tiers are reached through escalation (runAlarmEscalations)
+    const email = recipientEmails(recipients, 1, 1);
+    if (!email) return; // nothing to do
+
+    const now = new Date();
+    const throttleMinutes = Math.max(0, parseInt(process.env.ALARM_THROTTLE_MINUTES || '60', 10));
+
+    function shouldSend(lastSent) {
+      if (transition.changed || !lastSent) return true;
+      const last = new Date(lastSent);
+      if (isNaN(last.getTime())) return true;
+      return (now.getTime() - last.getTime()) >= (throttleMinutes * 60 * 1000);
+    }
+
+    const { min, max } = settings;
+
+    // BELOW MIN
+    if (transition.state === 'low') {
+      // send on entering the state, then only if throttling allows
+      if (shouldSend(info.last_min_alarm_sent_at) && !(await suppressedByMaintenance(client, tid, LEVEL_ALARM_TYPES[transition.state]))) {
+        if (transporter) {
+          try {
+            const subject = `ALARM: Terminal ${tid} below minimum (${val}% < ${min}%)`;
+            await sendAlarmNotice(email, subject, [
+              `Terminal ${tid} reported a level of ${val}%, which is below the configured minimum of ${min}%.`,
+              '',
+              `Time: ${now.toISOString()}`,
+              '',
+              'This is an automated alarm.'
+            ], { severity: 'warning', template: { kind: 'alarm', terminalId: tid, alarm: { alarm_type: 'level_low', severity: 'warning', last_value: val, threshold: min } } });
+            // update last_min_alarm_sent_at
+            await client.query(`UPDATE tank_info SET last_min_alarm_sent_at = now() WHERE terminal_id = $1`, [tid]).catch(()=>{});
+          } catch (err) {
+            console.warn('Failed to send min alarm', err && err.message);
+          }
+        } else {
+          console.warn('Cannot send min alarm: SMTP not configured.');
+        }
+      }
+    }
+
+    // ABOVE MAX
+    if (transition.state === 'high') {
+      if (shouldSend(info.last_max_alarm_sent_at) && !(await suppressedByMaintenance(client, tid, LEVEL_ALARM_TYPES[transition.state]))) {
+        if (transporter) {
+          try {
+            const subject = `ALARM: Terminal ${tid} above maximum (${val}% > ${max}%)`;
+            await sendAlarmNotice(email, subject, [
+              `Terminal ${tid} reported a level of ${val}%, which is above the configured maximum of ${max}%.`,
+              '',
+              `Time: ${now.toISOString()}`,
+              '',
+              'This is an automated alarm.'
+            ], { severity: 'warning', template: { kind: 'alarm', terminalId: tid, alarm: { alarm_type: 'level_high', severity: 'warning', last_value: val, threshold: max } } });
+            // update last_max_alarm_sent_at
+            await client.query(`UPDATE tank_info SET last_max_alarm_sent_at = now() WHERE terminal_id = $1`, [tid]).catch(()=>{});
+          } catch (err) {
+            console.warn('Failed to send max alarm', err && err.message);
+          }
+        } else {
+          console.warn('Cannot send max alarm: SMTP not configured.');
+        }
+      }
+    }
+  } catch (err) {
+    console.warn('maybeSendAlarms error', err && err.message);
+  }
+}
+
+/* Map a raw RSSI (0..31, 99 = unknown) to a rounded percent, the same way the dashboard does. */
+function computeRssiPercent(raw) {
+  if (raw == null || isNaN(raw)) return null;
+  const r = Math.round(Number(raw));
+  if (r === 99) return null;
+  return Math.round((Math.max(0, Math.min(31, r)) / 31) * 100);
+}
+
+/* Device health (maintenance) alarms, evaluated by the poller on every reading:
+   BATTERY_LOW_PERCENT (default 20)             -> 'battery_low' while BATT (as %, see computeBatteryPercent) is below it
+   SIGNAL_WEAK_PERCENT (default 30)             -> 'signal_weak' while RSSI (as %, see computeRssiPercent) is below it
+   HEALTH_ALARM_DEADBAND (default 5)            -> percentage points above the threshold needed to clear
+   HEALTH_ALARM_MIN_DURATION_MINUTES (default 0)
+   Same path as the level alarms: state machine (kinds 'battery' / 'signal'), alarm_events, tier 1 email when raised,
+   escalation while unacknowledged, recovery email when cleared. A reading without the value leaves the state as is.
+*/
+const BATTERY_LOW_PERCENT = Math.max(0, Number(process.env.BATTERY_LOW_PERCENT || '20') || 0);
+const SIGNAL_WEAK_PERCENT = Math.max(0, Number(process.env.SIGNAL_WEAK_PERCENT || '30') || 0);
+const HEALTH_ALARM_DEADBAND = Math.max(0, Number(process.env.HEALTH_ALARM_DEADBAND || '5') || 0);
+const HEALTH_ALARM_MIN_DURATION_MINUTES = Math.max(0, parseInt(process.env.HEALTH_ALARM_MIN_DURATION_MINUTES || '0', 10) || 0);
+
+const HEALTH_CHECKS = [
+  { kind: 'battery', type: 'battery_low', label: 'Low battery', threshold: BATTERY_LOW_PERCENT, valueOf: r => r.battPercent,
+    advice: 'Replace the transmitter battery before the device goes offline.' },
+  { kind: 'signal', type: 'signal_weak', label: 'Weak GSM signal', threshold: SIGNAL_WEAK_PERCENT, valueOf: r => computeRssiPercent(r.rssi),
+    advice: 'Check the antenna and its position; readings may stop arriving.' }
+];
+
+async function maybeSendHealthAlarms(client, reading) {
+  try {
+    if (!reading || !reading.idVal) return;
+    const tid = String(reading.idVal);
+    let recipients = null;
+    const getRecipients = async () => {
+      if (!recipients) recipients = await alarmRecipientsFor(client, tid);
+      return recipients;
+    };
+
+    for (const check of HEALTH_CHECKS) {
+      const raw = check.valueOf(reading);
+      if (raw == null || isNaN(raw)) continue;
+      const val = Number(raw);
+      const transition = await advanceAlarmState(client, tid, check.kind,
+        cur => (val < check.threshold || (cur === 'low' && val < check.threshold + HEALTH_ALARM_DEADBAND)) ? 'low' : 'normal',
+        { value: val, minDurationMs: HEALTH_ALARM_MIN_DURATION_MINUTES * 60 * 1000 });
+      if (!transition.changed) continue;
+
+      if (transition.state === 'low') {
+        const { alarm } = await raiseAlarm(client, {
+          terminalId: tid,
+          type: check.type,
+          severity: 'warning',
+          value: val,
+          threshold: check.threshold,
+          message: `${check.label}: ${val}% (threshold ${check.threshold}%)`
+        });
+        const to = recipientEmails(await getRecipients(), 1, 1);
+        if (!to || !transporter || await suppressedByMaintenance(client, tid, check.type)) continue;
+        await sendAlarmNotice(to, `MAINTENANCE: Terminal ${tid} ${check.label.toLowerCase()} (${val}%)`, [
+          `Terminal ${tid} reported ${check.label.toLowerCase()}: ${val}%, below the ${check.threshold}% threshold.`,
+          check.advice,
+          '',
+          `Alarm: #${alarm ? alarm.id : '?'}`,
+          `Time: ${new Date().toISOString()}`,
+          '',
+          'This is an automated maintenance alarm.'
+        ], { severity: 'warning', template: { kind: 'alarm', terminalId: tid, alarm: alarm || { alarm_type: check.type, last_value: val, threshold: check.threshold } } })
+          .catch(err => console.warn(`Failed to send ${check.type} alarm`, err && err.message));
+      } else {
+        const ended = await clearAlarm(client, tid, check.type, { value: val });
+        const to = recipientEmails(await getRecipients(), 1, ended ? ended.notified_tier : 1);
+        if (!to || !transporter || await suppressedByMaintenance(client, tid, check.type)) continue;
+        await sendAlarmNotice(to, `RECOVERED: Terminal ${tid} ${check.label.toLowerCase()} cleared (${val}%)`, [
+          `Terminal ${tid} now reports ${val}%, back above the ${check.threshold}% threshold.`,
+          '',
+          `Original alarm: ${ended ? `#${ended.id} (${ended.message || check.label})` : 'not found in the alarm log'}`,
+          `Alarm duration: ${ended && ended.raised_at ? formatAlarmDuration(Date.now() - new Date(ended.raised_at).getTime()) : 'unknown'}`,
+          '',
+          'This is an automated message.'
+        ], { severity: 'warning', template: { kind: 'recovery', terminalId: tid, alarm: ended || { alarm_type: check.type, clear_value: val } } })
+          .catch(err => console.warn(`Failed to send ${check.type} recovery`, err && err.message));
+      }
+    }
+  } catch (err) {
+    console.warn('maybeSendHealthAlarms error', err && err.message);
+  }
+}
+
+/* Stale-data (device silent) alarm, checked after every poll run:
+   STALE_DATA_HOURS (default 24) -> 'data_stale' is raised when a terminal's newest device timestamp in tank_level is
+                                    older than this, and cleared as soon as a newer one is stored.
+   Terminals that never reported anything are skipped (there is nothing to compare against).
+   Notified like the other alarms: tier 1 when raised, escalation while unacknowledged, recovery email when cleared.
+*/
+const STALE_DATA_HOURS = Math.max(1, Number(process.env.STALE_DATA_HOURS || '24') || 24);
+
+async function checkStaleTerminals() {
+  const client = await pool.connect();
+  try {
+    const terminalIds = await loadEnabledTerminalIds(client);
+    const nowMs = Date.now();
+    const limitMs = STALE_DATA_HOURS * 60 * 60 * 1000;
+    for (const tid of terminalIds) {
+      const r = await client.query(`SELECT MAX(timestamp) AS last_ts FROM tank_level WHERE id = $1`, [tid]);
+      const lastTs = r.rows[0] && r.rows[0].last_ts ? new Date(r.rows[0].last_ts) : null;
+      if (!lastTs || isNaN(lastTs.getTime())) continue;
+      const silentMs = nowMs - lastTs.getTime();
+
+      const transition = await advanceAlarmState(client, tid, 'stale', () => (silentMs > limitMs ? 'silent' : 'normal'));
+      if (!transition.changed) continue;
+
+      if (transition.state === 'silent') {
+        const { alarm } = await raiseAlarm(client, {
+          terminalId: tid,
+          type: 'data_stale',
+          severity: 'warning',
+          value: Math.round(silentMs / 360000) / 10,
+          threshold: STALE_DATA_HOURS,
+          message: `No new data for ${formatAlarmDuration(silentMs)} (last device timestamp ${lastTs.toISOString()})`
+        });
+        const to = recipientEmails(await alarmRecipientsFor(client, tid), 1, 1);
+        if (!to || !transporter || await suppressedByMaintenance(client, tid, 'data_stale')) continue;
+        await sendAlarmNotice(to, `ALARM: Terminal ${tid} has stopped reporting`, [
+          `Terminal ${tid} has not sent a new reading for ${formatAlarmDuration(silentMs)} (limit ${STALE_DATA_HOURS}h).`,
+          `Last device timestamp: ${lastTs.toISOString()}`,
+          'The transmitter may be dead, out of battery or out of coverage; the tank level is no longer being tracked.',
+          '',
+          `Alarm: #${alarm ? alarm.id : '?'}`,
+          '',
+          'This is an automated alarm.'
+        ], { severity: 'warning', template: { kind: 'alarm', terminalId: tid, alarm: alarm || { alarm_type: 'data_stale' } } })
+          .catch(err => console.warn('Failed to send stale-data alarm', err && err.message));
+      } else {
+        const ended = await clearAlarm(client, tid, 'data_stale', { value: 0 });
+        const to = recipientEmails(await alarmRecipientsFor(client, tid), 1, ended ? ended.notified_tier : 1);
+        if (!to || !transporter || await suppressedByMaintenance(client, tid, 'data_stale')) continue;
+        await sendAlarmNotice(to, `RECOVERED: Terminal ${tid} is reporting again`, [
+          `Terminal ${tid} sent a new reading (device timestamp ${lastTs.toISOString()}).`,
+          '',
+          `Original alarm: ${ended ? `#${ended.id} (${ended.message || 'no new data'})` : 'not found in the alarm log'}`,
+          // the alarm value is the silence (in hours) when it was raised, so the gap started that long before raised_at
+          `Data gap: ${ended && ended.raised_at && ended.value != null ? formatAlarmDuration(lastTs.getTime() - (new Date(ended.raised_at).getTime() - ended.value * 3600000)) : 'unknown'}`,
+          '',
+          'This is an automated message.'
+        ], { severity: 'warning', template: { kind: 'recovery', terminalId: tid, alarm: ended || { alarm_type: 'data_stale' } } })
+          .catch(err => console.warn('Failed to send stale-data recovery', err && err.message));
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/* Local clock helpers for time-of-day rules. ALARM_TIMEZONE (default Asia/Dubai) is the sites' local time zone. */
+const ALARM_TIMEZONE = process.env.ALARM_TIMEZONE || 'Asia/Dubai';
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// { day: 'mon'.., minutes: minutes since local midnight } for a Date in ALARM_TIMEZONE
+function localClock(date) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', { timeZone: ALARM_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+  return { day: String(parts.weekday || '').slice(0, 3).toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// "HH:MM-HH:MM" -> { start, end } in minutes since midnight (end may be before start = crosses midnight), or null
+function parseClockRange(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  const end = Number(m[3]) * 60 + Number(m[4]);
+  if (start > 24 * 60 || end > 24 * 60) return null;
+  return { start, end };
+}
+
+function clockInRange(minutes, range) {
+  if (!range) return false;
+  return range.start <= range.end
+    ? (minutes >= range.start && minutes < range.end)
+    : (minutes >= range.start || minutes < range.end);
+}
+
+/* Maintenance windows and quiet hours
+   A maintenance window covers a terminal, a site (tank_sites.site) or a project (tank_info.project_code). It runs from
+   starts_at to ends_at (open ended when empty); a 'weekly' window is only active on its weekdays during its
+   daily_window ("HH:MM-HH:MM", ALARM_TIMEZONE) within that period. While one is active, alarms are still logged but
+   no email / SMS / webhook goes out and escalation waits.
+   Quiet hours ("HH:MM-HH:MM" per recipient) hold that recipient's non-critical alarm emails in quiet_hours_queue and
+   texts in the delivery log until the quiet hours end; held emails go out as one batch. Checked every
+   QUIET_HOURS_CHECK_MS (default 60000).
+   Gas (LEL) alarms are never suppressed or held.
+*/
+const QUIET_HOURS_CHECK_MS = Math.max(10000, parseInt(process.env.QUIET_HOURS_CHECK_MS || '60000', 10));
+const MAINTENANCE_SCOPES = ['terminal', 'site', 'project'];
+
+function maintenanceWindowRowToJson(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    scope_value: row.scope_value,
+    reason: row.reason || null,
+    starts_at: normalizeDbTimestampToIso(row.starts_at),
+    ends_at: normalizeDbTimestampToIso(row.ends_at),
+    recurrence: row.recurrence || 'none',
+    weekdays: row.weekdays || null,
+    daily_window: row.daily_window || null,
+    created_by: row.created_by || null,
+    created_at: normalizeDbTimestampToIso(row.created_at)
+  };
+}
+
+function maintenanceWindowActive(win, date) {
+  const t = date.getTime();
+  if (new Date(win.starts_at).getTime() > t) return false;
+  if (win.ends_at && new Date(win.ends_at).getTime() <= t) return false;
+  if (win.recurrence !== 'weekly') return true;
+  const clock = localClock(date);
+  const days = String(win.weekdays || '').split(',').map(d => d.trim()).filter(Boolean);
+  if (days.length && !days.includes(clock.day)) return false;
+  return clockInRange(clock.minutes, parseClockRange(win.daily_window));
+}
+
+// Maintenance windows covering a terminal (through its own id, its site or its project)
+async function maintenanceWindowsFor(client, tid) {
+  const r = await client.query(
+    `SELECT w.* FROM maintenance_windows w
+      WHERE (w.scope = 'terminal' AND w.scope_value = $1)
+         OR (w.scope = 'site' AND w.scope_value = (SELECT site FROM tank_sites WHERE terminal_id = $1 LIMIT 1))
+         OR (w.scope = 'project' AND w.scope_value = (SELECT project_code FROM tank_info WHERE terminal_id = $1 LIMIT 1))
+      ORDER BY w.starts_at DESC, w.id DESC`,
+    [String(tid)]
+  );
+  return r.rows || [];
+}
+
+// The active maintenance window silencing this terminal's alarm notifications, or null
+async function suppressedByMaintenance(client, tid, alarmType) {
+  if (NEVER_SUPPRESSED_TYPES.includes(alarmType)) return null;
+  const now = new Date();
+  const win = (await maintenanceWindowsFor(client, tid)).find(w => maintenanceWindowActive(w, now)) || null;
+  if (win) console.log(`Notification for terminal ${tid} (${alarmType}) suppressed by maintenance window #${win.id}`);
+  return win;
+}
+
+// When the quiet hours a date falls in end (null when the date is outside them)
+function quietHoursRelease(quietHours, date) {
+  const range = parseClockRange(quietHours);
+  if (!range) return null;
+  const clock = localClock(date);
+  if (!clockInRange(clock.minutes, range)) return null;
+  const minutesLeft = (range.end - clock.minutes + 1440) % 1440 || 1440;
+  const release = new Date(date.getTime() + minutesLeft * 60000);
+  release.setSeconds(0, 0);
+  return release;
+}
+
+/* Hold the addresses in `to` that are in their quiet hours, as set on their recipient entry for the template's terminal
+   (see alarmRecipientsFor); the template context is kept so the batch is rendered like the original email.
+   Returns the addresses to send to now (or null). */
+async function holdForQuietHours(to, subject, text, severity, template) {
+  const addresses = splitEmailList(to);
+  if (!addresses.length) return null;
+  const client = await pool.connect();
+  try {
+    const quiet = new Map((await alarmRecipientsFor(client, template.terminalId))
+      .filter(rec => rec.email && rec.quiet_hours)
+      .map(rec => [rec.email.toLowerCase(), rec.quiet_hours]));
+    const now = new Date();
+    const sendNow = [];
+    for (const address of addresses) {
+      const release = quiet.has(address.toLowerCase()) ? quietHoursRelease(quiet.get(address.toLowerCase()), now) : null;
+      if (!release) {
+        sendNow.push(address);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO quiet_hours_queue (email, subject, body, severity, template, release_at) VALUES ($1, $2, $3, $4, $5, $6)`,
+        [address, subject, text, severity, JSON.stringify({ kind: template.kind, terminalId: String(template.terminalId), alarm: template.alarm || null }), release.toISOString()]
+      );
+      console.log(`Alarm email to ${address} held for quiet hours until ${release.toISOString()}`);
+    }
+    return sendNow.length ? sendNow.join(', ') : null;
+  } finally {
+    client.release();
+  }
+}
+
+let quietHoursReleaseInProgress = false;
+
+// Send each recipient whose quiet hours ended one email (in their language) with everything held for them
+async function releaseQuietHoursQueue() {
+  if (quietHoursReleaseInProgress || !transporter) return;
+  quietHoursReleaseInProgress = true;
+  try {
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT id, email, subject, body, template, created_at FROM quiet_hours_queue
+          WHERE sent_at IS NULL AND release_at <= now()
+          ORDER BY lower(email), created_at, id`
+      );
+      const byEmail = new Map();
+      for (const row of r.rows || []) {
+        const key = row.email.toLowerCase();
+        if (!byEmail.has(key)) byEmail.set(key, []);
+        byEmail.get(key).push(row);
+      }
+      const languages = await recipientLanguages(client, [...byEmail.keys()]);
+      const tanks = new Map(); // terminal id -> email tank context
+      for (const [key, rows] of byEmail) {
+        try {
+          const items = [];
+          for (const row of rows) {
+            const template = row.template;
+            const item = { subject: row.subject, lines: String(row.body || '').split('\n'), at: new Date(row.created_at), tank: null };
+            if (template && template.terminalId) {
+              if (!tanks.has(template.terminalId)) {
+                tanks.set(template.terminalId, await loadEmailTankContext(client, template.terminalId).catch(() => emailTankFallback(template.terminalId)));
+              }
+              Object.assign(item, { kind: template.kind, alarm: template.alarm, tank: tanks.get(template.terminalId) });
+            }
+            items.push(item);
+          }
+          const msg = renderHeldAlarmsEmail(languages.get(key) || EMAIL_DEFAULT_LANGUAGE, items);
+          await sendAlarmEmail(rows[0].email, msg.subject, msg.text, msg.html);
+          await client.query(`UPDATE quiet_hours_queue SET sent_at = now() WHERE id = ANY($1)`, [rows.map(i => i.id)]);
+        } catch (err) {
+          console.warn(`Failed to send held alarms to ${rows[0].email}`, err && err.message);
+        }
+      }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Quiet hours release failed', err && err.message);
+  } finally {
+    quietHoursReleaseInProgress = false;
+  }
+}
+
+pollSchemaReady.then(() => {
+  setInterval(() => { releaseQuietHoursQueue().catch(() => {}); }, QUIET_HOURS_CHECK_MS);
+});
+
+/* Rapid level-drop (possible leak / abnormal consumption) alarm, checked whenever the poller stores a new reading.
+   The drop rate between the new reading and the previous one (%/h) is compared with the tank's normal consumption
+   (average daily drop over the last 30 days, see computeDailySeries, spread over 24h):
+     LEAK_RATE_MULTIPLIER (default 4)            -> alarm when the rate exceeds this multiple of the normal rate
+     LEAK_OFF_HOURS_MULTIPLIER (default 2)       -> the multiple used outside working hours
+     LEAK_LITERS_PER_HOUR (default 0 = off)      -> alarm when the drop exceeds this many liters/h (needs a capacity)
+     LEAK_MIN_DROP_PERCENT (default 2)           -> smaller drops are treated as sensor noise
+     WORKING_HOURS (default 07:00-19:00) / WORKING_DAYS (default mon,tue,wed,thu,fri), local to ALARM_TIMEZONE
+     LEAK_ALARM_DEADBAND (default 25)            -> percent below the limits the drop rate must fall to clear
+     LEAK_ALARM_MIN_DURATION_MINUTES (default 0) -> how long the drop rate must stay over (or back under) the limits
+   The alarm ('leak_suspected', critical) clears once the drop rate is back within the limits less the deadband.
+*/
+const LEAK_RATE_MULTIPLIER = Math.max(1, Number(process.env.LEAK_RATE_MULTIPLIER || '4') || 4);
+const LEAK_OFF_HOURS_MULTIPLIER = Math.max(1, Number(process.env.LEAK_OFF_HOURS_MULTIPLIER || '2') || 2);
+const LEAK_LITERS_PER_HOUR = Math.max(0, Number(process.env.LEAK_LITERS_PER_HOUR || '0') || 0);
+const LEAK_MIN_DROP_PERCENT = Math.max(0, Number(process.env.LEAK_MIN_DROP_PERCENT || '2') || 0);
+const LEAK_ALARM_DEADBAND = Math.min(100, Math.max(0, Number(process.env.LEAK_ALARM_DEADBAND || '25') || 0));
+const LEAK_ALARM_MIN_DURATION_MINUTES = Math.max(0, parseInt(process.env.LEAK_ALARM_MIN_DURATION_MINUTES || '0', 10) || 0);
+const WORKING_HOURS = parseClockRange(process.env.WORKING_HOURS || '07:00-19:00');
+const WORKING_DAYS = String(process.env.WORKING_DAYS || 'mon,tue,wed,thu,fri').split(',').map(d => d.trim().slice(0, 3).toLowerCase()).filter(d => WEEKDAY_NAMES.includes(d));
+const LEAK_BASELINE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// terminalId -> { ratePerHour (percent/h) | null, capacityLiters | null, computedAt }
+const leakBaselines = new Map();
+
+function isWorkingTime(date) {
+  const clock = localClock(date);
+  return WORKING_DAYS.includes(clock.day) && clockInRange(clock.minutes, WORKING_HOURS);
+}
+
+async function leakBaselineFor(client, tid) {
+  const cached = leakBaselines.get(tid);
+  if (cached && Date.now() - cached.computedAt < LEAK_BASELINE_TTL_MS) return cached;
+
+  const r = await client.query(
+    `SELECT COALESCE(timestamp, "current_timestamp") AS ts, tank_level
+       FROM tank_level
+      WHERE id = $1 AND COALESCE(timestamp, "current_timestamp") >= now() - interval '30 days'
+      ORDER BY COALESCE(timestamp, "current_timestamp") ASC`,
+    [tid]
+  );
+  const minReadings = Math.max(1, parseInt(process.env.CONSUMPTION_MIN_READINGS_PER_DAY || '3', 10));
+  const days = computeDailySeries((r.rows || []).map(row => ({ timestamp: row.ts, tank_level: row.tank_level })))
+    .filter(d => d.readings >= minReadings);
+  const avgPerDay = days.length ? days.reduce((sum, d) => sum + d.percentDrop, 0) / days.length : null;
+  const cap = await client.query(`SELECT lpg_tank_capacity FROM tank_info WHERE terminal_id = $1 LIMIT 1`, [tid]);
+  const baseline = {
+    ratePerHour: avgPerDay != null && avgPerDay > 0 ? avgPerDay / 24 : null,
+    capacityLiters: cap.rows[0] ? parseCapacityLiters(cap.rows[0].lpg_tank_capacity) : null,
+    computedAt: Date.now()
+  };
+  leakBaselines.set(tid, baseline);
+  return baseline;
+}
+
+async function maybeDetectLeak(client, reading) {
+  try {
+    if (!reading || !reading.idVal || !reading.timestampVal) return;
+    const tid = String(reading.idVal);
+    const level = reading.numericLevelVal == null ? null : Number(reading.numericLevelVal);
+    if (level == null || isNaN(level)) return;
+    const at = new Date(reading.timestampVal);
+    if (isNaN(at.getTime())) return;
+
+    const prevRes = await client.query(
+      `SELECT timestamp AS ts, tank_level FROM tank_level
+        WHERE id = $1 AND timestamp < $2 AND tank_level IS NOT NULL
+        ORDER BY timestamp DESC LIMIT 1`,
+      [tid, at.toISOString()]
+    );
+    const prev = prevRes.rows[0];
+    if (!prev) return;
+    const hours = (at.getTime() - new Date(prev.ts).getTime()) / 3600000;
+    if (!(hours > 0)) return;
+    const drop = Number(prev.tank_level) - level;
+
+    const baseline = await leakBaselineFor(client, tid);
+    const working = isWorkingTime(at);
+    const multiplier = working ? LEAK_RATE_MULTIPLIER : LEAK_OFF_HOURS_MULTIPLIER;
+    const rate = drop / hours; // percent per hour
+    const litersPerHour = baseline.capacityLiters != null ? baseline.capacityLiters * rate / 100 : null;
+
+    // Limits scaled by `factor` (1 to raise, 1 - deadband to stay raised); the reasons the rate exceeds them
+    const exceeded = factor => {
+      const out = [];
+      if (drop < LEAK_MIN_DROP_PERCENT * factor) return out;
+      if (baseline.ratePerHour != null && rate > baseline.ratePerHour * multiplier * factor) {
+        out.push(`${round2(rate)}%/h is ${round2(rate / baseline.ratePerHour)}x the normal ${round2(baseline.ratePerHour)}%/h (limit ${multiplier}x${working ? '' : ', outside working hours'})`);
+      }
+      if (LEAK_LITERS_PER_HOUR > 0 && litersPerHour != null && litersPerHour > LEAK_LITERS_PER_HOUR * factor) {
+        out.push(`${round2(litersPerHour)} L/h exceeds ${LEAK_LITERS_PER_HOUR} L/h`);
+      }
+      return out;
+    };
+    const reasons = exceeded(1);
+
+    const transition = await advanceAlarmState(client, tid, 'leak',
+      cur => (reasons.length || (cur === 'leak' && exceeded(1 - LEAK_ALARM_DEADBAND / 100).length)) ? 'leak' : 'normal',
+      { value: round2(rate), minDurationMs: LEAK_ALARM_MIN_DURATION_MINUTES * 60 * 1000 });
+    if (!transition.changed) return;
+
+    if (transition.state === 'leak') {
+      const { alarm } = await raiseAlarm(client, {
+        terminalId: tid,
+        type: 'leak_suspected',
+        severity: 'critical',
+        value: round2(rate),
+        threshold: baseline.ratePerHour != null ? round2(baseline.ratePerHour * multiplier) : null,
+        message: `Possible leak / abnormal consumption: level fell ${round2(drop)}% in ${round2(hours)}h (${reasons.join('; ')})`
+      });
+      const to = recipientEmails(await alarmRecipientsFor(client, tid), 1, 1);
+      if (!to || !transporter || await suppressedByMaintenance(client, tid, 'leak_suspected')) return;
+      await sendAlarmNotice(to, `ALARM: Possible leak at terminal ${tid} (level -${round2(drop)}% in ${round2(hours)}h)`, [
+        `Terminal ${tid} dropped from ${prev.tank_level}% to ${level}% between ${new Date(prev.ts).toISOString()} and ${at.toISOString()}.`,
+        ...reasons.map(r => `- ${r}`),
+        ...(working ? [] : ['This happened outside working hours.']),
+        'Check the installation for a leak or unexpected consumption.',
+        '',
+        `Alarm: #${alarm ? alarm.id : '?'}`,
+        '',
+        'This is an automated alarm.'
+      ], { severity: 'critical', template: { kind: 'alarm', terminalId: tid, alarm: alarm || { alarm_type: 'leak_suspected', last_value: round2(rate) } } })
+        .catch(err => console.warn('Failed to send leak alarm', err && err.message));
+    } else {
+      const ended = await clearAlarm(client, tid, 'leak_suspected', { value: round2(rate) });
+      const to = recipientEmails(await alarmRecipientsFor(client, tid), 1, ended ? ended.notified_tier : 1);
+      if (!to || !transporter || await suppressedByMaintenance(client, tid, 'leak_suspected')) return;
+      await sendAlarmNotice(to, `RECOVERED: Terminal ${tid} consumption back to normal`, [
+        `Terminal ${tid} is at ${level}%; the drop rate since the previous reading (${round2(rate)}%/h) is back within limits.`,
+        '',
+        `Original alarm: ${ended ? `#${ended.id} (${ended.message || 'possible leak'})` : 'not found in the alarm log'}`,
+        `Alarm duration: ${ended && ended.raised_at ? formatAlarmDuration(Date.now() - new Date(ended.raised_at).getTime()) : 'unknown'}`,
+        '',
+        'This is an automated message.'
+      ], { severity: 'warning', template: { kind: 'recovery', terminalId: tid, alarm: ended || { alarm_type: 'leak_suspected', clear_value: round2(rate) } } })
+        .catch(err => console.warn('Failed to send leak recovery', err && err.message));
+    }
+  } catch (err) {
+    console.warn('maybeDetectLeak error', err && err.message);
+  }
+}
+
+/* Load the ids of all enabled terminals from the terminals registry. */
+async function loadEnabledTerminalIds(client) {
+  const r = await client.query(`SELECT terminal_id FROM terminals WHERE enabled = TRUE ORDER BY id ASC`);
+  return (r.rows || []).map(row => String(row.terminal_id));
+}
+
+/* Poll engine configuration:
+   POLL_CONCURRENCY (default 4)          -> terminals polled in parallel
+   POLL_MAX_RETRIES (default 2)          -> extra attempts per terminal after a transient failure
+   POLL_RETRY_BASE_MS (default 2000)     -> first backoff delay; doubles on every retry
+   POLL_RUN_TIMEOUT_MS (default 600000)  -> no new attempts are started once a run is this old
+*/
+const POLL_CONCURRENCY = Math.max(1, parseInt(process.env.POLL_CONCURRENCY || '4', 10));
+const POLL_MAX_RETRIES = Math.max(0, parseInt(process.env.POLL_MAX_RETRIES || '2', 10));
+const POLL_RETRY_BASE_MS = Math.max(100, parseInt(process.env.POLL_RETRY_BASE_MS || '2000', 10));
+const POLL_RUN_TIMEOUT_MS = Math.max(1000, parseInt(process.env.POLL_RUN_TIMEOUT_MS || '600000', 10));
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run worker(item) over items with at most `limit` calls in flight; results keep the input order.
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await worker(items[idx], idx);
+    }
+  }
+  const lanes = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) lanes.push(lane());
+  await Promise.all(lanes);
+  return results;
+}
+
+/* Poll a single terminal: fetch, insert and check alarms, retrying transient failures with exponential backoff.
+   "Device Offline" (404) is an answer from the service, not a transient error, so it is not retried.
+   Returns { terminalId, ok, attempts, error, status, timedOut, reading, inserted, startedAt, finishedAt }.
+   `inserted` is false when the device timestamp was already stored (see insertReading).
+   `status` is the SOAP HTTP status (200 on success, null when no answer was received).
+*/
+async function pollOneTerminal(tid, deadline) {
+  const result = { terminalId: tid, ok: false, attempts: 0, error: null, status: null, timedOut: false, reading: null, inserted: false, startedAt: new Date(), finishedAt: null };
+  for (let attempt = 0; attempt <= POLL_MAX_RETRIES; attempt++) {
+    if (Date.now() >= deadline) {
+      result.timedOut = true;
+      result.error = result.error || 'poll run timed out';
+      break;
+    }
+    result.attempts++;
+    result.status = null;
+    try {
+      const reading = await getTerminalReadings(tid);
+      result.status = 200;
+      const client = await pool.connect();
+      try {
+        result.inserted = await insertReading(client, reading);
+        if (result.inserted) {
+          console.log(`Inserted reading for terminal ${reading.idVal} (sn=${reading.snVal})`);
+        } else {
+          console.log(`Reading for terminal ${reading.idVal} unchanged since ${reading.timestampVal}; updated existing row`);
+        }
+        // Possibly send alarms (uses same client)
+        await maybeSendAlarms(client, reading).catch(e => console.warn('Alarm check failed', e && e.message));
+        await maybeSendHealthAlarms(client, reading);
+        if (result.inserted) await maybeDetectLeak(client, reading);
+      } finally {
+        client.release();
+      }
+      result.ok = true;
+      result.error = null;
+      result.reading = reading;
+      break;
+    } catch (err) {
+      result.error = (err && err.message) || 'unknown error';
+      // a 200 is kept when the SOAP call itself succeeded but saving the reading failed
+      if (err && err.status) result.status = err.status;
+      console.warn(`Poll attempt ${result.attempts} failed for terminal ${tid}:`, result.error, err && err.detail ? `detail=${err.detail}` : '');
+      if ((err && err.status === 404) || attempt >= POLL_MAX_RETRIES) break;
+      const delay = POLL_RETRY_BASE_MS * Math.pow(2, attempt);
+      if (Date.now() + delay >= deadline) {
+        result.timedOut = true;
+        break;
+      }
+      await sleep(delay);
+    }
+  }
+  result.finishedAt = new Date();
+  return result;
+}
+
+/* Poll run journal helpers (see createPollRunTablesIfNeeded).
+   Journal writes are best effort: a failing journal never stops the poll itself.
+*/
+const POLL_RUN_RETENTION_DAYS = Math.max(1, parseInt(process.env.POLL_RUN_RETENTION_DAYS || '90', 10));
+
+async function journalStartRun(trigger, terminalCount) {
+  try {
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `INSERT INTO poll_runs (trigger, terminal_count) VALUES ($1, $2) RETURNING id`,
+        [trigger, terminalCount]
+      );
+      return r.rows && r.rows[0] ? r.rows[0].id : null;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Poll journal: failed to start run:', err && err.message);
+    return null;
+  }
+}
+
+async function journalTerminalOutcome(runId, result) {
+  if (!runId) return;
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(
+        `INSERT INTO poll_run_terminals (run_id, terminal_id, started_at, finished_at, success, attempts, error, soap_status, device_timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          runId,
+          result.terminalId,
+          result.startedAt,
+          result.finishedAt || new Date(),
+          result.ok,
+          result.attempts,
+          result.error,
+          result.status,
+          result.reading && result.reading.timestampVal ? result.reading.timestampVal : null
+        ]
+      );
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn(`Poll journal: failed to record terminal ${result.terminalId}:`, err && err.message);
+  }
+}
+
+async function journalFinishRun(runId, results, runError) {
+  if (!runId) return;
+  try {
+    const client = await pool.connect();
+    try {
+      const okCount = results.filter(r => r.ok).length;
+      await client.query(
+        `UPDATE poll_runs
+            SET finished_at = now(), ok_count = $2, fail_count = $3, timed_out = $4, error = $5
+          WHERE id = $1`,
+        [runId, okCount, results.length - okCount, results.some(r => r.timedOut), runError || null]
+      );
+      await client.query(
+        `DELETE FROM poll_runs WHERE started_at < now() - ($1::int * INTERVAL '1 day')`,
+        [POLL_RUN_RETENTION_DAYS]
+      );
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Poll journal: failed to finish run:', err && err.message);
+  }
+}
+
+/* Currently running poll (null when idle): { runId, trigger, startedAt, terminalIds }.
+   Only one poll runs at a time; see pollTerminalsAndSave.
+*/
+let activePoll = null;
+
+/* Poll all enabled terminals (from the terminals table) and save their readings.
+   Behavior:
+   - Up to POLL_CONCURRENCY terminals are polled at once, so a slow or offline transmitter doesn't hold up the rest.
+   - Each terminal is retried with exponential backoff (see pollOneTerminal); failures never stop other terminals.
+   - The run stops starting new attempts after POLL_RUN_TIMEOUT_MS.
+   - The run and every terminal outcome are recorded in poll_runs / poll_run_terminals.
+   - Runs never overlap: while one is in progress, another call throws (status 409, err.activePoll set).
+   Options:
+     { trigger }      'scheduled' by default; stored on the run
+     { terminalIds }  poll only these ids instead of every enabled terminal
+     { onStart }      called with activePoll once the run is journaled, before any terminal is polled
+   Returns { runId, trigger, startedAt, finishedAt, results } with the per-terminal results of pollOneTerminal.
+*/
+async function pollTerminalsAndSave(options = {}) {
+  if (activePoll) {
+    const err = new Error('a poll is already running');
+    err.status = 409;
+    err.activePoll = activePoll;
+    throw err;
+  }
+  const trigger = options.trigger || 'scheduled';
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + POLL_RUN_TIMEOUT_MS;
+  activePoll = { runId: null, trigger, startedAt, terminalIds: [] };
+
+  try {
+    let terminalIds = Array.isArray(options.terminalIds) ? options.terminalIds.map(String) : null;
+    if (!terminalIds) {
+      const client = await pool.connect();
+      try {
+        terminalIds = await loadEnabledTerminalIds(client);
+      } finally {
+        client.release();
+      }
+    }
+    if (terminalIds.length === 0) {
+      console.warn('No enabled terminals registered; skipping poll. Add terminals via /api/terminals.');
+      return { runId: null, trigger, startedAt, finishedAt: new Date(), results: [] };
+    }
+    activePoll.terminalIds = terminalIds;
+
+    const runId = await journalStartRun(trigger, terminalIds.length);
+    activePoll.runId = runId;
+    if (options.onStart) options.onStart(activePoll);
+    let results = [];
+    let runError = null;
+    try {
+      results = await runWithConcurrency(terminalIds, POLL_CONCURRENCY, async tid => {
+        const r = await pollOneTerminal(tid, deadline);
+        await journalTerminalOutcome(runId, r);
+        return r;
+      });
+    } catch (err) {
+      runError = (err && err.message) || 'unknown error';
+      throw err;
+    } finally {
+      await journalFinishRun(runId, results, runError);
+    }
+    const finishedAt = new Date();
+    const saved = results.filter(r => r.ok).length;
+    console.log(`Poll run ${runId || '-'} (${trigger}) finished: ${saved}/${results.length} terminal(s) saved in ${finishedAt - startedAt} ms`);
+    await checkStaleTerminals().catch(e => console.warn('Stale-data check failed', e && e.message));
+    return { runId, trigger, startedAt, finishedAt, results };
+  } finally {
+    activePoll = null;
+  }
+}
+
+// Schedule polling every hour (3600000 ms)
+const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '3600000', 10);
+setInterval(() => {
+  if (activePoll) return; // a manual run is still going; the next tick picks up
+  pollTerminalsAndSave({ trigger: 'scheduled' }).catch(e => console.warn('Scheduled poll error', e && e.message));
+}, POLL_INTERVAL_MS);
+
+// Optionally run once on startup (default true). Set POLL_ON_STARTUP=false to disable.
+const pollOnStartup = (process.env.POLL_ON_STARTUP || 'true').toLowerCase() !== 'false';
+if (pollOnStartup) {
+  pollSchemaReady.then(() => pollTerminalsAndSave({ trigger: 'startup' })).catch(e => console.warn('Initial poll error', e && e.message));
+}
+
+/* -------------------------
+   NEW: Login (DB-backed) endpoint (now session-backed)
+   ------------------------- */
+
+// Helper to get client IP (respect x-forwarded-for if behind proxy)
+function getRequestIp(req) {
+  const xf = req.headers['x-forwarded-for'];
+  if (xf && typeof xf === 'string') {
+    return xf.split(',')[0].trim();
+  }
+  if (req.ip) return req.ip;
+  if (req.connection && req.connection.remoteAddress) return req.connection.remoteAddress;
+  return null;
+}
+
+// POST /api/login
+// Body: { username, password }
+// Returns: { ok: true, username, role }
+app.post('/api/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const u = (username || '').trim();
+    const p = String(password || '');
+
+    if (!u || !p) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT id, username, password_hash, role, disabled FROM tank_credentials WHERE username = $1 LIMIT 1`,
+        [u]
+      );
+      if (!r.rows || r.rows.length === 0) {
+        // log failure
+        try {
+          const ip = getRequestIp(req) || null;
+          const userAgent = req.get('user-agent') || null;
+          await client.query(
+            `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
+            [u, false, false, userAgent, ip, 'invalid username/password']
+          );
+        } catch (e) { /* ignore logging errors */ }
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      const row = r.rows[0];
+      if (row.disabled) {
+        try {
+          const ip = getRequestIp(req) || null;
+          const userAgent = req.get('user-agent') || null;
+          await client.query(
+            `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
+            [u, row.role === 'admin', false, userAgent, ip, 'account disabled']
+          );
+        } catch (e) { /* ignore */ }
+        return res.status(403).json({ error: 'Account disabled' });
+      }
+
+      const ok = await bcrypt.compare(p, row.password_hash);
+      const isAdminRole = row.role === 'admin';
+
+      // log attempt
+      try {
+        const ip = getRequestIp(req) || null;
+        const userAgent = req.get('user-agent') || null;
+        await client.query(
+          `INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note) VALUES ($1, $2, $3, $4, $5, $6)`,
+          [u, isAdminRole, !!ok, userAgent, ip, ok ? 'user login success' : 'invalid username/password']
+        );
+      } catch (e) { /* ignore logging errors */ }
+
+      if (!ok) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      // update last_login_at
+      try {
+        await client.query(`UPDATE tank_credentials SET last_login_at = now() WHERE id = $1`, [row.id]);
+      } catch (e) { /* ignore */ }
+
+      // NEW: set session state (real auth persistence)
+      try {
+        req.session.user = { username: row.username, role: row.role };
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to establish session' });
+      }
+
+      return res.json({ ok: true, username: row.username, role: row.role });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/login failed:', err && err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/logout (session destroy)
+app.post('/api/logout', async (req, res) => {
+  try {
+    if (!req.session) return res.json({ ok: true });
+    req.session.destroy(() => {
+      // Best-effort cookie clear
+      try {
+        res.clearCookie(process.env.SESSION_COOKIE_NAME || 'sid');
+      } catch (e) { /* ignore */ }
+      return res.json({ ok: true });
+    });
+  } catch (err) {
+    return res.status(500).json({ error: 'failed to logout' });
+  }
+});
+
+// GET /api/me (optional helper for front-end role gating)
+app.get('/api/me', (req, res) => {
+  try {
+    if (req.session && req.session.user) {
+      return res.json({ ok: true, user: req.session.user });
+    }
+    return res.status(401).json({ error: 'unauthorized' });
+  } catch (err) {
+    return res.status(500).json({ error: 'failed' });
+  }
+});
+
+/* -------------------------
+   NEW: Change Password endpoint (session-backed)
+   - viewer cannot use
+   - editor (Alfanar_Admin1) can change self + viewer (Alfanar_GasLevel1)
+   - admin (Sonic) can change all
+   - Always require current password of the logged-in user for confirmation
+   ------------------------- */
+
+// Helper: decide if requester can change target username
+function canChangePasswordTarget(requesterUsername, requesterRole, targetUsername) {
+  const reqU = String(requesterUsername || '').trim();
+  const reqR = String(requesterRole || '').trim();
+  const tgtU = String(targetUsername || '').trim();
+
+  // viewers cannot change passwords (even their own)
+  if (reqR === 'viewer') return false;
+
+  // Sonic can change all
+  if (reqU === 'Sonic' && reqR === 'admin') return true;
+
+  // Editor account can change itself and viewer
+  if (reqU === 'Alfanar_Admin1' && reqR === 'editor') {
+    return (tgtU === 'Alfanar_Admin1' || tgtU === 'Alfanar_GasLevel1');
+  }
+
+  // Default: no
+  return false;
+}
+
+// POST /api/change-password
+// Body: { targetUsername, currentPassword, newPassword }
+// Notes:
+// - currentPassword is the password of the LOGGED-IN USER (confirmation)
+// - targetUsername can be self or (if allowed) another account per rules above
+app.post('/api/change-password', requireAuth, async (req, res) => {
+  try {
+    const sessionUser = (req.session && req.session.user) ? req.session.user : null;
+    const requesterUsername = sessionUser && sessionUser.username ? String(sessionUser.username) : '';
+    const requesterRole = sessionUser && sessionUser.role ? String(sessionUser.role) : '';
+
+    if (!requesterUsername || !requesterRole) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+
+    // Block viewer explicitly
+    if (requesterRole === 'viewer') {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const body = req.body || {};
+    const targetUsername = body.targetUsername ? String(body.targetUsername).trim() : '';
+    const currentPassword = body.currentPassword ? String(body.currentPassword) : '';
+    const newPassword = body.newPassword ? String(body.newPassword) : '';
+
+    if (!targetUsername || !currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'targetUsername, currentPassword and newPassword are required' });
+    }
+
+    if (!canChangePasswordTarget(requesterUsername, requesterRole, targetUsername)) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+
+    // Basic policy: require at least 6 chars (can be adjusted)
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters.' });
+    }
+
+    const client = await pool.connect();
+    try {
+      // 1) Verify the requester's current password
+      const rq = await client.query(
+        `SELECT id, username, password_hash, role, disabled FROM tank_credentials WHERE username = $1 LIMIT 1`,
+        [requesterUsername]
+      );
+      if (!rq.rows || rq.rows.length === 0) {
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      const requesterRow = rq.rows[0];
+      if (requesterRow.disabled) {
+        return res.status(403).json({ error: 'Account disabled' });
+      }
+
+      const ok = await bcrypt.compare(currentPassword, requesterRow.password_hash);
+      if (!ok) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      // 2) Update the target user's password_hash
+      const saltRounds = Math.max(8, parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10));
+      const newHash = await bcrypt.hash(newPassword, saltRounds);
+
+      const up = await client.query(
+        `UPDATE tank_credentials SET password_hash = $1 WHERE username = $2 RETURNING username, role`,
+        [newHash, targetUsername]
+      );
+      if (!up.rows || up.rows.length === 0) {
+        return res.status(404).json({ error: 'target user not found' });
+      }
+
+      return res.json({ ok: true, targetUsername: up.rows[0].username });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/change-password failed:', err && err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/* -------------------------
+   NEW/EXISTING: Login attempt endpoints (unchanged)
+   ------------------------- */
+
+// POST /api/login-attempt
+// Expected JSON body: { username: string, isAdminAttempt: boolean, success: boolean, note?: string }
+app.post('/api/login-attempt', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const username = body.username ? String(body.username).trim() : '';
+    const isAdminAttempt = !!body.isAdminAttempt;
+    const success = !!body.success;
+    const note = body.note ? String(body.note).trim().slice(0, 1000) : null;
+
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    const ip = getRequestIp(req) || null;
+    const userAgent = req.get('user-agent') || null;
+
+    const insertSql = `
+      INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at;
+    `;
+    const params = [username, isAdminAttempt, success, userAgent, ip, note];
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(insertSql, params);
+      const inserted = r.rows && r.rows[0] ? r.rows[0] : null;
+      const created_at = inserted && inserted.created_at ? normalizeDbTimestampToIso(inserted.created_at) : new Date().toISOString();
+      return res.status(201).json({ ok: true, id: inserted && inserted.id, created_at });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/login-attempt failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to record login attempt' });
+  }
+});
+
+// GET /api/login-attempts
+// Query params: limit, offset, isAdmin (1/0), success(1/0), username (partial), since (ISO), until (ISO)
+// If LOGIN_ATTEMPTS_READ_KEY is set, require header X-ADMIN-KEY to match.
+app.get('/api/login-attempts', requireAuth, async (req, res) => {
+  try {
+    const requiredKey = process.env.LOGIN_ATTEMPTS_READ_KEY || '';
+    if (requiredKey) {
+      const got = req.get('x-admin-key') || '';
+      if (got !== requiredKey) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '200', 10) || 1, 1), 5000);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+    const filters = [];
+    const params = [];
+
+    if (req.query.isAdmin !== undefined && (req.query.isAdmin === '1' || req.query.isAdmin === '0')) {
+      params.push(req.query.isAdmin === '1');
+      filters.push(`is_admin_attempt = $${params.length}`);
+    }
+    if (req.query.success !== undefined && (req.query.success === '1' || req.query.success === '0')) {
+      params.push(req.query.success === '1');
+      filters.push(`success = $${params.length}`);
+    }
+    if (req.query.username) {
+      params.push(`%${req.query.username}%`);
+      filters.push(`username ILIKE $${params.length}`);
+    }
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (!isNaN(since.getTime())) {
+        params.push(since.toISOString());
+        filters.push(`created_at >= $${params.length}`);
+      }
+    }
+    if (req.query.until) {
+      const until = new Date(req.query.until);
+      if (!isNaN(until.getTime())) {
+        params.push(until.toISOString());
+        filters.push(`created_at <= $${params.length}`);
+      }
+    }
+
+    const where = filters.length ? ('WHERE ' + filters.join(' AND ')) : '';
+
+    // limit and offset are always appended as the last two parameters
+    params.push(limit, offset);
+    const q = `
+      SELECT id, username, is_admin_attempt, success, user_agent, ip, note, created_at
+      FROM login_attempts
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+
+    const client = await pool.connect();
+    try {
+      const result = await client.query(q, params);
+      const rows = (result.rows || []).map(r => ({
+        id: r.id,
+        username: r.username,
+        is_admin_attempt: !!r.is_admin_attempt,
+        success: !!r.success,
+        user_agent: r.user_agent || null,
+        ip: r.ip || null,
+        note: r.note || null,
+        created_at: normalizeDbTimestampToIso(r.created_at),
+      }));
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/login-attempts failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch login attempts' });
+  }
+});
+
+/* -------------------------
+   NEW: Manual poll trigger
+   POST /api/poll            -> poll every enabled terminal now
+   POST /api/poll {terminalId} (or ?terminalId=) -> poll a single registered terminal now
+   POST /api/poll?async=1    -> don't wait for the run: 202 { run_id, status_url, ... } as soon as it has started
+   Auth: an admin session, or the X-Poll-Key header matching POLL_TRIGGER_KEY (key auth is off when the env var is unset).
+   GET /api/poll-runs/:id    -> the run with its per-terminal outcomes (same auth, see the poll run journal below)
+   Registered before the requireAuth guard so scripts can call it with the key alone.
+   Responds 409 while another poll (scheduled or manual) is running, otherwise with the per-terminal results once the
+   run is done (or 202 with ?async=1; read its progress and outcome from GET /api/poll-runs/:id, finished_at is set
+   when it is done).
+   ------------------------- */
+function hasValidPollKey(req) {
+  const expected = process.env.POLL_TRIGGER_KEY || '';
+  const provided = String(req.get('x-poll-key') || '');
+  if (!expected || !provided) return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requirePollTrigger(req, res, next) {
+  if (hasValidPollKey(req)) return next();
+  const user = req.session && req.session.user;
+  if (user && user.role === 'admin') return next();
+  return res.status(user ? 403 : 401).json({ error: user ? 'forbidden' : 'unauthorized' });
+}
+
+function pollResultToJson(r) {
+  const reading = r.reading || {};
+  return {
+    terminal_id: r.terminalId,
+    ok: !!r.ok,
+    attempts: r.attempts,
+    error: r.error || null,
+    soap_status: r.status == null ? null : r.status,
+    timed_out: !!r.timedOut,
+    new_reading: !!r.inserted,
+    level: reading.numericLevelVal == null ? null : reading.numericLevelVal,
+    device_timestamp: reading.timestampVal || null,
+    started_at: r.startedAt ? r.startedAt.toISOString() : null,
+    finished_at: r.finishedAt ? r.finishedAt.toISOString() : null
+  };
+}
+
+app.post('/api/poll', requirePollTrigger, async (req, res) => {
+  try {
+    const inBackground = ['1', 'true'].includes(String(req.query.async || '').toLowerCase());
+    const terminalId = String((req.body && req.body.terminalId) || req.query.terminalId || '').trim();
+    const options = { trigger: 'manual' };
+    if (terminalId) {
+      const client = await pool.connect();
+      try {
+        const r = await client.query(`SELECT terminal_id, enabled FROM terminals WHERE terminal_id = $1`, [terminalId]);
+        if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'terminal not registered' });
+        if (!r.rows[0].enabled) return res.status(400).json({ error: 'terminal is disabled' });
+      } finally {
+        client.release();
+      }
+      options.terminalIds = [terminalId];
+    }
+
+    const started = new Promise(resolve => { options.onStart = resolve; });
+    const done = pollTerminalsAndSave(options);
+    if (inBackground) done.catch(e => console.warn('Manual poll error', e && e.message));
+    let first = inBackground
+      ? await Promise.race([started.then(active => ({ active })), done.then(run => ({ run }))])
+      : { run: await done };
+    // without a journaled run there is nothing to follow, so wait for the results after all
+    if (first.active && !first.active.runId) first = { run: await done };
+    if (first.run) {
+      const run = first.run;
+      const results = run.results.map(pollResultToJson);
+      return res.json({
+        ok: results.every(r => r.ok),
+        run_id: run.runId,
+        trigger: run.trigger,
+        started_at: run.startedAt.toISOString(),
+        finished_at: run.finishedAt.toISOString(),
+        count: results.length,
+        ok_count: results.filter(r => r.ok).length,
+        results
+      });
+    }
+    const runId = first.active.runId;
+    return res.status(202).json({
+      run_id: runId,
+      trigger: first.active.trigger,
+      started_at: first.active.startedAt.toISOString(),
+      terminal_count: first.active.terminalIds.length,
+      status_url: `/api/poll-runs/${runId}`
+    });
+  } catch (err) {
+    if (err && err.status === 409) {
+      const active = err.activePoll || {};
+      return res.status(409).json({
+        error: 'a poll is already running',
+        running: {
+          run_id: active.runId || null,
+          trigger: active.trigger || null,
+          started_at: active.startedAt ? active.startedAt.toISOString() : null,
+          terminal_count: (active.terminalIds || []).length
+        }
+      });
+    }
+    console.warn('POST /api/poll failed:', err && err.message);
+    return res.status(500).json({ error: 'poll failed' });
+  }
+});
+
+app.get('/api/poll-runs/:id(\\d+)', requirePollTrigger, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid run id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT id, trigger, started_at, finished_at, terminal_count, ok_count, fail_count, timed_out, error
+           FROM poll_runs WHERE id = $1`,
+        [id]
+      );
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'poll run not found' });
+      const t = await client.query(
+        `SELECT run_id, terminal_id, started_at, finished_at, success, attempts, error, soap_status, device_timestamp
+           FROM poll_run_terminals WHERE run_id = $1 ORDER BY terminal_id ASC`,
+        [id]
+      );
+      return res.json({ run: pollRunRowToJson(r.rows[0]), terminals: (t.rows || []).map(pollOutcomeRowToJson) });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/poll-runs/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch poll run' });
+  }
+});
+
+/* -------------------------
+   Protect all remaining /api/* routes by default
+   (must come AFTER /api/login, /api/logout, /api/me)
+   ------------------------- */
+app.use('/api', requireAuth);
+
+/* API endpoints (existing) */
+
+// Return a live reading for a single terminal (no DB write here), served through the live reading cache.
+// Accepts optional `variable` query parameter (default: LIVELLO). When `variable=BATT`
+// the response will include a computed `percent` field (rounded) if a numeric voltage is available.
+// `cache` reports { hit, stale, age_ms, fetched_at, ttl_ms } for the underlying SOAP response.
+app.get('/api/tank', async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId;
+    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+
+    const variable = req.query.variable ? String(req.query.variable).trim() : 'LIVELLO';
+
+    try {
+      const live = await getLiveTerminalInfo(terminalId);
+      const reading = readingFromInfo(live.info, variable);
+      const out = { value: reading.rawValue, timestamp: reading.timestampVal, id: reading.idVal, sn: reading.snVal };
+      // include percent if computed (used for BATT)
+      if (reading.percent !== undefined && reading.percent !== null) out.percent = reading.percent;
+      out.cache = live.cache;
+      return res.json(out);
+    } catch (err) {
+      if (err && err.status === 404) return res.status(404).json({ error: 'Device Offline' });
+      return res.status(502).json({ error: 'Failed to fetch SOAP data', message: err && err.message });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Return every SOAP variable of a terminal from a single TerminalGetInfo call (no DB write here, cached like /api/tank).
+// Response: { id, sn, variables: { LIVELLO: { value, timestamp }, BATT: { value, timestamp, percent }, RSSI: {...}, ... }, cache }
+app.get('/api/tank-variables', async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId;
+    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+
+    try {
+      const live = await getLiveTerminalInfo(terminalId);
+      const info = live.info;
+      const variables = {};
+      for (const [name, v] of Object.entries(info.variables)) {
+        variables[name] = { value: v.rawValue, timestamp: v.timestampVal };
+        if (v.percent !== undefined && v.percent !== null) variables[name].percent = v.percent;
+      }
+      return res.json({ id: info.idVal, sn: info.snVal, variables, cache: live.cache });
+    } catch (err) {
+      if (err && err.status === 404) return res.status(404).json({ error: 'Device Offline' });
+      return res.status(502).json({ error: 'Failed to fetch SOAP data', message: err && err.message });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/history', async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId;
+    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '1000', 10) || 1, 1), 50000);
+
+    const client = await pool.connect();
+    try {
+      // Readings are placed at the device timestamp ("timestamp" column); legacy rows without one
+      // fall back to the table column named "current_timestamp" (not the SQL CURRENT_TIMESTAMP value).
+      const query = `
+        SELECT COALESCE(timestamp, "current_timestamp") AS reading_at, tank_level, batt_voltage, batt_percent, rssi
+        FROM tank_level
+        WHERE id = $1
+        ORDER BY COALESCE(timestamp, "current_timestamp") ASC
+        LIMIT $2
+      `;
+      const result = await client.query(query, [terminalId, limit]);
+      const rows = result.rows.map(r => ({
+        // Normalize the DB value to an unambiguous UTC ISO string for the frontend.
+        timestamp: normalizeDbTimestampToIso(r.reading_at),
+        tank_level: (r.tank_level === null || r.tank_level === undefined) ? null : Number(r.tank_level),
+        batt_voltage: (r.batt_voltage === null || r.batt_voltage === undefined) ? null : Number(r.batt_voltage),
+        batt_percent: (r.batt_percent === null || r.batt_percent === undefined) ? null : Number(r.batt_percent),
+        rssi: (r.rssi === null || r.rssi === undefined) ? null : Number(r.rssi),
+      }));
+      res.json({ id: terminalId, count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('History endpoint error', err && err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fetch titles for all terminals
+app.get('/api/titles', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const query = `SELECT "no", "terminal_id", "sn", "tank_title" FROM tank_titles ORDER BY "no" ASC`;
+      const result = await client.query(query);
+      res.json(result.rows);
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to fetch titles:', err);
+    res.status(500).json({ error: 'Failed to fetch titles' });
+  }
+});
+
+// Update or insert a title for a specific terminal
+app.post('/api/titles', express.json(), async (req, res) => {
+  const { terminalId, sn, title } = req.body;
+
+  if (!terminalId || !title) {
+    return res.status(400).json({ error: 'Missing terminalId or title' });
+  }
+
+  try {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO tank_titles (terminal_id, sn, tank_title)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (terminal_id) DO UPDATE SET tank_title = $3
+        RETURNING *;
+      `;
+      const result = await client.query(query, [terminalId, sn, title]);
+      res.json(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Failed to save title:', err);
+    res.status(500).json({ error: 'Failed to save title' });
+  }
+});
+
+/* NEW: Terminal registry endpoints (terminals table)
+   GET    /api/terminals                -> { count, rows } (optional ?enabled=1|0 filter)
+   GET    /api/terminals/:terminalId    -> single terminal (or 404)
+   POST   /api/terminals                -> create (admin only); body { terminalId, name?, enabled?, mqtt_topic?, panel_ip? }
+   PUT    /api/terminals/:terminalId    -> update name/enabled/mqtt_topic/panel_ip (admin only)
+   mqtt_topic must be a concrete topic (no # or + wildcards); panel_ip an IPv4/IPv6 address or a hostname.
+   DELETE /api/terminals/:terminalId    -> remove from registry (admin only)
+*/
+function terminalRowToJson(row) {
+  return {
+    terminal_id: row.terminal_id,
+    name: row.name || null,
+    enabled: !!row.enabled,
+    mqtt_topic: row.mqtt_topic || null,
+    panel_ip: row.panel_ip || null,
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at)
+  };
+}
+
+const TERMINAL_COLUMNS = 'terminal_id, name, enabled, mqtt_topic, panel_ip, created_at, updated_at';
+
+// Optional text field from a request body: undefined = not provided, '' / null = clear
+function optionalText(v, maxLen) {
+  if (v === undefined) return undefined;
+  if (v === null || String(v).trim() === '') return null;
+  return String(v).trim().slice(0, maxLen);
+}
+
+// A topic name the panel publishes to; wildcards would map a whole topic tree onto one terminal
+function validMqttTopic(topic) {
+  return !/[#+\u0000]/.test(topic);
+}
+
+function validPanelHost(host) {
+  if (net.isIP(host)) return true;
+  if (/^[\d.]+$/.test(host)) return false; // looks like an IPv4 address but is not one
+  return host.length <= 253 && /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/.test(host);
+}
+
+app.get('/api/terminals', async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.enabled === '1' || req.query.enabled === '0') {
+      params.push(req.query.enabled === '1');
+      where = `WHERE enabled = $1`;
+    }
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT ${TERMINAL_COLUMNS} FROM terminals ${where} ORDER BY id ASC`,
+        params
+      );
+      const rows = (r.rows || []).map(terminalRowToJson);
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/terminals failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch terminals' });
+  }
+});
+
+app.get('/api/terminals/:terminalId', async (req, res) => {
+  try {
+    const tid = String(req.params.terminalId || '').trim();
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT ${TERMINAL_COLUMNS} FROM terminals WHERE terminal_id = $1 LIMIT 1`,
+        [tid]
+      );
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'not found' });
+      return res.json(terminalRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/terminals/:terminalId failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch terminal' });
+  }
+});
+
+app.post('/api/terminals', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const terminalId = body.terminalId ? String(body.terminalId).trim() : '';
+    if (!terminalId) return res.status(400).json({ error: 'terminalId is required' });
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(terminalId)) return res.status(400).json({ error: 'invalid terminalId' });
+    const name = body.name !== undefined && body.name !== null && String(body.name).trim() !== '' ? String(body.name).trim().slice(0, 200) : null;
+    const enabled = body.enabled === undefined ? true : !!body.enabled;
+    const mqttTopic = optionalText(body.mqtt_topic, 200) || null;
+    const panelIp = optionalText(body.panel_ip, 100) || null;
+    if (mqttTopic && !validMqttTopic(mqttTopic)) return res.status(400).json({ error: 'mqtt_topic must not contain the wildcards # or +' });
+    if (panelIp && !validPanelHost(panelIp)) return res.status(400).json({ error: 'panel_ip must be an IP address or a hostname' });
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `INSERT INTO terminals (terminal_id, name, enabled, mqtt_topic, panel_ip) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (terminal_id) DO NOTHING
+         RETURNING ${TERMINAL_COLUMNS}`,
+        [terminalId, name, enabled, mqttTopic, panelIp]
+      );
+      if (!r.rows || r.rows.length === 0) return res.status(409).json({ error: 'terminal already exists' });
+      refreshRealtimeMapping().catch(e => console.warn('Realtime mapping refresh failed', e && e.message));
+      return res.status(201).json(terminalRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ error: 'mqtt_topic is already mapped to another terminal' });
+    console.warn('POST /api/terminals failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to create terminal' });
+  }
+});
+
+app.put('/api/terminals/:terminalId', requireAdmin, async (req, res) => {
+  try {
+    const tid = String(req.params.terminalId || '').trim();
+    const body = req.body || {};
+
+    const columns = [];
+    const params = [];
+    if (body.name !== undefined) {
+      const name = body.name === null || String(body.name).trim() === '' ? null : String(body.name).trim().slice(0, 200);
+      params.push(name);
+      columns.push(`name = $${params.length}`);
+    }
+    if (body.enabled !== undefined) {
+      params.push(!!body.enabled);
+      columns.push(`enabled = $${params.length}`);
+    }
+    const mqttTopic = optionalText(body.mqtt_topic, 200);
+    if (mqttTopic !== undefined) {
+      if (mqttTopic && !validMqttTopic(mqttTopic)) return res.status(400).json({ error: 'mqtt_topic must not contain the wildcards # or +' });
+      params.push(mqttTopic);
+      columns.push(`mqtt_topic = $${params.length}`);
+    }
+    const panelIp = optionalText(body.panel_ip, 100);
+    if (panelIp !== undefined) {
+      if (panelIp && !validPanelHost(panelIp)) return res.status(400).json({ error: 'panel_ip must be an IP address or a hostname' });
+      params.push(panelIp);
+      columns.push(`panel_ip = $${params.length}`);
+    }
+    if (!columns.length) return res.status(400).json({ error: 'no fields to update' });
+    params.push(tid);
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `UPDATE terminals SET ${columns.join(', ')}, updated_at = now()
+         WHERE terminal_id = $${params.length}
+         RETURNING ${TERMINAL_COLUMNS}`,
+        params
+      );
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'not found' });
+      refreshRealtimeMapping().catch(e => console.warn('Realtime mapping refresh failed', e && e.message));
+      return res.json(terminalRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ error: 'mqtt_topic is already mapped to another terminal' });
+    console.warn('PUT /api/terminals/:terminalId failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to update terminal' });
+  }
+});
+
+app.delete('/api/terminals/:terminalId', requireAdmin, async (req, res) => {
+  try {
+    const tid = String(req.params.terminalId || '').trim();
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`DELETE FROM terminals WHERE terminal_id = $1`, [tid]);
+      refreshRealtimeMapping().catch(e => console.warn('Realtime mapping refresh failed', e && e.message));
+      return res.json({ ok: true, deleted: r.rowCount || 0 });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/terminals/:terminalId failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete terminal' });
+  }
+});
+
+/* NEW: Poll run journal endpoints (admin only)
+   GET /api/poll-runs?limit=&offset=            -> recent runs, newest first {count, total, rows}
+   GET /api/poll-runs/terminals                 -> latest outcome + last successful poll per registered terminal
+   GET /api/poll-runs/terminals/:terminalId     -> recent outcomes for one terminal (?limit=)
+   GET /api/poll-runs/:id                       -> one run with its per-terminal outcomes (registered with the manual
+                                                   poll trigger above, so the poll key can read it too)
+*/
+function pollRunRowToJson(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger,
+    started_at: normalizeDbTimestampToIso(row.started_at),
+    finished_at: normalizeDbTimestampToIso(row.finished_at),
+    terminal_count: row.terminal_count,
+    ok_count: row.ok_count,
+    fail_count: row.fail_count,
+    timed_out: !!row.timed_out,
+    error: row.error || null
+  };
+}
+
+function pollOutcomeRowToJson(row) {
+  return {
+    run_id: row.run_id,
+    terminal_id: row.terminal_id,
+    started_at: normalizeDbTimestampToIso(row.started_at),
+    finished_at: normalizeDbTimestampToIso(row.finished_at),
+    success: !!row.success,
+    attempts: row.attempts,
+    error: row.error || null,
+    soap_status: row.soap_status == null ? null : row.soap_status,
+    device_timestamp: normalizeDbTimestampToIso(row.device_timestamp)
+  };
+}
+
+app.get('/api/poll-runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const client = await pool.connect();
+    try {
+      const total = await client.query(`SELECT COUNT(*)::int AS n FROM poll_runs`);
+      const r = await client.query(
+        `SELECT id, trigger, started_at, finished_at, terminal_count, ok_count, fail_count, timed_out, error
+           FROM poll_runs ORDER BY started_at DESC, id DESC LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+      const rows = (r.rows || []).map(pollRunRowToJson);
+      return res.json({ count: rows.length, total: total.rows[0] ? total.rows[0].n : rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/poll-runs failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch poll runs' });
+  }
+});
+
+app.get('/api/poll-runs/terminals', requireAdmin, async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`
+        SELECT t.terminal_id, t.name, t.enabled,
+               o.run_id, o.started_at, o.finished_at, o.success, o.attempts, o.error, o.soap_status, o.device_timestamp,
+               s.last_success_at, s.last_device_timestamp
+          FROM terminals t
+          LEFT JOIN LATERAL (
+            SELECT * FROM poll_run_terminals p
+             WHERE p.terminal_id = t.terminal_id
+             ORDER BY p.started_at DESC, p.id DESC LIMIT 1
+          ) o ON TRUE
+          LEFT JOIN LATERAL (
+            SELECT p.finished_at AS last_success_at, p.device_timestamp AS last_device_timestamp
+              FROM poll_run_terminals p
+             WHERE p.terminal_id = t.terminal_id AND p.success = TRUE
+             ORDER BY p.started_at DESC, p.id DESC LIMIT 1
+          ) s ON TRUE
+         ORDER BY t.id ASC
+      `);
+      const rows = (r.rows || []).map(row => ({
+        terminal_id: row.terminal_id,
+        name: row.name || null,
+        enabled: !!row.enabled,
+        last_outcome: row.run_id == null ? null : pollOutcomeRowToJson(row),
+        last_success_at: normalizeDbTimestampToIso(row.last_success_at),
+        last_device_timestamp: normalizeDbTimestampToIso(row.last_device_timestamp)
+      }));
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/poll-runs/terminals failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch terminal poll status' });
+  }
+});
+
+app.get('/api/poll-runs/terminals/:terminalId', requireAdmin, async (req, res) => {
+  try {
+    const tid = String(req.params.terminalId || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT run_id, terminal_id, started_at, finished_at, success, attempts, error, soap_status, device_timestamp
+           FROM poll_run_terminals WHERE terminal_id = $1
+          ORDER BY started_at DESC, id DESC LIMIT $2`,
+        [tid, limit]
+      );
+      const rows = (r.rows || []).map(pollOutcomeRowToJson);
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/poll-runs/terminals/:terminalId failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch terminal poll outcomes' });
+  }
+});
+
+/* Alarm endpoints (see createAlarmEventsTableIfNeeded)
+   GET  /api/alarms?status=open|active|acknowledged|cleared|all&terminalId=&type=&since=&until=&limit=&offset=
+        -> { count, total, rows } newest first; status defaults to 'open' (active + acknowledged)
+   GET  /api/alarms/:id
+   POST /api/alarms/:id/ack   { comment }  (admin/editor) -> acknowledge an active alarm
+   POST /api/alarms/:id/clear { comment }  (admin/editor) -> resolve an open alarm manually
+*/
+const ALARM_STATUS_FILTERS = {
+  open: `a.cleared_at IS NULL`,
+  active: `a.status = 'active'`,
+  acknowledged: `a.status = 'acknowledged'`,
+  cleared: `a.status = 'cleared'`,
+  all: null
+};
+
+function alarmListRowToJson(row) {
+  return Object.assign(alarmRowToJson(row), {
+    terminal_name: row.terminal_name || null,
+    building_name: row.building_name || null
+  });
+}
+
+app.get('/api/alarms', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'open').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(ALARM_STATUS_FILTERS, status)) {
+      return res.status(400).json({ error: 'invalid status' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+    const where = [];
+    const params = [];
+    if (ALARM_STATUS_FILTERS[status]) where.push(ALARM_STATUS_FILTERS[status]);
+    if (req.query.terminalId) {
+      params.push(String(req.query.terminalId).trim());
+      where.push(`a.terminal_id = $${params.length}`);
+    }
+    if (req.query.type) {
+      params.push(String(req.query.type).trim());
+      where.push(`a.alarm_type = $${params.length}`);
+    }
+    for (const [key, op] of [['since', '>='], ['until', '<']]) {
+      if (!req.query[key]) continue;
+      const d = new Date(String(req.query[key]));
+      if (isNaN(d.getTime())) return res.status(400).json({ error: `invalid ${key}` });
+      params.push(d.toISOString());
+      where.push(`a.raised_at ${op} $${params.length}`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const client = await pool.connect();
+    try {
+      const total = await client.query(`SELECT COUNT(*)::int AS n FROM alarm_events a ${whereSql}`, params);
+      const r = await client.query(
+        `SELECT ${ALARM_COLUMNS.split(',').map(c => 'a.' + c.trim()).join(', ')},
+                t.name AS terminal_name, ti.building_name
+           FROM alarm_events a
+           LEFT JOIN terminals t ON t.terminal_id = a.terminal_id
+           LEFT JOIN tank_info ti ON ti.terminal_id = a.terminal_id
+           ${whereSql}
+          ORDER BY a.raised_at DESC, a.id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        params.concat([limit, offset])
+      );
+      const rows = (r.rows || []).map(alarmListRowToJson);
+      return res.json({ count: rows.length, total: total.rows[0] ? total.rows[0].n : rows.length, rows });
     } finally {
       client.release();
     }
   } catch (err) {
-    console.warn('POST /api/login failed:', err && err.message);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.warn('GET /api/alarms failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch alarms' });
   }
 });
 
-// POST /api/logout (session destroy)
-app.post('/api/logout', async (req, res) => {
+app.get('/api/alarms/:id', async (req, res) => {
   try {
-    if (!req.session) return res.json({ ok: true });
-    req.session.destroy(() => {
-      // Best-effort cookie clear
-      try {
-        res.clearCookie(process.env.SESSION_COOKIE_NAME || 'sid');
-      } catch (e) { /* ignore */ }
-      return res.json({ ok: true });
-    });
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid alarm id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`SELECT ${ALARM_COLUMNS} FROM alarm_events WHERE id = $1`, [id]);
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'alarm not found' });
+      return res.json({ alarm: alarmRowToJson(r.rows[0]) });
+    } finally {
+      client.release();
+    }
   } catch (err) {
-    return res.status(500).json({ error: 'failed to logout' });
+    console.warn('GET /api/alarms/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch alarm' });
   }
 });
 
-// GET /api/me (optional helper for front-end role gating)
-app.get('/api/me', (req, res) => {
+app.post('/api/alarms/:id/ack', requireEditor, async (req, res) => {
   try {
-    if (req.session && req.session.user) {
-      return res.json({ ok: true, user: req.session.user });
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid alarm id' });
+    const comment = optionalText((req.body || {}).comment, 1000) || null;
+    const user = req.session.user.username;
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `UPDATE alarm_events
+            SET status = 'acknowledged', acknowledged_at = now(), acknowledged_by = $2, ack_comment = $3
+          WHERE id = $1 AND status = 'active'
+          RETURNING ${ALARM_COLUMNS}`,
+        [id, user, comment]
+      );
+      if (!r.rows || r.rows.length === 0) {
+        const cur = await client.query(`SELECT status FROM alarm_events WHERE id = $1`, [id]);
+        if (!cur.rows || cur.rows.length === 0) return res.status(404).json({ error: 'alarm not found' });
+        return res.status(409).json({ error: `alarm is already ${cur.rows[0].status}` });
+      }
+      const alarm = alarmRowToJson(r.rows[0]);
+      console.log(`Alarm acknowledged: #${id} by ${user}`);
+      broadcastAlarmEvent('acknowledged', alarm);
+      return res.json({ ok: true, alarm });
+    } finally {
+      client.release();
     }
-    return res.status(401).json({ error: 'unauthorized' });
   } catch (err) {
-    return res.status(500).json({ error: 'failed' });
+    console.warn('POST /api/alarms/:id/ack failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to acknowledge alarm' });
   }
 });
 
-/* -------------------------
-   NEW: Change Password endpoint (session-backed)
-   - viewer cannot use
-   - editor (Alfanar_Admin1) can change self + viewer (Alfanar_GasLevel1)
-   - admin (Sonic) can change all
-   - Always require current password of the logged-in user for confirmation
-   ------------------------- */
-
-// Helper: decide if requester can change target username
-function canChangePasswordTarget(requesterUsername, requesterRole, targetUsername) {
-  const reqU = String(requesterUsername || '').trim();
-  const reqR = String(requesterRole || '').trim();
-  const tgtU = String(targetUsername || '').trim();
-
-  // viewers cannot change passwords (even their own)
-  if (reqR === 'viewer') return false;
-
-  // Sonic can change all
-  if (reqU === 'Sonic' && reqR === 'admin') return true;
-
-  // Editor account can change itself and viewer
-  if (reqU === 'Alfanar_Admin1' && reqR === 'editor') {
-    return (tgtU === 'Alfanar_Admin1' || tgtU === 'Alfanar_GasLevel1');
-  }
-
-  // Default: no
-  return false;
-}
-
-// POST /api/change-password
-// Body: { targetUsername, currentPassword, newPassword }
-// Notes:
-// - currentPassword is the password of the LOGGED-IN USER (confirmation)
-// - targetUsername can be self or (if allowed) another account per rules above
-app.post('/api/change-password', requireAuth, async (req, res) => {
+app.post('/api/alarms/:id/clear', requireEditor, async (req, res) => {
   try {
-    const sessionUser = (req.session && req.session.user) ? req.session.user : null;
-    const requesterUsername = sessionUser && sessionUser.username ? String(sessionUser.username) : '';
-    const requesterRole = sessionUser && sessionUser.role ? String(sessionUser.role) : '';
-
-    if (!requesterUsername || !requesterRole) {
-      return res.status(401).json({ error: 'unauthorized' });
-    }
-
-    // Block viewer explicitly
-    if (requesterRole === 'viewer') {
-      return res.status(403).json({ error: 'forbidden' });
-    }
-
-    const body = req.body || {};
-    const targetUsername = body.targetUsername ? String(body.targetUsername).trim() : '';
-    const currentPassword = body.currentPassword ? String(body.currentPassword) : '';
-    const newPassword = body.newPassword ? String(body.newPassword) : '';
-
-    if (!targetUsername || !currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'targetUsername, currentPassword and newPassword are required' });
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid alarm id' });
+    const comment = optionalText((req.body || {}).comment, 1000) || null;
+    const user = req.session.user.username;
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `UPDATE alarm_events
+            SET status = 'cleared', cleared_at = now(), cleared_by = $2, clear_comment = $3
+          WHERE id = $1 AND cleared_at IS NULL
+          RETURNING ${ALARM_COLUMNS}`,
+        [id, user, comment]
+      );
+      if (!r.rows || r.rows.length === 0) {
+        const cur = await client.query(`SELECT status FROM alarm_events WHERE id = $1`, [id]);
+        if (!cur.rows || cur.rows.length === 0) return res.status(404).json({ error: 'alarm not found' });
+        return res.status(409).json({ error: 'alarm is already cleared' });
+      }
+      const alarm = alarmRowToJson(r.rows[0]);
+      console.log(`Alarm cleared: #${id} by ${user}`);
+      broadcastAlarmEvent('cleared', alarm);
+      return res.json({ ok: true, alarm });
+    } finally {
+      client.release();
     }
+  } catch (err) {
+    console.warn('POST /api/alarms/:id/clear failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to clear alarm' });
+  }
+});
 
-    if (!canChangePasswordTarget(requesterUsername, requesterRole, targetUsername)) {
-      return res.status(403).json({ error: 'forbidden' });
-    }
+/* Alarm recipient endpoints (see createAlarmRecipientsTableIfNeeded)
+   GET    /api/alarm-recipients?terminalId=...        -> recipients that apply to the terminal (terminal, project and
+                                                         emirate scopes), plus { project_code, emirate } used to match
+   GET    /api/alarm-recipients?scope=...&value=...   -> recipients of one scope
+   POST   /api/alarm-recipients { scope, scope_value, email, name, role, tier } (admin/editor)
+          -> add, or update name/role/tier when the address is already listed for that scope
+   DELETE /api/alarm-recipients/:id (admin/editor)
+*/
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-    // Basic policy: require at least 6 chars (can be adjusted)
-    if (String(newPassword).length < 6) {
-      return res.status(400).json({ error: 'New password must be at least 6 characters.' });
-    }
+function alarmRecipientRowToJson(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    scope_value: row.scope_value,
+    email: row.email || null,
+    phone: row.phone || null,
+    name: row.name || null,
+    role: row.role,
+    quiet_hours: row.quiet_hours || null,
+    language: row.language || null,
+    tier: Number(row.tier),
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at)
+  };
+}
 
+app.get('/api/alarm-recipients', async (req, res) => {
+  try {
     const client = await pool.connect();
     try {
-      // 1) Verify the requester's current password
-      const rq = await client.query(
-        `SELECT id, username, password_hash, role, disabled FROM tank_credentials WHERE username = $1 LIMIT 1`,
-        [requesterUsername]
-      );
-      if (!rq.rows || rq.rows.length === 0) {
-        return res.status(401).json({ error: 'unauthorized' });
+      if (req.query.terminalId) {
+        const tid = String(req.query.terminalId).trim();
+        const ti = await client.query(`SELECT project_code, emirate FROM tank_info WHERE terminal_id = $1 LIMIT 1`, [tid]);
+        const project_code = ti.rows[0] ? ti.rows[0].project_code || null : null;
+        const emirate = ti.rows[0] ? ti.rows[0].emirate || null : null;
+        const r = await client.query(
+          `SELECT * FROM alarm_recipients
+            WHERE (scope = 'terminal' AND scope_value = $1)
+               OR (scope = 'project' AND scope_value = $2)
+               OR (scope = 'emirate' AND scope_value = $3)
+            ORDER BY tier ASC, scope ASC, email ASC`,
+          [tid, project_code, emirate]
+        );
+        const rows = (r.rows || []).map(alarmRecipientRowToJson);
+        return res.json({ terminal_id: tid, project_code, emirate, count: rows.length, rows });
       }
-      const requesterRow = rq.rows[0];
-      if (requesterRow.disabled) {
-        return res.status(403).json({ error: 'Account disabled' });
+      const params = [];
+      const where = [];
+      if (req.query.scope) {
+        params.push(String(req.query.scope));
+        where.push(`scope = $${params.length}`);
       }
-
-      const ok = await bcrypt.compare(currentPassword, requesterRow.password_hash);
-      if (!ok) {
-        return res.status(401).json({ error: 'Current password is incorrect' });
+      if (req.query.value) {
+        params.push(String(req.query.value));
+        where.push(`scope_value = $${params.length}`);
       }
-
-      // 2) Update the target user's password_hash
-      const saltRounds = Math.max(8, parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10));
-      const newHash = await bcrypt.hash(newPassword, saltRounds);
-
-      const up = await client.query(
-        `UPDATE tank_credentials SET password_hash = $1 WHERE username = $2 RETURNING username, role`,
-        [newHash, targetUsername]
+      const r = await client.query(
+        `SELECT * FROM alarm_recipients ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY scope ASC, scope_value ASC, tier ASC, email ASC`,
+        params
       );
-      if (!up.rows || up.rows.length === 0) {
-        return res.status(404).json({ error: 'target user not found' });
-      }
-
-      return res.json({ ok: true, targetUsername: up.rows[0].username });
+      const rows = (r.rows || []).map(alarmRecipientRowToJson);
+      return res.json({ count: rows.length, rows });
     } finally {
       client.release();
     }
   } catch (err) {
-    console.warn('POST /api/change-password failed:', err && err.message);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.warn('GET /api/alarm-recipients failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch alarm recipients' });
   }
 });
 
-/* -------------------------
-   NEW/EXISTING: Login attempt endpoints (unchanged)
-   ------------------------- */
-
-// POST /api/login-attempt
-// Expected JSON body: { username: string, isAdminAttempt: boolean, success: boolean, note?: string }
-app.post('/api/login-attempt', async (req, res) => {
+app.post('/api/alarm-recipients', requireEditor, async (req, res) => {
   try {
     const body = req.body || {};
-    const username = body.username ? String(body.username).trim() : '';
-    const isAdminAttempt = !!body.isAdminAttempt;
-    const success = !!body.success;
-    const note = body.note ? String(body.note).trim().slice(0, 1000) : null;
+    const scope = String(body.scope || '').trim();
+    const scopeValue = body.scope_value == null ? '' : String(body.scope_value).trim().slice(0, 200);
+    const email = body.email == null ? '' : String(body.email).trim().slice(0, 254);
+    const phoneRaw = body.phone == null ? '' : String(body.phone).trim();
+    const phone = phoneRaw ? normalizePhone(phoneRaw) : null;
+    const name = optionalText(body.name, 200) || null;
+    const quietHours = body.quiet_hours ? String(body.quiet_hours).trim() : null;
+    const language = body.language ? String(body.language).trim().toLowerCase() : null;
+    const role = body.role ? String(body.role).trim() : 'site_contact';
+    const tier = body.tier === undefined || body.tier === null || body.tier === '' ? 1 : parseInt(body.tier, 10);
+
+    if (!ALARM_RECIPIENT_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of ${ALARM_RECIPIENT_SCOPES.join(', ')}` });
+    if (!scopeValue) return res.status(400).json({ error: 'scope_value is required' });
+    if (!email && !phoneRaw) return res.status(400).json({ error: 'email or phone is required' });
+    if (email && !EMAIL_RE.test(email)) return res.status(400).json({ error: 'invalid email' });
+    if (phoneRaw && !phone) return res.status(400).json({ error: 'invalid phone number (use international format, e.g. +971501234567)' });
+    if (!ALARM_RECIPIENT_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ALARM_RECIPIENT_ROLES.join(', ')}` });
+    if (!Number.isFinite(tier) || tier < 1 || tier > 10) return res.status(400).json({ error: 'tier must be between 1 and 10' });
+    if (quietHours && !parseClockRange(quietHours)) return res.status(400).json({ error: 'quiet_hours must look like 22:00-06:00' });
+    if (language && !EMAIL_LANGUAGES.includes(language)) return res.status(400).json({ error: `language must be one of ${EMAIL_LANGUAGES.join(', ')}` });
 
-    if (!username) {
-      return res.status(400).json({ error: 'username is required' });
+    const client = await pool.connect();
+    try {
+      // recipients are keyed by email, or by phone for SMS-only recipients
+      const r = await client.query(
+        `INSERT INTO alarm_recipients (scope, scope_value, email, phone, name, role, tier, quiet_hours, language)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ${email
+           ? 'ON CONFLICT (scope, scope_value, lower(email)) DO UPDATE SET phone = EXCLUDED.phone,'
+           : 'ON CONFLICT (scope, scope_value, phone) WHERE email IS NULL DO UPDATE SET'}
+             name = EXCLUDED.name, role = EXCLUDED.role, tier = EXCLUDED.tier, quiet_hours = EXCLUDED.quiet_hours,
+             language = EXCLUDED.language, updated_at = now()
+         RETURNING *`,
+        [scope, scopeValue, email || null, phone, name, role, tier, quietHours, language]
+      );
+      return res.status(201).json(alarmRecipientRowToJson(r.rows[0]));
+    } finally {
+      client.release();
     }
+  } catch (err) {
+    console.warn('POST /api/alarm-recipients failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save alarm recipient' });
+  }
+});
 
-    const ip = getRequestIp(req) || null;
-    const userAgent = req.get('user-agent') || null;
-
-    const insertSql = `
-      INSERT INTO login_attempts (username, is_admin_attempt, success, user_agent, ip, note)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, created_at;
-    `;
-    const params = [username, isAdminAttempt, success, userAgent, ip, note];
-
+app.delete('/api/alarm-recipients/:id', requireEditor, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid recipient id' });
     const client = await pool.connect();
     try {
-      const r = await client.query(insertSql, params);
-      const inserted = r.rows && r.rows[0] ? r.rows[0] : null;
-      const created_at = inserted && inserted.created_at ? normalizeDbTimestampToIso(inserted.created_at) : new Date().toISOString();
-      return res.status(201).json({ ok: true, id: inserted && inserted.id, created_at });
+      const r = await client.query(`DELETE FROM alarm_recipients WHERE id = $1 RETURNING id`, [id]);
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'recipient not found' });
+      return res.json({ ok: true, id });
     } finally {
       client.release();
     }
   } catch (err) {
-    console.warn('POST /api/login-attempt failed:', err && err.message);
-    return res.status(500).json({ error: 'failed to record login attempt' });
+    console.warn('DELETE /api/alarm-recipients/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete alarm recipient' });
   }
 });
 
-// GET /api/login-attempts
-// Query params: limit, offset, isAdmin (1/0), success(1/0), username (partial), since (ISO), until (ISO)
-// If LOGIN_ATTEMPTS_READ_KEY is set, require header X-ADMIN-KEY to match.
-app.get('/api/login-attempts', requireAuth, async (req, res) => {
+/* Maintenance windows
+   GET    /api/maintenance-windows?terminalId=...  -> windows covering the terminal (own, site, project) + its site/project
+   GET    /api/maintenance-windows?scope=&value=   -> windows by scope
+   POST   /api/maintenance-windows                 -> create { scope, scope_value, reason, starts_at, ends_at,
+                                                      recurrence: none|weekly, weekdays: "mon,tue", daily_window: "HH:MM-HH:MM" }
+   DELETE /api/maintenance-windows/:id
+   Every row carries active_now.
+*/
+app.get('/api/maintenance-windows', async (req, res) => {
   try {
-    const requiredKey = process.env.LOGIN_ATTEMPTS_READ_KEY || '';
-    if (requiredKey) {
-      const got = req.get('x-admin-key') || '';
-      if (got !== requiredKey) {
-        return res.status(403).json({ error: 'forbidden' });
+    const now = new Date();
+    const withActive = row => ({ ...maintenanceWindowRowToJson(row), active_now: maintenanceWindowActive(row, now) });
+    const client = await pool.connect();
+    try {
+      if (req.query.terminalId) {
+        const tid = String(req.query.terminalId).trim();
+        const site = await client.query(`SELECT site FROM tank_sites WHERE terminal_id = $1 LIMIT 1`, [tid]);
+        const info = await client.query(`SELECT project_code FROM tank_info WHERE terminal_id = $1 LIMIT 1`, [tid]);
+        const rows = (await maintenanceWindowsFor(client, tid)).map(withActive);
+        return res.json({
+          terminal_id: tid,
+          site: site.rows[0] ? site.rows[0].site || null : null,
+          project_code: info.rows[0] ? info.rows[0].project_code || null : null,
+          count: rows.length,
+          rows
+        });
       }
-    }
-
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '200', 10) || 1, 1), 5000);
-    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
-
-    const filters = [];
-    const params = [];
-
-    if (req.query.isAdmin !== undefined && (req.query.isAdmin === '1' || req.query.isAdmin === '0')) {
-      params.push(req.query.isAdmin === '1');
-      filters.push(`is_admin_attempt = $${params.length}`);
-    }
-    if (req.query.success !== undefined && (req.query.success === '1' || req.query.success === '0')) {
-      params.push(req.query.success === '1');
-      filters.push(`success = $${params.length}`);
-    }
-    if (req.query.username) {
-      params.push(`%${req.query.username}%`);
-      filters.push(`username ILIKE $${params.length}`);
-    }
-    if (req.query.since) {
-      const since = new Date(req.query.since);
-      if (!isNaN(since.getTime())) {
-        params.push(since.toISOString());
-        filters.push(`created_at >= $${params.length}`);
+      const params = [];
+      const where = [];
+      if (req.query.scope) {
+        params.push(String(req.query.scope));
+        where.push(`scope = $${params.length}`);
       }
-    }
-    if (req.query.until) {
-      const until = new Date(req.query.until);
-      if (!isNaN(until.getTime())) {
-        params.push(until.toISOString());
-        filters.push(`created_at <= $${params.length}`);
+      if (req.query.value) {
+        params.push(String(req.query.value));
+        where.push(`scope_value = $${params.length}`);
       }
+      const r = await client.query(
+        `SELECT * FROM maintenance_windows ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY starts_at DESC, id DESC`,
+        params
+      );
+      const rows = (r.rows || []).map(withActive);
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/maintenance-windows failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch maintenance windows' });
+  }
+});
+
+app.post('/api/maintenance-windows', requireEditor, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = String(body.scope || '').trim();
+    const scopeValue = body.scope_value == null ? '' : String(body.scope_value).trim().slice(0, 200);
+    const reason = optionalText(body.reason, 500) || null;
+    const recurrence = body.recurrence ? String(body.recurrence).trim() : 'none';
+    const startsAt = body.starts_at ? new Date(body.starts_at) : new Date();
+    const endsAt = body.ends_at ? new Date(body.ends_at) : null;
+    const weekdays = String(body.weekdays || '').split(',').map(d => d.trim().slice(0, 3).toLowerCase()).filter(Boolean);
+    const dailyWindow = body.daily_window ? String(body.daily_window).trim() : '';
+
+    if (!MAINTENANCE_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of ${MAINTENANCE_SCOPES.join(', ')}` });
+    if (!scopeValue) return res.status(400).json({ error: 'scope_value is required' });
+    if (!['none', 'weekly'].includes(recurrence)) return res.status(400).json({ error: 'recurrence must be none or weekly' });
+    if (isNaN(startsAt.getTime())) return res.status(400).json({ error: 'invalid starts_at' });
+    if (endsAt && isNaN(endsAt.getTime())) return res.status(400).json({ error: 'invalid ends_at' });
+    if (endsAt && endsAt <= startsAt) return res.status(400).json({ error: 'ends_at must be after starts_at' });
+    if (recurrence === 'none' && !endsAt) return res.status(400).json({ error: 'a one-off window needs ends_at' });
+    if (recurrence === 'weekly') {
+      if (!parseClockRange(dailyWindow)) return res.status(400).json({ error: 'daily_window must look like 08:00-12:00' });
+      const bad = weekdays.filter(d => !WEEKDAY_NAMES.includes(d));
+      if (bad.length) return res.status(400).json({ error: `unknown weekdays: ${bad.join(', ')}` });
     }
-
-    const where = filters.length ? ('WHERE ' + filters.join(' AND ')) : '';
-
-    // limit and offset are always appended as the last two parameters
-    params.push(limit, offset);
-    const q = `
-      SELECT id, username, is_admin_attempt, success, user_agent, ip, note, created_at
-      FROM login_attempts
-      ${where}
-      ORDER BY created_at DESC
-      LIMIT $${params.length - 1} OFFSET $${params.length}
-    `;
 
     const client = await pool.connect();
     try {
-      const result = await client.query(q, params);
-      const rows = (result.rows || []).map(r => ({
-        id: r.id,
-        username: r.username,
-        is_admin_attempt: !!r.is_admin_attempt,
-        success: !!r.success,
-        user_agent: r.user_agent || null,
-        ip: r.ip || null,
-        note: r.note || null,
-        created_at: normalizeDbTimestampToIso(r.created_at),
-      }));
-      return res.json({ count: rows.length, rows });
+      const r = await client.query(
+        `INSERT INTO maintenance_windows (scope, scope_value, reason, starts_at, ends_at, recurrence, weekdays, daily_window, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [scope, scopeValue, reason, startsAt.toISOString(), endsAt ? endsAt.toISOString() : null, recurrence,
+          recurrence === 'weekly' && weekdays.length ? weekdays.join(',') : null,
+          recurrence === 'weekly' ? dailyWindow : null,
+          req.session && req.session.user ? req.session.user.username || null : null]
+      );
+      const row = r.rows[0];
+      console.log(`Maintenance window #${row.id} created for ${scope} ${scopeValue}`);
+      return res.status(201).json({ ...maintenanceWindowRowToJson(row), active_now: maintenanceWindowActive(row, new Date()) });
     } finally {
       client.release();
     }
   } catch (err) {
-    console.warn('GET /api/login-attempts failed:', err && err.message);
-    return res.status(500).json({ error: 'failed to fetch login attempts' });
+    console.warn('POST /api/maintenance-windows failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save maintenance window' });
   }
 });
 
-/* -------------------------
-   Protect all remaining /api/* routes by default
-   (must come AFTER /api/login, /api/logout, /api/me)
-   ------------------------- */
-app.use('/api', requireAuth);
-
-/* API endpoints (existing) */
+app.delete('/api/maintenance-windows/:id', requireEditor, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid maintenance window id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`DELETE FROM maintenance_windows WHERE id = $1 RETURNING id`, [id]);
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'maintenance window not found' });
+      return res.json({ ok: true, id });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/maintenance-windows/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete maintenance window' });
+  }
+});
 
-// Return a live reading for a single terminal (no DB write here).
-// Accepts optional `variable` query parameter (default: LIVELLO). When `variable=BATT`
-// the response will include a computed `percent` field (rounded) if a numeric voltage is available.
-app.get('/api/tank', async (req, res) => {
+/* Notification webhooks + delivery log (admin)
+   GET    /api/notification-webhooks            -> all webhooks (secrets are never returned, only has_secret)
+   POST   /api/notification-webhooks            -> create, or update when body.id is given; an omitted/empty secret
+                                                   keeps the current one, clear_secret=true removes it
+   DELETE /api/notification-webhooks/:id
+   POST   /api/notification-webhooks/:id/test   -> send a 'test' event now and return the delivery
+   GET    /api/notification-deliveries?channel=&status=&event=&limit=&offset=
+   POST   /api/notification-deliveries/:id/retry -> re-queue a failed delivery
+*/
+app.get('/api/notification-webhooks', requireAdmin, async (req, res) => {
   try {
-    const terminalId = req.query.terminalId;
-    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`SELECT * FROM notification_webhooks ORDER BY id ASC`);
+      const rows = (r.rows || []).map(webhookRowToJson);
+      return res.json({ count: rows.length, events: NOTIFICATION_EVENTS, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/notification-webhooks failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch webhooks' });
+  }
+});
 
-    const variable = req.query.variable ? String(req.query.variable).trim() : 'LIVELLO';
+app.post('/api/notification-webhooks', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const id = body.id === undefined || body.id === null || body.id === '' ? null : parseInt(body.id, 10);
+    const name = optionalText(body.name, 200);
+    const url = body.url == null ? '' : String(body.url).trim();
+    const secret = body.secret == null ? '' : String(body.secret);
+    const events = String(body.events == null || body.events === '' ? '*' : body.events)
+      .split(',').map(e => e.trim()).filter(Boolean);
+    const enabled = body.enabled === undefined ? true : !!body.enabled;
+
+    if (id !== null && !Number.isFinite(id)) return res.status(400).json({ error: 'invalid webhook id' });
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    if (!/^https?:\/\/[^\s]+$/i.test(url)) return res.status(400).json({ error: 'url must be an http(s) URL' });
+    const unknown = events.filter(e => e !== '*' && !NOTIFICATION_EVENTS.includes(e));
+    if (unknown.length) return res.status(400).json({ error: `unknown events: ${unknown.join(', ')}` });
 
+    const client = await pool.connect();
     try {
-      const reading = await getTankReading(terminalId, variable);
-      const out = { value: reading.rawValue, timestamp: reading.timestampVal, id: reading.idVal, sn: reading.snVal };
-      // include percent if computed (used for BATT)
-      if (reading.percent !== undefined && reading.percent !== null) out.percent = reading.percent;
-      return res.json(out);
-    } catch (err) {
-      if (err && err.status === 404) return res.status(404).json({ error: 'Device Offline' });
-      return res.status(502).json({ error: 'Failed to fetch SOAP data', message: err && err.message });
+      let r;
+      if (id === null) {
+        r = await client.query(
+          `INSERT INTO notification_webhooks (name, url, secret, events, enabled)
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [name, url, secret || null, events.join(','), enabled]
+        );
+      } else {
+        r = await client.query(
+          `UPDATE notification_webhooks
+              SET name = $2, url = $3, events = $4, enabled = $5, updated_at = now(),
+                  secret = CASE WHEN $6 THEN NULL WHEN $7::text <> '' THEN $7 ELSE secret END
+            WHERE id = $1 RETURNING *`,
+          [id, name, url, events.join(','), enabled, body.clear_secret === true, secret]
+        );
+        if (!r.rows.length) return res.status(404).json({ error: 'webhook not found' });
+      }
+      return res.status(id === null ? 201 : 200).json(webhookRowToJson(r.rows[0]));
+    } finally {
+      client.release();
     }
   } catch (err) {
-    return res.status(500).json({ error: 'Internal server error' });
+    console.warn('POST /api/notification-webhooks failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save webhook' });
   }
 });
 
-app.get('/api/history', async (req, res) => {
+app.delete('/api/notification-webhooks/:id', requireAdmin, async (req, res) => {
   try {
-    const terminalId = req.query.terminalId;
-    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid webhook id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`DELETE FROM notification_webhooks WHERE id = $1 RETURNING id`, [id]);
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'webhook not found' });
+      return res.json({ ok: true, id });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/notification-webhooks/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete webhook' });
+  }
+});
 
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '1000', 10) || 1, 1), 50000);
+app.post('/api/notification-webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid webhook id' });
+    let deliveryId;
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`SELECT id FROM notification_webhooks WHERE id = $1`, [id]);
+      if (!r.rows.length) return res.status(404).json({ error: 'webhook not found' });
+      deliveryId = await queueDelivery(client, {
+        channel: 'webhook',
+        target: id,
+        event: 'test',
+        payload: { message: 'Test notification from the tank monitor', requested_by: req.session && req.session.user ? req.session.user.username || null : null }
+      });
+    } finally {
+      client.release();
+    }
+    const delivery = await attemptDelivery(deliveryId);
+    return res.json(delivery);
+  } catch (err) {
+    console.warn('POST /api/notification-webhooks/:id/test failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to send test notification' });
+  }
+});
 
+app.get('/api/notification-deliveries', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit || '100', 10) || 100));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+    const params = [];
+    const where = [];
+    for (const key of ['channel', 'status', 'event']) {
+      if (req.query[key]) {
+        params.push(String(req.query[key]));
+        where.push(`${key} = $${params.length}`);
+      }
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
     const client = await pool.connect();
     try {
-      // IMPORTANT: select the table column named "current_timestamp" (not the SQL CURRENT_TIMESTAMP value).
-      // We alias it to inserted_at and then normalize it to an ISO string in JS below.
-      const query = `
-        SELECT "current_timestamp" AS inserted_at, tank_level
-        FROM tank_level
-        WHERE id = $1
-        ORDER BY "current_timestamp" ASC
-        LIMIT $2
-      `;
-      const result = await client.query(query, [terminalId, limit]);
-      const rows = result.rows.map(r => ({
-        // Normalize the DB value to an unambiguous UTC ISO string for the frontend.
-        timestamp: normalizeDbTimestampToIso(r.inserted_at),
-        tank_level: (r.tank_level === null || r.tank_level === undefined) ? null : Number(r.tank_level),
-      }));
-      res.json({ id: terminalId, count: rows.length, rows });
+      const total = await client.query(`SELECT count(*)::int AS n FROM notification_deliveries ${whereSql}`, params);
+      const r = await client.query(
+        `SELECT ${DELIVERY_COLUMNS} FROM notification_deliveries ${whereSql}
+          ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+        params
+      );
+      const rows = (r.rows || []).map(deliveryRowToJson);
+      return res.json({ count: rows.length, total: total.rows[0].n, rows });
     } finally {
       client.release();
     }
   } catch (err) {
-    console.warn('History endpoint error', err && err.message);
-    res.status(500).json({ error: 'Internal server error' });
+    console.warn('GET /api/notification-deliveries failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch deliveries' });
   }
 });
 
-// Fetch titles for all terminals
-app.get('/api/titles', async (req, res) => {
+app.post('/api/notification-deliveries/:id/retry', requireAdmin, async (req, res) => {
   try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid delivery id' });
     const client = await pool.connect();
     try {
-      const query = `SELECT "no", "terminal_id", "sn", "tank_title" FROM tank_titles ORDER BY "no" ASC`;
-      const result = await client.query(query);
-      res.json(result.rows);
+      const r = await client.query(
+        `UPDATE notification_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = now(), updated_at = now()
+          WHERE id = $1 AND status = 'failed' RETURNING id`,
+        [id]
+      );
+      if (!r.rows.length) return res.status(409).json({ error: 'only failed deliveries can be retried' });
     } finally {
       client.release();
     }
+    return res.json(await attemptDelivery(id));
   } catch (err) {
-    console.warn('Failed to fetch titles:', err);
-    res.status(500).json({ error: 'Failed to fetch titles' });
+    console.warn('POST /api/notification-deliveries/:id/retry failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to retry delivery' });
   }
 });
 
-// Update or insert a title for a specific terminal
-app.post('/api/titles', express.json(), async (req, res) => {
-  const { terminalId, sn, title } = req.body;
+/* GET  /api/notification-channels -> which channels are configured (admin)
+   POST /api/sms/test { phone, message? } -> send a test text through the gateway and return the delivery (admin)
+*/
+app.get('/api/notification-channels', requireAdmin, (req, res) => {
+  return res.json({
+    channels: [
+      { name: 'email', configured: !!transporter },
+      { name: 'webhook', configured: true },
+      { name: 'sms', configured: !!SMS_GATEWAY_URL, rate_limit_per_hour: SMS_RATE_LIMIT_PER_HOUR, max_length: SMS_MAX_LENGTH }
+    ],
+    registered: Array.from(notificationChannels.keys())
+  });
+});
 
-  if (!terminalId || !title) {
-    return res.status(400).json({ error: 'Missing terminalId or title' });
+app.post('/api/sms/test', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const phone = normalizePhone(body.phone);
+    if (!phone) return res.status(400).json({ error: 'invalid phone number (use international format, e.g. +971501234567)' });
+    if (!SMS_GATEWAY_URL) return res.status(400).json({ error: 'SMS gateway not configured (SMS_GATEWAY_URL)' });
+    const message = (optionalText(body.message, SMS_MAX_LENGTH) || 'Test message from the tank monitor');
+    let deliveryId;
+    let client = await pool.connect();
+    try {
+      deliveryId = await queueSms(client, { phone, event: 'test', message });
+    } finally {
+      client.release();
+    }
+    const delivery = await attemptDelivery(deliveryId);
+    if (delivery) return res.json(delivery);
+    // skipped by the rate limit: return the logged row
+    client = await pool.connect();
+    try {
+      const r = await client.query(`SELECT ${DELIVERY_COLUMNS} FROM notification_deliveries WHERE id = $1`, [deliveryId]);
+      return res.json(deliveryRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/sms/test failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to send test SMS' });
   }
+});
 
+/* GET /api/email-templates/preview?kind=alarm|recovery|escalation|digest&lang=en|ar&type=<alarm type>&terminalId=...
+   Renders a template with sample values (and the terminal's real details when terminalId is given) -> { subject, text, html } (admin)
+   The digest preview is today's whole-fleet digest.
+*/
+app.get('/api/email-templates/preview', requireAdmin, async (req, res) => {
   try {
+    const kind = EMAIL_TEMPLATE_KINDS.includes(String(req.query.kind)) ? String(req.query.kind) : 'alarm';
+    const lang = EMAIL_LANGUAGES.includes(String(req.query.lang)) ? String(req.query.lang) : EMAIL_DEFAULT_LANGUAGE;
+    const tid = req.query.terminalId ? String(req.query.terminalId).trim() : null;
+
+    if (kind === 'digest') {
+      const client = await pool.connect();
+      try {
+        const snapshot = await loadFleetSnapshot(client);
+        return res.json(renderDigestEmail(lang, { date: localDateString(new Date()), sections: buildDigestSections(snapshot, 'all', null, lang) }));
+      } finally {
+        client.release();
+      }
+    }
+
+    const type = ALARM_VALUE_UNITS[String(req.query.type)] !== undefined ? String(req.query.type) : 'level_low';
+    let tank;
     const client = await pool.connect();
     try {
-      const query = `
-        INSERT INTO tank_titles (terminal_id, sn, tank_title)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (terminal_id) DO UPDATE SET tank_title = $3
-        RETURNING *;
-      `;
-      const result = await client.query(query, [terminalId, sn, title]);
-      res.json(result.rows[0]);
+      tank = tid ? await loadEmailTankContext(client, tid) : null;
     } finally {
       client.release();
     }
+    if (!tank) {
+      tank = { terminal_id: 'SAMPLE', title: 'Sample Tank', building: 'Sample Building', emirate: 'Dubai', site: null, min: 20, max: 85, level: 14,
+        map_url: 'https://www.google.com/maps?q=25.2048,55.2708', tank_url: APP_BASE_URL ? `${APP_BASE_URL}/?tank=SAMPLE` : null };
+    }
+    const value = type.startsWith('level_') && tank.level != null ? tank.level : 14;
+    const alarm = { id: 123, alarm_type: type, severity: type === 'lel_danger' || type === 'leak_suspected' ? 'critical' : 'warning',
+      value, last_value: value, threshold: type === 'level_low' && tank.min != null ? tank.min : 20, clear_value: 35, raised_at: new Date().toISOString() };
+    const subject = kind === 'recovery'
+      ? `RECOVERED: Terminal ${tank.terminal_id} alarm cleared`
+      : (kind === 'escalation' ? `ESCALATION (tier 2): Terminal ${tank.terminal_id} alarm not acknowledged` : `ALARM: Terminal ${tank.terminal_id}`);
+    const lines = ['This is a preview of the notification layout with sample values.', '', 'This is an automated message.'];
+    return res.json(renderAlarmEmail(lang, { kind, alarm, tank, subject, lines }));
   } catch (err) {
-    console.warn('Failed to save title:', err);
-    res.status(500).json({ error: 'Failed to save title' });
+    console.warn('GET /api/email-templates/preview failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to render template preview' });
   }
 });
 
@@ -1333,7 +5210,7 @@ app.get('/api/tank-info', async (req, res) => {
     const client = await pool.connect();
     try {
       if (terminalId) {
-        const q = `SELECT terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, created_at FROM tank_info WHERE terminal_id = $1 LIMIT 1`;
+        const q = `SELECT terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, alarm_deadband, alarm_min_duration_minutes, lel_warning_level, lel_danger_level, created_at FROM tank_info WHERE terminal_id = $1 LIMIT 1`;
         const r = await client.query(q, [String(terminalId)]);
         if (!r.rows || r.rows.length === 0) {
           return res.status(404).json({ error: 'not found' });
@@ -1355,10 +5232,14 @@ app.get('/api/tank-info', async (req, res) => {
           alarm_email: row.alarm_email || null,
           project_code: row.project_code || null,
           emirate: row.emirate || null,
+          alarm_deadband: row.alarm_deadband === null || row.alarm_deadband === undefined ? null : Number(row.alarm_deadband),
+          alarm_min_duration_minutes: row.alarm_min_duration_minutes === null || row.alarm_min_duration_minutes === undefined ? null : Number(row.alarm_min_duration_minutes),
+          lel_warning_level: row.lel_warning_level === null || row.lel_warning_level === undefined ? null : Number(row.lel_warning_level),
+          lel_danger_level: row.lel_danger_level === null || row.lel_danger_level === undefined ? null : Number(row.lel_danger_level),
           created_at: normalizeDbTimestampToIso(row.created_at)
         });
       } else {
-        const q = `SELECT terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, created_at FROM tank_info ORDER BY created_at DESC`;
+        const q = `SELECT terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, alarm_deadband, alarm_min_duration_minutes, lel_warning_level, lel_danger_level, created_at FROM tank_info ORDER BY created_at DESC`;
         const r = await client.query(q);
         const rows = (r.rows || []).map(row => ({
           terminal_id: row.terminal_id,
@@ -1376,6 +5257,10 @@ app.get('/api/tank-info', async (req, res) => {
           alarm_email: row.alarm_email || null,
           project_code: row.project_code || null,
           emirate: row.emirate || null,
+          alarm_deadband: row.alarm_deadband === null || row.alarm_deadband === undefined ? null : Number(row.alarm_deadband),
+          alarm_min_duration_minutes: row.alarm_min_duration_minutes === null || row.alarm_min_duration_minutes === undefined ? null : Number(row.alarm_min_duration_minutes),
+          lel_warning_level: row.lel_warning_level === null || row.lel_warning_level === undefined ? null : Number(row.lel_warning_level),
+          lel_danger_level: row.lel_danger_level === null || row.lel_danger_level === undefined ? null : Number(row.lel_danger_level),
           created_at: normalizeDbTimestampToIso(row.created_at)
         }));
         return res.json({ count: rows.length, rows });
@@ -1419,11 +5304,23 @@ app.post('/api/tank-info', express.json(), async (req, res) => {
     const project_code = body.project_code !== undefined && body.project_code !== null && String(body.project_code).trim() !== '' ? String(body.project_code).trim().slice(0, 200) : null;
     const emirate = body.emirate !== undefined && body.emirate !== null && String(body.emirate).trim() !== '' ? String(body.emirate).trim().slice(0, 80) : null;
 
+    // Alarm tuning overrides (empty = use the ALARM_DEADBAND / ALARM_MIN_DURATION_MINUTES defaults)
+    let alarm_deadband = (body.alarm_deadband !== undefined && body.alarm_deadband !== null && body.alarm_deadband !== '') ? Number(body.alarm_deadband) : null;
+    if (alarm_deadband !== null && (isNaN(alarm_deadband) || alarm_deadband < 0)) alarm_deadband = null;
+    let alarm_min_duration_minutes = (body.alarm_min_duration_minutes !== undefined && body.alarm_min_duration_minutes !== null && body.alarm_min_duration_minutes !== '') ? parseInt(body.alarm_min_duration_minutes, 10) : null;
+    if (alarm_min_duration_minutes !== null && (isNaN(alarm_min_duration_minutes) || alarm_min_duration_minutes < 0)) alarm_min_duration_minutes = null;
+
+    // Gas (LEL) thresholds (empty = LEL_WARNING_LEVEL / LEL_DANGER_LEVEL)
+    let lel_warning_level = (body.lel_warning_level !== undefined && body.lel_warning_level !== null && body.lel_warning_level !== '') ? Number(body.lel_warning_level) : null;
+    if (lel_warning_level !== null && (isNaN(lel_warning_level) || lel_warning_level < 0)) lel_warning_level = null;
+    let lel_danger_level = (body.lel_danger_level !== undefined && body.lel_danger_level !== null && body.lel_danger_level !== '') ? Number(body.lel_danger_level) : null;
+    if (lel_danger_level !== null && (isNaN(lel_danger_level) || lel_danger_level < 0)) lel_danger_level = null;
+
     const client = await pool.connect();
     try {
       const q = `
-        INSERT INTO tank_info (terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate)
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+        INSERT INTO tank_info (terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, alarm_deadband, alarm_min_duration_minutes, lel_warning_level, lel_danger_level)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
         ON CONFLICT (terminal_id) DO UPDATE SET
           building_name = EXCLUDED.building_name,
           address = EXCLUDED.address,
@@ -1438,13 +5335,18 @@ app.post('/api/tank-info', express.json(), async (req, res) => {
           lpg_max_level = EXCLUDED.lpg_max_level,
           alarm_email = EXCLUDED.alarm_email,
           project_code = EXCLUDED.project_code,
-          emirate = EXCLUDED.emirate
-        RETURNING terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, created_at;
+          emirate = EXCLUDED.emirate,
+          alarm_deadband = EXCLUDED.alarm_deadband,
+          alarm_min_duration_minutes = EXCLUDED.alarm_min_duration_minutes,
+          lel_warning_level = EXCLUDED.lel_warning_level,
+          lel_danger_level = EXCLUDED.lel_danger_level
+        RETURNING terminal_id, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, alarm_deadband, alarm_min_duration_minutes, lel_warning_level, lel_danger_level, created_at;
       `;
-      const params = [terminalId, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate];
+      const params = [terminalId, building_name, address, afg_bld_code, client_bld_code, lpg_tank_capacity, lpg_tank_details, lpg_tank_type, lpg_installation_type, notes, lpg_min_level, lpg_max_level, alarm_email, project_code, emirate, alarm_deadband, alarm_min_duration_minutes, lel_warning_level, lel_danger_level];
       const r = await client.query(q, params);
       const row = r.rows && r.rows[0] ? r.rows[0] : null;
       if (!row) return res.status(500).json({ error: 'failed to save' });
+      loadLelThresholds().catch(e => console.warn('LEL thresholds reload failed', e && e.message));
       return res.status(201).json({
         terminal_id: row.terminal_id,
         building_name: row.building_name,
@@ -1461,6 +5363,10 @@ app.post('/api/tank-info', express.json(), async (req, res) => {
         alarm_email: row.alarm_email || null,
         project_code: row.project_code || null,
         emirate: row.emirate || null,
+        alarm_deadband: row.alarm_deadband === null || row.alarm_deadband === undefined ? null : Number(row.alarm_deadband),
+        alarm_min_duration_minutes: row.alarm_min_duration_minutes === null || row.alarm_min_duration_minutes === undefined ? null : Number(row.alarm_min_duration_minutes),
+        lel_warning_level: row.lel_warning_level === null || row.lel_warning_level === undefined ? null : Number(row.lel_warning_level),
+        lel_danger_level: row.lel_danger_level === null || row.lel_danger_level === undefined ? null : Number(row.lel_danger_level),
         created_at: normalizeDbTimestampToIso(row.created_at)
       });
     } finally {
@@ -1632,11 +5538,15 @@ function dateOnly(val) {
   return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
 }
 
+// Whole days from now until a YYYY-MM-DD date (negative once it has passed)
+function daysUntilDate(isoDate) {
+  const d = new Date(isoDate + 'T00:00:00Z');
+  return Math.ceil((d.getTime() - Date.now()) / 86400000);
+}
+
 function computeStatusForDate(isoDate) {
   if (!isoDate) return 'unknown';
-  const today = new Date();
-  const d = new Date(isoDate + 'T00:00:00Z');
-  const diffDays = Math.ceil((d.getTime() - today.getTime()) / 86400000);
+  const diffDays = daysUntilDate(isoDate);
   if (diffDays < 0) return 'expired';
   if (diffDays <= 30) return 'renewal';
   return 'valid';
@@ -2082,6 +5992,15 @@ const DOC_TYPE_MAP = {
   tpi: 'tpi'
 };
 
+// Display names of the tracked documents
+const DOCUMENT_TYPE_LABELS = {
+  istifaa: 'Istifaa',
+  amc: 'AMC',
+  doe_noc: 'DOE NOC',
+  coc: 'COC',
+  tpi: 'TPI'
+};
+
 // Helper: validate docType
 function normalizeDocType(param) {
   const key = String(param || '').toLowerCase();
@@ -2211,8 +6130,261 @@ app.get('/api/tank-documents/:id/file/:type', async (req, res) => {
       client.release();
     }
   } catch (err) {
-    console.warn('GET /api/tank-documents/:id/file/:type failed:', err && err.message);
-    return res.status(500).json({ error: 'failed to fetch file' });
+    console.warn('GET /api/tank-documents/:id/file/:type failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch file' });
+  }
+});
+
+/* -------------------------
+   Document expiry reminders (Document Tracker)
+   -------------------------
+   Every DOCUMENT_REMINDER_CHECK_MS (default 3600000) each Istifaa/AMC/DOE NOC/COC/TPI expiry date is compared with the
+   reminder intervals:
+     DOCUMENT_REMINDER_DAYS (default "60,30,7,0") -> days before expiry at which a reminder goes out (0 = expiry day)
+     DOCUMENT_REMINDER_OVERDUE_DAYS (default 7)   -> a missed expiry-day reminder is still sent this many days later
+   Only the closest interval that has been reached is sent (a document first seen 5 days before expiry gets the 7-day
+   reminder, not the 60- and 30-day ones). Reminders go to the site's contacts (building code) and the gas contractor's
+   contacts, one email per contact listing all their due documents with the attached file name, and are recorded in
+   document_reminders_sent.
+*/
+const DOCUMENT_REMINDER_DAYS = Array.from(new Set(String(process.env.DOCUMENT_REMINDER_DAYS || '60,30,7,0')
+  .split(',').map(v => parseInt(v, 10)).filter(v => Number.isFinite(v) && v >= 0))).sort((a, b) => b - a);
+const DOCUMENT_REMINDER_OVERDUE_DAYS = Math.max(0, parseInt(process.env.DOCUMENT_REMINDER_OVERDUE_DAYS || '7', 10));
+const DOCUMENT_REMINDER_CHECK_MS = Math.max(60000, parseInt(process.env.DOCUMENT_REMINDER_CHECK_MS || '3600000', 10));
+const DOCUMENT_REMINDER_SCOPES = ['site', 'contractor'];
+
+// The reminder interval due for a document `days` days before expiry, or null
+function dueReminderInterval(days) {
+  if (days < -DOCUMENT_REMINDER_OVERDUE_DAYS) return null;
+  const reached = DOCUMENT_REMINDER_DAYS.filter(d => days <= d);
+  return reached.length ? reached[reached.length - 1] : null;
+}
+
+function documentReminderContactRowToJson(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    scope_value: row.scope_value,
+    email: row.email,
+    name: row.name || null,
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at)
+  };
+}
+
+function describeDocumentExpiry(days) {
+  if (days > 0) return `expires in ${days} day(s)`;
+  if (days === 0) return 'expires today';
+  return `expired ${-days} day(s) ago`;
+}
+
+let documentRemindersInProgress = false;
+
+async function sendDocumentReminders() {
+  if (documentRemindersInProgress || !transporter || !DOCUMENT_REMINDER_DAYS.length) return;
+  documentRemindersInProgress = true;
+  try {
+    const client = await pool.connect();
+    try {
+      const typeKeys = Object.keys(DOCUMENT_TYPE_LABELS);
+      const d = await client.query(
+        `SELECT id, sn, building_code, building_name, gas_contractor,
+                ${typeKeys.map(t => `${t}_expiry_date, ${t}_file_name`).join(', ')}
+           FROM tank_documents`
+      );
+      const c = await client.query(`SELECT scope, scope_value, email, name FROM document_reminder_contacts`);
+      const contacts = new Map(); // 'site|code' / 'contractor|name' -> [contact]
+      for (const row of c.rows || []) {
+        const key = `${row.scope}|${String(row.scope_value).trim().toLowerCase()}`;
+        if (!contacts.has(key)) contacts.set(key, []);
+        contacts.get(key).push(row);
+      }
+
+      // email -> { name, items: [{ doc, type, date, days, interval, fileName }] }
+      const byEmail = new Map();
+      for (const doc of d.rows || []) {
+        const recipients = [
+          ...(doc.building_code ? contacts.get(`site|${String(doc.building_code).trim().toLowerCase()}`) || [] : []),
+          ...(doc.gas_contractor ? contacts.get(`contractor|${String(doc.gas_contractor).trim().toLowerCase()}`) || [] : [])
+        ];
+        if (!recipients.length) continue;
+        for (const type of typeKeys) {
+          const date = dateOnly(doc[`${type}_expiry_date`]);
+          if (!date) continue;
+          const days = daysUntilDate(date);
+          const interval = dueReminderInterval(days);
+          if (interval == null) continue;
+          const sent = await client.query(
+            `SELECT lower(email) AS email FROM document_reminders_sent
+              WHERE document_id = $1 AND doc_type = $2 AND expiry_date = $3::date AND days_before = $4`,
+            [doc.id, type, date, interval]
+          );
+          const already = new Set((sent.rows || []).map(r => r.email));
+          for (const contact of recipients) {
+            const key = contact.email.toLowerCase();
+            if (already.has(key)) continue;
+            already.add(key);
+            if (!byEmail.has(key)) byEmail.set(key, { email: contact.email, name: contact.name, items: [] });
+            byEmail.get(key).items.push({ doc, type, date, days, interval, fileName: doc[`${type}_file_name`] || null });
+          }
+        }
+      }
+
+      for (const { email, name, items } of byEmail.values()) {
+        items.sort((a, b) => a.days - b.days);
+        const first = items[0];
+        const subject = items.length === 1
+          ? `Document reminder: ${DOCUMENT_TYPE_LABELS[first.type]} for ${first.doc.building_name || first.doc.building_code || `site #${first.doc.id}`} ${describeDocumentExpiry(first.days)}`
+          : `Document reminder: ${items.length} documents need renewal`;
+        const lines = [name ? `Hello ${name},` : 'Hello,', '', 'The following documents need to be renewed:', ''];
+        for (const item of items) {
+          lines.push(
+            `${item.doc.building_name || '(no building name)'} — code ${item.doc.building_code || '—'}, SN ${item.doc.sn}`,
+            `  ${DOCUMENT_TYPE_LABELS[item.type]} ${describeDocumentExpiry(item.days)} (expiry date ${item.date})`,
+            `  Contractor: ${item.doc.gas_contractor || '—'}`,
+            `  Attached file: ${item.fileName || 'no file uploaded'}`,
+            ''
+          );
+        }
+        if (APP_BASE_URL) lines.push(`Document Tracker: ${APP_BASE_URL}/Document-Tracker`, '');
+        lines.push('This is an automated reminder.');
+        try {
+          await sendAlarmNotice(email, subject, lines);
+          for (const item of items) {
+            await client.query(
+              `INSERT INTO document_reminders_sent (document_id, doc_type, expiry_date, days_before, email, file_name)
+               VALUES ($1, $2, $3::date, $4, $5, $6)
+               ON CONFLICT DO NOTHING`,
+              [item.doc.id, item.type, item.date, item.interval, email, item.fileName]
+            );
+          }
+          console.log(`Sent ${items.length} document reminder(s) to ${email}`);
+        } catch (err) {
+          console.warn(`Failed to send document reminders to ${email}`, err && err.message);
+        }
+      }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Document reminder run failed', err && err.message);
+  } finally {
+    documentRemindersInProgress = false;
+  }
+}
+
+pollSchemaReady.then(() => {
+  setInterval(() => { sendDocumentReminders().catch(() => {}); }, DOCUMENT_REMINDER_CHECK_MS);
+});
+
+/* Reminder contacts and log
+   GET    /api/document-reminder-contacts?scope=site|contractor&value=...  -> { count, rows, days }
+   POST   /api/document-reminder-contacts                                  -> upsert { scope, scope_value, email, name }
+   DELETE /api/document-reminder-contacts/:id
+   GET    /api/tank-documents/:id/reminders                                -> reminders already sent for the site
+*/
+app.get('/api/document-reminder-contacts', async (req, res) => {
+  try {
+    const scope = req.query.scope ? String(req.query.scope).trim() : null;
+    const value = req.query.value ? String(req.query.value).trim() : null;
+    if (scope && !DOCUMENT_REMINDER_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of ${DOCUMENT_REMINDER_SCOPES.join(', ')}` });
+    const client = await pool.connect();
+    try {
+      const r = scope
+        ? await client.query(
+          `SELECT * FROM document_reminder_contacts WHERE scope = $1 AND lower(scope_value) = lower($2) ORDER BY lower(email)`,
+          [scope, value || '']
+        )
+        : await client.query(`SELECT * FROM document_reminder_contacts ORDER BY scope, lower(scope_value), lower(email)`);
+      const rows = (r.rows || []).map(documentReminderContactRowToJson);
+      return res.json({ count: rows.length, rows, days: DOCUMENT_REMINDER_DAYS });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/document-reminder-contacts failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to load reminder contacts' });
+  }
+});
+
+app.post('/api/document-reminder-contacts', requireEditor, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = String(body.scope || '').trim();
+    const scopeValue = body.scope_value == null ? '' : String(body.scope_value).trim().slice(0, 200);
+    const email = body.email == null ? '' : String(body.email).trim().slice(0, 254);
+    const name = optionalText(body.name, 200) || null;
+
+    if (!DOCUMENT_REMINDER_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of ${DOCUMENT_REMINDER_SCOPES.join(', ')}` });
+    if (!scopeValue) return res.status(400).json({ error: 'scope_value is required' });
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'invalid email' });
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `INSERT INTO document_reminder_contacts (scope, scope_value, email, name)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (scope, lower(scope_value), lower(email)) DO UPDATE SET name = EXCLUDED.name, updated_at = now()
+         RETURNING *`,
+        [scope, scopeValue, email, name]
+      );
+      return res.status(201).json(documentReminderContactRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/document-reminder-contacts failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save reminder contact' });
+  }
+});
+
+app.delete('/api/document-reminder-contacts/:id', requireEditor, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid contact id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`DELETE FROM document_reminder_contacts WHERE id = $1 RETURNING id`, [id]);
+      if (!r.rows || r.rows.length === 0) return res.status(404).json({ error: 'contact not found' });
+      return res.json({ ok: true, id });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/document-reminder-contacts/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete reminder contact' });
+  }
+});
+
+app.get('/api/tank-documents/:id/reminders', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'invalid id' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT id, doc_type, expiry_date::text AS expiry_date, days_before, email, file_name, sent_at
+           FROM document_reminders_sent WHERE document_id = $1
+          ORDER BY sent_at DESC, id DESC LIMIT 200`,
+        [id]
+      );
+      const rows = (r.rows || []).map(row => ({
+        id: Number(row.id),
+        doc_type: row.doc_type,
+        doc_label: DOCUMENT_TYPE_LABELS[row.doc_type] || row.doc_type,
+        expiry_date: row.expiry_date,
+        days_before: row.days_before,
+        email: row.email,
+        file_name: row.file_name || null,
+        sent_at: normalizeDbTimestampToIso(row.sent_at)
+      }));
+      return res.json({ count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/tank-documents/:id/reminders failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to load reminders' });
   }
 });
 
@@ -2226,8 +6398,8 @@ app.get('/internal/dbstatus', (req, res) => {
 
 /* -------------------------
    REAL-TIME DEVICE STATUS (MQTT + Ping + socket.io)
-   - Subscribes to MQTT topic for the configured terminal (default 230346).
-   - Pings the provided VPN IP periodically to determine panel online/offline.
+   - Subscribes to the MQTT topic of every mapped terminal and routes each message to that terminal.
+   - Pings each terminal's panel (VPN) IP periodically to determine panel online/offline.
    - Keeps in-memory deviceStatus map and broadcasts updates to Socket.IO clients.
    - Also exposes GET /api/device-status?terminalId=... for clients that prefer polling.
 */
@@ -2235,10 +6407,13 @@ app.get('/internal/dbstatus', (req, res) => {
 /* Configuration (add to .env as requested):
    MQTT_HOST (default 3.227.99.254)
    MQTT_PORT (default 1883)
-   MQTT_TERMINAL_ID (default 230346)
-   MQTT_TOPIC_230346 (default BivicomData6)
-   PING_IP_230346 (default 10.0.0.47)
    PING_INTERVAL_MS (default 10000)
+   REALTIME_MAPPING_REFRESH_MS (default 300000) -> how often the topic/IP mapping is reloaded from the DB
+
+   Topic -> terminal mapping, first match wins per terminal:
+   1. terminals.mqtt_topic / terminals.panel_ip (set via /api/terminals or Manage Terminals)
+   2. MQTT_TOPIC_<terminalId> / PING_IP_<terminalId> env vars (e.g. MQTT_TOPIC_230346=BivicomData6)
+   3. legacy single-terminal defaults: MQTT_TERMINAL_ID (230346), topic BivicomData6, panel 10.0.0.47
 */
 
 const MQTT_HOST = process.env.MQTT_HOST || '3.227.99.254';
@@ -2248,21 +6423,121 @@ const MQTT_TOPIC_230346 = process.env.MQTT_TOPIC_230346 || 'BivicomData6';
 
 const PING_IP_230346 = process.env.PING_IP_230346 || '10.0.0.47';
 const PING_INTERVAL = Math.max(1000, parseInt(process.env.PING_INTERVAL_MS || '10000', 10));
+const REALTIME_MAPPING_REFRESH_MS = Math.max(10000, parseInt(process.env.REALTIME_MAPPING_REFRESH_MS || '300000', 10));
+
+/* LEL persistence (lel_readings):
+   LEL_SAMPLE_INTERVAL_MS (default 60000) -> store at most one reading per terminal per interval...
+   LEL_SAMPLE_DELTA (default 1)           -> ...unless the value moved at least this much since the last stored one
+   LEL_RETENTION_DAYS (default 180)
+*/
+const LEL_SAMPLE_INTERVAL_MS = Math.max(1000, parseInt(process.env.LEL_SAMPLE_INTERVAL_MS || '60000', 10));
+const LEL_SAMPLE_DELTA = Math.max(0, parseFloat(process.env.LEL_SAMPLE_DELTA || '1'));
+const LEL_RETENTION_DAYS = Math.max(1, parseInt(process.env.LEL_RETENTION_DAYS || '180', 10));
 
 const WS_PATH = process.env.WS_PATH || '/ws';
 
-// In-memory status map: terminalId -> { lel: number|null, lastLelAt: iso|null, panelOnline: boolean, lastPingAt: iso|null, topic }
+// In-memory status map: terminalId -> { lel: number|null, lelUnit, lastLelAt: iso|null, panelOnline: boolean, lastPingAt: iso|null, topic }
 const deviceStatus = {};
 
-// Initialize entry for our main device
-deviceStatus[String(MQTT_TERMINAL_ID)] = {
-  terminal_id: String(MQTT_TERMINAL_ID),
-  lel: null,
-  lastLelAt: null,
-  panelOnline: false,
-  lastPingAt: null,
-  topic: MQTT_TOPIC_230346
-};
+// Current mapping (rebuilt by refreshRealtimeMapping)
+let topicToTerminal = new Map(); // mqtt topic -> terminal id
+let pingTargets = new Map();     // terminal id -> panel ip
+
+function ensureDeviceStatus(tid) {
+  if (!deviceStatus[tid]) {
+    deviceStatus[tid] = { terminal_id: tid, lel: null, lelUnit: null, lastLelAt: null, panelOnline: false, lastPingAt: null, topic: null };
+  }
+  return deviceStatus[tid];
+}
+
+function statusPayload(tid) {
+  const st = ensureDeviceStatus(tid);
+  return {
+    type: 'status_update',
+    terminal_id: tid,
+    lel: st.lel,
+    lelUnit: st.lelUnit || null,
+    lastLelAt: st.lastLelAt,
+    panelOnline: st.panelOnline,
+    lastPingAt: st.lastPingAt,
+    topic: st.topic
+  };
+}
+
+// Mapping from env vars only (used on its own when the DB is unavailable)
+function realtimeMappingFromEnv() {
+  const topics = new Map(); // terminal id -> topic
+  const ips = new Map();    // terminal id -> ip
+  for (const [key, value] of Object.entries(process.env)) {
+    const v = String(value || '').trim();
+    if (!v) continue;
+    let m = key.match(/^MQTT_TOPIC_(.+)$/);
+    if (m) topics.set(m[1], v);
+    m = key.match(/^PING_IP_(.+)$/);
+    if (m) ips.set(m[1], v);
+  }
+  const legacyTid = String(MQTT_TERMINAL_ID);
+  if (!topics.has(legacyTid)) topics.set(legacyTid, MQTT_TOPIC_230346);
+  if (!ips.has(legacyTid)) ips.set(legacyTid, PING_IP_230346);
+  return { topics, ips };
+}
+
+/* Rebuild topicToTerminal / pingTargets from the terminals table (plus env fallbacks)
+   and bring the MQTT subscriptions in line with it. Disabled terminals get no live status.
+*/
+async function refreshRealtimeMapping() {
+  const env = realtimeMappingFromEnv();
+  const topics = new Map(env.topics);
+  const ips = new Map(env.ips);
+  try {
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`SELECT terminal_id, enabled, mqtt_topic, panel_ip FROM terminals`);
+      for (const row of (r.rows || [])) {
+        const tid = String(row.terminal_id);
+        if (!row.enabled) {
+          topics.delete(tid);
+          ips.delete(tid);
+          continue;
+        }
+        if (row.mqtt_topic) topics.set(tid, row.mqtt_topic);
+        if (row.panel_ip) ips.set(tid, row.panel_ip);
+      }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Realtime mapping: using env config only:', err && err.message);
+  }
+  await loadPayloadSchemas().catch(err => console.warn('MQTT payload schemas: keeping current definitions:', err && err.message));
+  await loadLelThresholds().catch(err => console.warn('LEL thresholds: keeping current values:', err && err.message));
+
+  const nextTopics = new Map();
+  for (const [tid, topic] of topics.entries()) {
+    if (!topic) continue;
+    if (nextTopics.has(topic)) {
+      console.warn(`Realtime mapping: topic ${topic} is mapped to both ${nextTopics.get(topic)} and ${tid}; keeping ${nextTopics.get(topic)}`);
+      continue;
+    }
+    nextTopics.set(topic, tid);
+  }
+  const nextPing = new Map();
+  for (const [tid, ip] of ips.entries()) {
+    if (ip) nextPing.set(tid, ip);
+  }
+
+  const prevTopics = topicToTerminal;
+  topicToTerminal = nextTopics;
+  pingTargets = nextPing;
+
+  // Panel IPs stay server-side (deviceStatus is sent to every socket client)
+  for (const st of Object.values(deviceStatus)) st.topic = null;
+  for (const [topic, tid] of topicToTerminal.entries()) ensureDeviceStatus(tid).topic = topic;
+  for (const tid of pingTargets.keys()) ensureDeviceStatus(tid);
+
+  syncMqttSubscriptions(prevTopics);
+  return { topics: topicToTerminal.size, pingTargets: pingTargets.size };
+}
 
 // Helper: broadcast function (populated after socket.io server created)
 let io = null;
@@ -2284,114 +6559,401 @@ function broadcastStatusUpdate(payload) {
     console.warn('[io] broadcastStatusUpdate error', e && e.message);
   }
 }
-// MQTT client connect and subscription
-try {
-  const mqttUrl = `mqtt://${MQTT_HOST}:${MQTT_PORT}`;
-  const mqttClient = mqtt.connect(mqttUrl);
+/* MQTT payload schemas (see createMqttPayloadSchemasTableIfNeeded)
+   payloadSchemas: topic -> { topic, json_path, unit, scale, min_value, max_value }, reloaded with the realtime mapping.
+   payloadStats: topic -> { accepted, rejected, reasons: { reason: count }, last_reject: { reason, at, sample } }
+*/
+const DEFAULT_PAYLOAD_SCHEMA = { topic: null, json_path: 'LEL', unit: '%LEL', scale: 1, min_value: 0, max_value: 100 };
+let payloadSchemas = new Map();
+const payloadStats = new Map();
 
-  mqttClient.on('connect', () => {
-    console.log('MQTT: connected to', mqttUrl);
-    try {
-      mqttClient.subscribe(MQTT_TOPIC_230346, (err) => {
-        if (err) console.warn('MQTT subscribe error', err && err.message);
-        else console.log('MQTT: subscribed to', MQTT_TOPIC_230346);
+function payloadSchemaForTopic(topic) {
+  return payloadSchemas.get(topic) || Object.assign({}, DEFAULT_PAYLOAD_SCHEMA, { topic });
+}
+
+// Split "$.data.sensors[0].lel" / "data.sensors.0.lel" into ['data', 'sensors', 0, 'lel']; null if malformed
+function parseJsonPath(path) {
+  let p = String(path || '').trim();
+  if (p.startsWith('$')) p = p.slice(1);
+  if (p.startsWith('.')) p = p.slice(1);
+  if (!p) return null;
+  const segments = [];
+  const re = /([^.[\]]+)|\[(\d+)\]/g;
+  let consumed = 0;
+  let m;
+  while ((m = re.exec(p)) !== null) {
+    if (m[1] !== undefined) segments.push(/^\d+$/.test(m[1]) ? Number(m[1]) : m[1]);
+    else segments.push(Number(m[2]));
+    consumed += m[0].length;
+  }
+  // everything except the dots must have been consumed by a segment
+  if (consumed !== p.replace(/\./g, '').length) return null;
+  return segments.length ? segments : null;
+}
+
+// Resolve a parsed path against a JSON value; object keys match case-insensitively
+function resolveJsonPath(value, segments) {
+  let cur = value;
+  for (const seg of segments) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    if (typeof seg === 'number') {
+      if (!Array.isArray(cur)) return undefined;
+      cur = cur[seg];
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(cur, seg)) {
+      cur = cur[seg];
+      continue;
+    }
+    const key = Object.keys(cur).find(k => k.toLowerCase() === seg.toLowerCase());
+    if (key === undefined) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+/* Parse one MQTT message with a payload schema.
+   Returns { ok: true, value, unit, raw_value } or { ok: false, reason, error }
+   reason is one of: invalid_json, bad_path, path_not_found, not_numeric, out_of_range
+*/
+function parseLelPayload(raw, schema) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    return { ok: false, reason: 'invalid_json', error: 'payload is not valid JSON' };
+  }
+  const segments = parseJsonPath(schema.json_path);
+  if (!segments) return { ok: false, reason: 'bad_path', error: `invalid json_path "${schema.json_path}"` };
+  const rawValue = resolveJsonPath(parsed, segments);
+  if (rawValue === undefined) return { ok: false, reason: 'path_not_found', error: `no value at ${schema.json_path}` };
+  const n = typeof rawValue === 'number' ? rawValue : (typeof rawValue === 'string' ? parseNumericValue(rawValue) : null);
+  if (n == null || !isFinite(n)) return { ok: false, reason: 'not_numeric', error: `value at ${schema.json_path} is not numeric` };
+  const scale = schema.scale == null || isNaN(Number(schema.scale)) ? 1 : Number(schema.scale);
+  const value = Math.round(n * scale * 1000) / 1000;
+  if ((schema.min_value != null && value < Number(schema.min_value)) || (schema.max_value != null && value > Number(schema.max_value))) {
+    return { ok: false, reason: 'out_of_range', error: `value ${value} outside ${schema.min_value == null ? '-∞' : schema.min_value}..${schema.max_value == null ? '∞' : schema.max_value}` };
+  }
+  return { ok: true, value, unit: schema.unit || DEFAULT_PAYLOAD_SCHEMA.unit, raw_value: rawValue };
+}
+
+function countPayloadResult(topic, result, raw) {
+  let st = payloadStats.get(topic);
+  if (!st) {
+    st = { accepted: 0, rejected: 0, reasons: {}, last_accept_at: null, last_reject: null };
+    payloadStats.set(topic, st);
+  }
+  if (result.ok) {
+    st.accepted++;
+    st.last_accept_at = new Date().toISOString();
+    return;
+  }
+  st.rejected++;
+  st.reasons[result.reason] = (st.reasons[result.reason] || 0) + 1;
+  st.last_reject = { reason: result.reason, error: result.error, at: new Date().toISOString(), sample: String(raw).slice(0, 300) };
+  // Log the first rejection per topic and then every 100th, so a misconfigured topic doesn't flood the log
+  if (st.rejected === 1 || st.rejected % 100 === 0) {
+    console.warn(`MQTT: rejected message on ${topic} (${result.reason}: ${result.error}); ${st.rejected} rejected so far`);
+  }
+}
+
+function payloadSchemaRowToJson(row) {
+  return {
+    topic: row.topic,
+    json_path: row.json_path,
+    unit: row.unit,
+    scale: row.scale == null ? 1 : Number(row.scale),
+    min_value: row.min_value == null ? null : Number(row.min_value),
+    max_value: row.max_value == null ? null : Number(row.max_value),
+    updated_at: row.updated_at ? normalizeDbTimestampToIso(row.updated_at) : null
+  };
+}
+
+async function loadPayloadSchemas() {
+  const client = await pool.connect();
+  try {
+    const r = await client.query(`SELECT topic, json_path, unit, scale, min_value, max_value, updated_at FROM mqtt_payload_schemas`);
+    const next = new Map();
+    for (const row of (r.rows || [])) next.set(row.topic, payloadSchemaRowToJson(row));
+    payloadSchemas = next;
+    return next.size;
+  } finally {
+    client.release();
+  }
+}
+
+/* Gas leak (LEL) safety alarms, evaluated on every MQTT reading:
+   LEL_WARNING_LEVEL (default 10) / LEL_DANGER_LEVEL (default 20) -> thresholds unless tank_info sets
+                                                                   lel_warning_level / lel_danger_level
+   LEL_CLEAR_DEADBAND (default 2) -> a reading must fall this far below a threshold to step down from it
+   State is kept per terminal (terminal_alarm_state, kind 'lel': normal | warning | danger). Every step up notifies
+   immediately, with no throttle: warning goes to tier 1 recipients, danger to every tier at once. Each change is
+   also pushed to socket clients as 'lel_alarm' (the UI shows a blocking banner).
+*/
+const LEL_WARNING_LEVEL = Number(process.env.LEL_WARNING_LEVEL || '10');
+const LEL_DANGER_LEVEL = Number(process.env.LEL_DANGER_LEVEL || '20');
+const LEL_CLEAR_DEADBAND = Math.max(0, Number(process.env.LEL_CLEAR_DEADBAND || '2') || 0);
+const LEL_LEVELS = ['normal', 'warning', 'danger'];
+
+// terminalId -> { warning, danger } from tank_info (only terminals with an override)
+let lelThresholds = new Map();
+// terminalId -> last known LEL state; lets the MQTT path skip the database when nothing changes
+const lelAlarmState = new Map();
+// terminalId -> check in flight, so checks for one terminal run in order
+const lelCheckQueue = new Map();
+
+async function loadLelThresholds() {
+  const client = await pool.connect();
+  try {
+    const r = await client.query(
+      `SELECT terminal_id, lel_warning_level, lel_danger_level FROM tank_info
+        WHERE lel_warning_level IS NOT NULL OR lel_danger_level IS NOT NULL`
+    );
+    const next = new Map();
+    for (const row of (r.rows || [])) {
+      next.set(String(row.terminal_id), {
+        warning: row.lel_warning_level == null ? null : Number(row.lel_warning_level),
+        danger: row.lel_danger_level == null ? null : Number(row.lel_danger_level)
       });
-    } catch (e) {
-      console.warn('MQTT subscribe exception', e && e.message);
     }
-  });
+    lelThresholds = next;
+    return next.size;
+  } finally {
+    client.release();
+  }
+}
 
-  // --- REPLACE the mqttClient.on('message', ...) handler with the following block ---
+function lelThresholdsFor(tid) {
+  const t = lelThresholds.get(String(tid)) || {};
+  return {
+    warning: t.warning != null ? t.warning : (isNaN(LEL_WARNING_LEVEL) ? null : LEL_WARNING_LEVEL),
+    danger: t.danger != null ? t.danger : (isNaN(LEL_DANGER_LEVEL) ? null : LEL_DANGER_LEVEL)
+  };
+}
 
-  mqttClient.on('message', (topic, messageBuf) => {
+// Target LEL state: thresholds apply on the way up; stepping down needs the reading LEL_CLEAR_DEADBAND below
+function targetLelState(current, lel, thresholds) {
+  let raw = 'normal';
+  if (thresholds.danger != null && lel >= thresholds.danger) raw = 'danger';
+  else if (thresholds.warning != null && lel >= thresholds.warning) raw = 'warning';
+  for (let i = LEL_LEVELS.indexOf(current); i > LEL_LEVELS.indexOf(raw); i--) {
+    const limit = thresholds[LEL_LEVELS[i]];
+    if (limit != null && lel > limit - LEL_CLEAR_DEADBAND) return LEL_LEVELS[i];
+  }
+  return raw;
+}
+
+function checkLelAlarm(tid, lel, unit) {
+  if (lel == null || isNaN(lel)) return;
+  const thresholds = lelThresholdsFor(tid);
+  const known = lelAlarmState.get(tid);
+  if (known !== undefined && !lelCheckQueue.has(tid) && targetLelState(known, lel, thresholds) === known) return;
+
+  const prev = lelCheckQueue.get(tid) || Promise.resolve();
+  const next = prev
+    .then(() => evaluateLelAlarm(tid, lel, unit, thresholds))
+    .catch(err => console.warn(`LEL alarm check failed for ${tid}`, err && err.message))
+    .finally(() => { if (lelCheckQueue.get(tid) === next) lelCheckQueue.delete(tid); });
+  lelCheckQueue.set(tid, next);
+}
+
+async function evaluateLelAlarm(tid, lel, unit, thresholds) {
+  const client = await pool.connect();
+  try {
+    const transition = await advanceAlarmState(client, tid, 'lel', cur => targetLelState(cur, lel, thresholds), { value: lel });
+    lelAlarmState.set(tid, transition.state);
+    if (!transition.changed) return;
+
+    const unitLabel = unit || '%LEL';
+    let ended = null;
+    if (transition.previous !== 'normal') {
+      ended = await clearAlarm(client, tid, `lel_${transition.previous}`, { value: lel });
+    }
+    let alarm = null;
+    const threshold = transition.state === 'normal' ? null : thresholds[transition.state];
+    if (transition.state !== 'normal') {
+      const raised = await raiseAlarm(client, {
+        terminalId: tid,
+        type: `lel_${transition.state}`,
+        severity: transition.state === 'danger' ? 'critical' : 'warning',
+        value: lel,
+        threshold,
+        message: `Gas ${transition.state}: ${lel} ${unitLabel} (threshold ${threshold} ${unitLabel})`
+      });
+      alarm = raised.alarm;
+    }
+
+    broadcastStatusUpdate({
+      type: 'lel_alarm',
+      terminalId: tid,
+      level: transition.state,
+      previous: transition.previous,
+      lel,
+      unit: unitLabel,
+      threshold,
+      alarm,
+      at: new Date().toISOString()
+    });
+
+    await notifyLelTransition(client, tid, transition, lel, unitLabel, alarm, ended);
+  } finally {
+    client.release();
+  }
+}
+
+async function notifyLelTransition(client, tid, transition, lel, unitLabel, alarm, ended) {
+  if (!transporter) {
+    console.warn('Cannot send LEL alarm: SMTP not configured.');
+    return;
+  }
+  const recipients = await alarmRecipientsFor(client, tid);
+  const maxTier = recipients.reduce((m, rec) => Math.max(m, rec.tier), 1);
+  const now = new Date();
+
+  let to;
+  let subject;
+  let lines;
+  if (transition.state === 'normal') {
+    to = recipientEmails(recipients, 1, ended ? ended.notified_tier : 1);
+    subject = `RECOVERED: Terminal ${tid} gas level back to normal (${lel} ${unitLabel})`;
+    lines = [
+      `The gas detector on terminal ${tid} reads ${lel} ${unitLabel}, back below the ${transition.previous} threshold.`,
+      '',
+      `Original alarm: ${ended ? `#${ended.id} (${ended.message || ended.alarm_type})` : 'not found in the alarm log'}`,
+      `Alarm duration: ${ended && ended.raised_at ? formatAlarmDuration(now.getTime() - new Date(ended.raised_at).getTime()) : 'unknown'}`
+    ];
+  } else {
+    const danger = transition.state === 'danger';
+    to = recipientEmails(recipients, 1, danger ? maxTier : 1);
+    subject = `${danger ? 'DANGER' : 'WARNING'}: Gas detected at terminal ${tid} (${lel} ${unitLabel})`;
+    lines = [
+      `The gas detector on terminal ${tid} reads ${lel} ${unitLabel}, at or above the ${transition.state} threshold of ${alarm && alarm.threshold != null ? alarm.threshold : '?'} ${unitLabel}.`,
+      danger ? 'Treat this as a possible gas leak and follow the site emergency procedure.' : 'Please check the site.',
+      '',
+      `Alarm: #${alarm ? alarm.id : '?'}`
+    ];
+    if (danger && alarm) {
+      // every tier has been told already; nothing left to escalate
+      await client.query(`UPDATE alarm_events SET notified_tier = GREATEST(notified_tier, $2) WHERE id = $1`, [alarm.id, maxTier]);
+    }
+  }
+  if (!to) return;
+  lines.push(`Time: ${now.toISOString()}`, '', 'This is an automated alarm.');
+  try {
+    const template = transition.state === 'normal'
+      ? { kind: 'recovery', terminalId: tid, alarm: ended ? { ...ended, clear_value: lel } : { alarm_type: `lel_${transition.previous}`, clear_value: lel } }
+      : { kind: 'alarm', terminalId: tid, alarm: alarm || { alarm_type: `lel_${transition.state}`, last_value: lel } };
+    await sendAlarmNotice(to, subject, lines, { template });
+  } catch (err) {
+    console.warn('Failed to send LEL alarm', err && err.message);
+  }
+}
+
+// Last stored LEL sample per terminal: terminalId -> { lel, atMs }
+const lastLelSample = new Map();
+
+/* Store a parsed LEL value unless it is a near-duplicate of the last stored sample
+   (same value within LEL_SAMPLE_DELTA and less than LEL_SAMPLE_INTERVAL_MS old). Best effort.
+*/
+async function recordLelSample(tid, lel, topic, atIso) {
+  const atMs = Date.parse(atIso);
+  const last = lastLelSample.get(tid);
+  if (last && (atMs - last.atMs) < LEL_SAMPLE_INTERVAL_MS && Math.abs(lel - last.lel) < LEL_SAMPLE_DELTA) return false;
+  lastLelSample.set(tid, { lel, atMs });
+  try {
+    const client = await pool.connect();
     try {
-      const raw = messageBuf.toString();
+      await client.query(
+        `INSERT INTO lel_readings (terminal_id, lel, topic, recorded_at) VALUES ($1, $2, $3, $4)`,
+        [tid, lel, topic, atIso]
+      );
+    } finally {
+      client.release();
+    }
+    return true;
+  } catch (err) {
+    lastLelSample.delete(tid); // retry on the next message
+    console.warn(`Failed to store LEL reading for terminal ${tid}:`, err && err.message);
+    return false;
+  }
+}
 
-      // Attempt to parse JSON first
-      let parsed = null;
-      try {
-        parsed = JSON.parse(raw);
-      } catch (e) {
-        parsed = null;
-      }
+async function pruneLelReadings() {
+  const client = await pool.connect();
+  try {
+    const r = await client.query(
+      `DELETE FROM lel_readings WHERE recorded_at < now() - ($1::int * INTERVAL '1 day')`,
+      [LEL_RETENTION_DAYS]
+    );
+    if (r.rowCount) console.log(`Pruned ${r.rowCount} LEL reading(s) older than ${LEL_RETENTION_DAYS} days`);
+  } finally {
+    client.release();
+  }
+}
+setInterval(() => {
+  pruneLelReadings().catch(e => console.warn('LEL prune error', e && e.message));
+}, 24 * 60 * 60 * 1000);
 
-      // Robust recursive extractor for keys like 'lel' (case-insensitive)
-      function findNumericByKey(obj, keys = ['lel', 'level', 'lvl', 'value']) {
-        if (obj == null) return null;
-        if (typeof obj !== 'object') return null;
-        for (const k of Object.keys(obj)) {
-          try {
-            if (keys.includes(String(k).toLowerCase())) {
-              const candidate = obj[k];
-              const n = parseNumericValue(candidate);
-              if (n != null && !isNaN(n)) return n;
-            }
-          } catch (e) { /* ignore per-key errors */ }
-        }
-        // Traverse children
-        for (const v of Object.values(obj)) {
-          if (v && typeof v === 'object') {
-            const found = findNumericByKey(v, keys);
-            if (found != null && !isNaN(found)) return found;
-          }
-        }
-        return null;
-      }
+// MQTT client connect and subscription
+let mqttClient = null;
 
-      let lelVal = null;
+function subscribeTopics(topics) {
+  if (!mqttClient || !mqttClient.connected || topics.length === 0) return;
+  try {
+    mqttClient.subscribe(topics, (err) => {
+      if (err) console.warn('MQTT subscribe error', err && err.message);
+      else console.log('MQTT: subscribed to', topics.join(', '));
+    });
+  } catch (e) {
+    console.warn('MQTT subscribe exception', e && e.message);
+  }
+}
 
-      if (parsed && typeof parsed === 'object') {
-        // First try recursive key lookup (preferred)
-        lelVal = findNumericByKey(parsed, ['lel', 'LEL', 'level', 'Level', 'value', 'Value']);
-      }
+// Subscribe to topics added since prevTopics and drop the ones no longer mapped
+function syncMqttSubscriptions(prevTopics) {
+  if (!mqttClient || !mqttClient.connected) return; // the 'connect' handler subscribes to everything
+  const added = Array.from(topicToTerminal.keys()).filter(t => !prevTopics.has(t));
+  const removed = Array.from(prevTopics.keys()).filter(t => !topicToTerminal.has(t));
+  subscribeTopics(added);
+  if (removed.length) {
+    mqttClient.unsubscribe(removed, (err) => {
+      if (err) console.warn('MQTT unsubscribe error', err && err.message);
+      else console.log('MQTT: unsubscribed from', removed.join(', '));
+    });
+  }
+}
 
-      // If not found via parsed object, try tolerant regex that matches quoted keys like "LEL":0
-      if (lelVal === null) {
-        const m = raw.match(/["']?\blel\b["']?\s*[:=]\s*["']?(-?\d+(?:[.,]\d+)?)["']?/i);
-        if (m) {
-          lelVal = parseNumericValue(m[1]);
-        }
-      }
+try {
+  const mqttUrl = `mqtt://${MQTT_HOST}:${MQTT_PORT}`;
+  mqttClient = mqtt.connect(mqttUrl);
 
-      // Final fallback: pick a plausible numeric token from the message.
-      // Prefer numbers in range 0..100 (typical percentage). This prevents picking timestamps.
-      if (lelVal === null) {
-        const all = Array.from(raw.matchAll(/-?\d+(?:[.,]\d+)?/g)).map(m => parseFloat(m[0].replace(',', '.'))).filter(n => !isNaN(n));
-        if (all.length > 0) {
-          // prefer any value between 0 and 100 (last occurrence), else pick the last numeric token
-          const plausible = all.filter(n => n >= 0 && n <= 100);
-          if (plausible.length) {
-            lelVal = plausible[plausible.length - 1];
-          } else {
-            lelVal = all[all.length - 1];
-          }
-        }
-      }
+  mqttClient.on('connect', () => {
+    console.log('MQTT: connected to', mqttUrl);
+    subscribeTopics(Array.from(topicToTerminal.keys()));
+  });
 
-      const tid = String(MQTT_TERMINAL_ID);
-      const nowIso = new Date().toISOString();
-      if (!deviceStatus[tid]) {
-        deviceStatus[tid] = { terminal_id: tid, lel: null, lastLelAt: null, panelOnline: false, lastPingAt: null, topic: MQTT_TOPIC_230346 };
-      }
+  mqttClient.on('message', (topic, messageBuf) => {
+    try {
+      const tid = topicToTerminal.get(topic);
+      if (!tid) return; // topic no longer mapped (unsubscribe still in flight)
+      const raw = messageBuf.toString();
 
-      // Only overwrite if we parsed a valid numeric LEL
-      if (lelVal !== null && !isNaN(lelVal)) {
-        // convert to Number explicitly
-        deviceStatus[tid].lel = Number(lelVal);
-        deviceStatus[tid].lastLelAt = nowIso;
-      }
+      // Read the gas reading with the topic's payload schema; anything that doesn't match is rejected, not guessed
+      const schema = payloadSchemaForTopic(topic);
+      const result = parseLelPayload(raw, schema);
+      countPayloadResult(topic, result, raw);
+      if (!result.ok) return;
+
+      const nowIso = new Date().toISOString();
+      const st = ensureDeviceStatus(tid);
+      st.lel = result.value;
+      st.lelUnit = result.unit;
+      st.lastLelAt = nowIso;
+      recordLelSample(tid, st.lel, topic, nowIso).catch(() => {});
+      checkLelAlarm(tid, st.lel, st.lelUnit);
 
       // Broadcast update for this terminal (include only relevant fields)
-      const payload = {
-        type: 'status_update',
-        terminal_id: tid,
-        lel: deviceStatus[tid].lel,
-        lastLelAt: deviceStatus[tid].lastLelAt,
-        panelOnline: deviceStatus[tid].panelOnline,
-        lastPingAt: deviceStatus[tid].lastPingAt,
-        topic: MQTT_TOPIC_230346
-      };
-      broadcastStatusUpdate(payload);
+      broadcastStatusUpdate(statusPayload(tid));
     } catch (err) {
       console.warn('MQTT message handling error', err && err.message);
     }
@@ -2405,36 +6967,187 @@ try {
   console.warn('Failed to initialize MQTT client', e && e.message);
 }
 
-// Ping loop for configured IPs (only the one given for now)
-async function doPingLoop() {
-  const tid = String(MQTT_TERMINAL_ID);
-  const host = PING_IP_230346;
+/* Panel connectivity history:
+   PANEL_OFFLINE_AFTER_FAILURES (default 2) -> consecutive failed pings before the panel counts as offline
+                                              (the outage is dated from the first failed ping)
+   PANEL_LATENCY_SAMPLE_MS (default 300000) -> ping results are aggregated into one latency row per window
+   PANEL_HISTORY_RETENTION_DAYS (default 365)
+*/
+const PANEL_OFFLINE_AFTER_FAILURES = Math.max(1, parseInt(process.env.PANEL_OFFLINE_AFTER_FAILURES || '2', 10));
+const PANEL_LATENCY_SAMPLE_MS = Math.max(PING_INTERVAL, parseInt(process.env.PANEL_LATENCY_SAMPLE_MS || '300000', 10));
+const PANEL_HISTORY_RETENTION_DAYS = Math.max(1, parseInt(process.env.PANEL_HISTORY_RETENTION_DAYS || '365', 10));
+
+// terminalId -> { online: boolean|null (null = no event stored yet), loaded, failures, firstFailureAt }
+const panelState = new Map();
+// terminalId -> { startedAt, samples, alive, sum, min, max }
+const panelLatencyWindows = new Map();
+
+async function insertPanelEvent(tid, online, atIso) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `INSERT INTO panel_connectivity_events (terminal_id, online, occurred_at) VALUES ($1, $2, $3)`,
+      [tid, online, atIso]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+// Last stored state for a terminal (so a restart doesn't record a duplicate transition)
+async function loadLastPanelState(tid) {
+  const client = await pool.connect();
+  try {
+    const r = await client.query(
+      `SELECT online FROM panel_connectivity_events WHERE terminal_id = $1 ORDER BY occurred_at DESC, id DESC LIMIT 1`,
+      [tid]
+    );
+    return r.rows && r.rows[0] ? !!r.rows[0].online : null;
+  } finally {
+    client.release();
+  }
+}
+
+// Record an online/offline transition when a ping result changes the debounced panel state. Best effort.
+async function trackPanelTransition(tid, alive, atIso) {
+  let st = panelState.get(tid);
+  if (!st) {
+    st = { online: null, loaded: false, failures: 0, firstFailureAt: null };
+    panelState.set(tid, st);
+  }
+  if (!st.loaded) {
+    try {
+      st.online = await loadLastPanelState(tid);
+      st.loaded = true;
+    } catch (err) {
+      return; // DB unavailable; try again on the next ping
+    }
+  }
+
+  let next = st.online;
+  let eventAt = atIso;
+  if (alive) {
+    st.failures = 0;
+    st.firstFailureAt = null;
+    next = true;
+  } else {
+    st.failures++;
+    if (!st.firstFailureAt) st.firstFailureAt = atIso;
+    if (st.failures >= PANEL_OFFLINE_AFTER_FAILURES) {
+      next = false;
+      eventAt = st.firstFailureAt;
+    }
+  }
+  if (next === st.online || next === null) return;
+  try {
+    await insertPanelEvent(tid, next, eventAt);
+    st.online = next;
+    console.log(`Panel for terminal ${tid} is now ${next ? 'online' : 'offline'} (since ${eventAt})`);
+  } catch (err) {
+    console.warn(`Failed to record panel ${next ? 'online' : 'offline'} event for terminal ${tid}:`, err && err.message);
+  }
+}
+
+// Fold one ping result into the terminal's latency window; flush the window as a row once it is full
+async function trackPanelLatency(tid, alive, timeMs) {
+  const now = Date.now();
+  let w = panelLatencyWindows.get(tid);
+  if (!w) {
+    w = { startedAt: now, samples: 0, alive: 0, timed: 0, sum: 0, min: null, max: null };
+    panelLatencyWindows.set(tid, w);
+  }
+  w.samples++;
+  if (alive) w.alive++;
+  if (alive && timeMs != null && isFinite(timeMs)) {
+    w.timed++;
+    w.sum += timeMs;
+    w.min = w.min == null ? timeMs : Math.min(w.min, timeMs);
+    w.max = w.max == null ? timeMs : Math.max(w.max, timeMs);
+  }
+  if (now - w.startedAt < PANEL_LATENCY_SAMPLE_MS) return;
+
+  panelLatencyWindows.delete(tid);
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query(
+        `INSERT INTO panel_latency_samples (terminal_id, sampled_at, samples, alive_count, avg_ms, min_ms, max_ms)
+         VALUES ($1, now(), $2, $3, $4, $5, $6)`,
+        [tid, w.samples, w.alive, w.timed ? Math.round((w.sum / w.timed) * 10) / 10 : null, w.min, w.max]
+      );
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn(`Failed to store panel latency for terminal ${tid}:`, err && err.message);
+  }
+}
+
+async function prunePanelHistory() {
+  const client = await pool.connect();
+  try {
+    // keep the latest event per terminal so the current state survives pruning
+    await client.query(
+      `DELETE FROM panel_connectivity_events e
+        WHERE e.occurred_at < now() - ($1::int * INTERVAL '1 day')
+          AND EXISTS (SELECT 1 FROM panel_connectivity_events n WHERE n.terminal_id = e.terminal_id AND n.occurred_at > e.occurred_at)`,
+      [PANEL_HISTORY_RETENTION_DAYS]
+    );
+    await client.query(
+      `DELETE FROM panel_latency_samples WHERE sampled_at < now() - ($1::int * INTERVAL '1 day')`,
+      [PANEL_HISTORY_RETENTION_DAYS]
+    );
+  } finally {
+    client.release();
+  }
+}
+setInterval(() => {
+  prunePanelHistory().catch(e => console.warn('Panel history prune error', e && e.message));
+}, 24 * 60 * 60 * 1000);
+
+// Ping loop: probe every mapped panel IP in parallel (a run is skipped while the previous one is still going)
+let pingInProgress = false;
+
+async function pingTerminal(tid, host) {
   try {
     const res = await ping.promise.probe(host, { timeout: 2 });
-    const nowIso = new Date().toISOString();
-    if (!deviceStatus[tid]) deviceStatus[tid] = { terminal_id: tid, lel: null, lastLelAt: null, panelOnline: false, lastPingAt: null, topic: MQTT_TOPIC_230346 };
-    deviceStatus[tid].panelOnline = !!res.alive;
-    deviceStatus[tid].lastPingAt = nowIso;
+    const st = ensureDeviceStatus(tid);
+    st.panelOnline = !!res.alive;
+    st.lastPingAt = new Date().toISOString();
+
+    // Connectivity history (transitions + latency). Transitions are awaited so they stay ordered per terminal
+    // (doPingLoop never overlaps); both swallow their own DB errors.
+    const timeMs = typeof res.time === 'number' ? res.time : parseFloat(res.time);
+    await trackPanelTransition(tid, !!res.alive, st.lastPingAt).catch(() => {});
+    trackPanelLatency(tid, !!res.alive, isNaN(timeMs) ? null : timeMs).catch(() => {});
 
     // Broadcast each run to keep clients in sync
-    const payload = {
-      type: 'status_update',
-      terminal_id: tid,
-      lel: deviceStatus[tid].lel,
-      lastLelAt: deviceStatus[tid].lastLelAt,
-      panelOnline: deviceStatus[tid].panelOnline,
-      lastPingAt: deviceStatus[tid].lastPingAt,
-      topic: MQTT_TOPIC_230346
-    };
-    broadcastStatusUpdate(payload);
+    broadcastStatusUpdate(statusPayload(tid));
   } catch (err) {
     console.warn('Ping error for', host, err && err.message);
   }
 }
+
+async function doPingLoop() {
+  if (pingInProgress) return;
+  pingInProgress = true;
+  try {
+    await Promise.all(Array.from(pingTargets.entries()).map(([tid, host]) => pingTerminal(tid, host)));
+  } finally {
+    pingInProgress = false;
+  }
+}
 // start ping interval
 setInterval(() => { doPingLoop().catch(()=>{}); }, PING_INTERVAL);
-// do an initial ping on startup
-doPingLoop().catch(()=>{});
+
+// Load the topic/IP mapping once the terminals table is ready, then ping immediately; reload periodically
+pollSchemaReady
+  .then(refreshRealtimeMapping)
+  .then(() => doPingLoop())
+  .catch(e => console.warn('Realtime mapping load error', e && e.message));
+setInterval(() => {
+  refreshRealtimeMapping().catch(e => console.warn('Realtime mapping refresh failed', e && e.message));
+}, REALTIME_MAPPING_REFRESH_MS);
 
 /* HTTP API to fetch device status for a terminal (polling fallback)
    GET /api/device-status?terminalId=230346
@@ -2460,6 +7173,347 @@ app.get('/api/device-status', (req, res) => {
   }
 });
 
+/* NEW: LEL history (downsampled MQTT readings from lel_readings)
+   GET /api/lel-history?terminalId=...&since=ISO&until=ISO&limit=N
+   - since/until are optional; with neither given the last 7 days are returned
+   returns { id, count, rows: [{ timestamp, lel }] } in ascending time order
+*/
+app.get('/api/lel-history', async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId ? String(req.query.terminalId).trim() : '';
+    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20000', 10) || 1, 1), 50000);
+    const since = req.query.since ? new Date(String(req.query.since)) : null;
+    const until = req.query.until ? new Date(String(req.query.until)) : null;
+    if (since && isNaN(since.getTime())) return res.status(400).json({ error: 'invalid since' });
+    if (until && isNaN(until.getTime())) return res.status(400).json({ error: 'invalid until' });
+    const sinceIso = since ? since.toISOString() : (until ? null : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
+
+    const params = [terminalId];
+    const where = ['terminal_id = $1'];
+    if (sinceIso) {
+      params.push(sinceIso);
+      where.push(`recorded_at >= $${params.length}`);
+    }
+    if (until) {
+      params.push(until.toISOString());
+      where.push(`recorded_at <= $${params.length}`);
+    }
+    params.push(limit);
+
+    const client = await pool.connect();
+    try {
+      // newest `limit` rows in range, returned oldest first
+      const r = await client.query(
+        `SELECT recorded_at, lel FROM (
+           SELECT recorded_at, lel FROM lel_readings
+            WHERE ${where.join(' AND ')}
+            ORDER BY recorded_at DESC
+            LIMIT $${params.length}
+         ) t ORDER BY recorded_at ASC`,
+        params
+      );
+      const rows = (r.rows || []).map(row => ({
+        timestamp: normalizeDbTimestampToIso(row.recorded_at),
+        lel: row.lel === null || row.lel === undefined ? null : Number(row.lel)
+      }));
+      return res.json({ id: terminalId, count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/lel-history failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch LEL history' });
+  }
+});
+
+/* NEW: Panel connectivity reporting
+   GET /api/panel-uptime?terminalId=...&since=ISO&until=ISO
+     -> { terminal_id, since, until, uptime_percent, online_ms, offline_ms, unknown_ms, online_at_end,
+          outages: [{ start, end, duration_ms, ongoing }], latency: { avg_ms, min_ms, max_ms, loss_percent, samples } }
+   GET /api/panel-uptime?since=&until=   (no terminalId) -> { since, until, count, rows } with the same summary per terminal
+   GET /api/panel-latency?terminalId=...&since=&until= -> { id, count, rows: [{ timestamp, samples, alive_count, avg_ms, min_ms, max_ms }] }
+   Defaults: the last 7 days. Time before a terminal's first recorded event counts as unknown, not as up or down.
+*/
+function parseRangeQuery(query, defaultDays = 7) {
+  const nowMs = Date.now();
+  const until = query.until ? new Date(String(query.until)) : new Date(nowMs);
+  const since = query.since ? new Date(String(query.since)) : new Date(until.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+  if (isNaN(since.getTime()) || isNaN(until.getTime())) return { error: 'invalid since/until' };
+  // a range reaching into the future ends now, so one starting in the future is empty
+  const untilMs = Math.min(until.getTime(), nowMs);
+  if (since.getTime() >= untilMs) return { error: 'since must be before until (and not in the future)' };
+  return { sinceMs: since.getTime(), untilMs };
+}
+
+/* Walk the state timeline over [sinceMs, untilMs).
+   initialOnline: state from the last event before the range (null = unknown); events: [{ online, atMs }] ascending.
+*/
+function computePanelUptime(initialOnline, events, sinceMs, untilMs, nowMs) {
+  let state = initialOnline;
+  let cursor = sinceMs;
+  let onlineMs = 0;
+  let offlineMs = 0;
+  let unknownMs = 0;
+  const outages = [];
+  let outageStart = state === false ? sinceMs : null;
+
+  const advance = (toMs) => {
+    const span = Math.max(0, toMs - cursor);
+    if (state === true) onlineMs += span;
+    else if (state === false) offlineMs += span;
+    else unknownMs += span;
+    cursor = Math.max(cursor, toMs);
+  };
+
+  for (const ev of events) {
+    const at = Math.min(Math.max(ev.atMs, sinceMs), untilMs);
+    advance(at);
+    if (ev.online === state) continue;
+    if (ev.online === false) {
+      outageStart = at;
+    } else if (state === false && outageStart != null) {
+      outages.push({ start: new Date(outageStart).toISOString(), end: new Date(at).toISOString(), duration_ms: at - outageStart, ongoing: false });
+      outageStart = null;
+    }
+    state = ev.online;
+  }
+  advance(untilMs);
+  if (state === false && outageStart != null) {
+    outages.push({
+      start: new Date(outageStart).toISOString(),
+      end: untilMs >= nowMs ? null : new Date(untilMs).toISOString(),
+      duration_ms: untilMs - outageStart,
+      ongoing: untilMs >= nowMs
+    });
+  }
+  const known = onlineMs + offlineMs;
+  return {
+    uptime_percent: known > 0 ? Math.round((onlineMs / known) * 10000) / 100 : null,
+    online_ms: onlineMs,
+    offline_ms: offlineMs,
+    unknown_ms: unknownMs,
+    online_at_end: state,
+    outages
+  };
+}
+
+async function panelUptimeForTerminal(client, tid, sinceMs, untilMs) {
+  const sinceIso = new Date(sinceMs).toISOString();
+  const untilIso = new Date(untilMs).toISOString();
+  const before = await client.query(
+    `SELECT online FROM panel_connectivity_events
+      WHERE terminal_id = $1 AND occurred_at < $2
+      ORDER BY occurred_at DESC, id DESC LIMIT 1`,
+    [tid, sinceIso]
+  );
+  const ev = await client.query(
+    `SELECT online, occurred_at FROM panel_connectivity_events
+      WHERE terminal_id = $1 AND occurred_at >= $2 AND occurred_at < $3
+      ORDER BY occurred_at ASC, id ASC`,
+    [tid, sinceIso, untilIso]
+  );
+  const lat = await client.query(
+    `SELECT SUM(samples)::int AS samples, SUM(alive_count)::int AS alive,
+            SUM(avg_ms * alive_count) / NULLIF(SUM(CASE WHEN avg_ms IS NULL THEN 0 ELSE alive_count END), 0) AS avg_ms,
+            MIN(min_ms) AS min_ms, MAX(max_ms) AS max_ms
+       FROM panel_latency_samples
+      WHERE terminal_id = $1 AND sampled_at >= $2 AND sampled_at < $3`,
+    [tid, sinceIso, untilIso]
+  );
+  const initial = before.rows && before.rows[0] ? !!before.rows[0].online : null;
+  const events = (ev.rows || []).map(r => ({ online: !!r.online, atMs: new Date(normalizeDbTimestampToIso(r.occurred_at)).getTime() }));
+  const summary = computePanelUptime(initial, events, sinceMs, untilMs, Date.now());
+  const l = (lat.rows && lat.rows[0]) || {};
+  const samples = l.samples || 0;
+  return Object.assign({ terminal_id: tid, since: sinceIso, until: untilIso }, summary, {
+    latency: {
+      avg_ms: l.avg_ms == null ? null : Math.round(Number(l.avg_ms) * 10) / 10,
+      min_ms: l.min_ms == null ? null : Number(l.min_ms),
+      max_ms: l.max_ms == null ? null : Number(l.max_ms),
+      loss_percent: samples > 0 ? Math.round((1 - (l.alive || 0) / samples) * 10000) / 100 : null,
+      samples
+    }
+  });
+}
+
+app.get('/api/panel-uptime', async (req, res) => {
+  try {
+    const range = parseRangeQuery(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const terminalId = req.query.terminalId ? String(req.query.terminalId).trim() : '';
+
+    const client = await pool.connect();
+    try {
+      if (terminalId) {
+        return res.json(await panelUptimeForTerminal(client, terminalId, range.sinceMs, range.untilMs));
+      }
+      const r = await client.query(`SELECT DISTINCT terminal_id FROM panel_connectivity_events`);
+      const ids = new Set([...pingTargets.keys(), ...(r.rows || []).map(row => String(row.terminal_id))]);
+      const rows = [];
+      for (const tid of Array.from(ids).sort()) {
+        rows.push(await panelUptimeForTerminal(client, tid, range.sinceMs, range.untilMs));
+      }
+      return res.json({
+        since: new Date(range.sinceMs).toISOString(),
+        until: new Date(range.untilMs).toISOString(),
+        count: rows.length,
+        rows
+      });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/panel-uptime failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to compute panel uptime' });
+  }
+});
+
+app.get('/api/panel-latency', async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId ? String(req.query.terminalId).trim() : '';
+    if (!terminalId) return res.status(400).json({ error: 'terminalId query parameter is required' });
+    const range = parseRangeQuery(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `SELECT sampled_at, samples, alive_count, avg_ms, min_ms, max_ms
+           FROM panel_latency_samples
+          WHERE terminal_id = $1 AND sampled_at >= $2 AND sampled_at < $3
+          ORDER BY sampled_at ASC
+          LIMIT 50000`,
+        [terminalId, new Date(range.sinceMs).toISOString(), new Date(range.untilMs).toISOString()]
+      );
+      const num = v => (v === null || v === undefined ? null : Number(v));
+      const rows = (r.rows || []).map(row => ({
+        timestamp: normalizeDbTimestampToIso(row.sampled_at),
+        samples: row.samples,
+        alive_count: row.alive_count,
+        avg_ms: num(row.avg_ms),
+        min_ms: num(row.min_ms),
+        max_ms: num(row.max_ms)
+      }));
+      return res.json({ id: terminalId, count: rows.length, rows });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/panel-latency failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch panel latency' });
+  }
+});
+
+/* NEW: MQTT payload schema endpoints (admin only)
+   GET    /api/mqtt/schemas          -> every mapped or configured topic with its effective schema and message counters
+   PUT    /api/mqtt/schemas          -> upsert { topic, json_path, unit?, scale?, min_value?, max_value? }
+   DELETE /api/mqtt/schemas?topic=   -> remove a topic's schema (it falls back to the default definition)
+   POST   /api/mqtt/schemas/test     -> { payload, topic?, schema? } run a sample payload through the parser
+   Topics go in the body/query rather than the path because MQTT topics may contain "/".
+*/
+function validatePayloadSchemaInput(body) {
+  const jsonPath = body.json_path ? String(body.json_path).trim() : '';
+  if (!jsonPath || !parseJsonPath(jsonPath)) return { error: 'json_path is missing or invalid' };
+  const scale = body.scale === undefined || body.scale === null || body.scale === '' ? 1 : Number(body.scale);
+  if (!isFinite(scale) || scale === 0) return { error: 'scale must be a non-zero number' };
+  const bound = v => (v === undefined || v === null || v === '' ? null : Number(v));
+  const minValue = bound(body.min_value);
+  const maxValue = bound(body.max_value);
+  if ((minValue !== null && !isFinite(minValue)) || (maxValue !== null && !isFinite(maxValue))) return { error: 'min_value/max_value must be numbers' };
+  if (minValue !== null && maxValue !== null && minValue > maxValue) return { error: 'min_value must not exceed max_value' };
+  const unit = body.unit === undefined || body.unit === null || String(body.unit).trim() === '' ? DEFAULT_PAYLOAD_SCHEMA.unit : String(body.unit).trim().slice(0, 20);
+  return { schema: { json_path: jsonPath, unit, scale, min_value: minValue, max_value: maxValue } };
+}
+
+app.get('/api/mqtt/schemas', requireAdmin, (req, res) => {
+  try {
+    const topics = new Set([...topicToTerminal.keys(), ...payloadSchemas.keys(), ...payloadStats.keys()]);
+    const rows = Array.from(topics).sort().map(topic => ({
+      topic,
+      terminal_id: topicToTerminal.get(topic) || null,
+      configured: payloadSchemas.has(topic),
+      schema: payloadSchemaForTopic(topic),
+      stats: payloadStats.get(topic) || { accepted: 0, rejected: 0, reasons: {}, last_accept_at: null, last_reject: null }
+    }));
+    return res.json({ count: rows.length, default_schema: DEFAULT_PAYLOAD_SCHEMA, rows });
+  } catch (err) {
+    console.warn('GET /api/mqtt/schemas failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to fetch payload schemas' });
+  }
+});
+
+app.put('/api/mqtt/schemas', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const topic = body.topic ? String(body.topic).trim() : '';
+    if (!topic) return res.status(400).json({ error: 'topic is required' });
+    const v = validatePayloadSchemaInput(body);
+    if (v.error) return res.status(400).json({ error: v.error });
+
+    const client = await pool.connect();
+    try {
+      const r = await client.query(
+        `INSERT INTO mqtt_payload_schemas (topic, json_path, unit, scale, min_value, max_value, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, now())
+         ON CONFLICT (topic) DO UPDATE
+           SET json_path = EXCLUDED.json_path, unit = EXCLUDED.unit, scale = EXCLUDED.scale,
+               min_value = EXCLUDED.min_value, max_value = EXCLUDED.max_value, updated_at = now()
+         RETURNING topic, json_path, unit, scale, min_value, max_value, updated_at`,
+        [topic, v.schema.json_path, v.schema.unit, v.schema.scale, v.schema.min_value, v.schema.max_value]
+      );
+      const saved = payloadSchemaRowToJson(r.rows[0]);
+      payloadSchemas.set(topic, saved);
+      return res.json(saved);
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('PUT /api/mqtt/schemas failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save payload schema' });
+  }
+});
+
+app.delete('/api/mqtt/schemas', requireAdmin, async (req, res) => {
+  try {
+    const topic = req.query.topic ? String(req.query.topic).trim() : '';
+    if (!topic) return res.status(400).json({ error: 'topic query parameter is required' });
+    const client = await pool.connect();
+    try {
+      const r = await client.query(`DELETE FROM mqtt_payload_schemas WHERE topic = $1`, [topic]);
+      payloadSchemas.delete(topic);
+      return res.json({ ok: true, deleted: r.rowCount || 0 });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/mqtt/schemas failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete payload schema' });
+  }
+});
+
+app.post('/api/mqtt/schemas/test', requireAdmin, (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.payload === undefined || body.payload === null) return res.status(400).json({ error: 'payload is required' });
+    const raw = typeof body.payload === 'string' ? body.payload : JSON.stringify(body.payload);
+    const topic = body.topic ? String(body.topic).trim() : null;
+
+    // An explicit schema (e.g. unsaved form values) wins over the topic's stored one
+    let schema = payloadSchemaForTopic(topic);
+    if (body.schema && typeof body.schema === 'object') {
+      const v = validatePayloadSchemaInput(body.schema);
+      if (v.error) return res.status(400).json({ error: v.error });
+      schema = Object.assign({ topic }, v.schema);
+    }
+    return res.json({ schema, result: parseLelPayload(raw, schema) });
+  } catch (err) {
+    console.warn('POST /api/mqtt/schemas/test failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to test payload' });
+  }
+});
+
 /* NEW: socket.io setup
    - We create a Socket.IO server bound to the same HTTP server to push updates to clients.
 */
@@ -2588,15 +7642,83 @@ function round2(n) {
   return Math.round(Number(n) * 100) / 100;
 }
 
+const CONSUMPTION_MIN_READINGS_PER_DAY = Math.max(1, parseInt(process.env.CONSUMPTION_MIN_READINGS_PER_DAY || '3', 10));
+
+// Consumption window: the last 30 full UTC days (today excluded, until is exclusive)
+function consumptionWindow(now = new Date()) {
+  const todayUtcMidnight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { since: new Date(todayUtcMidnight.getTime() - (30 * 24 * 60 * 60 * 1000)), until: todayUtcMidnight };
+}
+
+// One terminal's /api/consumption row (yesterday's drop and 30-day averages) for the given window
+async function computeTerminalConsumption(client, tid, since, until, capacityLiters) {
+  // Fetch rows for window sorted ascending by device timestamp (legacy rows without one use "current_timestamp")
+  const q = `
+    SELECT COALESCE(timestamp, "current_timestamp") AS ts, tank_level
+    FROM tank_level
+    WHERE id = $1
+      AND COALESCE(timestamp, "current_timestamp") >= $2
+      AND COALESCE(timestamp, "current_timestamp") < $3
+    ORDER BY COALESCE(timestamp, "current_timestamp") ASC
+  `;
+  const r = await client.query(q, [String(tid), since.toISOString(), until.toISOString()]);
+  const rows = (r.rows || []).map(rr => ({
+    timestamp: normalizeDbTimestampToIso(rr.ts),
+    tank_level: rr.tank_level === null || rr.tank_level === undefined ? null : Number(rr.tank_level)
+  }));
+
+  const dailySeries = computeDailySeries(rows); // [{ day, percentDrop, readings }]
+  // Daily: pick the most recent completed day (yesterday) if present
+  const yesterday = new Date(until.getTime() - (24 * 60 * 60 * 1000));
+  const yesterdayKey = yesterday.toISOString().slice(0, 10);
+  const dailyEntry = dailySeries.find(d => d.day === yesterdayKey) || null;
+
+  let dailyOut = null;
+  if (dailyEntry) {
+    const liters = (capacityLiters != null && !isNaN(capacityLiters)) ? (capacityLiters * (dailyEntry.percentDrop / 100.0)) : null;
+    dailyOut = {
+      date: dailyEntry.day,
+      percent_drop: round2(dailyEntry.percentDrop),
+      liters: round2(liters),
+      readings: dailyEntry.readings
+    };
+  }
+
+  // Monthly averages over last 30 days
+  const daysIncluded = dailySeries.filter(d => d.readings >= CONSUMPTION_MIN_READINGS_PER_DAY);
+  const avgPercentPerDay = daysIncluded.length
+    ? (daysIncluded.reduce((sum, d) => sum + d.percentDrop, 0) / daysIncluded.length)
+    : null;
+  const totalPercent30d = dailySeries.reduce((sum, d) => sum + d.percentDrop, 0);
+
+  let avgLitersPerDay = null;
+  let totalLiters30d = null;
+  if (capacityLiters != null && !isNaN(capacityLiters)) {
+    avgLitersPerDay = (avgPercentPerDay != null) ? (capacityLiters * (avgPercentPerDay / 100.0)) : null;
+    totalLiters30d = capacityLiters * (totalPercent30d / 100.0);
+  }
+
+  return {
+    terminal_id: String(tid),
+    capacity_liters: capacityLiters,
+    daily: dailyOut,
+    monthly: {
+      average_liters_per_day: round2(avgLitersPerDay),
+      average_percent_per_day: round2(avgPercentPerDay),
+      total_liters_30d: round2(totalLiters30d),
+      total_percent_30d: round2(totalPercent30d),
+      days_included: daysIncluded.length,
+      days_total: dailySeries.length
+    }
+  };
+}
+
 app.get('/api/consumption', async (req, res) => {
   try {
     const terminalIdParam = req.query.terminalId ? String(req.query.terminalId).trim() : null;
 
     // Define window: last 30 full days (exclude today)
-    const now = new Date();
-    const todayUtcMidnight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-    const until = todayUtcMidnight; // exclusive upper bound (today)
-    const since = new Date(todayUtcMidnight.getTime() - (30 * 24 * 60 * 60 * 1000)); // 30 days prior
+    const { since, until } = consumptionWindow();
 
     const sinceIso = since.toISOString();
     const untilIso = until.toISOString();
@@ -2618,7 +7740,7 @@ app.get('/api/consumption', async (req, res) => {
         const rLevel = await client.query(`
           SELECT DISTINCT id AS terminal_id
           FROM tank_level
-          WHERE "current_timestamp" >= (now() - interval '60 days')
+          WHERE COALESCE(timestamp, "current_timestamp") >= (now() - interval '60 days')
         `);
         const set = new Set();
         (rInfo.rows || []).forEach(row => { if (row.terminal_id) set.add(String(row.terminal_id)); });
@@ -2637,70 +7759,9 @@ app.get('/api/consumption', async (req, res) => {
 
       // Build responses
       const rowsOut = [];
-      const MIN_READINGS_PER_DAY = Math.max(1, parseInt(process.env.CONSUMPTION_MIN_READINGS_PER_DAY || '3', 10));
-
       for (const tid of terminalIds) {
-        // Fetch rows for window sorted ascending
-        const q = `
-          SELECT "current_timestamp" AS ts, tank_level
-          FROM tank_level
-          WHERE id = $1
-            AND "current_timestamp" >= $2
-            AND "current_timestamp" < $3
-          ORDER BY "current_timestamp" ASC
-        `;
-        const r = await client.query(q, [String(tid), sinceIso, untilIso]);
-        const rows = (r.rows || []).map(rr => ({
-          timestamp: normalizeDbTimestampToIso(rr.ts),
-          tank_level: rr.tank_level === null || rr.tank_level === undefined ? null : Number(rr.tank_level)
-        }));
-
-        const dailySeries = computeDailySeries(rows); // [{ day, percentDrop, readings }]
-        // Daily: pick the most recent completed day (yesterday) if present
-        const yesterday = new Date(until.getTime() - (24 * 60 * 60 * 1000));
-        const yesterdayKey = yesterday.toISOString().slice(0, 10);
-        const dailyEntry = dailySeries.find(d => d.day === yesterdayKey) || null;
-
         const capacityLiters = capMap.has(String(tid)) ? capMap.get(String(tid)) : null;
-
-        let dailyOut = null;
-        if (dailyEntry) {
-          const liters = (capacityLiters != null && !isNaN(capacityLiters)) ? (capacityLiters * (dailyEntry.percentDrop / 100.0)) : null;
-          dailyOut = {
-            date: dailyEntry.day,
-            percent_drop: round2(dailyEntry.percentDrop),
-            liters: round2(liters),
-            readings: dailyEntry.readings
-          };
-        }
-
-        // Monthly averages over last 30 days
-        const daysIncluded = dailySeries.filter(d => d.readings >= MIN_READINGS_PER_DAY);
-        const avgPercentPerDay = daysIncluded.length
-          ? (daysIncluded.reduce((sum, d) => sum + d.percentDrop, 0) / daysIncluded.length)
-          : null;
-        const totalPercent30d = dailySeries.reduce((sum, d) => sum + d.percentDrop, 0);
-
-        let avgLitersPerDay = null;
-        let totalLiters30d = null;
-        if (capacityLiters != null && !isNaN(capacityLiters)) {
-          avgLitersPerDay = (avgPercentPerDay != null) ? (capacityLiters * (avgPercentPerDay / 100.0)) : null;
-          totalLiters30d = capacityLiters * (totalPercent30d / 100.0);
-        }
-
-        rowsOut.push({
-          terminal_id: String(tid),
-          capacity_liters: capacityLiters,
-          daily: dailyOut,
-          monthly: {
-            average_liters_per_day: round2(avgLitersPerDay),
-            average_percent_per_day: round2(avgPercentPerDay),
-            total_liters_30d: round2(totalLiters30d),
-            total_percent_30d: round2(totalPercent30d),
-            days_included: daysIncluded.length,
-            days_total: dailySeries.length
-          }
-        });
+        rowsOut.push(await computeTerminalConsumption(client, tid, since, until, capacityLiters));
       }
 
       const out = terminalIdParam
@@ -2717,3 +7778,383 @@ app.get('/api/consumption', async (req, res) => {
     return res.status(500).json({ error: 'failed to compute consumption' });
   }
 });
+
+/* ----------------------------------------
+   Daily fleet status digest (digest_subscriptions)
+   ----------------------------------------
+   One morning email per subscription instead of many individual alarms. Each digest covers the subscription's scope
+   (whole fleet, one emirate or one project) and lists:
+     - tanks below their minimum level (latest tank_level reading vs tank_info.lpg_min_level)
+     - tanks expected to run empty within DIGEST_EMPTY_WITHIN_DAYS (default 7) at their 30-day average consumption
+     - offline devices (no new device timestamp for STALE_DATA_HOURS)
+     - the average consumption (as /api/consumption) and the DIGEST_TOP_CONSUMERS (default 5) biggest consumers
+     - Document Tracker documents in their renewal period (matched to tanks by building code for emirate/project scopes)
+   DIGEST_SEND_TIME (default 07:00, ALARM_TIMEZONE) is the send time for subscriptions without their own; checked every
+   DIGEST_CHECK_MS (default 60000). A subscription gets at most one digest per local day (last_sent_on).
+*/
+const DIGEST_SCOPES = ['all', 'emirate', 'project'];
+const DIGEST_SEND_TIME = process.env.DIGEST_SEND_TIME || '07:00';
+const DIGEST_CHECK_MS = Math.max(10000, parseInt(process.env.DIGEST_CHECK_MS || '60000', 10));
+const DIGEST_EMPTY_WITHIN_DAYS = Math.max(1, Number(process.env.DIGEST_EMPTY_WITHIN_DAYS || '7') || 7);
+const DIGEST_TOP_CONSUMERS = Math.max(0, parseInt(process.env.DIGEST_TOP_CONSUMERS || '5', 10));
+
+// "HH:MM" -> minutes since midnight, or null
+function parseClockTime(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// YYYY-MM-DD of a Date in ALARM_TIMEZONE
+function localDateString(date) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: ALARM_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+const DIGEST_SEND_MINUTES = parseClockTime(DIGEST_SEND_TIME) != null ? parseClockTime(DIGEST_SEND_TIME) : 7 * 60;
+
+const DIGEST_COLUMNS = `id, username, email, scope, scope_value, language, send_time, enabled, last_sent_on::text AS last_sent_on,
+  created_at, updated_at`;
+
+function digestSubscriptionRowToJson(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    scope: row.scope,
+    scope_value: row.scope_value || null,
+    language: row.language,
+    send_time: row.send_time || null,
+    enabled: !!row.enabled,
+    last_sent_on: row.last_sent_on || null,
+    created_at: normalizeDbTimestampToIso(row.created_at),
+    updated_at: normalizeDbTimestampToIso(row.updated_at)
+  };
+}
+
+/* Everything the digests need, loaded once per run and filtered per subscription:
+   { terminals: [{ terminal_id, title, emirate, project_code, building_codes, min, level, last_ts, consumption }], documents } */
+async function loadFleetSnapshot(client) {
+  const t = await client.query(
+    `SELECT t.terminal_id, COALESCE(tt.tank_title, t.name) AS title, ti.emirate, ti.project_code, ti.afg_bld_code,
+            ti.client_bld_code, ti.lpg_min_level, ti.lpg_tank_capacity
+       FROM terminals t
+       LEFT JOIN tank_titles tt ON tt.terminal_id = t.terminal_id
+       LEFT JOIN tank_info ti ON ti.terminal_id = t.terminal_id
+      WHERE t.enabled = TRUE
+      ORDER BY t.id ASC`
+  );
+  const ids = (t.rows || []).map(row => String(row.terminal_id));
+  const levels = new Map();
+  const lastSeen = new Map();
+  if (ids.length) {
+    const l = await client.query(
+      `SELECT DISTINCT ON (id) id, tank_level FROM tank_level
+        WHERE id = ANY($1::text[])
+        ORDER BY id, COALESCE(timestamp, "current_timestamp") DESC NULLS LAST`,
+      [ids]
+    );
+    (l.rows || []).forEach(row => levels.set(String(row.id), row.tank_level == null ? null : Number(row.tank_level)));
+    const s = await client.query(`SELECT id, MAX(timestamp) AS last_ts FROM tank_level WHERE id = ANY($1::text[]) GROUP BY id`, [ids]);
+    (s.rows || []).forEach(row => lastSeen.set(String(row.id), row.last_ts ? new Date(row.last_ts) : null));
+  }
+
+  const { since, until } = consumptionWindow();
+  const terminals = [];
+  for (const row of t.rows || []) {
+    const tid = String(row.terminal_id);
+    const consumption = await computeTerminalConsumption(client, tid, since, until, parseCapacityLiters(row.lpg_tank_capacity));
+    terminals.push({
+      terminal_id: tid,
+      title: row.title || `Terminal ${tid}`,
+      emirate: row.emirate || null,
+      project_code: row.project_code || null,
+      building_codes: [row.afg_bld_code, row.client_bld_code].filter(Boolean).map(c => String(c).trim().toLowerCase()),
+      min: row.lpg_min_level == null ? null : Number(row.lpg_min_level),
+      level: levels.has(tid) ? levels.get(tid) : null,
+      last_ts: lastSeen.get(tid) || null,
+      consumption: consumption.monthly
+    });
+  }
+
+  const d = await client.query(
+    `SELECT id, building_code, building_name, istifaa_expiry_date, amc_expiry_date, doe_noc_expiry_date, coc_expiry_date, tpi_expiry_date
+       FROM tank_documents`
+  );
+  const documents = [];
+  for (const row of d.rows || []) {
+    for (const type of Object.keys(DOCUMENT_TYPE_LABELS)) {
+      const date = dateOnly(row[`${type}_expiry_date`]);
+      if (computeStatusForDate(date) !== 'renewal') continue;
+      documents.push({
+        building_code: row.building_code ? String(row.building_code).trim().toLowerCase() : null,
+        building: row.building_name || row.building_code || `#${row.id}`,
+        type,
+        date,
+        days: daysUntilDate(date)
+      });
+    }
+  }
+  documents.sort((a, b) => a.days - b.days);
+  return { terminals, documents };
+}
+
+function terminalInDigestScope(terminal, scope, scopeValue) {
+  const value = String(scopeValue || '').trim().toLowerCase();
+  if (scope === 'emirate') return String(terminal.emirate || '').trim().toLowerCase() === value;
+  if (scope === 'project') return String(terminal.project_code || '').trim().toLowerCase() === value;
+  return true;
+}
+
+// Digest sections (see renderDigestEmail) for one scope, row texts in the given language
+function buildDigestSections(snapshot, scope, scopeValue, lang) {
+  const rowText = (EMAIL_STRINGS[lang] || EMAIL_STRINGS.en).digest.rows;
+  const terminals = snapshot.terminals.filter(t => terminalInDigestScope(t, scope, scopeValue));
+  const tankUrl = t => (APP_BASE_URL ? `${APP_BASE_URL}/?tank=${encodeURIComponent(t.terminal_id)}` : null);
+
+  const belowMin = terminals
+    .filter(t => t.level != null && t.min != null && t.level < t.min)
+    .sort((a, b) => a.level - b.level)
+    .map(t => ({ text: `${t.title} — ${rowText.below_min(round2(t.level), round2(t.min))}`, url: tankUrl(t) }));
+
+  const emptySoon = terminals
+    .map(t => {
+      const rate = t.consumption.average_percent_per_day;
+      return { t, rate, days: t.level != null && rate > 0 ? t.level / rate : null };
+    })
+    .filter(x => x.days != null && x.days <= DIGEST_EMPTY_WITHIN_DAYS)
+    .sort((a, b) => a.days - b.days)
+    .map(x => ({ text: `${x.t.title} — ${rowText.empty_soon(Math.round(x.days * 10) / 10, x.rate)}`, url: tankUrl(x.t) }));
+
+  const staleMs = STALE_DATA_HOURS * 60 * 60 * 1000;
+  const offline = terminals
+    .filter(t => t.last_ts && Date.now() - t.last_ts.getTime() > staleMs)
+    .sort((a, b) => a.last_ts - b.last_ts)
+    .map(t => ({ text: `${t.title} — ${rowText.offline(Math.round((Date.now() - t.last_ts.getTime()) / 3600000))}`, url: tankUrl(t) }));
+
+  const consuming = terminals.filter(t => t.consumption.average_percent_per_day != null);
+  const consumption = [];
+  if (consuming.length) {
+    const withLiters = consuming.filter(t => t.consumption.average_liters_per_day != null);
+    const avgRate = consuming.reduce((sum, t) => sum + t.consumption.average_percent_per_day, 0) / consuming.length;
+    const avgLiters = withLiters.length ? withLiters.reduce((sum, t) => sum + t.consumption.average_liters_per_day, 0) / withLiters.length : null;
+    consumption.push({ text: rowText.fleet(round2(avgRate), round2(avgLiters), consuming.length) });
+    consuming
+      .slice()
+      .sort((a, b) => b.consumption.average_percent_per_day - a.consumption.average_percent_per_day)
+      .slice(0, DIGEST_TOP_CONSUMERS)
+      .forEach(t => consumption.push({
+        text: `${t.title} — ${rowText.consumer(t.consumption.average_percent_per_day, t.consumption.average_liters_per_day)}`,
+        url: tankUrl(t)
+      }));
+  }
+
+  // documents are tracked per building, so a scoped digest only lists the buildings of its tanks
+  const buildingCodes = new Set(terminals.flatMap(t => t.building_codes));
+  const documents = snapshot.documents
+    .filter(doc => scope === 'all' || (doc.building_code && buildingCodes.has(doc.building_code)))
+    .map(doc => ({
+      text: `${doc.building} — ${rowText.document(DOCUMENT_TYPE_LABELS[doc.type], doc.date, doc.days)}`,
+      url: APP_BASE_URL ? `${APP_BASE_URL}/Document-Tracker` : null
+    }));
+
+  return [
+    { key: 'below_min', rows: belowMin },
+    { key: 'empty_soon', rows: emptySoon },
+    { key: 'offline', rows: offline },
+    { key: 'consumption', rows: consumption },
+    { key: 'documents', rows: documents }
+  ];
+}
+
+function renderSubscriptionDigest(snapshot, sub, date) {
+  const lang = EMAIL_LANGUAGES.includes(sub.language) ? sub.language : EMAIL_DEFAULT_LANGUAGE;
+  const labels = (EMAIL_STRINGS[lang] || EMAIL_STRINGS.en).labels;
+  const intro = sub.scope === 'emirate' ? `${labels.emirate}: ${sub.scope_value}` : (sub.scope === 'project' ? `${labels.project}: ${sub.scope_value}` : null);
+  return renderDigestEmail(lang, { date, intro, sections: buildDigestSections(snapshot, sub.scope, sub.scope_value, lang) });
+}
+
+let digestRunInProgress = false;
+
+// Send every enabled subscription whose send time has passed today and that has not had today's digest yet
+async function sendDueDigests() {
+  if (digestRunInProgress || !transporter) return;
+  digestRunInProgress = true;
+  try {
+    const client = await pool.connect();
+    try {
+      const now = new Date();
+      const today = localDateString(now);
+      const minutes = localClock(now).minutes;
+      const r = await client.query(
+        `SELECT ${DIGEST_COLUMNS} FROM digest_subscriptions
+          WHERE enabled = TRUE AND (last_sent_on IS NULL OR last_sent_on < $1::date)
+          ORDER BY id ASC`,
+        [today]
+      );
+      const due = (r.rows || []).filter(row => {
+        const sendAt = parseClockTime(row.send_time);
+        return minutes >= (sendAt != null ? sendAt : DIGEST_SEND_MINUTES);
+      });
+      if (!due.length) return;
+
+      const snapshot = await loadFleetSnapshot(client);
+      for (const sub of due) {
+        try {
+          const msg = renderSubscriptionDigest(snapshot, sub, today);
+          await sendAlarmEmail(sub.email, msg.subject, msg.text, msg.html);
+          await client.query(`UPDATE digest_subscriptions SET last_sent_on = $2::date WHERE id = $1`, [sub.id, today]);
+          console.log(`Sent daily digest #${sub.id} (${sub.scope}${sub.scope_value ? ` ${sub.scope_value}` : ''}) to ${sub.email}`);
+        } catch (err) {
+          console.warn(`Failed to send daily digest #${sub.id} to ${sub.email}`, err && err.message);
+        }
+      }
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('Daily digest run failed', err && err.message);
+  } finally {
+    digestRunInProgress = false;
+  }
+}
+
+pollSchemaReady.then(() => {
+  setInterval(() => { sendDueDigests().catch(() => {}); }, DIGEST_CHECK_MS);
+});
+
+/* Digest subscriptions (every signed-in user manages their own; admins see and edit everyone's)
+   GET    /api/digest-subscriptions[?all=1]   -> { count, rows, default_send_time, timezone }
+   POST   /api/digest-subscriptions           -> create/update { id?, email, scope: all|emirate|project, scope_value,
+                                                 language: en|ar, send_time: "HH:MM" (empty = default), enabled }
+   DELETE /api/digest-subscriptions/:id
+   POST   /api/digest-subscriptions/:id/send  -> send the digest now (does not count as today's digest); one per user
+                                                 per DIGEST_SEND_NOW_INTERVAL_MS (default 300000), else 429
+*/
+function isAdminSession(req) {
+  return !!(req.session && req.session.user && req.session.user.role === 'admin');
+}
+
+const DIGEST_SEND_NOW_INTERVAL_MS = Math.max(10000, parseInt(process.env.DIGEST_SEND_NOW_INTERVAL_MS || '300000', 10));
+const digestSentNowAt = new Map(); // username -> ms of the last "send now"
+
+// The subscription row when the session may change it, else null
+async function ownedDigestSubscription(client, req, id) {
+  const r = await client.query(`SELECT ${DIGEST_COLUMNS} FROM digest_subscriptions WHERE id = $1`, [id]);
+  const row = r.rows && r.rows[0];
+  if (!row) return null;
+  return isAdminSession(req) || row.username === req.session.user.username ? row : null;
+}
+
+app.get('/api/digest-subscriptions', async (req, res) => {
+  try {
+    const all = isAdminSession(req) && String(req.query.all || '') === '1';
+    const client = await pool.connect();
+    try {
+      const r = all
+        ? await client.query(`SELECT ${DIGEST_COLUMNS} FROM digest_subscriptions ORDER BY username, lower(email), id`)
+        : await client.query(`SELECT ${DIGEST_COLUMNS} FROM digest_subscriptions WHERE username = $1 ORDER BY lower(email), id`, [req.session.user.username]);
+      const rows = (r.rows || []).map(digestSubscriptionRowToJson);
+      return res.json({ count: rows.length, rows, default_send_time: DIGEST_SEND_TIME, timezone: ALARM_TIMEZONE });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('GET /api/digest-subscriptions failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to load digest subscriptions' });
+  }
+});
+
+app.post('/api/digest-subscriptions', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const id = body.id === undefined || body.id === null || body.id === '' ? null : parseInt(body.id, 10);
+    const email = body.email == null ? '' : String(body.email).trim().slice(0, 254);
+    const scope = body.scope ? String(body.scope).trim() : 'all';
+    const scopeValue = scope === 'all' ? null : (optionalText(body.scope_value, 200) || null);
+    const language = body.language ? String(body.language).trim().toLowerCase() : EMAIL_DEFAULT_LANGUAGE;
+    const sendTime = body.send_time ? String(body.send_time).trim() : null;
+    const enabled = body.enabled === undefined ? true : !!body.enabled;
+
+    if (id !== null && !Number.isFinite(id)) return res.status(400).json({ error: 'invalid subscription id' });
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'invalid email' });
+    if (!DIGEST_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of ${DIGEST_SCOPES.join(', ')}` });
+    if (scope !== 'all' && !scopeValue) return res.status(400).json({ error: 'scope_value is required' });
+    if (!EMAIL_LANGUAGES.includes(language)) return res.status(400).json({ error: `language must be one of ${EMAIL_LANGUAGES.join(', ')}` });
+    if (sendTime && parseClockTime(sendTime) == null) return res.status(400).json({ error: 'send_time must look like 07:00' });
+
+    const client = await pool.connect();
+    try {
+      let r;
+      if (id !== null) {
+        if (!await ownedDigestSubscription(client, req, id)) return res.status(404).json({ error: 'subscription not found' });
+        r = await client.query(
+          `UPDATE digest_subscriptions
+              SET email = $2, scope = $3, scope_value = $4, language = $5, send_time = $6, enabled = $7, updated_at = now()
+            WHERE id = $1
+            RETURNING ${DIGEST_COLUMNS}`,
+          [id, email, scope, scopeValue, language, sendTime, enabled]
+        );
+      } else {
+        r = await client.query(
+          `INSERT INTO digest_subscriptions (username, email, scope, scope_value, language, send_time, enabled)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${DIGEST_COLUMNS}`,
+          [req.session.user.username, email, scope, scopeValue, language, sendTime, enabled]
+        );
+      }
+      return res.status(id !== null ? 200 : 201).json(digestSubscriptionRowToJson(r.rows[0]));
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ error: 'this email is already subscribed to that scope' });
+    console.warn('POST /api/digest-subscriptions failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to save digest subscription' });
+  }
+});
+
+app.delete('/api/digest-subscriptions/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid subscription id' });
+    const client = await pool.connect();
+    try {
+      if (!await ownedDigestSubscription(client, req, id)) return res.status(404).json({ error: 'subscription not found' });
+      await client.query(`DELETE FROM digest_subscriptions WHERE id = $1`, [id]);
+      return res.json({ ok: true, id });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('DELETE /api/digest-subscriptions/:id failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to delete digest subscription' });
+  }
+});
+
+app.post('/api/digest-subscriptions/:id/send', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid subscription id' });
+    if (!transporter) return res.status(503).json({ error: 'SMTP is not configured' });
+    const username = req.session.user.username;
+    const waitMs = (digestSentNowAt.get(username) || 0) + DIGEST_SEND_NOW_INTERVAL_MS - Date.now();
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ error: `a digest was just sent; try again in ${Math.ceil(waitMs / 60000)} min` });
+    }
+    const client = await pool.connect();
+    try {
+      const sub = await ownedDigestSubscription(client, req, id);
+      if (!sub) return res.status(404).json({ error: 'subscription not found' });
+      digestSentNowAt.set(username, Date.now());
+      const msg = renderSubscriptionDigest(await loadFleetSnapshot(client), sub, localDateString(new Date()));
+      await sendAlarmEmail(sub.email, msg.subject, msg.text, msg.html);
+      return res.json({ ok: true, id, email: sub.email });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.warn('POST /api/digest-subscriptions/:id/send failed:', err && err.message);
+    return res.status(500).json({ error: 'failed to send digest' });
+  }
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { NEVER_SUPPRESSED_TYPES, quietHoursMayHold } = require('../lib/quiet-hours');
+
+test('non-critical notices may be held', () => {
+  assert.strictEqual(quietHoursMayHold('warning', 'level_low'), true);
+  assert.strictEqual(quietHoursMayHold('warning', 'battery_low'), true);
+});
+
+test('critical notices and notices without a severity go out at once', () => {
+  assert.strictEqual(quietHoursMayHold('critical', 'leak_suspected'), false);
+  assert.strictEqual(quietHoursMayHold(null, 'level_low'), false);
+});
+
+test('gas alarms are never held, even an escalated warning', () => {
+  assert.deepStrictEqual(NEVER_SUPPRESSED_TYPES, ['lel_warning', 'lel_danger']);
+  assert.strictEqual(quietHoursMayHold('warning', 'lel_warning'), false);
+  assert.strictEqual(quietHoursMayHold('warning', 'lel_danger'), false);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { fillSmsTemplate, buildSmsRequest, sendSms, smsRateLimitReason, retryAfterFailure } = require('../lib/notifications');
+const { startFakeSmsGateway } = require('../scripts/fake-sms-gateway');
+
+const JSON_BODY = '{"to":"{to}","from":"{from}","text":"{message}"}';
+const VALUES = { to: '+971501234567', from: 'TANKS', message: 'ALARM Tank "A" & B: LEL 12%' };
+
+test('templates fill every placeholder through the encoder', () => {
+  assert.strictEqual(fillSmsTemplate('{to}/{to}/{from}', VALUES, v => v), '+971501234567/+971501234567/TANKS');
+  assert.strictEqual(fillSmsTemplate('x={message}', { message: null }, v => v), 'x=');
+  assert.strictEqual(fillSmsTemplate('{other}', VALUES, v => v), '{other}');
+});
+
+test('the body is JSON-escaped for JSON gateways and URL-encoded for forms', () => {
+  const json = buildSmsRequest({ url: 'http://gw/send', body: JSON_BODY }, VALUES);
+  assert.strictEqual(json.opts.method, 'POST');
+  assert.strictEqual(json.opts.headers['Content-Type'], 'application/json');
+  assert.deepStrictEqual(JSON.parse(json.opts.body), { to: VALUES.to, from: VALUES.from, text: VALUES.message });
+
+  const form = buildSmsRequest({ url: 'http://gw/send', contentType: 'application/x-www-form-urlencoded', body: 'to={to}&msg={message}' }, VALUES);
+  assert.deepStrictEqual(Object.fromEntries(new URLSearchParams(form.opts.body)), { to: VALUES.to, msg: VALUES.message });
+
+  const get = buildSmsRequest({ url: 'http://gw/send?to={to}&text={message}', method: 'get', body: JSON_BODY }, VALUES);
+  assert.strictEqual(get.opts.method, 'GET');
+  assert.strictEqual(get.opts.body, undefined);
+  assert.strictEqual(new URL(get.url).searchParams.get('text'), VALUES.message);
+});
+
+test('a text reaches the gateway with the configured headers', async () => {
+  const gw = await startFakeSmsGateway();
+  try {
+    const result = await sendSms({ url: `${gw.url}/send`, body: JSON_BODY, headers: { Authorization: 'Bearer k' } }, VALUES);
+    assert.strictEqual(result.responseStatus, 200);
+    assert.strictEqual(gw.received.length, 1);
+    assert.strictEqual(gw.received[0].path, '/send');
+    assert.strictEqual(gw.received[0].headers.authorization, 'Bearer k');
+    assert.deepStrictEqual(gw.received[0].fields, { to: VALUES.to, from: VALUES.from, text: VALUES.message });
+  } finally {
+    await gw.close();
+  }
+});
+
+test('a 200 that does not match the success pattern is a retryable failure', async () => {
+  const gw = await startFakeSmsGateway({ responses: [{ body: '{"status":"error","reason":"busy"}' }] });
+  const gateway = { url: `${gw.url}/send`, body: JSON_BODY, successRe: /"status":"ok"/ };
+  try {
+    await assert.rejects(sendSms(gateway, VALUES), err => {
+      assert.strictEqual(err.responseStatus, 200);
+      assert.strictEqual(err.permanent, false);
+      assert.match(err.responseBody, /busy/);
+      return true;
+    });
+    assert.strictEqual((await sendSms(gateway, VALUES)).responseStatus, 200);
+  } finally {
+    await gw.close();
+  }
+});
+
+test('gateway errors: 4xx gives up, 5xx is retried', async () => {
+  const gw = await startFakeSmsGateway({ responses: [{ status: 401, body: 'bad key' }, { status: 503 }] });
+  const gateway = { url: `${gw.url}/send`, body: JSON_BODY };
+  const retry = { maxAttempts: 3, baseMs: 1000 };
+  try {
+    const auth = await sendSms(gateway, VALUES).catch(err => err);
+    assert.strictEqual(auth.responseStatus, 401);
+    assert.strictEqual(retryAfterFailure(1, auth, retry).status, 'failed');
+    const busy = await sendSms(gateway, VALUES).catch(err => err);
+    assert.strictEqual(busy.responseStatus, 503);
+    assert.deepStrictEqual(retryAfterFailure(1, busy, retry), { status: 'pending', delayMs: 1000 });
+  } finally {
+    await gw.close();
+  }
+});
+
+test('the rate limit skips texts once a number reached its hourly limit', async () => {
+  const limit = 3;
+  const gw = await startFakeSmsGateway();
+  const gateway = { url: `${gw.url}/send`, body: JSON_BODY };
+  let sentLastHour = 0;
+  const skipped = [];
+  try {
+    for (let i = 0; i < 5; i++) {
+      const reason = smsRateLimitReason(sentLastHour, limit);
+      if (reason) {
+        skipped.push(reason);
+        continue;
+      }
+      await sendSms(gateway, { ...VALUES, message: `text ${i}` });
+      sentLastHour++;
+    }
+    assert.strictEqual(gw.received.length, limit);
+    assert.deepStrictEqual(skipped, ['rate limit: 3 texts to this number in the last hour', 'rate limit: 3 texts to this number in the last hour']);
+    assert.strictEqual(smsRateLimitReason(0, limit), null);
+  } finally {
+    await gw.close();
+  }
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { postWebhook, retryAfterFailure, signWebhookBody } = require('../lib/notifications');
+const { startWebhookReceiver, signatureValid } = require('../scripts/webhook-receiver');
+
+const SECRET = 'test-secret';
+const RETRY = { maxAttempts: 3, baseMs: 1000 };
+
+function delivery(id) {
+  return { id, event: 'alarm.raised', payload: { alarm: { id: 7, kind: 'lel_danger', terminal_id: 'T1' } } };
+}
+
+async function attempt(hook, d, attempts) {
+  try {
+    return { result: await postWebhook(hook, d, { timeoutMs: 2000 }) };
+  } catch (err) {
+    return { err, retry: retryAfterFailure(attempts, err, RETRY) };
+  }
+}
+
+test('signature is an HMAC over timestamp.body', () => {
+  const sig = signWebhookBody(SECRET, 1700000000, '{"a":1}');
+  assert.match(sig, /^sha256=[0-9a-f]{64}$/);
+  const now = Math.floor(Date.now() / 1000);
+  assert.ok(signatureValid(SECRET, now, '{"a":1}', signWebhookBody(SECRET, now, '{"a":1}')));
+  assert.ok(!signatureValid(SECRET, now, '{"a":2}', signWebhookBody(SECRET, now, '{"a":1}')));
+  assert.ok(!signatureValid(SECRET, now - 3600, '{"a":1}', signWebhookBody(SECRET, now - 3600, '{"a":1}')));
+});
+
+test('a 2xx answer delivers a signed payload', async () => {
+  const receiver = await startWebhookReceiver({ secret: SECRET });
+  try {
+    const { result, err } = await attempt({ url: receiver.url, secret: SECRET }, delivery(1), 1);
+    assert.ifError(err);
+    assert.strictEqual(result.responseStatus, 200);
+    assert.strictEqual(receiver.received.length, 1);
+    const got = receiver.received[0];
+    assert.ok(got.valid);
+    assert.strictEqual(got.headers['x-webhook-event'], 'alarm.raised');
+    assert.strictEqual(got.headers['x-webhook-delivery'], '1');
+    assert.strictEqual(got.json.delivery_id, 1);
+    assert.strictEqual(got.json.alarm.kind, 'lel_danger');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a 4xx answer fails the delivery without a retry', async () => {
+  const receiver = await startWebhookReceiver({ secret: SECRET, statuses: [404] });
+  try {
+    const { err, retry } = await attempt({ url: receiver.url, secret: SECRET }, delivery(2), 1);
+    assert.ok(err);
+    assert.strictEqual(err.responseStatus, 404);
+    assert.strictEqual(err.permanent, true);
+    assert.deepStrictEqual(retry, { status: 'failed', delayMs: null });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a wrong secret is rejected by the receiver and not retried', async () => {
+  const receiver = await startWebhookReceiver({ secret: SECRET });
+  try {
+    const { err, retry } = await attempt({ url: receiver.url, secret: 'other' }, delivery(3), 1);
+    assert.strictEqual(err.responseStatus, 401);
+    assert.strictEqual(retry.status, 'failed');
+    assert.strictEqual(receiver.received[0].valid, false);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a 5xx answer is retried with a doubling backoff until it succeeds', async () => {
+  const receiver = await startWebhookReceiver({ secret: SECRET, statuses: [503, 502] });
+  const hook = { url: receiver.url, secret: SECRET };
+  try {
+    const first = await attempt(hook, delivery(4), 1);
+    assert.strictEqual(first.err.responseStatus, 503);
+    assert.strictEqual(first.err.permanent, false);
+    assert.deepStrictEqual(first.retry, { status: 'pending', delayMs: 1000 });
+
+    const second = await attempt(hook, delivery(4), 2);
+    assert.strictEqual(second.err.responseStatus, 502);
+    assert.deepStrictEqual(second.retry, { status: 'pending', delayMs: 2000 });
+
+    const third = await attempt(hook, delivery(4), 3);
+    assert.ifError(third.err);
+    assert.strictEqual(third.result.responseStatus, 200);
+    assert.strictEqual(receiver.received.length, 3);
+    assert.ok(receiver.received.every(r => r.valid));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a 5xx on the last attempt gives up', async () => {
+  const receiver = await startWebhookReceiver({ secret: SECRET, status: 500 });
+  try {
+    const { err, retry } = await attempt({ url: receiver.url, secret: SECRET }, delivery(5), RETRY.maxAttempts);
+    assert.strictEqual(err.permanent, false);
+    assert.strictEqual(retry.status, 'failed');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a 429 answer and a refused connection stay retryable', async () => {
+  const receiver = await startWebhookReceiver({ statuses: [429] });
+  const url = receiver.url;
+  try {
+    const limited = await attempt({ url }, delivery(6), 1);
+    assert.strictEqual(limited.err.responseStatus, 429);
+    assert.strictEqual(limited.retry.status, 'pending');
+  } finally {
+    await receiver.close();
+  }
+  const refused = await attempt({ url }, delivery(6), 1);
+  assert.ok(refused.err);
+  assert.strictEqual(refused.retry.status, 'pending');
+});